@@ -3,17 +3,16 @@ const cors = require('cors');
 const { OpenAI } = require('openai');
 require('dotenv').config();
 
-const { parseCsv, formatCsvForPrompt } = require('./processCsv');
-const { parsePdf, formatPdfForPrompt } = require('./processPdf');
-const { parseDocx, formatDocxForPrompt } = require('./processDocx');
-const { parseXlsx, formatXlsxForPrompt } = require('./processXlsx');
-const { parseTxt, formatTxtForPrompt } = require('./processTxt');
 const { requireAuth } = require('./middleware/auth');
-const { healthCheck, getBlobContent, listUserFiles } = require('./services/storage');
+const { healthCheck, listUserFiles, getProjectPrefix } = require('./services/storage');
+const { retrieveContext, formatRetrievedContext } = require('./services/retrieval');
+const { buildCitations } = require('./services/citations');
+const { runAgent } = require('./services/agent');
 const cosmosService = require('./services/cosmos');
 const summarizerService = require('./services/summarizerService');
 const filesRouter = require('./routes/files');
 const conversationsRouter = require('./routes/conversations');
+const projectsRouter = require('./routes/projects');
 const { normalPrompt } = require('./prompts/normalPrompt');
 
 // Try to load debug config (local only, not in git)
@@ -29,6 +28,9 @@ try {
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Files read for one chat message, attachments of selected emails included
+const MAX_CHAT_FILES = 5;
+
 // Initialize Azure OpenAI
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
@@ -131,8 +133,9 @@ app.use(cors({
     return callback(new Error('Not allowed by CORS'));
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-ms-client-principal']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-ms-client-principal'],
+  exposedHeaders: ['Content-Disposition'] // Export downloads read their file name from it
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -168,6 +171,9 @@ app.use('/api/files', filesRouter);
 // Register conversation management routes
 app.use('/api/conversations', conversationsRouter);
 
+// Register project management routes
+app.use('/api/projects', projectsRouter);
+
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
   try {
@@ -228,8 +234,8 @@ app.get('/api/test', (req, res) => {
 
 
 
-// Handle preflight OPTIONS request for chat
-app.options('/api/chat', (req, res) => {
+// Handle preflight OPTIONS request for chat (JSON and streaming)
+app.options(['/api/chat', '/api/chat/stream'], (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-ms-client-principal');
@@ -238,344 +244,320 @@ app.options('/api/chat', (req, res) => {
 });
 
 /**
- * Parse file content based on file extension
- * @param {Buffer} buffer - File buffer
- * @param {string} fileName - File name with extension
- * @returns {Promise<string>} - Formatted content for GPT prompt
+ * Validate a chat request, verify file access, parse the files and load the conversation context.
+ * Shared by the JSON and streaming chat endpoints.
+ * @param {Object} user - Authenticated user
+ * @param {Object} body - Request body ({ fileName, fileNames, message, conversationId, projectId })
+ * @returns {Promise<Object>} - { error: {status, body} } or { message, targetFileNames, targetFiles, conversation, systemPrompt, messages }
  */
-async function parseFileContent(buffer, fileName) {
-  // Get file extension (case-insensitive)
-  const fileExtension = fileName.toLowerCase().substring(fileName.lastIndexOf('.'));
-  
-  try {
-    switch (fileExtension) {
-      case '.csv':
-        const csvRows = await parseCsv(buffer);
-        if (!csvRows || csvRows.length === 0) {
-          throw new Error('CSV file is empty or contains no data');
+async function prepareChatRequest(user, body) {
+  const { fileName, fileNames, message, conversationId, projectId } = body;
+
+  // Support both single file (backward compatibility) and multiple files
+  let targetFileNames = [];
+  if (fileNames && Array.isArray(fileNames)) {
+    targetFileNames = fileNames;
+  } else if (fileName) {
+    targetFileNames = [fileName];
+  }
+
+  if (targetFileNames.length === 0 || !message) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'fileNames (or fileName) and message are required',
+          message: 'Please provide the name(s) of the file(s) you want to chat with'
         }
-        return formatCsvForPrompt(csvRows, fileName);
-        
-      case '.pdf':
-        const pdfText = await parsePdf(buffer);
-        return formatPdfForPrompt(pdfText, fileName);
-        
-      case '.docx':
-        const docxText = await parseDocx(buffer);
-        return formatDocxForPrompt(docxText, fileName);
-        
-      case '.xlsx':
-        const xlsxText = await parseXlsx(buffer);
-        return formatXlsxForPrompt(xlsxText, fileName);
-        
-      case '.txt':
-        const txtText = await parseTxt(buffer);
-        return formatTxtForPrompt(txtText, fileName);
-        
-      default:
-        throw new Error(`Unsupported file type: ${fileExtension}`);
+      }
+    };
+  }
+
+  // Validate file count limit
+  if (targetFileNames.length > MAX_CHAT_FILES) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Too many files',
+          message: `Maximum of ${MAX_CHAT_FILES} files can be processed at once`
+        }
+      }
+    };
+  }
+
+  console.log(`Chat request from user ${user.id} for ${targetFileNames.length} file(s): ${targetFileNames.join(', ')}`);
+  
+  // Verify user has access to all files
+  const userFiles = await listUserFiles(user.id);
+  const missingFiles = [];
+  
+  for (const targetFileName of targetFileNames) {
+    const fileExists = userFiles.find(file => file.name === targetFileName);
+    if (!fileExists) {
+      missingFiles.push(targetFileName);
     }
-  } catch (error) {
-    console.error(`Error parsing ${fileExtension} file "${fileName}":`, error.message);
-    throw new Error(`Failed to parse ${fileExtension.toUpperCase()} file: ${error.message}`);
   }
-}
+  
+  if (missingFiles.length > 0) {
+    return {
+      error: {
+        status: 404,
+        body: {
+          error: 'File(s) not found', 
+          message: `The following file(s) do not exist in your storage: ${missingFiles.join(', ')}. Please upload them first using the file upload feature.`
+        }
+      }
+    };
+  }
 
-/**
- * Parse multiple files and combine their content
- * @param {Array<string>} fileNames - Array of file names
- * @param {string} userId - User ID for file access
- * @returns {Promise<string>} - Combined formatted content for GPT prompt
- */
-async function parseMultipleFiles(fileNames, userId) {
-  if (!Array.isArray(fileNames) || fileNames.length === 0) {
-    throw new Error('fileNames must be a non-empty array');
+  // Only files that passed their upload checks are read
+  const unreadyFiles = userFiles.filter(file => targetFileNames.includes(file.name) && file.status !== 'ready');
+  if (unreadyFiles.length > 0) {
+    return {
+      error: {
+        status: 409,
+        body: {
+          error: 'File(s) not ready',
+          message: unreadyFiles.map(file => file.status === 'rejected'
+            ? `${file.name} was rejected: ${file.statusReason}`
+            : `${file.name} is still processing`).join('; ')
+        }
+      }
+    };
   }
 
-  // Validate file count limit
-  if (fileNames.length > 5) {
-    throw new Error('Maximum of 5 files can be processed at once');
+  // Attachments extracted from a selected email are read along with it, so they count towards the limit
+  const childFiles = userFiles.filter(file => file.parent && targetFileNames.includes(file.parent) && !targetFileNames.includes(file.name));
+  if (targetFileNames.length + childFiles.length > MAX_CHAT_FILES) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Too many files',
+          message: `Maximum of ${MAX_CHAT_FILES} files can be processed at once, and the selected emails add ${childFiles.length} attachment(s)`
+        }
+      }
+    };
   }
 
-  const fileContents = [];
+  // Handle conversation context
+  let conversation = null;
+  let conversationMessages = [];
   
-  for (const fileName of fileNames) {
+  if (conversationId) {
     try {
-      // Get blob content and parse file
-      const blobBuffer = await getBlobContent(userId, fileName);
-      const content = await parseFileContent(blobBuffer, fileName);
+      // Get existing conversation
+      conversation = await cosmosService.getConversation(conversationId, user.id);
       
-      // Get file type for formatting
-      const fileExtension = fileName.toLowerCase().substring(fileName.lastIndexOf('.') + 1);
+      // Allow dynamic file changes - update conversation's file associations to current files
+      const conversationFileNames = conversation.fileNames || [conversation.fileName];
+      const filesMatch = conversationFileNames.length === targetFileNames.length &&
+                        conversationFileNames.every(name => targetFileNames.includes(name));
       
-      fileContents.push({
-        fileName,
-        content,
-        type: fileExtension.toUpperCase()
-      });
+      // Always update file associations if they've changed
+      if (!filesMatch) {
+        const conversationFiles = conversationFileNames.join(', ');
+        const requestFiles = targetFileNames.join(', ');
+        console.log(`Updating conversation ${conversationId} files from [${conversationFiles}] to [${requestFiles}]`);
+        
+        try {
+          // Update conversation to use current file names (allows dynamic file changes)
+          const updateData = targetFileNames.length === 1 
+            ? { fileName: targetFileNames[0] }
+            : { fileNames: targetFileNames };
+          
+          await cosmosService.updateConversation(conversationId, user.id, updateData);
+          console.log(`Successfully updated conversation ${conversationId} file associations`);
+        } catch (updateError) {
+          console.warn(`Failed to update conversation file associations:`, updateError.message);
+          // Continue anyway - this is not critical
+        }
+      }
+      
+      // Get recent messages for context (last 10 messages to avoid token limits)
+      conversationMessages = await cosmosService.getRecentMessages(conversationId, user.id, 10);
+      console.log(`Using conversation context: ${conversationId} with ${conversationMessages.length} recent messages`);
     } catch (error) {
-      console.error(`Error processing file "${fileName}":`, error.message);
-      throw new Error(`Failed to process file "${fileName}": ${error.message}`);
+      console.warn(`Failed to load conversation ${conversationId}:`, error.message);
+      // Continue without conversation context
     }
   }
-  
-  return formatMultiFilePrompt(fileContents);
-}
 
-/**
- * Format multiple file contents into a single prompt
- * @param {Array<Object>} filesData - Array of {fileName, content, type}
- * @returns {string} - Formatted multi-file prompt
- */
-function formatMultiFilePrompt(filesData) {
-  if (!Array.isArray(filesData) || filesData.length === 0) {
-    throw new Error('filesData must be a non-empty array');
-  }
+  // Pull the relevant chunks of each file (or all of them for small files).
+  // The previous user question is part of the query so follow-ups keep their subject.
+  const previousUserMessage = [...conversationMessages].reverse().find(msg => msg.role === 'user');
+  const retrievalQuery = previousUserMessage ? `${message}\n${previousUserMessage.content}` : message;
+  const targetFiles = [...targetFileNames.map(name => userFiles.find(file => file.name === name)), ...childFiles];
+  const retrievedContext = await retrieveContext(user.id, targetFiles, retrievalQuery);
+  const fileContent = formatRetrievedContext(retrievedContext);
 
-  // If only one file, return single file format for consistency
-  if (filesData.length === 1) {
-    return filesData[0].content;
+  if (!conversationId) {
+    // Auto-create a new conversation if none provided
+    try {
+      // Generate AI-powered title from first user message
+      const title = await generateConversationTitle(message);
+      
+      // Only attach the conversation to a project when every file lives in that project
+      const conversationProjectId = typeof projectId === 'string' &&
+        targetFileNames.every(name => name.startsWith(getProjectPrefix(projectId))) ? projectId : null;
+      
+      // For backward compatibility, use fileName for single files, fileNames for multiple
+      if (targetFileNames.length === 1 && !conversationProjectId) {
+        conversation = await cosmosService.createConversation(user.id, targetFileNames[0], title);
+      } else {
+        // This will need cosmos service update, but for now use first file as primary
+        conversation = await cosmosService.createConversation(user.id, targetFileNames[0], title, [], targetFileNames, conversationProjectId);
+      }
+      console.log(`Auto-created conversation: ${conversation.id} with AI title: "${title}"`);
+    } catch (error) {
+      console.warn('Failed to auto-create conversation:', error.message);
+      // Continue without conversation (backward compatibility)
+    }
   }
 
-  let prompt = `You are analyzing ${filesData.length} documents. Here are the files:\n\n`;
-  
-  filesData.forEach((file, index) => {
-    prompt += `=== FILE ${index + 1}: ${file.fileName} ===\n`;
-    prompt += `File Type: ${file.type}\n\n`;
-    prompt += file.content;
-    prompt += `\n\n`;
-  });
-  
-  prompt += `When answering questions:
-- Specify which file(s) contain the relevant information
-- Cross-reference data between files when applicable
-- If data spans multiple files, provide a comprehensive answer
-- Use the format "From [filename]:" when citing specific file sources\n\n`;
-  
-  return prompt;
-}
+  // Create system prompt with conversation context
+  const systemPrompt = normalPrompt(fileContent, conversationMessages);
 
-// Enhanced chat endpoint with conversation support
-app.post('/api/chat', requireAuth, async (req, res) => {
-  try {
-    const user = req.user; // From SWA authentication middleware
-    
-    const { fileName, fileNames, message, conversationId } = req.body;
-
-    // Support both single file (backward compatibility) and multiple files
-    let targetFileNames = [];
-    if (fileNames && Array.isArray(fileNames)) {
-      targetFileNames = fileNames;
-    } else if (fileName) {
-      targetFileNames = [fileName];
-    }
+  // Prepare messages for OpenAI
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: message }
+  ];
 
-    if (targetFileNames.length === 0 || !message) {
-      return res.status(400).json({ 
-        error: 'fileNames (or fileName) and message are required',
-        message: 'Please provide the name(s) of the file(s) you want to chat with'
-      });
-    }
+  return { message, fileName, targetFileNames, targetFiles, conversation, systemPrompt, messages, retrievedContext };
+}
 
-    // Validate file count limit
-    if (targetFileNames.length > 5) {
-      return res.status(400).json({
-        error: 'Too many files',
-        message: 'Maximum of 5 files can be processed at once'
-      });
-    }
+/**
+ * Record which version of each file a reply was answered from
+ * @param {Array<Object>} targetFiles - File entries given to the model (from listUserFiles)
+ * @returns {Array<Object>} - [{ fileName, version }]
+ */
+function describeSourceVersions(targetFiles) {
+  return targetFiles.map(file => ({ fileName: file.name, version: file.version }));
+}
 
-    console.log(`Chat request from user ${user.id} for ${targetFileNames.length} file(s): ${targetFileNames.join(', ')}`);
+/**
+ * Save a user/assistant exchange to a conversation, then refresh its title and
+ * schedule archiving or summarization. Failures are logged and never thrown.
+ * @param {Object} conversation - Conversation document (title is updated in place)
+ * @param {string} userId - User ID (partition key)
+ * @param {string} message - User message
+ * @param {string} reply - Assistant reply (may be partial when generation was stopped)
+ * @param {Object} assistantExtras - Extra fields stored on the assistant message (e.g. { stopped: true })
+ */
+async function saveChatExchange(conversation, userId, message, reply, assistantExtras = {}) {
+  try {
+    // Clear suggestions after first user message (if this is the first message)
+    const shouldClearSuggestions = conversation.messageCount === 0 && conversation.suggestions;
     
-    // Verify user has access to all files
-    const userFiles = await listUserFiles(user.id);
-    const missingFiles = [];
+    // Add user message
+    await cosmosService.addMessage(conversation.id, userId, {
+      role: 'user',
+      content: message
+    });
     
-    for (const targetFileName of targetFileNames) {
-      const fileExists = userFiles.find(file => file.name === targetFileName);
-      if (!fileExists) {
-        missingFiles.push(targetFileName);
-      }
-    }
+    // Add assistant response
+    await cosmosService.addMessage(conversation.id, userId, {
+      role: 'assistant',
+      content: reply,
+      ...assistantExtras
+    });
     
-    if (missingFiles.length > 0) {
-      return res.status(404).json({ 
-        error: 'File(s) not found', 
-        message: `The following file(s) do not exist in your storage: ${missingFiles.join(', ')}. Please upload them first using the file upload feature.` 
-      });
+    // Clear suggestions after first user message
+    if (shouldClearSuggestions) {
+      console.log(`🧹 Clearing suggestions for conversation ${conversation.id} after first message`);
+      await cosmosService.updateConversation(conversation.id, userId, { suggestions: null });
     }
-
-    // Parse files (single or multiple)
-    let fileContent;
-    if (targetFileNames.length === 1) {
-      // Single file processing (backward compatibility)
-      const blobBuffer = await getBlobContent(user.id, targetFileNames[0]);
-      fileContent = await parseFileContent(blobBuffer, targetFileNames[0]);
-    } else {
-      // Multiple file processing
-      fileContent = await parseMultipleFiles(targetFileNames, user.id);
-    }
-
-    // Handle conversation context
-    let conversation = null;
-    let conversationMessages = [];
     
-    if (conversationId) {
+    // Update title with AI-generated one if this is the first user message (generic title)
+    console.log(`🔍 Checking if title needs updating. Current title: "${conversation.title}", messageCount: ${conversation.messageCount}`);
+    
+    const isGenericTitle = conversation.title && (
+      conversation.title.startsWith('Conversation about ') || 
+      conversation.title.includes(' files')
+    );
+    
+    console.log(`🔍 Is generic title? ${isGenericTitle}, Is first message? ${conversation.messageCount === 0}`);
+    
+    if (isGenericTitle && conversation.messageCount === 0) {
       try {
-        // Get existing conversation
-        conversation = await cosmosService.getConversation(conversationId, user.id);
-        
-        // Allow dynamic file changes - update conversation's file associations to current files
-        const conversationFileNames = conversation.fileNames || [conversation.fileName];
-        const filesMatch = conversationFileNames.length === targetFileNames.length &&
-                          conversationFileNames.every(name => targetFileNames.includes(name));
-        
-        // Always update file associations if they've changed
-        if (!filesMatch) {
-          const conversationFiles = conversationFileNames.join(', ');
-          const requestFiles = targetFileNames.join(', ');
-          console.log(`Updating conversation ${conversationId} files from [${conversationFiles}] to [${requestFiles}]`);
-          
-          try {
-            // Update conversation to use current file names (allows dynamic file changes)
-            const updateData = targetFileNames.length === 1 
-              ? { fileName: targetFileNames[0] }
-              : { fileNames: targetFileNames };
-            
-            await cosmosService.updateConversation(conversationId, user.id, updateData);
-            console.log(`Successfully updated conversation ${conversationId} file associations`);
-          } catch (updateError) {
-            console.warn(`Failed to update conversation file associations:`, updateError.message);
-            // Continue anyway - this is not critical
-          }
-        }
-        
-        // Get recent messages for context (last 10 messages to avoid token limits)
-        conversationMessages = await cosmosService.getRecentMessages(conversationId, user.id, 10);
-        console.log(`Using conversation context: ${conversationId} with ${conversationMessages.length} recent messages`);
+        console.log(`🎨 Generating AI title for first message in conversation ${conversation.id}`);
+        const aiTitle = await generateConversationTitle(message);
+        await cosmosService.updateConversation(conversation.id, userId, { title: aiTitle });
+        console.log(`✅ Updated conversation title from "${conversation.title}" to "${aiTitle}"`);
+        conversation.title = aiTitle; // Update local object for response
       } catch (error) {
-        console.warn(`Failed to load conversation ${conversationId}:`, error.message);
-        // Continue without conversation context
+        console.error('⚠️  Failed to update conversation title:', error.message);
+        // Not critical, continue
       }
     } else {
-      // Auto-create a new conversation if none provided
-      try {
-        // Generate AI-powered title from first user message
-        const title = await generateConversationTitle(message);
-        
-        // For backward compatibility, use fileName for single files, fileNames for multiple
-        if (targetFileNames.length === 1) {
-          conversation = await cosmosService.createConversation(user.id, targetFileNames[0], title);
-        } else {
-          // This will need cosmos service update, but for now use first file as primary
-          conversation = await cosmosService.createConversation(user.id, targetFileNames[0], title, [], targetFileNames);
-        }
-        console.log(`Auto-created conversation: ${conversation.id} with AI title: "${title}"`);
-      } catch (error) {
-        console.warn('Failed to auto-create conversation:', error.message);
-        // Continue without conversation (backward compatibility)
-      }
+      console.log(`⏭️  Skipping title update - not first message or not generic title`);
     }
+    
+    // Check if conversation needs archiving or summarization
+    const updatedConversation = await cosmosService.getConversation(conversation.id, userId);
+    const archiveCheck = cosmosService.shouldArchiveConversation(updatedConversation);
+    const needsSummary = cosmosService.shouldSummarizeConversation(updatedConversation);
+    
+    if (archiveCheck.shouldArchive) {
+      console.log(`Conversation ${conversation.id} should be archived:`, archiveCheck.reasons);
+      // Trigger background archiving (non-blocking)
+      summarizerService.archiveConversationComplete(conversation.id, userId)
+        .then(() => console.log(`✅ Background archiving completed for ${conversation.id}`))
+        .catch(error => console.error(`❌ Background archiving failed for ${conversation.id}:`, error.message));
+    } else if (needsSummary) {
+      console.log(`Conversation ${conversation.id} needs summarization`);
+      // Generate summary in background (non-blocking)
+      summarizerService.summarizeConversation(updatedConversation.messages, updatedConversation.fileName)
+        .then(summary => {
+          return cosmosService.updateConversation(conversation.id, userId, { summary });
+        })
+        .then(() => console.log(`✅ Background summarization completed for ${conversation.id}`))
+        .catch(error => console.error(`❌ Background summarization failed for ${conversation.id}:`, error.message));
+    }
+  } catch (error) {
+    console.error('Failed to save conversation messages:', error.message);
+    // Don't fail the chat response, just log the error
+  }
+}
 
-    // Create system prompt with conversation context
-    const systemPrompt = normalPrompt(fileContent, conversationMessages);
-
-    // Prepare messages for OpenAI
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: message }
-    ];
+// Enhanced chat endpoint with conversation support
+app.post('/api/chat', requireAuth, async (req, res) => {
+  try {
+    const user = req.user; // From SWA authentication middleware
+    
+    const chat = await prepareChatRequest(user, req.body);
+    if (chat.error) {
+      return res.status(chat.error.status).json(chat.error.body);
+    }
+    const { message, fileName, targetFiles, conversation, systemPrompt, messages, retrievedContext } = chat;
 
-    // Call Azure OpenAI GPT-4.1
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4.1', // This matches your Azure deployment name
+    // Call Azure OpenAI GPT-4.1 with the toolkit available
+    const { reply, steps, iterations } = await runAgent(openai, {
       messages,
-      max_tokens: 500,
-      temperature: 0.1
+      context: { userId: user.id, files: targetFiles }
     });
 
-    const reply = completion.choices[0].message.content;
+    // Resolve the reply's [n] references to the excerpts it was given
+    const citations = buildCitations(reply, retrievedContext);
+    const sources = describeSourceVersions(targetFiles);
 
     // Save messages to conversation if we have one
     if (conversation) {
-      try {
-        // Clear suggestions after first user message (if this is the first message)
-        const shouldClearSuggestions = conversation.messageCount === 0 && conversation.suggestions;
-        
-        // Add user message
-        await cosmosService.addMessage(conversation.id, user.id, {
-          role: 'user',
-          content: message
-        });
-        
-        // Add assistant response
-        await cosmosService.addMessage(conversation.id, user.id, {
-          role: 'assistant',
-          content: reply
-        });
-        
-        // Clear suggestions after first user message
-        if (shouldClearSuggestions) {
-          console.log(`🧹 Clearing suggestions for conversation ${conversation.id} after first message`);
-          await cosmosService.updateConversation(conversation.id, user.id, { suggestions: null });
-        }
-        
-        // Update title with AI-generated one if this is the first user message (generic title)
-        console.log(`🔍 Checking if title needs updating. Current title: "${conversation.title}", messageCount: ${conversation.messageCount}`);
-        
-        const isGenericTitle = conversation.title && (
-          conversation.title.startsWith('Conversation about ') || 
-          conversation.title.includes(' files')
-        );
-        
-        console.log(`🔍 Is generic title? ${isGenericTitle}, Is first message? ${conversation.messageCount === 0}`);
-        
-        if (isGenericTitle && conversation.messageCount === 0) {
-          try {
-            console.log(`🎨 Generating AI title for first message in conversation ${conversation.id}`);
-            const aiTitle = await generateConversationTitle(message);
-            await cosmosService.updateConversation(conversation.id, user.id, { title: aiTitle });
-            console.log(`✅ Updated conversation title from "${conversation.title}" to "${aiTitle}"`);
-            conversation.title = aiTitle; // Update local object for response
-          } catch (error) {
-            console.error('⚠️  Failed to update conversation title:', error.message);
-            // Not critical, continue
-          }
-        } else {
-          console.log(`⏭️  Skipping title update - not first message or not generic title`);
-        }
-        
-        // Check if conversation needs archiving or summarization
-        const updatedConversation = await cosmosService.getConversation(conversation.id, user.id);
-        const archiveCheck = cosmosService.shouldArchiveConversation(updatedConversation);
-        const needsSummary = cosmosService.shouldSummarizeConversation(updatedConversation);
-        
-        if (archiveCheck.shouldArchive) {
-          console.log(`Conversation ${conversation.id} should be archived:`, archiveCheck.reasons);
-          // Trigger background archiving (non-blocking)
-          summarizerService.archiveConversationComplete(conversation.id, user.id)
-            .then(() => console.log(`✅ Background archiving completed for ${conversation.id}`))
-            .catch(error => console.error(`❌ Background archiving failed for ${conversation.id}:`, error.message));
-        } else if (needsSummary) {
-          console.log(`Conversation ${conversation.id} needs summarization`);
-          // Generate summary in background (non-blocking)
-          summarizerService.summarizeConversation(updatedConversation.messages, updatedConversation.fileName)
-            .then(summary => {
-              return cosmosService.updateConversation(conversation.id, user.id, { summary });
-            })
-            .then(() => console.log(`✅ Background summarization completed for ${conversation.id}`))
-            .catch(error => console.error(`❌ Background summarization failed for ${conversation.id}:`, error.message));
-        }
-      } catch (error) {
-        console.error('Failed to save conversation messages:', error.message);
-        // Don't fail the chat response, just log the error
-      }
+      const assistantExtras = { sources };
+      if (steps.length > 0) assistantExtras.steps = steps;
+      if (citations.length > 0) assistantExtras.citations = citations;
+      await saveChatExchange(conversation, user.id, message, reply, assistantExtras);
     }
 
     // Prepare response
     const response = {
       success: true,
       reply,
+      steps,
+      citations,
+      sources,
       fileName: fileName,
       conversationId: conversation?.id || null
     };
@@ -592,7 +574,7 @@ app.post('/api/chat', requireAuth, async (req, res) => {
         promptSent: systemPrompt,
         userMessage: message,
         fullMessages: messages,
-        openaiResponse: completion,
+        agentIterations: iterations,
         parsedReply: reply
       };
     }
@@ -608,6 +590,105 @@ app.post('/api/chat', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Write a single Server-Sent Event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function sendSseEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Streaming chat endpoint (Server-Sent Events)
+// Events: `start` ({ conversationId }), `delta` ({ content }), `step` (a completed tool call),
+// `citations` ({ citations }), `conversation` ({ conversationId, title, fileName, sources }), `done` ({ stopped })
+// and `error` ({ error })
+app.post('/api/chat/stream', requireAuth, async (req, res) => {
+  const user = req.user;
+  const abortController = new AbortController();
+  let clientClosed = false;
+
+  // Client disconnect (e.g. Stop button) aborts generation
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientClosed = true;
+      abortController.abort();
+    }
+  });
+
+  let chat;
+  try {
+    chat = await prepareChatRequest(user, req.body);
+  } catch (error) {
+    console.error(`Chat stream error for user ${user?.email || 'unknown'}:`, error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process chat message. Please try again.'
+    });
+  }
+  if (chat.error) {
+    return res.status(chat.error.status).json(chat.error.body);
+  }
+  const { message, fileName, targetFiles, conversation, messages, retrievedContext } = chat;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering
+  res.flushHeaders();
+
+  // Let the client know the conversation up front so a stopped reply can still be reopened
+  sendSseEvent(res, 'start', { conversationId: conversation?.id || null });
+
+  let result;
+  try {
+    result = await runAgent(openai, {
+      messages,
+      context: { userId: user.id, files: targetFiles },
+      signal: abortController.signal,
+      onDelta: (content) => !clientClosed && sendSseEvent(res, 'delta', { content }),
+      onStep: (step) => !clientClosed && sendSseEvent(res, 'step', step)
+    });
+  } catch (error) {
+    console.error(`Chat stream error for user ${user?.email || 'unknown'}:`, error.message);
+    sendSseEvent(res, 'error', { error: 'Failed to process chat message. Please try again.' });
+    return res.end();
+  }
+
+  const { reply, steps, stopped } = result;
+  if (stopped) {
+    console.log(`⏹️  Chat stream stopped by client after ${reply.length} characters`);
+  }
+  const citations = buildCitations(reply, retrievedContext);
+  const sources = describeSourceVersions(targetFiles);
+
+  // Save the reply (partial if generation was stopped) so it survives a reload
+  if (conversation && reply) {
+    const assistantExtras = { sources };
+    if (steps.length > 0) assistantExtras.steps = steps;
+    if (citations.length > 0) assistantExtras.citations = citations;
+    if (stopped) assistantExtras.stopped = true;
+    await saveChatExchange(conversation, user.id, message, reply, assistantExtras);
+  }
+
+  if (clientClosed) {
+    return;
+  }
+
+  if (citations.length > 0) {
+    sendSseEvent(res, 'citations', { citations });
+  }
+  sendSseEvent(res, 'conversation', {
+    conversationId: conversation?.id || null,
+    title: conversation?.title || null,
+    fileName,
+    sources
+  });
+  sendSseEvent(res, 'done', { stopped });
+  res.end();
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Application error:', error.message);
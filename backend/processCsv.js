@@ -1,32 +1,109 @@
 const csv = require('csv-parser');
 const { Readable } = require('stream');
+const { decodeBuffer } = require('./services/textEncoding');
+const { detectDialect, describeDialect } = require('./services/csvDialect');
+
+/**
+ * Give blank and repeated header cells distinct names (records are keyed by header)
+ * @param {Array<string>} headers - Header cells
+ * @returns {Array<string>} - e.g. ['id', 'Column 2', 'id_2']
+ */
+function uniqueHeaders(headers) {
+  const seen = new Map();
+  return headers.map((header, index) => {
+    const base = String(header).trim() || `Column ${index + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base}_${count}`;
+  });
+}
+
+/**
+ * Read a delimited text file (CSV, TSV) in its detected encoding and dialect
+ * Row numbers count records as the file shows them: with a header row, the first data row is row 2
+ * @param {Buffer} buffer - File buffer
+ * @param {Object} options - Read options
+ * @param {string} options.defaultDelimiter - Delimiter name preferred when detection is ambiguous ('comma', 'tab')
+ * @param {Object} options.dialect - Per-file dialect override ({ delimiter, quote, header })
+ * @returns {Promise<Object>} - { headers, records: [{ values, row }], dialect }
+ */
+function readCsv(buffer, { defaultDelimiter = 'comma', dialect: override = null } = {}) {
+  // Decoding in the detected encoding also drops a BOM from the first header
+  const text = decodeBuffer(buffer).text;
+  const dialect = detectDialect(text, { defaultDelimiter, override });
 
-// Parse CSV buffer into array of objects
-function parseCsv(buffer) {
   return new Promise((resolve, reject) => {
-    const results = [];
-    const stream = Readable.from(buffer);
-    
-    stream
-      .pipe(csv())
-      .on('data', (data) => results.push(data))
-      .on('end', () => resolve(results))
+    const rows = [];
+
+    Readable.from([text])
+      .pipe(csv({ separator: dialect.delimiter, quote: dialect.quote, escape: dialect.quote, headers: false }))
+      .on('data', (data) => {
+        const values = Object.values(data);
+        if (values.some(value => value !== '')) {
+          rows.push(values);
+        }
+      })
+      .on('end', () => {
+        const width = rows.reduce((max, values) => Math.max(max, values.length), 0);
+        const headerCells = dialect.header && rows.length > 0 ? rows.shift() : [];
+        const headers = uniqueHeaders(Array.from({ length: width }, (_, index) => headerCells[index] ?? ''));
+        const firstRow = dialect.header ? 2 : 1;
+
+        resolve({
+          headers,
+          records: rows.map((values, index) => ({
+            values: headers.map((_, column) => values[column] ?? ''),
+            row: index + firstRow
+          })),
+          dialect
+        });
+      })
       .on('error', (error) => reject(error));
   });
 }
 
+/**
+ * Parse a delimited text buffer into an array of objects keyed by header
+ * @param {Buffer} buffer - File buffer
+ * @param {Object} options - Read options (see readCsv)
+ * @returns {Promise<Array<Object>>} - Row objects
+ */
+async function parseCsv(buffer, options = {}) {
+  const { headers, records } = await readCsv(buffer, options);
+  return records.map(({ values }) => Object.fromEntries(headers.map((header, index) => [header, values[index]])));
+}
+
+/**
+ * Read a delimited file for a processor, failing when it has no data rows
+ * @param {Buffer} buffer - File buffer
+ * @param {Object} options - Read options (see readCsv), plus label: format name for errors ('CSV', 'TSV')
+ * @returns {Promise<Object>} - { headers, records, dialect } from readCsv
+ */
+async function parseDelimited(buffer, { label = 'CSV', ...options } = {}) {
+  const table = await readCsv(buffer, options);
+  if (table.records.length === 0) {
+    throw new Error(`${label} file is empty or contains no data`);
+  }
+  return table;
+}
+
 // Convert CSV data to compact JSON string for GPT prompt
-function formatCsvForPrompt(rows, filename) {
+// (label names the source format when records from JSON or XML are formatted the same way;
+// dialect, for delimited files, tells the model how the file was read)
+function formatCsvForPrompt(rows, filename, label = 'CSV', dialect = null) {
   if (!rows || rows.length === 0) {
-    return `CSV file name: ${filename}\nCSV data: No data found`;
+    return `${label} file name: ${filename}\n${label} data: No data found`;
   }
 
   // Get headers from first row
   const headers = Object.keys(rows[0]);
   
   // Create a compact representation
-  let csvString = `CSV file name: ${filename}\n`;
-  csvString += `CSV data (${rows.length} rows):\n`;
+  let csvString = `${label} file name: ${filename}\n`;
+  csvString += `${label} data (${rows.length} rows):\n`;
+  if (dialect) {
+    csvString += `Format: ${describeDialect(dialect)}${dialect.header ? '' : ' (columns are named by position and rows are numbered from 1)'}\n`;
+  }
   csvString += `Headers: ${headers.join(', ')}\n\n`;
   
   // Include all rows in JSON format for better parsing by GPT
@@ -35,7 +112,54 @@ function formatCsvForPrompt(rows, filename) {
   return csvString;
 }
 
+/**
+ * Format a parsed delimited file (from parseDelimited) for the GPT prompt
+ * @param {Object} parsed - { headers, records, dialect }
+ * @param {string} fileName - File name
+ * @param {string} label - Format name ('CSV', 'TSV')
+ * @returns {string} - Prompt text
+ */
+function formatDelimitedForPrompt({ headers, records, dialect }, fileName, label = 'CSV') {
+  const rows = records.map(({ values }) => Object.fromEntries(headers.map((header, index) => [header, values[index]])));
+  return formatCsvForPrompt(rows, fileName, label, dialect);
+}
+
+/**
+ * Serialize values as a single CSV line, quoting where needed
+ * @param {Array<string>} values - Cell values
+ * @returns {string} - CSV line
+ */
+function toCsvLine(values) {
+  return values.map(value => {
+    const str = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }).join(',');
+}
+
+/**
+ * Split CSV into row segments for retrieval indexing
+ * Row numbers follow the file's record numbering (with a header row, the first data row is row 2)
+ * @param {Buffer} buffer - CSV file buffer
+ * @param {Object} options - Read options (see parseDelimited)
+ * @returns {Promise<Array<Object>>} - Segments of { text, header, location: { row } }
+ */
+async function extractCsvSegments(buffer, options = {}) {
+  const { headers, records } = await parseDelimited(buffer, options);
+  const header = toCsvLine(headers);
+
+  return records.map(({ values, row }) => ({
+    text: toCsvLine(values),
+    header,
+    location: { row }
+  }));
+}
+
 module.exports = {
+  readCsv,
   parseCsv,
-  formatCsvForPrompt
+  parseDelimited,
+  formatCsvForPrompt,
+  formatDelimitedForPrompt,
+  extractCsvSegments,
+  toCsvLine
 };
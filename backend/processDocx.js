@@ -1,9 +1,485 @@
-const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const { decodeXml, readRelationships, renderTable } = require('./processPptx');
+
+// Paragraph styles that are headings even though their names are not "heading N"
+const TITLE_STYLES = ['title'];
+
+// Content control galleries that repeat the document's own text (the headings)
+const SKIPPED_GALLERIES = ['Table of Contents'];
+
+// Tracked-change elements and the markers their text is wrapped in
+const REVISION_MARKERS = {
+  ins: ['[+', '+]'],
+  moveTo: ['[+', '+]'],
+  del: ['[-', '-]'],
+  moveFrom: ['[-', '-]']
+};
+
+/**
+ * Split XML into its top-level elements, keeping nested elements of the same name balanced
+ * @param {string} xml - XML fragment
+ * @returns {Array<Object>} - Elements of { name, xml } in document order
+ */
+function childElements(xml) {
+  const elements = [];
+  let depth = 0;
+  let start = 0;
+  let name = null;
+
+  for (const match of xml.matchAll(/<(\/?)([\w:.-]+)\b[^>]*?(\/?)>/g)) {
+    const [tag, closing, tagName, selfClosing] = match;
+    if (closing) {
+      depth--;
+      if (depth === 0) elements.push({ name, xml: xml.slice(start, match.index + tag.length) });
+    } else if (selfClosing) {
+      if (depth === 0) elements.push({ name: tagName, xml: tag });
+    } else {
+      if (depth === 0) {
+        start = match.index;
+        name = tagName;
+      }
+      depth++;
+    }
+  }
+  return elements;
+}
+
+/**
+ * Get the content of an element without its own start and end tags
+ * @param {string} xml - Element XML
+ * @returns {string} - Inner XML ('' for self-closing elements)
+ */
+function innerXml(xml) {
+  if (/\/>$/.test(xml) && xml.indexOf('>') === xml.length - 1) {
+    return '';
+  }
+  return xml.slice(xml.indexOf('>') + 1, xml.lastIndexOf('<'));
+}
+
+/**
+ * Read the value of a w:val style property, e.g. <w:pStyle w:val="Heading1"/>
+ * @param {string} xml - XML to search
+ * @param {string} name - Element name without prefix
+ * @returns {string|null} - Value or null
+ */
+function readVal(xml, name) {
+  const match = xml.match(new RegExp(`<w:${name}\\b[^>]*?\\bw:val="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Replace content controls (w:sdt) and custom XML wrappers with the elements inside them
+ * @param {Array<Object>} elements - Elements from childElements
+ * @returns {Array<Object>} - Elements with wrappers expanded
+ */
+function expandWrappers(elements) {
+  return elements.flatMap(element => {
+    if (element.name === 'w:sdt') {
+      const gallery = readVal(element.xml, 'docPartGallery');
+      if (SKIPPED_GALLERIES.includes(gallery)) {
+        return [];
+      }
+      const content = childElements(innerXml(element.xml)).find(child => child.name === 'w:sdtContent');
+      return content ? expandWrappers(childElements(innerXml(content.xml))) : [];
+    }
+    if (element.name === 'w:customXml') {
+      return expandWrappers(childElements(innerXml(element.xml)).filter(child => child.name !== 'w:customXmlPr'));
+    }
+    return [element];
+  });
+}
+
+/**
+ * Read paragraph styles: display name, parent style, outline level and list numbering
+ * @param {string} xml - styles.xml content
+ * @returns {Map<string, Object>} - Styles by id of { name, basedOn, outlineLevel, numId, ilvl }
+ */
+function readStyles(xml) {
+  const styles = new Map();
+  for (const [style] of xml.matchAll(/<w:style\b[^>]*\bw:type="paragraph"[\s\S]*?<\/w:style>/g)) {
+    const id = style.match(/\bw:styleId="([^"]+)"/);
+    if (!id) continue;
+    const outlineLevel = readVal(style, 'outlineLvl');
+    styles.set(id[1], {
+      name: (readVal(style, 'name') || id[1]).toLowerCase(),
+      basedOn: readVal(style, 'basedOn'),
+      outlineLevel: outlineLevel !== null ? Number(outlineLevel) : null,
+      numId: readVal(style, 'numId'),
+      ilvl: readVal(style, 'ilvl')
+    });
+  }
+  return styles;
+}
+
+/**
+ * Read list definitions: the format of each level and the instances that use them
+ * @param {string} xml - numbering.xml content
+ * @returns {Object} - { abstracts: Map(id -> [{ start, format, text }]), instances: Map(numId -> { abstractId, starts }) }
+ */
+function readNumbering(xml) {
+  const abstracts = new Map();
+  for (const [abstract] of xml.matchAll(/<w:abstractNum\b[\s\S]*?<\/w:abstractNum>/g)) {
+    const id = abstract.match(/\bw:abstractNumId="([^"]+)"/);
+    if (!id) continue;
+    const levels = [];
+    for (const [level] of abstract.matchAll(/<w:lvl\b[\s\S]*?<\/w:lvl>/g)) {
+      const ilvl = Number((level.match(/\bw:ilvl="(\d+)"/) || [])[1] || 0);
+      levels[ilvl] = {
+        start: Number(readVal(level, 'start') || 1),
+        format: readVal(level, 'numFmt') || 'decimal',
+        text: readVal(level, 'lvlText') || ''
+      };
+    }
+    abstracts.set(id[1], levels);
+  }
+
+  const instances = new Map();
+  for (const [instance] of xml.matchAll(/<w:num\b[^>]*>[\s\S]*?<\/w:num>/g)) {
+    const id = instance.match(/\bw:numId="([^"]+)"/);
+    if (!id) continue;
+    const starts = new Map();
+    for (const [override] of instance.matchAll(/<w:lvlOverride\b[\s\S]*?<\/w:lvlOverride>/g)) {
+      const ilvl = Number((override.match(/\bw:ilvl="(\d+)"/) || [])[1] || 0);
+      const start = readVal(override, 'startOverride');
+      if (start !== null) starts.set(ilvl, Number(start));
+    }
+    instances.set(id[1], { abstractId: readVal(instance, 'abstractNumId'), starts });
+  }
+
+  return { abstracts, instances };
+}
+
+/**
+ * Format a list counter in a Word number format
+ * @param {number} value - Counter value
+ * @param {string} format - numFmt value (decimal, lowerLetter, upperRoman, ...)
+ * @returns {string} - Formatted counter
+ */
+function formatCounter(value, format) {
+  const letters = (number) => {
+    const letter = String.fromCharCode(97 + ((number - 1) % 26));
+    return letter.repeat(Math.floor((number - 1) / 26) + 1);
+  };
+  const roman = (number) => {
+    const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+      [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+    let result = '';
+    for (const [amount, numeral] of numerals) {
+      while (number >= amount) {
+        result += numeral;
+        number -= amount;
+      }
+    }
+    return result;
+  };
+
+  switch (format) {
+    case 'lowerLetter': return letters(value);
+    case 'upperLetter': return letters(value).toUpperCase();
+    case 'lowerRoman': return roman(value);
+    case 'upperRoman': return roman(value).toUpperCase();
+    case 'decimalZero': return String(value).padStart(2, '0');
+    case 'none': return '';
+    default: return String(value);
+  }
+}
+
+/**
+ * Create the list counters for one pass over a document
+ * Instances of the same list definition continue each other's numbering unless they restart it
+ * @param {Object} numbering - Result of readNumbering
+ * @returns {Function} - (numId, ilvl) => { marker, bullet } or null when the paragraph is not numbered
+ */
+function createListCounters(numbering) {
+  const counters = new Map();
+
+  return (numId, ilvl) => {
+    const instance = numbering.instances.get(numId);
+    const levels = instance && numbering.abstracts.get(instance.abstractId);
+    const level = levels && levels[ilvl];
+    if (!level) {
+      return null;
+    }
+    if (level.format === 'bullet') {
+      return { marker: '-', bullet: true };
+    }
+
+    const key = instance.starts.size > 0 ? `num:${numId}` : `abstract:${instance.abstractId}`;
+    const counts = counters.get(key) || [];
+    const startOf = (index) => (instance.starts.has(index) ? instance.starts.get(index) : (levels[index] || {}).start || 1);
+    counts[ilvl] = counts[ilvl] === undefined ? startOf(ilvl) : counts[ilvl] + 1;
+    counts.length = ilvl + 1; // Deeper levels restart
+    counters.set(key, counts);
+
+    const marker = level.text.replace(/%(\d)/g, (match, digit) => {
+      const index = Number(digit) - 1;
+      const value = counts[index] !== undefined ? counts[index] : startOf(index);
+      return formatCounter(value, (levels[index] || {}).format);
+    }).trim();
+    return marker ? { marker, bullet: false } : null;
+  };
+}
+
+/**
+ * Read the text of runs, with tracked changes marked inline and comments appended
+ * @param {string} xml - Paragraph content
+ * @param {Object} context - Parse context ({ comments, revisions })
+ * @returns {string} - Paragraph text
+ */
+function readRuns(xml, context) {
+  let text = '';
+  let textStart = -1;
+  const openRevisions = [];
+  const anchors = new Map();
+  const referenced = [];
+
+  for (const match of xml.matchAll(/<(\/?)w:(\w+)\b([^>]*?)(\/?)>/g)) {
+    const [tag, closing, name, attributes, selfClosing] = match;
+
+    if (name === 't' || name === 'delText') {
+      if (closing && textStart !== -1) {
+        text += decodeXml(xml.slice(textStart, match.index));
+        textStart = -1;
+      } else if (!closing && !selfClosing) {
+        textStart = match.index + tag.length;
+      }
+    } else if (REVISION_MARKERS[name] && !selfClosing) {
+      // Self-closing w:ins/w:del only flag paragraph marks and properties
+      if (closing) {
+        const kind = openRevisions.pop();
+        if (kind) text += REVISION_MARKERS[kind][1];
+      } else {
+        openRevisions.push(name);
+        text += REVISION_MARKERS[name][0];
+        const revisions = context.revisions;
+        if (name === 'ins' || name === 'moveTo') revisions.insertions++;
+        else revisions.deletions++;
+        const author = attributes.match(/\bw:author="([^"]*)"/);
+        if (author && author[1]) revisions.authors.add(decodeXml(author[1]));
+      }
+    } else if (closing) {
+      continue;
+    } else if (name === 'tab') {
+      text += '\t';
+    } else if (name === 'br' || name === 'cr') {
+      text += '\n';
+    } else if (name === 'noBreakHyphen') {
+      text += '-';
+    } else if (name.startsWith('comment')) {
+      const id = attributes.match(/\bw:id="([^"]+)"/);
+      if (!id) continue;
+      if (name === 'commentRangeStart') anchors.set(id[1], text.length);
+      if (name === 'commentRangeEnd' && anchors.has(id[1])) {
+        anchors.set(id[1], text.slice(anchors.get(id[1])));
+      }
+      if (name === 'commentReference') referenced.push(id[1]);
+    }
+  }
+
+  text = text
+    .replace(/\[\+\s*\+\]|\[-\s*-\]/g, '') // Revisions that only changed formatting or whitespace
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .trim();
+
+  // Comments follow the paragraph they are anchored in, quoting the commented text when it is in the same paragraph
+  const notes = referenced
+    .map(id => {
+      const comment = context.comments.get(id);
+      if (!comment) return null;
+      context.commentCount++;
+      const anchor = anchors.get(id);
+      const quoted = typeof anchor === 'string' && anchor.trim()
+        ? ` on "${anchor.replace(/\s+/g, ' ').trim()}"`
+        : '';
+      return `[Comment${comment.author ? ` by ${comment.author}` : ''}${quoted}: ${comment.text}]`;
+    })
+    .filter(Boolean);
+
+  return [text, ...notes].filter(Boolean).join(' ');
+}
+
+/**
+ * Read the comments part into a map of id -> { author, text }
+ * @param {string} xml - comments.xml content
+ * @returns {Map<string, Object>} - Comments by id
+ */
+function readComments(xml) {
+  const comments = new Map();
+  const noContext = { comments: new Map(), revisions: { insertions: 0, deletions: 0, authors: new Set() }, commentCount: 0 };
+  for (const [comment] of xml.matchAll(/<w:comment\b[^>]*>[\s\S]*?<\/w:comment>/g)) {
+    const id = comment.match(/\bw:id="([^"]+)"/);
+    if (!id) continue;
+    const author = comment.match(/\bw:author="([^"]*)"/);
+    const text = Array.from(comment.matchAll(/<w:p\b[^>]*>[\s\S]*?<\/w:p>/g))
+      .map(([paragraph]) => readRuns(paragraph, noContext))
+      .filter(Boolean)
+      .join(' ');
+    comments.set(id[1], { author: author ? decodeXml(author[1]) : '', text });
+  }
+  return comments;
+}
+
+/**
+ * Find the heading level of a paragraph style, following the styles it is based on
+ * @param {string|null} styleId - Paragraph style id
+ * @param {Map<string, Object>} styles - Styles from readStyles
+ * @returns {number|null} - Heading level (1 = top) or null for body text
+ */
+function headingLevelOf(styleId, styles) {
+  for (let depth = 0, id = styleId; id && depth < 10; depth++) {
+    const style = styles.get(id);
+    if (!style) break;
+    const heading = style.name.match(/^heading\s*(\d)$/);
+    if (heading) return Number(heading[1]);
+    if (TITLE_STYLES.includes(style.name)) return 1;
+    if (style.outlineLevel !== null && style.outlineLevel < 9) return style.outlineLevel + 1;
+    id = style.basedOn;
+  }
+  return null;
+}
+
+/**
+ * Find the list numbering of a paragraph, set directly or through its style
+ * @param {string} properties - Paragraph properties XML (w:pPr)
+ * @param {string|null} styleId - Paragraph style id
+ * @param {Map<string, Object>} styles - Styles from readStyles
+ * @returns {Object|null} - { numId, ilvl } or null
+ */
+function numberingOf(properties, styleId, styles) {
+  let numId = readVal(properties, 'numId');
+  let ilvl = readVal(properties, 'ilvl');
+  for (let depth = 0, id = styleId; numId === null && id && depth < 10; depth++) {
+    const style = styles.get(id);
+    if (!style) break;
+    numId = style.numId;
+    if (ilvl === null) ilvl = style.ilvl;
+    id = style.basedOn;
+  }
+  // numId 0 removes numbering inherited from the style
+  return numId && numId !== '0' ? { numId, ilvl: Number(ilvl || 0) } : null;
+}
+
+/**
+ * Read a paragraph into a heading, list item or body paragraph block
+ * @param {string} xml - Paragraph XML (w:p)
+ * @param {Object} context - Parse context
+ * @returns {Object|null} - Block or null for empty paragraphs
+ */
+function readParagraph(xml, context) {
+  const children = childElements(innerXml(xml));
+  const propertiesElement = children.find(child => child.name === 'w:pPr');
+  // Formatting changes keep the old properties in w:pPrChange; only the current ones count
+  const properties = propertiesElement
+    ? propertiesElement.xml.replace(/<w:pPrChange\b[\s\S]*<\/w:pPrChange>/, '')
+    : '';
+
+  const text = readRuns(children.filter(child => child.name !== 'w:pPr').map(child => child.xml).join(''), context);
+  if (!text) {
+    return null;
+  }
+
+  const styleId = readVal(properties, 'pStyle');
+  const outlineLevel = readVal(properties, 'outlineLvl');
+  const level = outlineLevel !== null && Number(outlineLevel) < 9
+    ? Number(outlineLevel) + 1
+    : headingLevelOf(styleId, context.styles);
+  const numbering = numberingOf(properties, styleId, context.styles);
+  const list = numbering ? context.nextListMarker(numbering.numId, numbering.ilvl) : null;
+
+  if (level) {
+    // Numbered headings ("2.1 Specifications") keep their number; it is how readers refer to them
+    const label = list && !list.bullet ? `${list.marker} ${text}` : text;
+    return { type: 'heading', level, text: label.replace(/\s+/g, ' ') };
+  }
+  if (list) {
+    return { type: 'listItem', level: numbering.ilvl, marker: list.marker, text };
+  }
+  return { type: 'paragraph', text };
+}
+
+/**
+ * Read a table as rows of cell text
+ * Vertically merged cells repeat the value above, so every row keeps its value in that column
+ * @param {string} xml - Table XML (w:tbl)
+ * @param {Object} context - Parse context
+ * @returns {Array<Array<string>>} - Rows of cells
+ */
+function readTableRows(xml, context) {
+  const rows = [];
+  const rowElements = expandWrappers(childElements(innerXml(xml))).filter(child => child.name === 'w:tr');
+
+  for (const rowElement of rowElements) {
+    const cells = [];
+    const cellElements = expandWrappers(childElements(innerXml(rowElement.xml))).filter(child => child.name === 'w:tc');
+    for (const cellElement of cellElements) {
+      const content = expandWrappers(childElements(innerXml(cellElement.xml)));
+      const cellProperties = (content.find(child => child.name === 'w:tcPr') || { xml: '' }).xml;
+      const span = Number(readVal(cellProperties, 'gridSpan') || 1);
+      const verticalMerge = cellProperties.match(/<w:vMerge\b([^>]*)\/?>/);
+      const column = cells.length;
+
+      let text;
+      if (verticalMerge && !/w:val="restart"/.test(verticalMerge[1]) && rows.length > 0) {
+        text = rows[rows.length - 1][column] || '';
+      } else {
+        text = readBlocks(content, context)
+          .map(block => (block.type === 'table' ? block.rows.map(row => row.join(' ')).join(' ') : block.text))
+          .join(' ')
+          .replace(/\s+/g, ' ')
+          .trim();
+      }
+      cells.push(text);
+      for (let index = 1; index < span; index++) {
+        cells.push('');
+      }
+    }
+    if (cells.some(cell => cell.length > 0)) {
+      rows.push(cells);
+    }
+  }
+
+  const width = Math.max(0, ...rows.map(row => row.length));
+  return rows.map(row => row.concat(Array(width - row.length).fill('')));
+}
+
+/**
+ * Read body elements (paragraphs and tables) into blocks
+ * @param {Array<Object>} elements - Elements from childElements
+ * @param {Object} context - Parse context
+ * @returns {Array<Object>} - Blocks of { type: 'heading' | 'paragraph' | 'listItem' | 'table', ... }
+ */
+function readBlocks(elements, context) {
+  const blocks = [];
+  for (const element of expandWrappers(elements)) {
+    if (element.name === 'w:p') {
+      const block = readParagraph(element.xml, context);
+      if (block) blocks.push(block);
+    } else if (element.name === 'w:tbl') {
+      const rows = readTableRows(element.xml, context);
+      if (rows.length > 0) blocks.push({ type: 'table', rows });
+    }
+  }
+  return blocks;
+}
 
 /**
- * Parse DOCX buffer into plain text string
+ * Read a package part as text, or '' when it is missing
+ * @param {JSZip} zip - Opened package
+ * @param {Object|undefined} relationship - Relationship pointing at the part
+ * @returns {Promise<string>} - Part XML
+ */
+async function readPart(zip, relationship) {
+  const file = relationship && zip.file(relationship.target);
+  return file ? file.async('string') : '';
+}
+
+/**
+ * Parse DOCX buffer into an outline of headings, paragraphs, list items and tables
  * @param {Buffer} buffer - DOCX file buffer
- * @returns {Promise<string>} - Extracted text content
+ * @returns {Promise<Object>} - { blocks, headingCount, tableCount, revisions: { insertions, deletions, authors }, commentCount }
+ *   where blocks are { type, text?, level?, marker?, rows?, paragraph, sections } in document order;
+ *   paragraph numbers count non-empty blocks and sections is the heading trail the block sits under
  */
 async function parseDocx(buffer) {
   try {
@@ -16,52 +492,168 @@ async function parseDocx(buffer) {
       throw new Error('Empty DOCX buffer provided');
     }
 
-    // Parse DOCX using mammoth - extract to HTML first then convert to text
-    const result = await mammoth.extractRawText(buffer);
-    
-    if (result.messages && result.messages.length > 0) {
-      console.warn('DOCX parsing warnings:', result.messages.map(m => m.message));
+    const zip = await JSZip.loadAsync(buffer);
+    const packageRels = await readRelationships(zip, '_rels/.rels', '');
+    const documentRel = Array.from(packageRels.values()).find(relationship => relationship.type.endsWith('/officeDocument'));
+    const documentPath = documentRel ? documentRel.target : 'word/document.xml';
+    const documentFile = zip.file(documentPath);
+    if (!documentFile) {
+      throw new Error(`Not a Word document (${documentPath} missing)`);
     }
 
-    if (!result.value || result.value.trim().length === 0) {
+    // Styles, list definitions and comments are parts linked from the document's relationships
+    const documentDir = documentPath.substring(0, documentPath.lastIndexOf('/'));
+    const documentName = documentPath.substring(documentPath.lastIndexOf('/') + 1);
+    const documentRels = Array.from((await readRelationships(zip, `${documentDir}/_rels/${documentName}.rels`, documentDir)).values());
+    const partOfType = (type) => documentRels.find(relationship => relationship.type.endsWith(`/${type}`));
+
+    const context = {
+      styles: readStyles(await readPart(zip, partOfType('styles'))),
+      comments: readComments(await readPart(zip, partOfType('comments'))),
+      nextListMarker: createListCounters(readNumbering(await readPart(zip, partOfType('numbering')))),
+      revisions: { insertions: 0, deletions: 0, authors: new Set() },
+      commentCount: 0
+    };
+
+    const xml = (await documentFile.async('string'))
+      // Alternate content repeats text boxes as a fallback for older readers
+      .replace(/<mc:Fallback>[\s\S]*?<\/mc:Fallback>/g, '');
+    const body = xml.match(/<w:body\b[^>]*>([\s\S]*)<\/w:body>/);
+    if (!body) {
+      throw new Error(`Not a Word document (${documentPath} has no document body)`);
+    }
+
+    const blocks = readBlocks(childElements(body[1]), context);
+
+    if (blocks.length === 0) {
       throw new Error('No text content found in DOCX');
     }
 
-    return result.value.trim();
+    // Number the blocks and record the heading trail each one sits under
+    const trail = [];
+    blocks.forEach((block, index) => {
+      block.paragraph = index + 1;
+      if (block.type === 'heading') {
+        while (trail.length > 0 && trail[trail.length - 1].level >= block.level) trail.pop();
+        trail.push({ level: block.level, text: block.text });
+      }
+      block.sections = trail.map(heading => heading.text);
+    });
+
+    return {
+      blocks,
+      headingCount: blocks.filter(block => block.type === 'heading').length,
+      tableCount: blocks.filter(block => block.type === 'table').length,
+      revisions: { ...context.revisions, authors: Array.from(context.revisions.authors) },
+      commentCount: context.commentCount
+    };
   } catch (error) {
     console.error('DOCX parsing error:', error.message);
     throw new Error(`Failed to parse DOCX: ${error.message}`);
   }
 }
 
+/**
+ * Render one block as Markdown-style text
+ * @param {Object} block - Block from parseDocx
+ * @returns {string} - Block text
+ */
+function renderBlock(block) {
+  switch (block.type) {
+    case 'heading': return `${'#'.repeat(Math.min(block.level, 6))} ${block.text}`;
+    case 'listItem': return `${'  '.repeat(block.level)}${block.marker} ${block.text}`;
+    case 'table': return renderTable(block.rows);
+    default: return block.text;
+  }
+}
+
+/**
+ * Describe the tracked changes and comments shown inline in the text
+ * @param {Object} document - Outline from parseDocx
+ * @returns {Array<string>} - Legend lines (empty when the document has neither)
+ */
+function describeAnnotations(document) {
+  const lines = [];
+  const { insertions, deletions, authors } = document.revisions;
+  if (insertions + deletions > 0) {
+    lines.push(`Tracked changes (not yet accepted) are shown inline as [+inserted text+] and [-deleted text-]` +
+      `${authors.length > 0 ? ` (by ${authors.join(', ')})` : ''}.`);
+  }
+  if (document.commentCount > 0) {
+    lines.push('Reviewer comments follow the paragraph they are attached to as [Comment by Author on "commented text": comment].');
+  }
+  return lines;
+}
+
 /**
  * Format DOCX content for GPT prompt
- * @param {string} text - Extracted DOCX text
+ * @param {Object} document - Outline from parseDocx
  * @param {string} filename - DOCX filename
  * @returns {string} - Formatted content for GPT
  */
-function formatDocxForPrompt(text, filename) {
-  if (!text || text.trim().length === 0) {
+function formatDocxForPrompt(document, filename) {
+  const blocks = (document && document.blocks) || [];
+  if (blocks.length === 0) {
     return `DOCX file name: ${filename}\nDOCX content: No text content found`;
   }
 
-  // Clean up the text - preserve paragraph structure but normalize spacing
-  const cleanText = text
-    .replace(/\r\n/g, '\n')  // Normalize line breaks
-    .replace(/\r/g, '\n')    // Normalize line breaks
-    .replace(/\n{3,}/g, '\n\n') // Limit consecutive line breaks to 2
-    .replace(/[ \t]{2,}/g, ' ') // Replace multiple spaces/tabs with single space
-    .replace(/^\s+|\s+$/gm, '') // Trim each line
-    .trim();
+  const counts = [`${blocks.length} paragraph${blocks.length !== 1 ? 's' : ''}`];
+  if (document.headingCount > 0) counts.push(`${document.headingCount} heading${document.headingCount !== 1 ? 's' : ''}`);
+  if (document.tableCount > 0) counts.push(`${document.tableCount} table${document.tableCount !== 1 ? 's' : ''}`);
+  const citation = document.headingCount > 0 ? `; cite sections by heading as '${filename}, section "Heading"'` : '';
 
   let formattedContent = `DOCX file name: ${filename}\n`;
-  formattedContent += `DOCX content (${cleanText.length} characters):\n\n`;
-  formattedContent += cleanText;
-  
-  return formattedContent;
+  formattedContent += `DOCX content (${counts.join(', ')}${citation}):\n`;
+  describeAnnotations(document).forEach(line => {
+    formattedContent += `${line}\n`;
+  });
+
+  // Consecutive list items stay together; everything else is separated by a blank line
+  blocks.forEach((block, index) => {
+    const previous = blocks[index - 1];
+    const separator = !previous ? '\n' : (previous.type === 'listItem' && block.type === 'listItem' ? '\n' : '\n\n');
+    formattedContent += `${separator}${renderBlock(block)}`;
+  });
+
+  return formattedContent.trim();
+}
+
+/**
+ * Split DOCX into segments for retrieval indexing
+ * Each segment carries the heading trail it sits under as its header; table rows also repeat the table's header row
+ * @param {Buffer} buffer - DOCX file buffer
+ * @returns {Promise<Array<Object>>} - Segments of { text, header?, location: { section?, paragraph } }
+ */
+async function extractDocxSegments(buffer) {
+  const document = await parseDocx(buffer);
+
+  return document.blocks.flatMap((block, index) => {
+    const location = { paragraph: block.paragraph };
+    if (block.sections.length > 0) {
+      location.section = block.sections[block.sections.length - 1];
+    }
+    const trail = block.sections.length > 0 ? `# ${block.sections.join(' > ')}` : null;
+
+    if (block.type === 'heading') {
+      // A heading is the header of the blocks under it; on its own only for an empty section (no body or subsections)
+      const next = document.blocks[index + 1];
+      return !next || (next.type === 'heading' && next.level <= block.level) ? [{ text: trail, location }] : [];
+    }
+
+    if (block.type === 'table' && block.rows.length > 1) {
+      const [headerLine, separatorLine, ...rowLines] = renderTable(block.rows).split('\n');
+      const header = [trail, headerLine, separatorLine].filter(Boolean).join('\n');
+      return rowLines.map(text => ({ text, header, location }));
+    }
+
+    const segment = { text: renderBlock(block), location };
+    if (trail) segment.header = trail;
+    return [segment];
+  });
 }
 
 module.exports = {
   parseDocx,
-  formatDocxForPrompt
+  formatDocxForPrompt,
+  extractDocxSegments
 };
@@ -0,0 +1,272 @@
+const { simpleParser } = require('mailparser');
+const MsgReader = require('@kenjiuno/msgreader').default;
+const { getProcessor } = require('./processors');
+
+// Configuration constants for email processing (.eml and Outlook .msg)
+const EMAIL_CONFIG = {
+  MAX_ATTACHMENTS: 20,       // Attachments beyond this are listed but not extracted
+  HEADER_SECTION: 'Headers', // Section cited for the sender, recipients, date and subject
+  BODY_SECTION: 'Body'       // Section cited for the message text (with paragraph numbers)
+};
+
+// Outlook recipient types (PidTagRecipientType)
+const MSG_RECIPIENT_FIELDS = { to: 'to', cc: 'cc', bcc: 'bcc' };
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Convert an HTML body to plain text (block elements become line breaks)
+ * @param {string} html - HTML body
+ * @returns {string} - Text
+ */
+function htmlToText(html) {
+  return String(html)
+    .replace(/<(script|style|head)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6]|blockquote)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+      }
+      return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Format a mailbox as "Name <address>" (or just the address)
+ * @param {string} name - Display name
+ * @param {string} address - Email address
+ * @returns {string} - Mailbox text
+ */
+function formatMailbox(name, address) {
+  if (name && address && name !== address) {
+    return `${name} <${address}>`;
+  }
+  return address || name || '';
+}
+
+/**
+ * Read the mailboxes of a mailparser address header (To, Cc, ...)
+ * @param {Object|Array<Object>} header - mailparser AddressObject(s)
+ * @returns {Array<string>} - Mailboxes
+ */
+function readAddresses(header) {
+  if (!header) {
+    return [];
+  }
+  const groups = Array.isArray(header) ? header : [header];
+  return groups
+    .flatMap(group => group.value || [])
+    .flatMap(entry => entry.group ? entry.group : [entry])
+    .map(entry => formatMailbox(entry.name, entry.address))
+    .filter(Boolean);
+}
+
+/**
+ * Parse an RFC 822 message (.eml)
+ * @param {Buffer} buffer - EML file buffer
+ * @returns {Promise<Object>} - Email (see parseEmail)
+ */
+async function parseEml(buffer) {
+  const message = await simpleParser(buffer, { skipImageLinks: true });
+  if (!message.from && !message.subject && !message.text && !message.html) {
+    throw new Error('Not an email message (no headers or body found)');
+  }
+
+  return {
+    from: readAddresses(message.from).join(', '),
+    to: readAddresses(message.to),
+    cc: readAddresses(message.cc),
+    date: message.date && !Number.isNaN(message.date.getTime()) ? message.date.toISOString() : null,
+    subject: message.subject || '',
+    body: (message.text || (message.html ? htmlToText(message.html) : '')).replace(/\r\n?/g, '\n').trim(),
+    attachments: message.attachments
+      .filter(attachment => !attachment.related) // Inline images of the HTML body
+      .map(attachment => ({
+        fileName: attachment.filename || null,
+        contentType: attachment.contentType || 'application/octet-stream',
+        content: attachment.content
+      }))
+  };
+}
+
+/**
+ * Parse an Outlook message (.msg)
+ * @param {Buffer} buffer - MSG file buffer
+ * @returns {Object} - Email (see parseEmail)
+ */
+function parseMsg(buffer) {
+  const reader = new MsgReader(buffer);
+  const data = reader.getFileData();
+  if (data.error) {
+    throw new Error(`Not an Outlook message (${data.error})`);
+  }
+
+  const recipients = { to: [], cc: [], bcc: [] };
+  (data.recipients || []).forEach(recipient => {
+    const field = MSG_RECIPIENT_FIELDS[recipient.recipType] || 'to';
+    recipients[field].push(formatMailbox(recipient.name, recipient.smtpAddress || recipient.email));
+  });
+
+  const date = data.messageDeliveryTime || data.clientSubmitTime || null;
+  const parsedDate = date ? new Date(date) : null;
+  const html = data.bodyHtml || (data.html ? Buffer.from(data.html).toString('utf8') : '');
+
+  return {
+    from: formatMailbox(data.senderName, data.senderSmtpAddress || data.senderEmail),
+    to: recipients.to.filter(Boolean),
+    cc: recipients.cc.filter(Boolean),
+    date: parsedDate && !Number.isNaN(parsedDate.getTime()) ? parsedDate.toISOString() : null,
+    subject: data.subject || '',
+    body: (data.body || (html ? htmlToText(html) : '')).replace(/\r\n?/g, '\n').trim(),
+    attachments: (data.attachments || [])
+      .filter(attachment => !attachment.attachmentHidden && !attachment.innerMsgContent)
+      .map(attachment => {
+        const { fileName, content } = reader.getAttachment(attachment);
+        return {
+          fileName: fileName || attachment.fileNameShort || null,
+          contentType: attachment.attachMimeTag || 'application/octet-stream',
+          content: Buffer.from(content)
+        };
+      })
+  };
+}
+
+/**
+ * Parse an email and number its attachments
+ * @param {Buffer} buffer - File buffer
+ * @param {string} format - 'eml' or 'msg'
+ * @returns {Promise<Object>} - { from, to, cc, date, subject, body, paragraphs,
+ *   attachments: [{ index, fileName, contentType, size, content, supported }] } where supported
+ *   attachments can be read by another processor and become child sources
+ */
+async function parseEmail(buffer, format) {
+  const email = format === 'msg' ? parseMsg(buffer) : await parseEml(buffer);
+
+  const attachments = email.attachments.map((attachment, position) => {
+    const index = position + 1;
+    const fileName = attachment.fileName || `attachment-${index}`;
+    return {
+      index,
+      fileName,
+      contentType: attachment.contentType,
+      size: attachment.content.length,
+      content: attachment.content,
+      supported: !!getProcessor(fileName) && index <= EMAIL_CONFIG.MAX_ATTACHMENTS
+    };
+  });
+
+  if (!email.body && attachments.length === 0 && !email.subject) {
+    throw new Error('No content found in email');
+  }
+
+  return {
+    ...email,
+    paragraphs: email.body.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean),
+    attachments
+  };
+}
+
+/**
+ * Header lines of an email (From, To, Cc, Date, Subject)
+ * @param {Object} email - Parsed email
+ * @returns {Array<string>} - Lines
+ */
+function headerLines(email) {
+  const lines = [];
+  if (email.from) lines.push(`From: ${email.from}`);
+  if (email.to.length > 0) lines.push(`To: ${email.to.join(', ')}`);
+  if (email.cc.length > 0) lines.push(`Cc: ${email.cc.join(', ')}`);
+  if (email.date) lines.push(`Date: ${email.date}`);
+  lines.push(`Subject: ${email.subject || '(no subject)'}`);
+  return lines;
+}
+
+/**
+ * Describe an email's attachments, one per line
+ * @param {Object} email - Parsed email
+ * @param {string} fileName - Email file name (null when unknown)
+ * @returns {Array<string>} - Lines such as "1. orders.xlsx (text/csv, 2 KB) - read as a separate source, cite as ..."
+ */
+function attachmentLines(email, fileName = null) {
+  return email.attachments.map(attachment => {
+    const size = attachment.size < 1024 ? `${attachment.size} B` : `${Math.round(attachment.size / 1024)} KB`;
+    let availability = attachment.supported ? 'read as a separate source' : 'not readable';
+    if (attachment.supported && fileName) {
+      availability += `, cite as "attachment ${attachment.index} of email ${fileName.split('/').pop()}"`;
+    }
+    return `${attachment.index}. ${attachment.fileName} (${attachment.contentType}, ${size}) - ${availability}`;
+  });
+}
+
+/**
+ * Format an email for the GPT prompt
+ * @param {Object} email - Parsed email
+ * @param {string} fileName - Email file name
+ * @returns {string} - Prompt text
+ */
+function formatEmailForPrompt(email, fileName) {
+  let content = `Email file name: ${fileName}\n`;
+  content += `${headerLines(email).join('\n')}\n`;
+  if (email.attachments.length > 0) {
+    content += `Attachments (${email.attachments.length}):\n${attachmentLines(email, fileName).join('\n')}\n`;
+  }
+  content += `\nBody (${email.paragraphs.length} paragraph${email.paragraphs.length === 1 ? '' : 's'}; cite as '${fileName.split('/').pop()}, paragraph N'):\n`;
+  content += email.paragraphs.map((paragraph, index) => `[${index + 1}] ${paragraph}`).join('\n\n');
+  return content;
+}
+
+/**
+ * Split an email into retrieval segments: the headers, then one segment per body paragraph
+ * @param {Object} email - Parsed email
+ * @returns {Array<Object>} - Segments of { text, header, location: { section, paragraph? } }
+ */
+function extractEmailSegments(email) {
+  const header = `Subject: ${email.subject || '(no subject)'}`;
+  const headerText = [
+    ...headerLines(email),
+    ...(email.attachments.length > 0 ? ['Attachments:', ...attachmentLines(email)] : [])
+  ].join('\n');
+
+  return [
+    { text: headerText, location: { section: EMAIL_CONFIG.HEADER_SECTION } },
+    ...email.paragraphs.map((paragraph, index) => ({
+      text: paragraph,
+      header,
+      location: { section: EMAIL_CONFIG.BODY_SECTION, paragraph: index + 1 }
+    }))
+  ];
+}
+
+/**
+ * The attachments other processors can read, as child sources of the email
+ * @param {Object} email - Parsed email
+ * @param {string} fileName - Email file name
+ * @returns {Array<Object>} - Children of { index, fileName, contentType, content, label }
+ */
+function emailChildren(email, fileName) {
+  const name = fileName.split('/').pop();
+  return email.attachments
+    .filter(attachment => attachment.supported)
+    .map(attachment => ({
+      index: attachment.index,
+      fileName: attachment.fileName,
+      contentType: attachment.contentType,
+      content: attachment.content,
+      label: `attachment ${attachment.index} of email ${name}`
+    }));
+}
+
+module.exports = {
+  parseEmail,
+  formatEmailForPrompt,
+  extractEmailSegments,
+  emailChildren,
+  htmlToText,
+  EMAIL_CONFIG
+};
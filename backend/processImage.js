@@ -0,0 +1,127 @@
+const UTIF = require('utif2');
+const { createCanvas } = require('@napi-rs/canvas');
+const { recognizeImage, describeConfidence, toParagraphBlocks } = require('./services/ocr');
+
+/**
+ * Check whether a buffer holds a TIFF image (little- or big-endian)
+ * @param {Buffer} buffer - Image file buffer
+ * @returns {boolean} - True for TIFF files
+ */
+function isTiff(buffer) {
+  const magic = buffer.subarray(0, 4).toString('hex');
+  return magic === '49492a00' || magic === '4d4d002a';
+}
+
+/**
+ * Split a (possibly multi-page) TIFF into PNG images, one per page
+ * Tesseract cannot read TIFF directly, so pages are decoded and re-encoded
+ * @param {Buffer} buffer - TIFF file buffer
+ * @returns {Array<Buffer>} - PNG images in page order
+ */
+function decodeTiffPages(buffer) {
+  const ifds = UTIF.decode(buffer)
+    // Reduced-resolution copies (thumbnails) are flagged in NewSubfileType
+    .filter(ifd => !(ifd.t254 && (ifd.t254[0] & 1)));
+
+  return ifds.map(ifd => {
+    UTIF.decodeImage(buffer, ifd);
+    const rgba = UTIF.toRGBA8(ifd);
+    const canvas = createCanvas(ifd.width, ifd.height);
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(ifd.width, ifd.height);
+    imageData.data.set(rgba);
+    context.putImageData(imageData, 0, 0);
+    return canvas.toBuffer('image/png');
+  });
+}
+
+/**
+ * Read the text of an image upload with local OCR
+ * PNG and JPEG files are one page; every page of a TIFF is recognized separately
+ * @param {Buffer} buffer - Image file buffer
+ * @returns {Promise<Object>} - { pageCount, pages: [{ page, ocr: { confidence }, blocks: [{ type, text }] }] }
+ */
+async function parseImage(buffer) {
+  try {
+    // Validate buffer
+    if (!buffer || !Buffer.isBuffer(buffer)) {
+      throw new Error('Invalid image buffer provided');
+    }
+
+    if (buffer.length === 0) {
+      throw new Error('Empty image buffer provided');
+    }
+
+    const images = isTiff(buffer) ? decodeTiffPages(buffer) : [buffer];
+    if (images.length === 0) {
+      throw new Error('No pages found in TIFF');
+    }
+
+    console.log(`🔎 Running OCR on image (${images.length} page${images.length !== 1 ? 's' : ''})`);
+    const pages = [];
+    for (let index = 0; index < images.length; index++) {
+      const recognition = await recognizeImage(images[index]);
+      pages.push({
+        page: index + 1,
+        ocr: { confidence: recognition.confidence },
+        blocks: toParagraphBlocks(recognition)
+      });
+    }
+
+    if (pages.every(page => page.blocks.length === 0)) {
+      throw new Error('No readable text found in image');
+    }
+
+    return { pageCount: pages.length, pages };
+  } catch (error) {
+    console.error('Image OCR error:', error.message);
+    throw new Error(`Failed to read image: ${error.message}`);
+  }
+}
+
+/**
+ * Format OCR text of an image for GPT prompt
+ * @param {Object} document - Page model from parseImage
+ * @param {string} filename - Image filename
+ * @returns {string} - Formatted content for GPT
+ */
+function formatImageForPrompt(document, filename) {
+  const pages = (document && document.pages || []).filter(page => page.blocks.length > 0);
+  if (pages.length === 0) {
+    return `Image file name: ${filename}\nImage text: No readable text found`;
+  }
+
+  let formattedContent = `Image file name: ${filename}\n`;
+  formattedContent += `Image text read by OCR (${document.pageCount} page${document.pageCount !== 1 ? 's' : ''}; cite pages as "${filename} p.N"):\n`;
+
+  for (const page of pages) {
+    formattedContent += `\n--- Page ${page.page} (${describeConfidence(page.ocr.confidence)}) ---\n`;
+    formattedContent += page.blocks.map(block => block.text).join('\n\n');
+    formattedContent += '\n';
+  }
+
+  return formattedContent.trim();
+}
+
+/**
+ * Split OCR text of an image into paragraph segments for retrieval indexing
+ * @param {Buffer} buffer - Image file buffer
+ * @returns {Promise<Array<Object>>} - Segments of { text, header, location: { page } }
+ */
+async function extractImageSegments(buffer) {
+  const document = await parseImage(buffer);
+
+  return document.pages.flatMap(({ page, ocr, blocks }) =>
+    blocks.map(block => ({
+      text: block.text,
+      header: `[Scanned page; ${describeConfidence(ocr.confidence)}]`,
+      location: { page }
+    }))
+  );
+}
+
+module.exports = {
+  parseImage,
+  formatImageForPrompt,
+  extractImageSegments
+};
@@ -0,0 +1,424 @@
+const { formatCsvForPrompt, toCsvLine } = require('./processCsv');
+const { decodeBuffer } = require('./services/textEncoding');
+
+// Configuration constants for structured data (JSON, JSONL and XML share this model)
+const STRUCTURED_CONFIG = {
+  RECORD_OBJECT_RATIO: 0.8,   // Share of array items that must be objects for the array to be records
+  MIN_NESTED_RECORDS: 2,      // Arrays below the top level need at least this many records
+  RECORDS_MIN_SHARE: 0.5,     // Nested records must hold this share of the document to become the table
+  MAX_SEARCH_DEPTH: 4,        // How deep to look for an array of records
+  MAX_FLATTEN_DEPTH: 3,       // Nested objects deeper than this stay as JSON text in one column
+  MAX_OUTLINE_DEPTH: 8,       // Deeper values are written inline as compact JSON
+  LIST_SEPARATOR: '; '        // Joins arrays of plain values into one cell
+};
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a value is a string, number, boolean or null
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for scalars
+ */
+function isScalar(value) {
+  return value === null || typeof value !== 'object';
+}
+
+/**
+ * Append a key or array index to a path
+ * @param {string} path - Parent path ('' for the document root)
+ * @param {string|number} key - Object key or array index (0-based)
+ * @returns {string} - e.g. "data.items" or "servers[1]"
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key + 1}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Check whether an array holds records (mostly objects)
+ * @param {Array} items - Array items
+ * @returns {boolean} - True when the array can be shown as table rows
+ */
+function isRecordArray(items) {
+  if (items.length === 0) {
+    return false;
+  }
+  const objects = items.filter(isPlainObject).length;
+  return objects / items.length >= STRUCTURED_CONFIG.RECORD_OBJECT_RATIO;
+}
+
+/**
+ * Find the array of records to show as a table: the top-level array, or the largest nested
+ * array of records when it holds most of the document
+ * @param {*} document - Parsed document
+ * @returns {Object|null} - { path, items } or null when the document is not record-shaped
+ */
+function findRecordArray(document) {
+  if (Array.isArray(document)) {
+    return isRecordArray(document) ? { path: '', items: document } : null;
+  }
+
+  let best = null;
+  const visit = (value, path, depth) => {
+    if (depth > STRUCTURED_CONFIG.MAX_SEARCH_DEPTH) return;
+    if (Array.isArray(value)) {
+      if (value.length >= STRUCTURED_CONFIG.MIN_NESTED_RECORDS && isRecordArray(value)) {
+        if (!best || value.length > best.items.length) best = { path, items: value };
+        return; // Nested arrays inside records become columns, not tables
+      }
+      value.forEach((item, index) => visit(item, joinPath(path, index), depth + 1));
+    } else if (isPlainObject(value)) {
+      Object.entries(value).forEach(([key, child]) => visit(child, joinPath(path, key), depth + 1));
+    }
+  };
+  visit(document, '', 0);
+
+  if (!best) {
+    return null;
+  }
+  const share = JSON.stringify(best.items).length / JSON.stringify(document).length;
+  return share >= STRUCTURED_CONFIG.RECORDS_MIN_SHARE ? best : null;
+}
+
+/**
+ * Flatten a record into dotted column names
+ * Nested objects become "parent.child" columns, arrays of plain values are joined,
+ * and anything deeper is kept as JSON text
+ * @param {*} record - Record (non-object records become a single "value" column)
+ * @returns {Object} - Flat record of column name -> scalar
+ */
+function flattenRecord(record) {
+  const flat = {};
+  if (!isPlainObject(record)) {
+    flat.value = isScalar(record) ? record : JSON.stringify(record);
+    return flat;
+  }
+
+  const visit = (value, prefix, depth) => {
+    Object.entries(value).forEach(([key, child]) => {
+      const name = prefix ? `${prefix}.${key}` : key;
+      if (isPlainObject(child) && Object.keys(child).length > 0 && depth < STRUCTURED_CONFIG.MAX_FLATTEN_DEPTH) {
+        visit(child, name, depth + 1);
+      } else if (Array.isArray(child) && child.every(isScalar)) {
+        flat[name] = child.filter(item => item !== null).join(STRUCTURED_CONFIG.LIST_SEPARATOR);
+      } else if (!isScalar(child)) {
+        flat[name] = JSON.stringify(child);
+      } else {
+        flat[name] = child;
+      }
+    });
+  };
+  visit(record, '', 0);
+  return flat;
+}
+
+/**
+ * Infer the column schema of flattened records
+ * @param {Array<Object>} records - Flat records
+ * @returns {Array<Object>} - Columns of { name, type, present } in first-seen order;
+ *   type is 'number', 'boolean', 'string', 'mixed' or 'null'
+ */
+function inferSchema(records) {
+  const columns = new Map();
+  records.forEach(record => {
+    Object.entries(record).forEach(([name, value]) => {
+      if (!columns.has(name)) columns.set(name, { name, types: new Set(), present: 0 });
+      const column = columns.get(name);
+      if (value !== null && value !== undefined) {
+        column.types.add(typeof value);
+        column.present++;
+      }
+    });
+  });
+
+  return Array.from(columns.values()).map(({ name, types, present }) => ({
+    name,
+    type: types.size === 0 ? 'null' : types.size === 1 ? Array.from(types)[0] : 'mixed',
+    present
+  }));
+}
+
+/**
+ * Format a scalar for the outline
+ * @param {*} value - Scalar value
+ * @returns {string} - Display text (multi-line strings are quoted)
+ */
+function formatScalar(value) {
+  if (value === null) return 'null';
+  if (typeof value === 'string') return value.includes('\n') ? JSON.stringify(value) : value;
+  return String(value);
+}
+
+/**
+ * Render a value as indented outline lines ("key: value", children indented below)
+ * @param {string} label - Key or [index] label for the value
+ * @param {*} value - Value to render
+ * @param {string} path - Path of the value
+ * @param {number} depth - Nesting depth (indentation level)
+ * @param {Object} skip - { path, summary }: a subtree replaced by a one-line summary (the record table)
+ * @returns {Array<string>} - Outline lines
+ */
+function outlineLines(label, value, path, depth, skip) {
+  const pad = '  '.repeat(depth);
+
+  if (skip && path === skip.path) {
+    return [`${pad}${label}: ${skip.summary}`];
+  }
+  if (isScalar(value)) {
+    return [`${pad}${label}: ${formatScalar(value)}`];
+  }
+  if (depth >= STRUCTURED_CONFIG.MAX_OUTLINE_DEPTH) {
+    return [`${pad}${label}: ${JSON.stringify(value)}`];
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [`${pad}${label}: []`];
+    if (value.every(isScalar)) return [`${pad}${label}: [${value.map(formatScalar).join(', ')}]`];
+    return [
+      `${pad}${label}: (${value.length} item${value.length !== 1 ? 's' : ''})`,
+      ...value.flatMap((item, index) => outlineLines(`[${index + 1}]`, item, joinPath(path, index), depth + 1, skip))
+    ];
+  }
+
+  const entries = Object.entries(value);
+  if (entries.length === 0) return [`${pad}${label}: {}`];
+  return [
+    `${pad}${label}:`,
+    ...entries.flatMap(([key, child]) => outlineLines(key, child, joinPath(path, key), depth + 1, skip))
+  ];
+}
+
+/**
+ * Split a document's outline into sections: one per top-level object or array,
+ * with top-level plain values gathered in an untitled section
+ * @param {*} document - Parsed document
+ * @param {Object} skip - Subtree replaced by a summary (see outlineLines)
+ * @returns {Array<Object>} - Sections of { path, text } (path is null for the top-level values)
+ */
+function buildSections(document, skip = null) {
+  if (isScalar(document)) {
+    return [{ path: null, text: formatScalar(document) }];
+  }
+
+  const entries = Array.isArray(document)
+    ? document.map((item, index) => [`[${index + 1}]`, item, joinPath('', index)])
+    : Object.entries(document).map(([key, child]) => [key, child, key]);
+
+  const sections = [];
+  const topLevel = [];
+  entries.forEach(([label, value, path]) => {
+    if (isScalar(value) || (skip && path === skip.path)) {
+      topLevel.push(...outlineLines(label, value, path, 0, skip));
+    } else {
+      sections.push({ path, text: outlineLines(label, value, path, 0, skip).join('\n') });
+    }
+  });
+
+  if (topLevel.length > 0) {
+    sections.unshift({ path: null, text: topLevel.join('\n') });
+  }
+  return sections;
+}
+
+/**
+ * Build the structured data model shared by JSON, JSONL and XML files
+ * Arrays of records become flat table rows with an inferred schema; other documents are kept as an outline
+ * @param {*} document - Parsed document
+ * @param {Object} options - { format: 'JSON' | 'JSONL' | 'XML', rowNumbers?: row number per top-level item,
+ *   describeRow?: (path) => how rows map to the source, e.g. "row N is the Nth record" }
+ * @returns {Object} - { format, kind: 'records', recordPath, rowNote, columns, records: [{ values, row }], sections }
+ *   or { format, kind: 'outline', sections }
+ */
+function buildStructuredModel(document, options) {
+  const { format, rowNumbers = null, describeRow = () => 'row N is the Nth record' } = options;
+  const recordArray = findRecordArray(document);
+
+  if (!recordArray) {
+    return { format, kind: 'outline', sections: buildSections(document) };
+  }
+
+  const flatRecords = recordArray.items.map(flattenRecord);
+  const columns = inferSchema(flatRecords);
+  const records = flatRecords.map((flat, index) => ({
+    values: flat,
+    row: recordArray.path === '' && rowNumbers ? rowNumbers[index] : index + 1
+  }));
+
+  // The rest of the document (e.g. metadata next to the records) is kept as an outline
+  const summary = `(${records.length} records, shown as table rows)`;
+  const sections = recordArray.path === '' ? [] : buildSections(document, { path: recordArray.path, summary });
+
+  return {
+    format,
+    kind: 'records',
+    recordPath: recordArray.path,
+    rowNote: describeRow(recordArray.path),
+    columns,
+    records,
+    sections
+  };
+}
+
+/**
+ * Convert a records model into table input for the query engine
+ * @param {Object} model - Structured model from buildStructuredModel
+ * @returns {Array<Object>} - One table of { sheet, headers, rows: [{ values, row }], types }
+ */
+function structuredModelToTables(model) {
+  if (model.kind !== 'records') {
+    throw new Error(`${model.format} file has no array of records to show as a table`);
+  }
+
+  const headers = model.columns.map(column => column.name);
+  return [{
+    sheet: null,
+    headers,
+    rows: model.records.map(record => ({ values: headers.map(name => record.values[name]), row: record.row })),
+    // Typed JSON values keep their types; strings are still checked for numbers and dates
+    types: model.columns.map(column => (column.type === 'number' || column.type === 'boolean' ? column.type : null))
+  }];
+}
+
+/**
+ * Format a structured model for GPT prompt
+ * Records use the CSV prompt layout, followed by their schema and any other document fields
+ * @param {Object} model - Structured model from buildStructuredModel
+ * @param {string} filename - File name
+ * @returns {string} - Formatted content for GPT
+ */
+function formatStructuredForPrompt(model, filename) {
+  const label = model.format;
+
+  if (model.kind === 'outline') {
+    let formattedContent = `${label} file name: ${filename}\n`;
+    formattedContent += `${label} content (outline of a nested document; cite sections as "${filename} path <key>", e.g. "path servers.primary"):\n\n`;
+    formattedContent += model.sections.map(section => section.text).join('\n');
+    return formattedContent;
+  }
+
+  const headers = model.columns.map(column => column.name);
+  const rows = model.records.map(record =>
+    Object.fromEntries(headers.map(name => [name, record.values[name] === undefined ? null : record.values[name]])));
+
+  let formattedContent = formatCsvForPrompt(rows, filename, label);
+  formattedContent += `\n\nRecords: ${model.recordPath ? `"${model.recordPath}"` : 'the top-level list'} ` +
+    `(${model.rowNote}; cite them as "${filename} row N")\n`;
+  formattedContent += `Schema:\n${model.columns.map(column => {
+    const optional = column.present < model.records.length ? `, in ${column.present} of ${model.records.length} records` : '';
+    return `- ${column.name}: ${column.type}${optional}`;
+  }).join('\n')}`;
+
+  if (model.sections.length > 0) {
+    formattedContent += `\n\nOther document fields:\n${model.sections.map(section => section.text).join('\n')}`;
+  }
+  return formattedContent;
+}
+
+/**
+ * Split a structured model into retrieval segments
+ * Records are CSV lines under the column header (like CSV rows); outline sections are cited by path
+ * @param {Object} model - Structured model from buildStructuredModel
+ * @returns {Array<Object>} - Segments of { text, header?, location: { row } | { path } | {} }
+ */
+function extractStructuredSegments(model) {
+  const sectionSegments = model.sections.map(section => ({
+    text: section.text,
+    location: section.path ? { path: section.path } : {}
+  }));
+
+  if (model.kind === 'outline') {
+    return sectionSegments;
+  }
+
+  const headers = model.columns.map(column => column.name);
+  const header = toCsvLine(headers);
+  return [
+    ...sectionSegments,
+    ...model.records.map(record => ({
+      text: toCsvLine(headers.map(name => record.values[name])),
+      header,
+      location: { row: record.row }
+    }))
+  ];
+}
+
+/**
+ * Decode a text buffer in its detected encoding (see services/textEncoding.js)
+ * @param {Buffer} buffer - File buffer
+ * @param {string} label - Format label for errors
+ * @returns {string} - File text
+ */
+function decodeText(buffer, label) {
+  if (!buffer || !Buffer.isBuffer(buffer)) {
+    throw new Error(`Invalid ${label} buffer provided`);
+  }
+  const { text } = decodeBuffer(buffer);
+  if (text.trim().length === 0) {
+    throw new Error(`${label} file is empty`);
+  }
+  return text;
+}
+
+/**
+ * Parse a JSON buffer into the structured data model
+ * @param {Buffer} buffer - JSON file buffer
+ * @returns {Object} - Structured model (see buildStructuredModel)
+ */
+function parseJson(buffer) {
+  const text = decodeText(buffer, 'JSON');
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  return buildStructuredModel(document, { format: 'JSON' });
+}
+
+/**
+ * Parse a JSON Lines buffer (one JSON value per line) into the structured data model
+ * Rows keep the line numbers of their records
+ * @param {Buffer} buffer - JSONL file buffer
+ * @returns {Object} - Structured model (see buildStructuredModel)
+ */
+function parseJsonl(buffer) {
+  const text = decodeText(buffer, 'JSONL');
+  const items = [];
+  const rowNumbers = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim().length === 0) return;
+    try {
+      items.push(JSON.parse(line));
+      rowNumbers.push(index + 1);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+    }
+  });
+
+  return buildStructuredModel(items, {
+    format: 'JSONL',
+    rowNumbers,
+    describeRow: () => 'row N is the record on line N'
+  });
+}
+
+module.exports = {
+  parseJson,
+  parseJsonl,
+  buildStructuredModel,
+  structuredModelToTables,
+  formatStructuredForPrompt,
+  extractStructuredSegments,
+  decodeText,
+  STRUCTURED_CONFIG
+};
@@ -1,9 +1,180 @@
 const pdf = require('pdf-parse');
+const { recognizePdfPages, describeConfidence, toParagraphBlocks, OCR_CONFIG } = require('./services/ocr');
+
+// Layout detection thresholds (PDF units are points)
+const PDF_LAYOUT_CONFIG = {
+  LINE_TOLERANCE: 2,          // Items whose baselines differ by less than this share a line
+  CELL_GAP_RATIO: 1.5,        // Horizontal gap (in font sizes) that separates table cells
+  MIN_CELL_GAP: 12,
+  PARAGRAPH_GAP_RATIO: 1.8,   // Vertical gap (in font sizes) that starts a new paragraph
+  WRAPPED_LINE_RATIO: 0.8,    // Lines ending before this share of the right margin end with a line break
+  HEADING_SIZE_RATIO: 1.15,   // Lines this much larger than body text are headings
+  MAX_HEADING_CHARS: 120,
+  MIN_TABLE_ROWS: 2
+};
+
+/**
+ * Group a page's text items into lines of cells, top to bottom
+ * @param {Array<Object>} items - pdf.js text items
+ * @returns {Array<Object>} - Lines of { y, size, right, text, cells }
+ */
+function groupLines(items) {
+  const lines = [];
+
+  const positioned = items
+    .filter(item => item.str && item.str.length > 0)
+    .map(item => ({
+      text: item.str,
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width || 0,
+      size: Math.abs(item.transform[3]) || item.height || 0
+    }))
+    // PDF y grows upwards, so top of page first
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  for (const item of positioned) {
+    const line = lines.find(candidate => Math.abs(candidate.y - item.y) < PDF_LAYOUT_CONFIG.LINE_TOLERANCE);
+    if (line) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, items: [item] });
+    }
+  }
+
+  return lines
+    .map(line => {
+      const sorted = line.items.sort((a, b) => a.x - b.x);
+      const size = Math.max(...sorted.map(item => item.size));
+      const cellGap = Math.max(PDF_LAYOUT_CONFIG.MIN_CELL_GAP, size * PDF_LAYOUT_CONFIG.CELL_GAP_RATIO);
+
+      // Wide horizontal gaps separate cells; narrow ones are ordinary spacing
+      const cells = [];
+      let current = null;
+      for (const item of sorted) {
+        if (current && item.x - current.end <= cellGap) {
+          current.text += item.text;
+          current.end = Math.max(current.end, item.x + item.width);
+        } else {
+          current = { text: item.text, end: item.x + item.width };
+          cells.push(current);
+        }
+      }
+
+      const cellTexts = cells.map(cell => cell.text.replace(/\s+/g, ' ').trim()).filter(Boolean);
+      return { y: line.y, size, right: cells[cells.length - 1].end, cells: cellTexts, text: cellTexts.join(' ') };
+    })
+    .filter(line => line.text.length > 0);
+}
+
+/**
+ * Find the body font size: the size used by the most characters
+ * @param {Array<Object>} lines - Lines from every page
+ * @returns {number} - Body font size
+ */
+function findBodySize(lines) {
+  const charsBySize = new Map();
+  for (const line of lines) {
+    const size = Math.round(line.size);
+    charsBySize.set(size, (charsBySize.get(size) || 0) + line.text.length);
+  }
+  let bodySize = 0;
+  let mostChars = -1;
+  for (const [size, chars] of charsBySize) {
+    if (chars > mostChars) {
+      bodySize = size;
+      mostChars = chars;
+    }
+  }
+  return bodySize;
+}
+
+/**
+ * Turn a page's lines into headings, paragraphs and tables
+ * @param {Array<Object>} lines - Lines of { y, size, right, text, cells }
+ * @param {Object} fonts - { bodySize, headingSizes } where headingSizes are sorted largest first
+ * @returns {Array<Object>} - Blocks of { type: 'heading', level, text } | { type: 'paragraph', text } | { type: 'table', rows }
+ */
+function buildBlocks(lines, { bodySize, headingSizes }) {
+  const blocks = [];
+  const rightMargin = Math.max(...lines.filter(line => line.cells.length === 1).map(line => line.right), 0);
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    // Consecutive lines with the same number of cells form a table
+    if (line.cells.length >= 2) {
+      let end = index + 1;
+      while (end < lines.length && lines[end].cells.length === line.cells.length) {
+        end++;
+      }
+      if (end - index >= PDF_LAYOUT_CONFIG.MIN_TABLE_ROWS) {
+        blocks.push({ type: 'table', rows: lines.slice(index, end).map(row => row.cells) });
+        index = end;
+        continue;
+      }
+    }
+
+    const headingLevel = headingSizes.indexOf(Math.round(line.size)) + 1;
+    if (headingLevel > 0 && line.text.length <= PDF_LAYOUT_CONFIG.MAX_HEADING_CHARS) {
+      blocks.push({ type: 'heading', level: Math.min(headingLevel, 3), text: line.text });
+      index++;
+      continue;
+    }
+
+    // Join lines into a paragraph until a wide vertical gap, a heading or a table
+    const lineGap = Math.max(line.size, bodySize) * PDF_LAYOUT_CONFIG.PARAGRAPH_GAP_RATIO;
+    let text = line.text;
+    let previous = line;
+    index++;
+    while (index < lines.length) {
+      const next = lines[index];
+      if (previous.y - next.y > lineGap || next.cells.length >= 2 || headingSizes.includes(Math.round(next.size))) {
+        break;
+      }
+      // Lines that wrap at the margin continue the sentence; short lines (labels, list items) keep their break
+      if (previous.right < rightMargin * PDF_LAYOUT_CONFIG.WRAPPED_LINE_RATIO) {
+        text += `\n${next.text}`;
+      } else {
+        // Rejoin words hyphenated across lines
+        text = /-$/.test(text) && /^[a-z]/.test(next.text) ? `${text.slice(0, -1)}${next.text}` : `${text} ${next.text}`;
+      }
+      previous = next;
+      index++;
+    }
+
+    blocks.push({ type: 'paragraph', text });
+  }
+
+  return blocks;
+}
 
 /**
- * Parse PDF buffer into plain text string
+ * Render a block as Markdown-style text
+ * @param {Object} block - Heading, paragraph or table block
+ * @returns {string} - Block text
+ */
+function renderBlock(block) {
+  switch (block.type) {
+    case 'heading':
+      return `${'#'.repeat(block.level)} ${block.text}`;
+    case 'table': {
+      const toRow = cells => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+      const [header, ...rows] = block.rows;
+      return [toRow(header), toRow(header.map(() => '---')), ...rows.map(toRow)].join('\n');
+    }
+    default:
+      return block.text;
+  }
+}
+
+/**
+ * Parse PDF buffer into pages of layout blocks
+ * Uses pdf-parse's pagerender hook so text keeps its page number and position.
+ * Pages without a text layer (scans) are read with local OCR and carry their confidence.
  * @param {Buffer} buffer - PDF file buffer
- * @returns {Promise<string>} - Extracted text content
+ * @returns {Promise<Object>} - { pageCount, pages: [{ page, ocr?: { confidence }, blocks: [{ type, text?, level?, rows? }] }] }
  */
 async function parsePdf(buffer) {
   try {
@@ -16,14 +187,57 @@ async function parsePdf(buffer) {
       throw new Error('Empty PDF buffer provided');
     }
 
-    // Parse PDF using pdf-parse
-    const data = await pdf(buffer);
-    
-    if (!data.text || data.text.trim().length === 0) {
-      throw new Error('No text content found in PDF');
+    const pageLines = [];
+
+    // Parse PDF using pdf-parse, collecting positioned text per page
+    // pdf.js reads the whole underlying ArrayBuffer, so small pooled Buffers (non-zero byteOffset) must be copied
+    const data = await pdf(new Uint8Array(buffer), {
+      pagerender: async (pageData) => {
+        const textContent = await pageData.getTextContent({
+          normalizeWhitespace: false,
+          disableCombineTextItems: false
+        });
+        const lines = groupLines(textContent.items);
+        pageLines.push({ page: pageData.pageIndex + 1, lines });
+        return lines.map(line => line.text).join('\n');
+      }
+    });
+
+    // Pages with (almost) no embedded text are scans; a stray page number or stamp does not count
+    const isScanned = ({ lines }) =>
+      lines.map(line => line.text).join('').replace(/\s/g, '').length < OCR_CONFIG.MIN_TEXT_CHARS;
+    const scannedPages = OCR_CONFIG.ENABLED ? pageLines.filter(isScanned).map(({ page }) => page) : [];
+
+    let recognized = new Map();
+    if (scannedPages.length > 0) {
+      console.log(`🔎 Running OCR on ${scannedPages.length} scanned PDF page${scannedPages.length !== 1 ? 's' : ''}`);
+      recognized = await recognizePdfPages(buffer, scannedPages);
+    }
+
+    // Headings are the font sizes above body text, largest first
+    const allLines = pageLines.filter(({ page }) => !recognized.has(page)).flatMap(({ lines }) => lines);
+    const bodySize = findBodySize(allLines);
+    const headingSizes = Array.from(new Set(allLines.map(line => Math.round(line.size))))
+      .filter(size => size >= bodySize * PDF_LAYOUT_CONFIG.HEADING_SIZE_RATIO)
+      .sort((a, b) => b - a);
+
+    const pages = pageLines
+      .sort((a, b) => a.page - b.page)
+      .map(({ page, lines }) => {
+        const recognition = recognized.get(page);
+        if (recognition) {
+          return { page, ocr: { confidence: recognition.confidence }, blocks: toParagraphBlocks(recognition) };
+        }
+        return { page, blocks: buildBlocks(lines, { bodySize, headingSizes }) };
+      });
+
+    if (pages.every(page => page.blocks.length === 0)) {
+      throw new Error(OCR_CONFIG.ENABLED
+        ? 'No text content found in PDF (OCR found no readable text on the scanned pages)'
+        : 'No text content found in PDF');
     }
 
-    return data.text.trim();
+    return { pageCount: data.numpages || pages.length, pages };
   } catch (error) {
     console.error('PDF parsing error:', error.message);
     throw new Error(`Failed to parse PDF: ${error.message}`);
@@ -32,31 +246,54 @@ async function parsePdf(buffer) {
 
 /**
  * Format PDF content for GPT prompt
- * @param {string} text - Extracted PDF text
+ * @param {Object} document - Page model from parsePdf
  * @param {string} filename - PDF filename
  * @returns {string} - Formatted content for GPT
  */
-function formatPdfForPrompt(text, filename) {
-  if (!text || text.trim().length === 0) {
+function formatPdfForPrompt(document, filename) {
+  const pages = (document && document.pages || []).filter(page => page.blocks.length > 0);
+  if (pages.length === 0) {
     return `PDF file name: ${filename}\nPDF content: No text content found`;
   }
 
-  // Clean up the text - remove excessive whitespace and normalize line breaks
-  const cleanText = text
-    .replace(/\r\n/g, '\n')  // Normalize line breaks
-    .replace(/\r/g, '\n')    // Normalize line breaks
-    .replace(/\n{3,}/g, '\n\n') // Limit consecutive line breaks to 2
-    .replace(/[ \t]{2,}/g, ' ') // Replace multiple spaces/tabs with single space
-    .trim();
-
   let formattedContent = `PDF file name: ${filename}\n`;
-  formattedContent += `PDF content (${cleanText.length} characters):\n\n`;
-  formattedContent += cleanText;
-  
-  return formattedContent;
+  formattedContent += `PDF content (${document.pageCount} page${document.pageCount !== 1 ? 's' : ''}; cite pages as "${filename} p.N"):\n`;
+
+  for (const page of pages) {
+    formattedContent += `\n--- Page ${page.page}${page.ocr ? ` (scanned; ${describeConfidence(page.ocr.confidence)})` : ''} ---\n`;
+    formattedContent += page.blocks.map(renderBlock).join('\n\n');
+    formattedContent += '\n';
+  }
+
+  return formattedContent.trim();
+}
+
+/**
+ * Split PDF into layout-block segments for retrieval indexing
+ * Blocks of scanned pages share a header with the page's OCR confidence
+ * @param {Buffer} buffer - PDF file buffer
+ * @returns {Promise<Array<Object>>} - Segments of { text, header?, location: { page } }
+ */
+async function extractPdfSegments(buffer) {
+  const document = await parsePdf(buffer);
+
+  const segments = document.pages.flatMap(({ page, ocr, blocks }) =>
+    blocks.map(block => ({
+      text: renderBlock(block),
+      ...(ocr ? { header: `[Scanned page; ${describeConfidence(ocr.confidence)}]` } : {}),
+      location: { page }
+    }))
+  );
+
+  if (segments.length === 0) {
+    throw new Error('Failed to parse PDF: No text content found in PDF');
+  }
+
+  return segments;
 }
 
 module.exports = {
   parsePdf,
-  formatPdfForPrompt
+  formatPdfForPrompt,
+  extractPdfSegments
 };
@@ -0,0 +1,289 @@
+const JSZip = require('jszip');
+
+// Placeholder types that hold slide furniture rather than content
+const SKIPPED_PLACEHOLDERS = ['sldNum', 'dt', 'ftr', 'hdr', 'sldImg'];
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle'];
+
+/**
+ * Decode the XML entities used in Office Open XML text
+ * @param {string} text - Raw XML text
+ * @returns {string} - Decoded text
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read the paragraphs of a text body (<a:p> elements)
+ * @param {string} xml - XML containing DrawingML paragraphs
+ * @returns {Array<Object>} - Paragraphs of { text, level }
+ */
+function readParagraphs(xml) {
+  const paragraphs = [];
+  for (const [paragraph] of xml.matchAll(/<a:p\b[^>]*>[\s\S]*?<\/a:p>/g)) {
+    const text = Array.from(paragraph.matchAll(/<a:t\b[^>]*>([\s\S]*?)<\/a:t>|<a:br\b[^>]*\/>/g))
+      .map(match => (match[1] !== undefined ? decodeXml(match[1]) : '\n'))
+      .join('')
+      .replace(/[ \t]+/g, ' ')
+      .trim();
+    if (text) {
+      const level = paragraph.match(/<a:pPr\b[^>]*\blvl="(\d+)"/);
+      paragraphs.push({ text, level: level ? Number(level[1]) : 0 });
+    }
+  }
+  return paragraphs;
+}
+
+/**
+ * Read a table (<a:tbl>) as rows of cell text
+ * @param {string} xml - Graphic frame XML
+ * @returns {Array<Array<string>>} - Rows of cells
+ */
+function readTable(xml) {
+  return Array.from(xml.matchAll(/<a:tr\b[^>]*>([\s\S]*?)<\/a:tr>/g))
+    .map(([, row]) => Array.from(row.matchAll(/<a:tc\b[^>]*>([\s\S]*?)<\/a:tc>/g))
+      .map(([, cell]) => readParagraphs(cell).map(paragraph => paragraph.text).join(' ')))
+    .filter(row => row.some(cell => cell.length > 0));
+}
+
+/**
+ * Read the shapes of a slide in document order
+ * @param {string} xml - Slide XML
+ * @returns {Object} - { title, body: [{ text, level }], tables: [rows] }
+ */
+function readSlideShapes(xml) {
+  const slide = { title: null, body: [], tables: [] };
+
+  for (const [shape] of xml.matchAll(/<p:sp\b[\s\S]*?<\/p:sp>|<p:graphicFrame\b[\s\S]*?<\/p:graphicFrame>/g)) {
+    if (shape.startsWith('<p:graphicFrame')) {
+      if (shape.includes('<a:tbl')) {
+        const rows = readTable(shape);
+        if (rows.length > 0) slide.tables.push(rows);
+      }
+      continue;
+    }
+
+    const placeholder = shape.match(/<p:ph\b[^>]*?\btype="([^"]+)"/);
+    const placeholderType = placeholder ? placeholder[1] : null;
+    if (SKIPPED_PLACEHOLDERS.includes(placeholderType)) {
+      continue;
+    }
+
+    const paragraphs = readParagraphs(shape);
+    if (TITLE_PLACEHOLDERS.includes(placeholderType) && !slide.title && paragraphs.length > 0) {
+      slide.title = paragraphs.map(paragraph => paragraph.text).join(' ');
+    } else {
+      slide.body.push(...paragraphs);
+    }
+  }
+
+  return slide;
+}
+
+/**
+ * Read a relationships file into a map of id -> target path (resolved against the part's folder)
+ * @param {JSZip} zip - Opened package
+ * @param {string} relsPath - Path of the .rels file
+ * @param {string} baseDir - Folder the targets are relative to
+ * @returns {Promise<Map<string, Object>>} - Relationships of { target, type }
+ */
+async function readRelationships(zip, relsPath, baseDir) {
+  const relationships = new Map();
+  const file = zip.file(relsPath);
+  if (!file) {
+    return relationships;
+  }
+
+  const xml = await file.async('string');
+  for (const [element] of xml.matchAll(/<Relationship\b[^>]*\/?>/g)) {
+    const id = element.match(/\bId="([^"]+)"/);
+    const target = element.match(/\bTarget="([^"]+)"/);
+    const type = element.match(/\bType="([^"]+)"/);
+    if (id && target) {
+      // Resolve "../notesSlides/notesSlide1.xml" style targets
+      const parts = `${baseDir}/${target[1]}`.split('/');
+      const resolved = [];
+      parts.forEach(part => {
+        if (part === '..') resolved.pop();
+        else if (part && part !== '.') resolved.push(part);
+      });
+      relationships.set(id[1], { target: resolved.join('/'), type: type ? type[1] : '' });
+    }
+  }
+  return relationships;
+}
+
+/**
+ * Parse PPTX buffer into slides with titles, body text, tables and speaker notes
+ * @param {Buffer} buffer - PPTX file buffer
+ * @returns {Promise<Object>} - { slideCount, slides: [{ slide, title, hidden, body: [{ text, level }], tables, notes }] }
+ */
+async function parsePptx(buffer) {
+  try {
+    // Validate buffer
+    if (!buffer || !Buffer.isBuffer(buffer)) {
+      throw new Error('Invalid PPTX buffer provided');
+    }
+
+    if (buffer.length === 0) {
+      throw new Error('Empty PPTX buffer provided');
+    }
+
+    const zip = await JSZip.loadAsync(buffer);
+    const presentation = zip.file('ppt/presentation.xml');
+    if (!presentation) {
+      throw new Error('Not a PowerPoint presentation (ppt/presentation.xml missing)');
+    }
+
+    // Slide order comes from the presentation's slide id list, not the file names
+    const presentationXml = await presentation.async('string');
+    const presentationRels = await readRelationships(zip, 'ppt/_rels/presentation.xml.rels', 'ppt');
+    const slidePaths = Array.from(presentationXml.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g))
+      .map(([, relId]) => presentationRels.get(relId))
+      .filter(Boolean)
+      .map(relationship => relationship.target);
+
+    const slides = [];
+    for (let index = 0; index < slidePaths.length; index++) {
+      const slidePath = slidePaths[index];
+      const slideFile = zip.file(slidePath);
+      if (!slideFile) continue;
+
+      const xml = await slideFile.async('string');
+      const slide = readSlideShapes(xml);
+
+      // Speaker notes live in a separate part linked from the slide's relationships
+      const slideDir = slidePath.substring(0, slidePath.lastIndexOf('/'));
+      const slideName = slidePath.substring(slidePath.lastIndexOf('/') + 1);
+      const slideRels = await readRelationships(zip, `${slideDir}/_rels/${slideName}.rels`, slideDir);
+      const notesRel = Array.from(slideRels.values()).find(relationship => relationship.type.endsWith('/notesSlide'));
+      let notes = '';
+      if (notesRel && zip.file(notesRel.target)) {
+        const notesXml = await zip.file(notesRel.target).async('string');
+        notes = readSlideShapes(notesXml).body.map(paragraph => paragraph.text).join('\n');
+      }
+
+      slides.push({
+        slide: index + 1,
+        title: slide.title,
+        hidden: /<p:sld\b[^>]*\bshow="(?:0|false)"/.test(xml),
+        body: slide.body,
+        tables: slide.tables,
+        notes
+      });
+    }
+
+    const hasText = slides.some(slide => slide.title || slide.body.length > 0 || slide.tables.length > 0 || slide.notes);
+    if (!hasText) {
+      throw new Error('No text content found in PPTX');
+    }
+
+    return { slideCount: slides.length, slides };
+  } catch (error) {
+    console.error('PPTX parsing error:', error.message);
+    throw new Error(`Failed to parse PPTX: ${error.message}`);
+  }
+}
+
+/**
+ * Render a slide's content (without notes) as Markdown-style text
+ * @param {Object} slide - Slide from parsePptx
+ * @returns {string} - Slide text
+ */
+function renderSlideContent(slide) {
+  const parts = [];
+  if (slide.title) {
+    parts.push(`# ${slide.title}`);
+  }
+  if (slide.body.length > 0) {
+    parts.push(slide.body.map(paragraph => `${'  '.repeat(paragraph.level)}- ${paragraph.text}`).join('\n'));
+  }
+  slide.tables.forEach(rows => parts.push(renderTable(rows)));
+  return parts.join('\n\n');
+}
+
+/**
+ * Render table rows as a pipe table
+ * @param {Array<Array<string>>} rows - Rows of cells (first row is the header)
+ * @returns {string} - Table text
+ */
+function renderTable(rows) {
+  const toRow = cells => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+  const [header, ...body] = rows;
+  return [toRow(header), toRow(header.map(() => '---')), ...body.map(toRow)].join('\n');
+}
+
+/**
+ * Format PPTX content for GPT prompt
+ * @param {Object} deck - Slide model from parsePptx
+ * @param {string} filename - PPTX filename
+ * @returns {string} - Formatted content for GPT
+ */
+function formatPptxForPrompt(deck, filename) {
+  const slides = (deck && deck.slides) || [];
+  if (slides.length === 0) {
+    return `PPTX file name: ${filename}\nPPTX content: No text content found`;
+  }
+
+  let formattedContent = `PPTX file name: ${filename}\n`;
+  formattedContent += `PPTX content (${deck.slideCount} slide${deck.slideCount !== 1 ? 's' : ''}; cite slides as "${filename} slide N"):\n`;
+
+  for (const slide of slides) {
+    formattedContent += `\n--- Slide ${slide.slide}${slide.hidden ? ' (hidden)' : ''} ---\n`;
+    const content = renderSlideContent(slide);
+    if (content) {
+      formattedContent += `${content}\n`;
+    }
+    if (slide.notes) {
+      formattedContent += `\nSpeaker notes:\n${slide.notes}\n`;
+    }
+  }
+
+  return formattedContent.trim();
+}
+
+/**
+ * Split PPTX into slide segments for retrieval indexing
+ * Body text, each table and the speaker notes are separate segments; the slide title is their shared header
+ * @param {Buffer} buffer - PPTX file buffer
+ * @returns {Promise<Array<Object>>} - Segments of { text, header?, location: { slide } }
+ */
+async function extractPptxSegments(buffer) {
+  const deck = await parsePptx(buffer);
+
+  return deck.slides.flatMap(slide => {
+    const base = { location: { slide: slide.slide } };
+    if (slide.title) {
+      base.header = `# ${slide.title}`;
+    }
+
+    const texts = [];
+    const body = renderSlideContent({ ...slide, title: null, tables: [] });
+    if (body) texts.push(body);
+    slide.tables.forEach(rows => texts.push(renderTable(rows)));
+    if (slide.notes) texts.push(`Speaker notes:\n${slide.notes}`);
+
+    // A slide with only a title is still findable by it
+    if (texts.length === 0 && slide.title) {
+      return [{ text: base.header, location: base.location }];
+    }
+    return texts.map(text => ({ ...base, text }));
+  });
+}
+
+module.exports = {
+  parsePptx,
+  formatPptxForPrompt,
+  extractPptxSegments,
+  // Shared with the other Office Open XML reader (processDocx.js)
+  decodeXml,
+  readRelationships,
+  renderTable
+};
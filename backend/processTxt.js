@@ -1,3 +1,5 @@
+const { decodeBuffer } = require('./services/textEncoding');
+
 /**
  * Parse TXT buffer into plain text string
  * @param {Buffer} buffer - TXT file buffer
@@ -14,20 +16,8 @@ async function parseTxt(buffer) {
       throw new Error('Empty TXT buffer provided');
     }
 
-    // Convert buffer to string with UTF-8 encoding
-    // Handle potential encoding issues gracefully
-    let text;
-    try {
-      text = buffer.toString('utf8');
-    } catch (encodingError) {
-      console.warn('UTF-8 decoding failed, trying latin1:', encodingError.message);
-      try {
-        text = buffer.toString('latin1');
-      } catch (fallbackError) {
-        console.warn('Latin1 decoding failed, using ascii:', fallbackError.message);
-        text = buffer.toString('ascii');
-      }
-    }
+    // Decode in the file's own encoding (UTF-8/16 with or without BOM, Windows-1252, Shift_JIS, ...)
+    const { text } = decodeBuffer(buffer);
 
     if (!text || text.trim().length === 0) {
       throw new Error('No text content found in TXT file');
@@ -71,7 +61,35 @@ function formatTxtForPrompt(text, filename) {
   return formattedContent;
 }
 
+/**
+ * Split TXT into line segments for retrieval indexing
+ * Line numbers refer to the original file, before blank lines are dropped
+ * @param {Buffer} buffer - TXT file buffer
+ * @returns {Promise<Array<Object>>} - Segments of { text, location: { line } }
+ */
+async function extractTxtSegments(buffer) {
+  if (!buffer || !Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new Error('Failed to parse TXT: Empty TXT buffer provided');
+  }
+
+  const segments = decodeBuffer(buffer).text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((line, index) => ({
+      text: line.replace(/[ \t]{2,}/g, ' ').trim(),
+      location: { line: index + 1 }
+    }))
+    .filter(segment => segment.text.length > 0);
+
+  if (segments.length === 0) {
+    throw new Error('Failed to parse TXT: No text content found in TXT file');
+  }
+
+  return segments;
+}
+
 module.exports = {
   parseTxt,
-  formatTxtForPrompt
+  formatTxtForPrompt,
+  extractTxtSegments
 };
@@ -1,9 +1,225 @@
 const XLSX = require('xlsx');
+const { toCsvLine } = require('./processCsv');
+
+// Limits for workbook parsing and prompt formatting
+const XLSX_CONFIG = {
+  HEADER_SCAN_ROWS: 5,        // Non-empty rows searched for the header row
+  MAX_FORMULAS_PER_SHEET: 200,
+  MAX_PROMPT_FORMULAS: 50,
+  TYPE_MATCH_RATIO: 0.95      // Share of non-empty values that must agree for a column type
+};
+
+/**
+ * Convert a cell to a typed value
+ * Dates become ISO strings (YYYY-MM-DD, or with a time part), times become HH:MM[:SS]
+ * @param {Object} cell - SheetJS cell
+ * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+ * @returns {*} - number, string, boolean or null
+ */
+function getCellValue(cell, date1904) {
+  if (!cell || cell.v === undefined || cell.v === null) {
+    return null;
+  }
+
+  switch (cell.t) {
+    case 'n': {
+      if (cell.z && XLSX.SSF.is_date(cell.z)) {
+        const parts = XLSX.SSF.parse_date_code(cell.v, { date1904 });
+        if (parts) {
+          const pad = (n) => String(n).padStart(2, '0');
+          const time = `${pad(parts.H)}:${pad(parts.M)}${parts.S ? `:${pad(parts.S)}` : ''}`;
+          // Serial numbers below 1 are times of day without a date
+          if (cell.v < 1) {
+            return time;
+          }
+          const date = `${parts.y}-${pad(parts.m)}-${pad(parts.d)}`;
+          return parts.H || parts.M || parts.S ? `${date}T${time}` : date;
+        }
+      }
+      return cell.v;
+    }
+    case 'b':
+      return cell.v;
+    case 'e':
+      return cell.w || '#ERROR';
+    case 'd':
+      return cell.v instanceof Date ? cell.v.toISOString() : String(cell.v);
+    default: {
+      const text = String(cell.v).trim();
+      return text.length > 0 ? text : null;
+    }
+  }
+}
+
+/**
+ * Infer a column type from typed cell values
+ * @param {Array} values - Typed values (nulls ignored)
+ * @returns {string} - 'number', 'date', 'boolean' or 'string'
+ */
+function inferType(values) {
+  const nonEmpty = values.filter(value => value !== null);
+  if (nonEmpty.length === 0) {
+    return 'string';
+  }
+
+  const counts = { number: 0, date: 0, boolean: 0 };
+  for (const value of nonEmpty) {
+    if (typeof value === 'number') counts.number++;
+    else if (typeof value === 'boolean') counts.boolean++;
+    else if (/^\d{4}-\d{2}-\d{2}/.test(value)) counts.date++;
+  }
+
+  const type = Object.keys(counts).find(key => counts[key] / nonEmpty.length >= XLSX_CONFIG.TYPE_MATCH_RATIO);
+  return type || 'string';
+}
+
+/**
+ * Check whether a row has no values
+ * @param {Array} values - Row values
+ * @returns {boolean} - True when every value is null
+ */
+function isBlankRow(values) {
+  return values.every(value => value === null);
+}
+
+/**
+ * Find the header row: the first of the leading non-empty rows with text labels in at least half the columns
+ * Earlier rows (report titles, notes) are returned separately
+ * @param {Array<Object>} rows - Non-empty rows of { index, values }
+ * @param {number} width - Number of columns
+ * @returns {number} - Position of the header row within rows
+ */
+function findHeaderRow(rows, width) {
+  const minFilled = Math.max(2, Math.ceil(width / 2));
+  const candidates = rows.slice(0, XLSX_CONFIG.HEADER_SCAN_ROWS);
+
+  const position = candidates.findIndex(row => {
+    const filled = row.values.filter(value => value !== null);
+    // A title merged across the sheet fills many cells with a single label, so count distinct labels
+    return new Set(filled).size >= Math.min(minFilled, width) && filled.every(value => typeof value === 'string');
+  });
+  return position === -1 ? 0 : position;
+}
+
+/**
+ * Give every column a distinct, non-empty name
+ * @param {Array<string>} names - Raw header names
+ * @returns {Array<string>} - Unique names ("Column N" for blanks, "_2" suffix for duplicates)
+ */
+function uniqueHeaders(names) {
+  const seen = new Map();
+  return names.map((name, index) => {
+    const base = name || `Column ${index + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base}_${count}`;
+  });
+}
+
+/**
+ * Build the model for one worksheet
+ * @param {Object} worksheet - SheetJS worksheet
+ * @param {string} name - Sheet name
+ * @param {Object} options - { hidden, date1904 }
+ * @returns {Object|null} - Sheet model, or null for an empty sheet
+ */
+function buildSheetModel(worksheet, name, { hidden, date1904 }) {
+  if (!worksheet || !worksheet['!ref']) {
+    return null;
+  }
+
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  const width = range.e.c - range.s.c + 1;
+  const merges = worksheet['!merges'] || [];
+  const formulas = [];
+
+  // Read the grid as typed values
+  const grid = [];
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const values = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const address = XLSX.utils.encode_cell({ r, c });
+      const cell = worksheet[address];
+      const value = getCellValue(cell, date1904);
+      values.push(value);
+
+      if (cell && cell.f && formulas.length < XLSX_CONFIG.MAX_FORMULAS_PER_SHEET) {
+        formulas.push({ cell: address, formula: cell.f, value });
+      }
+    }
+    grid.push(values);
+  }
+
+  // Merged cells repeat their value across the merged area so every row and header is complete
+  for (const merge of merges) {
+    const value = grid[merge.s.r - range.s.r]?.[merge.s.c - range.s.c] ?? null;
+    for (let r = merge.s.r; r <= merge.e.r; r++) {
+      for (let c = merge.s.c; c <= merge.e.c; c++) {
+        if (grid[r - range.s.r] && c - range.s.c < width) {
+          grid[r - range.s.r][c - range.s.c] = value;
+        }
+      }
+    }
+  }
+
+  const rows = grid
+    .map((values, index) => ({ index, values }))
+    .filter(row => !isBlankRow(row.values));
+  if (rows.length === 0) {
+    return null;
+  }
+
+  // Title rows above the header, then one header row (two when the header has merged group labels)
+  const headerPosition = findHeaderRow(rows, width);
+  const titleRows = rows.slice(0, headerPosition);
+  const headerRows = [rows[headerPosition]];
+
+  const headerIndex = rows[headerPosition].index + range.s.r;
+  const hasGroupLabels = merges.some(merge => merge.s.r === headerIndex && merge.e.r === headerIndex && merge.e.c > merge.s.c);
+  const nextRow = rows[headerPosition + 1];
+  if (hasGroupLabels && nextRow && nextRow.index === rows[headerPosition].index + 1 &&
+      nextRow.values.every(value => value === null || typeof value === 'string')) {
+    headerRows.push(nextRow);
+  }
+
+  const headers = uniqueHeaders(Array.from({ length: width }, (_, c) => {
+    const parts = headerRows
+      .map(row => (row.values[c] === null ? '' : String(row.values[c]).trim()))
+      .filter(Boolean);
+    // Vertically merged headers repeat the same label; keep it once
+    return Array.from(new Set(parts)).join(' ');
+  }));
+
+  const dataRows = rows.slice(headerPosition + headerRows.length).map(row => ({
+    row: row.index + range.s.r + 1,
+    values: row.values
+  }));
+
+  const columns = headers.map((header, c) => ({
+    name: header,
+    type: inferType(dataRows.map(row => row.values[c]))
+  }));
+
+  return {
+    name,
+    hidden,
+    range: worksheet['!ref'],
+    title: titleRows.map(row => Array.from(new Set(row.values.filter(value => value !== null))).join(' ')).join('\n') || null,
+    headerRows: headerRows.map(row => row.index + range.s.r + 1),
+    headers,
+    columns,
+    rows: dataRows,
+    rowCount: dataRows.length,
+    formulas,
+    merges: merges.map(merge => XLSX.utils.encode_range(merge))
+  };
+}
 
 /**
- * Parse XLSX buffer into text representation of all sheets
+ * Parse an XLSX buffer into a structured workbook model
  * @param {Buffer} buffer - XLSX file buffer
- * @returns {Promise<string>} - Combined text content from all sheets
+ * @returns {Promise<Object>} - { sheets: [{ name, hidden, range, title, headerRows, headers, columns,
+ *   rows: [{ row, values }], rowCount, formulas: [{ cell, formula, value }], merges }], namedRanges: [{ name, ref, scope }] }
  */
 async function parseXlsx(buffer) {
   try {
@@ -16,45 +232,42 @@ async function parseXlsx(buffer) {
       throw new Error('Empty XLSX buffer provided');
     }
 
-    // Parse XLSX using xlsx library
-    const workbook = XLSX.read(buffer, { type: 'buffer' });
-    
+    // Parse XLSX using xlsx library (number formats are needed to recognize dates)
+    const workbook = XLSX.read(buffer, { type: 'buffer', cellNF: true, cellFormula: true });
+
     if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
       throw new Error('No sheets found in XLSX file');
     }
 
-    let combinedText = '';
-    let hasContent = false;
+    const sheetProps = workbook.Workbook?.Sheets || [];
+    const date1904 = !!workbook.Workbook?.WBProps?.date1904;
+    const sheets = [];
 
-    // Process each sheet
-    for (const sheetName of workbook.SheetNames) {
-      const worksheet = workbook.Sheets[sheetName];
-      
-      if (!worksheet) {
+    workbook.SheetNames.forEach((sheetName, index) => {
+      const sheet = buildSheetModel(workbook.Sheets[sheetName], sheetName, {
+        hidden: !!sheetProps[index]?.Hidden, // 1 = hidden, 2 = very hidden
+        date1904
+      });
+      if (sheet) {
+        sheets.push(sheet);
+      } else {
         console.warn(`Sheet "${sheetName}" is empty or could not be read`);
-        continue;
-      }
-
-      // Convert sheet to CSV format
-      const csvData = XLSX.utils.sheet_to_csv(worksheet);
-      
-      if (csvData && csvData.trim().length > 0) {
-        hasContent = true;
-        
-        // Add sheet header
-        if (combinedText.length > 0) {
-          combinedText += '\n\n';
-        }
-        combinedText += `=== Sheet: ${sheetName} ===\n`;
-        combinedText += csvData;
       }
-    }
+    });
 
-    if (!hasContent) {
+    if (sheets.length === 0) {
       throw new Error('No data found in any sheets of the XLSX file');
     }
 
-    return combinedText.trim();
+    const namedRanges = (workbook.Workbook?.Names || [])
+      .filter(named => !named.Hidden && !named.Name.startsWith('_xlnm.'))
+      .map(named => ({
+        name: named.Name,
+        ref: named.Ref,
+        scope: named.Sheet !== undefined ? workbook.SheetNames[named.Sheet] : null
+      }));
+
+    return { sheets, namedRanges };
   } catch (error) {
     console.error('XLSX parsing error:', error.message);
     throw new Error(`Failed to parse XLSX: ${error.message}`);
@@ -62,31 +275,79 @@ async function parseXlsx(buffer) {
 }
 
 /**
- * Format XLSX content for GPT prompt
- * @param {string} text - Extracted XLSX text (CSV format)
+ * Format XLSX workbook model for GPT prompt
+ * @param {Object} workbook - Workbook model from parseXlsx
  * @param {string} filename - XLSX filename
  * @returns {string} - Formatted content for GPT
  */
-function formatXlsxForPrompt(text, filename) {
-  if (!text || text.trim().length === 0) {
+function formatXlsxForPrompt(workbook, filename) {
+  if (!workbook || !workbook.sheets || workbook.sheets.length === 0) {
     return `XLSX file name: ${filename}\nXLSX content: No data found`;
   }
 
-  // Count the number of sheets
-  const sheetCount = (text.match(/=== Sheet: /g) || []).length;
-  
-  // Count approximate rows (excluding sheet headers)
-  const totalLines = text.split('\n').length;
-  const approxDataRows = totalLines - (sheetCount * 2); // Subtract sheet headers
+  const { sheets, namedRanges = [] } = workbook;
+  const totalRows = sheets.reduce((total, sheet) => total + sheet.rowCount, 0);
+  const hiddenSheets = sheets.filter(sheet => sheet.hidden).map(sheet => sheet.name);
 
   let formattedContent = `XLSX file name: ${filename}\n`;
-  formattedContent += `XLSX content (${sheetCount} sheet${sheetCount !== 1 ? 's' : ''}, ~${Math.max(0, approxDataRows)} data rows):\n\n`;
-  formattedContent += text;
-  
-  return formattedContent;
+  formattedContent += `XLSX content (${sheets.length} sheet${sheets.length !== 1 ? 's' : ''}, ${totalRows} data rows`;
+  formattedContent += hiddenSheets.length > 0 ? `; hidden sheets: ${hiddenSheets.join(', ')})\n` : ')\n';
+
+  if (namedRanges.length > 0) {
+    formattedContent += `Named ranges: ${namedRanges.map(named => `${named.name} = ${named.ref}`).join('; ')}\n`;
+  }
+
+  for (const sheet of sheets) {
+    formattedContent += `\n=== Sheet: ${sheet.name}${sheet.hidden ? ' (hidden)' : ''} ===\n`;
+    if (sheet.title) {
+      formattedContent += `Title: ${sheet.title}\n`;
+    }
+    formattedContent += `${sheet.rowCount} rows; columns: ${sheet.columns.map(column => `${column.name} (${column.type})`).join(', ')}\n`;
+    formattedContent += `${toCsvLine(sheet.headers)}\n`;
+    formattedContent += sheet.rows.map(row => toCsvLine(row.values)).join('\n');
+    formattedContent += '\n';
+
+    if (sheet.formulas.length > 0) {
+      const shown = sheet.formulas.slice(0, XLSX_CONFIG.MAX_PROMPT_FORMULAS);
+      formattedContent += `Formulas${sheet.formulas.length > shown.length ? ` (first ${shown.length})` : ''}:\n`;
+      formattedContent += shown.map(formula => `${formula.cell}: =${formula.formula} -> ${formula.value}`).join('\n');
+      formattedContent += '\n';
+    }
+  }
+
+  return formattedContent.trim();
+}
+
+/**
+ * Split XLSX into row segments for retrieval indexing
+ * Row numbers match the spreadsheet; each chunk repeats the sheet's detected header
+ * @param {Buffer} buffer - XLSX file buffer
+ * @returns {Promise<Array<Object>>} - Segments of { text, header, location: { sheet, row } }
+ */
+async function extractXlsxSegments(buffer) {
+  const workbook = await parseXlsx(buffer);
+  const segments = [];
+
+  for (const sheet of workbook.sheets) {
+    const header = toCsvLine(sheet.headers);
+    for (const row of sheet.rows) {
+      segments.push({
+        text: toCsvLine(row.values),
+        header,
+        location: { sheet: sheet.name, row: row.row }
+      });
+    }
+  }
+
+  if (segments.length === 0) {
+    throw new Error('Failed to parse XLSX: No data rows found in any sheets of the XLSX file');
+  }
+
+  return segments;
 }
 
 module.exports = {
   parseXlsx,
-  formatXlsxForPrompt
+  formatXlsxForPrompt,
+  extractXlsxSegments
 };
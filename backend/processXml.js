@@ -0,0 +1,46 @@
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { buildStructuredModel, decodeText } = require('./processJson');
+
+// Elements become keys, attributes "@name" keys and mixed text "#text"; values stay text
+// (leading zeros and long IDs survive, and the table still infers number and date columns)
+const XML_PARSER_OPTIONS = {
+  ignoreAttributes: false,
+  attributeNamePrefix: '@',
+  textNodeName: '#text',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  ignoreDeclaration: true,
+  ignorePiTags: true,
+  processEntities: true,
+  htmlEntities: true
+};
+
+/**
+ * Parse an XML buffer into the structured data model
+ * Repeated sibling elements (e.g. <order> under <orders>) become the table rows
+ * @param {Buffer} buffer - XML file buffer
+ * @returns {Object} - Structured model (see buildStructuredModel in processJson.js)
+ */
+function parseXml(buffer) {
+  const text = decodeText(buffer, 'XML');
+
+  const validation = XMLValidator.validate(text);
+  if (validation !== true) {
+    throw new Error(`Invalid XML on line ${validation.err.line}: ${validation.err.msg}`);
+  }
+
+  const document = new XMLParser(XML_PARSER_OPTIONS).parse(text);
+  if (!document || Object.keys(document).length === 0) {
+    throw new Error('No elements found in XML');
+  }
+
+  return buildStructuredModel(document, {
+    format: 'XML',
+    describeRow: (path) => `row N is the Nth <${path.split('.').pop()}> element`
+  });
+}
+
+module.exports = {
+  parseXml
+};
@@ -0,0 +1,145 @@
+const JSZip = require('jszip');
+
+// Configuration constants for ZIP archives
+const ZIP_CONFIG = {
+  MAX_ENTRIES: 1000,                   // Archives with more files are rejected
+  MAX_EXPANDED_BYTES: 1024 * 1024 * 1024, // Total uncompressed size (guards against zip bombs)
+  MAX_LISTED_ENTRIES: 200              // Entries listed in the prompt
+};
+
+// Folders and files added by archivers rather than by the user (macOS resource forks, Finder and Explorer metadata)
+const SYSTEM_ENTRY_PATTERN = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$|desktop\.ini$)/i;
+
+/**
+ * Open a ZIP archive and list its files (folders and system files are left out)
+ * @param {Buffer} buffer - ZIP file buffer
+ * @returns {Promise<Object>} - { zip, entries: [{ path, size, date }] } where size is the declared uncompressed size
+ */
+async function openArchive(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new Error(`Not a readable ZIP archive (${error.message})`);
+  }
+
+  const entries = Object.values(zip.files)
+    .filter(entry => !entry.dir && !SYSTEM_ENTRY_PATTERN.test(entry.name))
+    .map(entry => ({
+      path: entry.name,
+      size: entry._data && Number.isFinite(entry._data.uncompressedSize) ? entry._data.uncompressedSize : 0,
+      date: entry.date && !Number.isNaN(entry.date.getTime()) ? entry.date.toISOString() : null
+    }));
+
+  if (entries.length > ZIP_CONFIG.MAX_ENTRIES) {
+    throw new Error(`Archive has ${entries.length} files (maximum ${ZIP_CONFIG.MAX_ENTRIES})`);
+  }
+  const totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+  if (totalBytes > ZIP_CONFIG.MAX_EXPANDED_BYTES) {
+    throw new Error(`Archive expands to ${Math.round(totalBytes / 1024 / 1024)}MB (maximum ${Math.round(ZIP_CONFIG.MAX_EXPANDED_BYTES / 1024 / 1024)}MB)`);
+  }
+
+  return { zip, entries };
+}
+
+/**
+ * Decompress one archive entry, stopping as soon as it grows past a size limit
+ * (declared sizes can be forged, so the limit is enforced on the actual output)
+ * @param {JSZip} zip - Opened archive
+ * @param {string} entryPath - Entry path
+ * @param {number} maxBytes - Largest allowed size
+ * @returns {Promise<Buffer>} - Entry content
+ */
+function readEntry(zip, entryPath, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = zip.file(entryPath).internalStream('uint8array');
+
+    stream
+      .on('data', chunk => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          stream.pause();
+          reject(new Error(`expands to more than ${Math.round(maxBytes / 1024 / 1024)}MB`));
+          return;
+        }
+        chunks.push(Buffer.from(chunk));
+      })
+      .on('error', error => reject(error))
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .resume();
+  });
+}
+
+/**
+ * Parse a ZIP archive into a listing of its files
+ * @param {Buffer} buffer - ZIP file buffer
+ * @returns {Promise<Object>} - { fileCount, totalBytes, entries: [{ path, size, date }] }
+ */
+async function parseZip(buffer) {
+  const { entries } = await openArchive(buffer);
+  if (entries.length === 0) {
+    throw new Error('Archive contains no files');
+  }
+
+  return {
+    fileCount: entries.length,
+    totalBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    entries
+  };
+}
+
+/**
+ * Format an archive listing for the GPT prompt
+ * @param {Object} archive - Parsed archive
+ * @param {string} fileName - Archive file name
+ * @returns {string} - Prompt text
+ */
+function formatZipForPrompt(archive, fileName) {
+  let content = `ZIP archive file name: ${fileName}\n`;
+  content += `Files: ${archive.fileCount} (${Math.round(archive.totalBytes / 1024)} KB uncompressed)\n`;
+  content += 'The files have not been expanded into sources, so only their names and sizes are known.\n\n';
+  content += archive.entries
+    .slice(0, ZIP_CONFIG.MAX_LISTED_ENTRIES)
+    .map(entry => `${entry.path} (${Math.max(1, Math.round(entry.size / 1024))} KB${entry.date ? `, ${entry.date}` : ''})`)
+    .join('\n');
+  if (archive.fileCount > ZIP_CONFIG.MAX_LISTED_ENTRIES) {
+    content += `\n... and ${archive.fileCount - ZIP_CONFIG.MAX_LISTED_ENTRIES} more`;
+  }
+  return content;
+}
+
+/**
+ * Split an archive listing into retrieval segments, one per file (cited by path)
+ * @param {Object} archive - Parsed archive
+ * @returns {Array<Object>} - Segments of { text, location: { path } }
+ */
+function extractZipSegments(archive) {
+  return archive.entries.map(entry => ({
+    text: `${entry.path} (${entry.size} bytes${entry.date ? `, modified ${entry.date}` : ''})`,
+    location: { path: entry.path }
+  }));
+}
+
+/**
+ * The files of an archive, read on demand so each can be checked before it is decompressed
+ * @param {Buffer} buffer - ZIP file buffer
+ * @returns {Promise<Array<Object>>} - Entries of { path, size, read(maxBytes) }
+ */
+async function zipEntries(buffer) {
+  const { zip, entries } = await openArchive(buffer);
+  return entries.map(entry => ({
+    path: entry.path,
+    size: entry.size,
+    read: (maxBytes) => readEntry(zip, entry.path, maxBytes)
+  }));
+}
+
+module.exports = {
+  parseZip,
+  formatZipForPrompt,
+  extractZipSegments,
+  zipEntries,
+  ZIP_CONFIG
+};
@@ -0,0 +1,28 @@
+/**
+ * Processor: CSV
+ * Delimited rows (comma, semicolon, tab or pipe, detected per file), previewed and queried as a table
+ */
+const { parseDelimited, formatDelimitedForPrompt, extractCsvSegments } = require('../processCsv');
+
+// The dialect option is the file's override ({ delimiter, quote, header }); unset settings are detected
+const readOptions = (options = {}) => ({ label: 'CSV', defaultDelimiter: 'comma', dialect: options.dialect });
+
+module.exports = {
+  name: 'csv',
+  label: 'CSV',
+  description: 'Analyze structured data, perform calculations, filter records',
+  extensions: ['.csv'],
+  mimeTypes: ['text/csv', 'application/csv'],
+  signature: null, // Plain text, no magic bytes
+  preview: 'table',
+  text: true,
+  delimited: true,
+
+  parse: (buffer, options) => parseDelimited(buffer, readOptions(options)),
+  formatForPrompt: (parsed, fileName) => formatDelimitedForPrompt(parsed, fileName, 'CSV'),
+  extractSegments: (buffer, options) => extractCsvSegments(buffer, readOptions(options)),
+  loadTables: async (buffer, options) => {
+    const { headers, records, dialect } = await parseDelimited(buffer, readOptions(options));
+    return [{ sheet: null, headers, rows: records, dialect }];
+  }
+};
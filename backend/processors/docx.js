@@ -0,0 +1,19 @@
+/**
+ * Processor: DOCX
+ * Word documents read as an outline: headings, paragraphs, numbered lists, tables, tracked changes and comments
+ */
+const { parseDocx, formatDocxForPrompt, extractDocxSegments } = require('../processDocx');
+
+module.exports = {
+  name: 'docx',
+  label: 'DOCX',
+  description: 'Analyze text, find information, summarize content',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  signature: [0x50, 0x4b, 0x03, 0x04], // ZIP container (PK\x03\x04)
+  preview: 'passages',
+
+  parse: parseDocx,
+  formatForPrompt: formatDocxForPrompt,
+  extractSegments: extractDocxSegments
+};
@@ -0,0 +1,20 @@
+/**
+ * Processor: EML
+ * Email messages: headers, body paragraphs, and attachments extracted as child sources
+ */
+const { parseEmail, formatEmailForPrompt, extractEmailSegments, emailChildren } = require('../processEmail');
+
+module.exports = {
+  name: 'eml',
+  label: 'EML',
+  description: 'Read emails and their attached files (each attachment becomes its own source)',
+  extensions: ['.eml'],
+  mimeTypes: ['message/rfc822'],
+  signature: null, // Plain text, no magic bytes
+  preview: 'passages',
+
+  parse: async (buffer) => parseEmail(buffer, 'eml'),
+  formatForPrompt: formatEmailForPrompt,
+  extractSegments: async (buffer) => extractEmailSegments(await parseEmail(buffer, 'eml')),
+  extractChildren: async (buffer, fileName) => emailChildren(await parseEmail(buffer, 'eml'), fileName)
+};
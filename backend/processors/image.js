@@ -0,0 +1,24 @@
+/**
+ * Processor: Images
+ * Scans and photos (PNG, JPEG, multi-page TIFF) read page by page with local OCR
+ */
+const { parseImage, formatImageForPrompt, extractImageSegments } = require('../processImage');
+
+module.exports = {
+  name: 'image',
+  label: 'Image',
+  description: 'Read scanned certificates, forms and photos of documents with OCR',
+  extensions: ['.png', '.jpg', '.jpeg', '.tif', '.tiff'],
+  mimeTypes: ['image/png', 'image/jpeg', 'image/tiff'],
+  signature: [
+    [0x89, 0x50, 0x4e, 0x47], // PNG
+    [0xff, 0xd8, 0xff],       // JPEG
+    [0x49, 0x49, 0x2a, 0x00], // TIFF (little-endian)
+    [0x4d, 0x4d, 0x00, 0x2a]  // TIFF (big-endian)
+  ],
+  preview: 'passages',
+
+  parse: parseImage,
+  formatForPrompt: formatImageForPrompt,
+  extractSegments: extractImageSegments
+};
@@ -0,0 +1,169 @@
+/**
+ * File Processor Registry
+ *
+ * Every .js file in this directory (except index.js) is a processor module exporting:
+ * - name: Format id (e.g. 'csv')
+ * - label: Display name (e.g. 'CSV')
+ * - description: What users can do with the format (shown in the upload help)
+ * - extensions: Lower-case file extensions including the dot (e.g. ['.csv'])
+ * - mimeTypes: Content types accepted for upload
+ * - signature: Magic bytes the file must start with, a list of alternatives, or null for text formats
+ * - preview: 'table' (rows in the data table) or 'passages' (text excerpts)
+ * - text: Optional; true for text formats, whose detected character encoding is stored as blob metadata
+ * - delimited: Optional; true for delimited text formats, whose dialect can be overridden per file
+ * - parse(buffer, options): Async function returning the parsed document
+ * - formatForPrompt(parsed, fileName): Prompt text for the parsed document
+ * - extractSegments(buffer, options): Async function returning retrieval segments ({ text, header?, location })
+ * - loadTables(buffer, options): Optional async function returning tables for row queries and the table preview
+ * - extractChildren(buffer, fileName): Optional async function returning embedded files (email attachments)
+ *   as [{ fileName, contentType, content, label }], stored as child sources by services/childSources.js
+ * - extractEntries(buffer): Optional async function returning the files of an archive as [{ path, size, read(maxBytes) }],
+ *   expanded into sources of their own by services/archives.js
+ *
+ * options carries per-file settings from the blob's metadata (see getProcessorOptions).
+ *
+ * Chat, conversation suggestions, retrieval indexing, upload validation and
+ * GET /api/files/formats all read from this registry, so a new format is one module.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Processor registry keyed by extension (loaded once, on first use)
+let registry = null;
+
+/**
+ * Load and validate all processor modules from this directory
+ * @returns {Map<string, Object>} - Processor modules keyed by extension
+ */
+function loadRegistry() {
+  if (registry) {
+    return registry;
+  }
+
+  registry = new Map();
+  const files = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort();
+
+  for (const file of files) {
+    const processor = require(path.join(__dirname, file));
+
+    const hasFunctions = ['parse', 'formatForPrompt', 'extractSegments']
+      .every(field => typeof processor[field] === 'function');
+    if (!processor.name || !Array.isArray(processor.extensions) || processor.extensions.length === 0 ||
+        !Array.isArray(processor.mimeTypes) || !hasFunctions) {
+      console.warn(`⚠️  Skipping processors/${file}: processors must export name, extensions, mimeTypes, parse, formatForPrompt and extractSegments`);
+      continue;
+    }
+
+    const duplicate = processor.extensions.find(extension => registry.has(extension.toLowerCase()));
+    if (duplicate) {
+      console.warn(`⚠️  Skipping processors/${file}: extension "${duplicate}" is already handled by ${registry.get(duplicate.toLowerCase()).name}`);
+      continue;
+    }
+
+    processor.extensions.forEach(extension => registry.set(extension.toLowerCase(), processor));
+  }
+
+  console.log(`✅ Loaded file processors:`, getSupportedExtensions().join(', '));
+  return registry;
+}
+
+/**
+ * Get the lower-case extension of a file name, including the dot
+ * @param {string} fileName - File name
+ * @returns {string} - Extension (e.g. '.csv'), or '' when there is none
+ */
+function getExtension(fileName) {
+  const name = String(fileName || '');
+  const dotIndex = name.lastIndexOf('.');
+  return dotIndex === -1 ? '' : name.substring(dotIndex).toLowerCase();
+}
+
+/**
+ * Find the processor for a file
+ * @param {string} fileName - File name with extension
+ * @returns {Object|null} - Processor module, or null when the format is unsupported
+ */
+function getProcessor(fileName) {
+  return loadRegistry().get(getExtension(fileName)) || null;
+}
+
+/**
+ * Distinct processors in load order
+ * @returns {Array<Object>} - Processor modules
+ */
+function listProcessors() {
+  return Array.from(new Set(loadRegistry().values()));
+}
+
+/**
+ * All supported extensions
+ * @returns {Array<string>} - Extensions including the dot
+ */
+function getSupportedExtensions() {
+  return Array.from(loadRegistry().keys());
+}
+
+/**
+ * All content types accepted for upload
+ * @returns {Array<string>} - MIME types
+ */
+function getSupportedContentTypes() {
+  return Array.from(new Set(listProcessors().flatMap(processor => processor.mimeTypes.map(type => type.toLowerCase()))));
+}
+
+/**
+ * Per-file settings passed to a processor's parse, extractSegments and loadTables
+ * @param {Object} file - File entry from listUserFiles ({ name, dialect })
+ * @returns {Object} - { dialect } where dialect is the delimited-file override or null
+ */
+function getProcessorOptions(file) {
+  return { dialect: file.dialect || null };
+}
+
+/**
+ * Check a file's leading bytes against its processor's magic-byte signature
+ * @param {Object} processor - Processor module
+ * @param {Buffer} buffer - File content (only the first bytes are needed)
+ * @returns {boolean} - True when the bytes match (any alternative) or the format has no signature
+ */
+function matchesSignature(processor, buffer) {
+  if (!processor.signature) {
+    return true;
+  }
+  const signatures = Array.isArray(processor.signature[0]) ? processor.signature : [processor.signature];
+  return Buffer.isBuffer(buffer) && signatures.some(signature =>
+    buffer.length >= signature.length &&
+    signature.every((byte, index) => buffer[index] === byte));
+}
+
+/**
+ * Describe the supported formats for clients (no functions)
+ * @returns {Array<Object>} - Formats of { name, label, description, extensions, mimeTypes, preview, children, archive }
+ *   where children is true for formats whose embedded files are extracted after upload, and archive for
+ *   formats expanded into their files after upload
+ */
+function listFormats() {
+  return listProcessors().map(processor => ({
+    name: processor.name,
+    label: processor.label || processor.name.toUpperCase(),
+    description: processor.description || '',
+    extensions: processor.extensions,
+    mimeTypes: processor.mimeTypes,
+    preview: processor.preview || 'passages',
+    children: typeof processor.extractChildren === 'function',
+    archive: typeof processor.extractEntries === 'function'
+  }));
+}
+
+module.exports = {
+  getExtension,
+  getProcessor,
+  getSupportedExtensions,
+  getSupportedContentTypes,
+  getProcessorOptions,
+  matchesSignature,
+  listFormats
+};
@@ -0,0 +1,21 @@
+/**
+ * Processor: JSON
+ * Arrays of records are flattened into a table; nested documents are kept as an outline
+ */
+const { parseJson, structuredModelToTables, formatStructuredForPrompt, extractStructuredSegments } = require('../processJson');
+
+module.exports = {
+  name: 'json',
+  label: 'JSON',
+  description: 'Query exported records as a table, or read nested documents as an outline',
+  extensions: ['.json'],
+  mimeTypes: ['application/json', 'text/json'],
+  signature: null, // Plain text, no magic bytes
+  preview: 'table',
+  text: true,
+
+  parse: async (buffer) => parseJson(buffer),
+  formatForPrompt: formatStructuredForPrompt,
+  extractSegments: async (buffer) => extractStructuredSegments(parseJson(buffer)),
+  loadTables: async (buffer) => structuredModelToTables(parseJson(buffer))
+};
@@ -0,0 +1,21 @@
+/**
+ * Processor: JSONL
+ * JSON Lines exports (one record per line), queried as a table with line numbers as rows
+ */
+const { parseJsonl, structuredModelToTables, formatStructuredForPrompt, extractStructuredSegments } = require('../processJson');
+
+module.exports = {
+  name: 'jsonl',
+  label: 'JSONL',
+  description: 'Query line-delimited JSON records as a table',
+  extensions: ['.jsonl', '.ndjson'],
+  mimeTypes: ['application/jsonl', 'application/x-jsonlines', 'application/x-ndjson', 'application/ndjson'],
+  signature: null, // Plain text, no magic bytes
+  preview: 'table',
+  text: true,
+
+  parse: async (buffer) => parseJsonl(buffer),
+  formatForPrompt: formatStructuredForPrompt,
+  extractSegments: async (buffer) => extractStructuredSegments(parseJsonl(buffer)),
+  loadTables: async (buffer) => structuredModelToTables(parseJsonl(buffer))
+};
@@ -0,0 +1,20 @@
+/**
+ * Processor: MSG
+ * Outlook messages: headers, body paragraphs, and attachments extracted as child sources
+ */
+const { parseEmail, formatEmailForPrompt, extractEmailSegments, emailChildren } = require('../processEmail');
+
+module.exports = {
+  name: 'msg',
+  label: 'MSG',
+  description: 'Read Outlook emails and their attached files (each attachment becomes its own source)',
+  extensions: ['.msg'],
+  mimeTypes: ['application/vnd.ms-outlook'],
+  signature: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1], // OLE compound file
+  preview: 'passages',
+
+  parse: async (buffer) => parseEmail(buffer, 'msg'),
+  formatForPrompt: formatEmailForPrompt,
+  extractSegments: async (buffer) => extractEmailSegments(await parseEmail(buffer, 'msg')),
+  extractChildren: async (buffer, fileName) => emailChildren(await parseEmail(buffer, 'msg'), fileName)
+};
@@ -0,0 +1,19 @@
+/**
+ * Processor: PDF
+ * Page-by-page text with headings and tables; scanned pages are read with OCR
+ */
+const { parsePdf, formatPdfForPrompt, extractPdfSegments } = require('../processPdf');
+
+module.exports = {
+  name: 'pdf',
+  label: 'PDF',
+  description: 'Extract and search text content from documents',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+  signature: [0x25, 0x50, 0x44, 0x46, 0x2d], // %PDF-
+  preview: 'passages',
+
+  parse: parsePdf,
+  formatForPrompt: formatPdfForPrompt,
+  extractSegments: extractPdfSegments
+};
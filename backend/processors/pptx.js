@@ -0,0 +1,19 @@
+/**
+ * Processor: PPTX
+ * Slide decks with titles, body text, tables and speaker notes per slide
+ */
+const { parsePptx, formatPptxForPrompt, extractPptxSegments } = require('../processPptx');
+
+module.exports = {
+  name: 'pptx',
+  label: 'PPTX',
+  description: 'Summarize slide decks, find figures in tables, read speaker notes',
+  extensions: ['.pptx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  signature: [0x50, 0x4b, 0x03, 0x04], // ZIP container (PK\x03\x04)
+  preview: 'passages',
+
+  parse: parsePptx,
+  formatForPrompt: formatPptxForPrompt,
+  extractSegments: extractPptxSegments
+};
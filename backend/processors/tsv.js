@@ -0,0 +1,28 @@
+/**
+ * Processor: TSV
+ * Tab-separated rows (other delimiters are still detected), previewed and queried as a table
+ */
+const { parseDelimited, formatDelimitedForPrompt, extractCsvSegments } = require('../processCsv');
+
+// The dialect option is the file's override ({ delimiter, quote, header }); unset settings are detected
+const readOptions = (options = {}) => ({ label: 'TSV', defaultDelimiter: 'tab', dialect: options.dialect });
+
+module.exports = {
+  name: 'tsv',
+  label: 'TSV',
+  description: 'Analyze tab-separated data, perform calculations, filter records',
+  extensions: ['.tsv', '.tab'],
+  mimeTypes: ['text/tab-separated-values'],
+  signature: null, // Plain text, no magic bytes
+  preview: 'table',
+  text: true,
+  delimited: true,
+
+  parse: (buffer, options) => parseDelimited(buffer, readOptions(options)),
+  formatForPrompt: (parsed, fileName) => formatDelimitedForPrompt(parsed, fileName, 'TSV'),
+  extractSegments: (buffer, options) => extractCsvSegments(buffer, readOptions(options)),
+  loadTables: async (buffer, options) => {
+    const { headers, records, dialect } = await parseDelimited(buffer, readOptions(options));
+    return [{ sheet: null, headers, rows: records, dialect }];
+  }
+};
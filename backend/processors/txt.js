@@ -0,0 +1,20 @@
+/**
+ * Processor: TXT
+ * Plain text split into paragraphs
+ */
+const { parseTxt, formatTxtForPrompt, extractTxtSegments } = require('../processTxt');
+
+module.exports = {
+  name: 'txt',
+  label: 'TXT',
+  description: 'Analyze plain text content, extract information, answer questions',
+  extensions: ['.txt', '.log'],
+  mimeTypes: ['text/plain'],
+  signature: null, // Plain text, no magic bytes
+  preview: 'passages',
+  text: true,
+
+  parse: parseTxt,
+  formatForPrompt: formatTxtForPrompt,
+  extractSegments: extractTxtSegments
+};
@@ -0,0 +1,30 @@
+/**
+ * Processor: XLSX
+ * Workbooks with typed sheets, previewed and queried as tables
+ */
+const { parseXlsx, formatXlsxForPrompt, extractXlsxSegments } = require('../processXlsx');
+
+module.exports = {
+  name: 'xlsx',
+  label: 'XLSX',
+  description: 'Process spreadsheet data from multiple sheets and tables',
+  extensions: ['.xlsx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  signature: [0x50, 0x4b, 0x03, 0x04], // ZIP container (PK\x03\x04)
+  preview: 'table',
+
+  parse: parseXlsx,
+  formatForPrompt: formatXlsxForPrompt,
+  extractSegments: extractXlsxSegments,
+  loadTables: async (buffer) => {
+    // Typed workbook cells keep their types; text columns may still hold numbers or dates
+    const workbook = await parseXlsx(buffer);
+    return workbook.sheets.map(sheet => ({
+      sheet: sheet.name,
+      hidden: sheet.hidden,
+      headers: sheet.headers,
+      rows: sheet.rows,
+      types: sheet.columns.map(column => (column.type === 'string' ? null : column.type))
+    }));
+  }
+};
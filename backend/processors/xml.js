@@ -0,0 +1,22 @@
+/**
+ * Processor: XML
+ * Repeated elements are flattened into a table; other documents are kept as an outline
+ */
+const { parseXml } = require('../processXml');
+const { structuredModelToTables, formatStructuredForPrompt, extractStructuredSegments } = require('../processJson');
+
+module.exports = {
+  name: 'xml',
+  label: 'XML',
+  description: 'Query repeated elements as a table, or read nested documents as an outline',
+  extensions: ['.xml'],
+  mimeTypes: ['application/xml', 'text/xml'],
+  signature: null, // Plain text, no magic bytes
+  preview: 'table',
+  text: true,
+
+  parse: async (buffer) => parseXml(buffer),
+  formatForPrompt: formatStructuredForPrompt,
+  extractSegments: async (buffer) => extractStructuredSegments(parseXml(buffer)),
+  loadTables: async (buffer) => structuredModelToTables(parseXml(buffer))
+};
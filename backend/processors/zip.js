@@ -0,0 +1,23 @@
+/**
+ * Processor: ZIP
+ * Archives expanded into one source per file after upload; until then, a listing of their files
+ */
+const { parseZip, formatZipForPrompt, extractZipSegments, zipEntries } = require('../processZip');
+
+module.exports = {
+  name: 'zip',
+  label: 'ZIP',
+  description: 'Upload many files at once (each supported file in the archive becomes its own source)',
+  extensions: ['.zip'],
+  mimeTypes: ['application/zip', 'application/x-zip-compressed'],
+  signature: [
+    [0x50, 0x4b, 0x03, 0x04], // PK\3\4 (local file header)
+    [0x50, 0x4b, 0x05, 0x06]  // PK\5\6 (empty archive)
+  ],
+  preview: 'passages',
+
+  parse: parseZip,
+  formatForPrompt: formatZipForPrompt,
+  extractSegments: async (buffer) => extractZipSegments(await parseZip(buffer)),
+  extractEntries: zipEntries
+};
@@ -72,6 +72,11 @@ Your role is to answer questions using only the provided document data.
 - Start each major section with a heading (\`### Section Title\`).
 - Prioritize **human-readability** — responses should look clean, structured, and easy to skim.
 
+### **Calculation Guidelines**
+- For CSV, TSV and XLSX files, use \`query_table\` for counting, filtering, date ranges, grouping, totals, averages, medians, percentiles and top-N questions. It reads every row, while the data shown below may only be an excerpt. Use \`describe_table\` first if you are unsure of column names.
+- For numbers found in other documents, use the calculation tools (sums, averages, medians). Never estimate or add up values yourself.
+- Report the values returned by the tools exactly.
+
 ### **Citation Guidelines**
 - When referencing specific document content, use inline citations like this:  
   Important information [1]
@@ -84,6 +89,12 @@ Your role is to answer questions using only the provided document data.
   **References**
   [1] Source Title (e.g. filename.pdf)
   \`\`\`
+- For PDF files, always include the page the information came from, written as \`filename.pdf p.12\` (e.g. [1] mixing_tank_manual.pdf p.3). Pages are marked in the document data as "--- Page N ---" or in the excerpt labels.
+- For PPTX files, include the slide number, written as \`filename.pptx slide 4\` (e.g. [2] q3_review.pptx slide 4). Slides are marked as "--- Slide N ---"; speaker notes belong to the slide they follow.
+- Scanned pages and images were read by OCR and are marked with their OCR confidence. When the confidence is low, or a paragraph is flagged "[low OCR confidence]", mention that figures, codes and names may be misread.
+- For DOCX files, include the section heading the information is under, written as \`filename.docx, section "Heading"\` (e.g. [2] mixing_tank_manual.docx, section "2.1 Specifications"). Tracked changes are marked [+inserted+] and [-deleted-] and reviewer comments as [Comment by ...]; say so when an answer depends on an unaccepted change or a comment rather than the document text.
+- For emails (.eml, .msg), cite the sender, recipients, date or subject as \`filename.eml, section "Headers"\` and the message text by paragraph (e.g. [1] complaint.eml, paragraph 2). Files attached to an email are cited by their origin with the usual location (e.g. [2] attachment 1 of email complaint.eml, rows 2-9).
+- For JSON, JSONL and XML files, cite records as rows (e.g. [3] orders.json row 12) and nested document sections by path (e.g. [4] config.json path servers.primary).
 
 ${fileContent}
 `;
@@ -36,7 +36,28 @@ function multiFileSuggestionPrompt(filesData) {
         contentPreview = file.content.substring(0, 250) + (file.content.length > 250 ? '...' : '');
         contextualHints = 'spreadsheet data, calculations, worksheet content';
         break;
+
+      case 'pptx':
+        contentPreview = file.content.substring(0, 300) + (file.content.length > 300 ? '...' : '');
+        contextualHints = 'slide content, key messages, figures in slide tables, speaker notes';
+        break;
         
+      case 'png':
+      case 'jpg':
+      case 'jpeg':
+      case 'tif':
+      case 'tiff':
+        contentPreview = file.content.substring(0, 300) + (file.content.length > 300 ? '...' : '');
+        contextualHints = 'scanned document text, names, dates, reference numbers';
+        break;
+
+      case 'json':
+      case 'jsonl':
+      case 'xml':
+        contentPreview = file.content.substring(0, 300) + (file.content.length > 300 ? '...' : '');
+        contextualHints = 'record fields, counts and totals, nested document structure';
+        break;
+
       case 'txt':
         contentPreview = file.content.substring(0, 250) + (file.content.length > 250 ? '...' : '');
         contextualHints = 'text content, themes, information extraction';
@@ -115,7 +136,31 @@ module.exports.suggestionPrompt = (fileName, fileType, fileContent) => {
       contentPreview = fileContent.substring(0, 400) + (fileContent.length > 400 ? '...' : '');
       contextualHints = 'Focus on spreadsheet data, calculations, and worksheet content.';
       break;
+
+    case 'pptx':
+      // For slide decks, show the first slides (titles, bullets and notes)
+      contentPreview = fileContent.substring(0, 600) + (fileContent.length > 600 ? '...' : '');
+      contextualHints = 'Focus on the key messages of the slides, figures in slide tables, and what the speaker notes add.';
+      break;
       
+    case 'png':
+    case 'jpg':
+    case 'jpeg':
+    case 'tif':
+    case 'tiff':
+      // For scans, the preview is the OCR text of the first page
+      contentPreview = fileContent.substring(0, 500) + (fileContent.length > 500 ? '...' : '');
+      contextualHints = 'Focus on what the scanned document states: names, dates, reference numbers and results.';
+      break;
+
+    case 'json':
+    case 'jsonl':
+    case 'xml':
+      // For structured data, the preview starts with the record headers (or the document outline)
+      contentPreview = fileContent.substring(0, 500) + (fileContent.length > 500 ? '...' : '');
+      contextualHints = 'Focus on the record fields, counts and totals across records, or the structure of nested settings.';
+      break;
+
     case 'txt':
       // For text files, use first 400 characters
       contentPreview = fileContent.substring(0, 400) + (fileContent.length > 400 ? '...' : '');
@@ -2,17 +2,12 @@ const express = require('express');
 const router = express.Router();
 const cosmosService = require('../services/cosmos');
 const { requireAuth } = require('../middleware/auth');
-const { getBlobContent } = require('../services/storage');
+const { listUserFiles, getProjectPrefix, getProjectBlobName } = require('../services/storage');
+const { getParsedFileContent } = require('../services/parseCache');
+const { exportConversation, EXPORT_CONFIG } = require('../services/conversationExport');
 const { suggestionPrompt, multiFileSuggestionPrompt } = require('../prompts/suggestionPrompt');
 const { OpenAI } = require('openai');
 
-// Import file processing functions
-const { parseCsv, formatCsvForPrompt } = require('../processCsv');
-const { parsePdf, formatPdfForPrompt } = require('../processPdf');
-const { parseDocx, formatDocxForPrompt } = require('../processDocx');
-const { parseXlsx, formatXlsxForPrompt } = require('../processXlsx');
-const { parseTxt, formatTxtForPrompt } = require('../processTxt');
-
 // Initialize OpenAI client for suggestions (matching main chat config)
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
@@ -26,124 +21,6 @@ const openai = new OpenAI({
 // Apply authentication to all conversation routes
 router.use(requireAuth);
 
-/**
- * Parse multiple files and combine their content
- * @param {Array<string>} fileNames - Array of file names
- * @param {string} userId - User ID for file access
- * @returns {Promise<string>} - Combined formatted content for GPT prompt
- */
-async function parseMultipleFiles(fileNames, userId) {
-  if (!Array.isArray(fileNames) || fileNames.length === 0) {
-    throw new Error('fileNames must be a non-empty array');
-  }
-
-  // Validate file count limit
-  if (fileNames.length > 5) {
-    throw new Error('Maximum of 5 files can be processed at once');
-  }
-
-  const fileContents = [];
-  
-  for (const fileName of fileNames) {
-    try {
-      // Get blob content and parse file
-      const blobBuffer = await getBlobContent(userId, fileName);
-      const content = await parseFileContent(blobBuffer, fileName);
-      
-      // Get file type for formatting
-      const fileExtension = fileName.toLowerCase().substring(fileName.lastIndexOf('.') + 1);
-      
-      fileContents.push({
-        fileName,
-        content,
-        type: fileExtension.toUpperCase()
-      });
-    } catch (error) {
-      console.error(`Error processing file "${fileName}":`, error.message);
-      throw new Error(`Failed to process file "${fileName}": ${error.message}`);
-    }
-  }
-  
-  return formatMultiFilePrompt(fileContents);
-}
-
-/**
- * Format multiple file contents into a single prompt
- * @param {Array<Object>} filesData - Array of {fileName, content, type}
- * @returns {string} - Formatted multi-file prompt
- */
-function formatMultiFilePrompt(filesData) {
-  if (!Array.isArray(filesData) || filesData.length === 0) {
-    throw new Error('filesData must be a non-empty array');
-  }
-
-  // If only one file, return single file format for consistency
-  if (filesData.length === 1) {
-    return filesData[0].content;
-  }
-
-  let prompt = `You are analyzing ${filesData.length} documents. Here are the files:\n\n`;
-  
-  filesData.forEach((file, index) => {
-    prompt += `=== FILE ${index + 1}: ${file.fileName} ===\n`;
-    prompt += `File Type: ${file.type}\n\n`;
-    prompt += file.content;
-    prompt += `\n\n`;
-  });
-  
-  prompt += `When answering questions:
-- Specify which file(s) contain the relevant information
-- Cross-reference data between files when applicable
-- If data spans multiple files, provide a comprehensive answer
-- Use the format "From [filename]:" when citing specific file sources\n\n`;
-  
-  return prompt;
-}
-
-/**
- * Parse file content based on file extension
- * @param {Buffer} buffer - File buffer
- * @param {string} fileName - File name with extension
- * @returns {Promise<string>} - Formatted content for GPT prompt
- */
-async function parseFileContent(buffer, fileName) {
-  // Get file extension (case-insensitive)
-  const fileExtension = fileName.toLowerCase().substring(fileName.lastIndexOf('.'));
-  
-  try {
-    switch (fileExtension) {
-      case '.csv':
-        const csvRows = await parseCsv(buffer);
-        if (!csvRows || csvRows.length === 0) {
-          throw new Error('CSV file is empty or contains no data');
-        }
-        return formatCsvForPrompt(csvRows, fileName);
-        
-      case '.pdf':
-        const pdfText = await parsePdf(buffer);
-        return formatPdfForPrompt(pdfText, fileName);
-        
-      case '.docx':
-        const docxText = await parseDocx(buffer);
-        return formatDocxForPrompt(docxText, fileName);
-        
-      case '.xlsx':
-        const xlsxText = await parseXlsx(buffer);
-        return formatXlsxForPrompt(xlsxText, fileName);
-        
-      case '.txt':
-        const txtText = await parseTxt(buffer);
-        return formatTxtForPrompt(txtText, fileName);
-        
-      default:
-        throw new Error(`Unsupported file type: ${fileExtension}`);
-    }
-  } catch (error) {
-    console.error(`Error parsing ${fileExtension} file "${fileName}":`, error.message);
-    throw new Error(`Failed to parse ${fileExtension.toUpperCase()} file: ${error.message}`);
-  }
-}
-
 /**
  * Generate suggested questions for a file using GPT
  * @param {string} fileName - Name of the file
@@ -283,7 +160,7 @@ function getMultiFileFallbackSuggestions(filesData) {
   // Customize based on file types
   if (fileTypes.includes('csv') && fileTypes.length > 1) {
     suggestions[0] = 'How do the data patterns in the CSV files relate to the other documents?';
-  } else if (fileTypes.every(type => ['pdf', 'docx', 'txt'].includes(type))) {
+  } else if (fileTypes.every(type => ['pdf', 'docx', 'pptx', 'txt', 'png', 'jpg', 'jpeg', 'tif', 'tiff'].includes(type))) {
     suggestions[0] = 'What are the common themes and differences across these documents?';
   } else if (fileTypes.includes('xlsx')) {
     suggestions[1] = 'What correlations exist between the spreadsheet data and other files?';
@@ -299,6 +176,10 @@ function getMultiFileFallbackSuggestions(filesData) {
  * @returns {Array<string>} - Fallback suggestions
  */
 function getFallbackSuggestions(fileExtension, fileName) {
+  const imageFallbacks = [
+    "What does this scanned document say?",
+    "What names, dates and reference numbers appear in it?"
+  ];
   const fallbacks = {
     csv: [
       "What are the main columns and data types in this dataset?",
@@ -316,10 +197,31 @@ function getFallbackSuggestions(fileExtension, fileName) {
       "What sheets are available and what data do they contain?",
       "Can you analyze the numerical data in this spreadsheet?"
     ],
+    pptx: [
+      "What are the key messages of this presentation?",
+      "What figures and results are reported in the slides?"
+    ],
+    json: [
+      "What fields does each record have, and how many records are there?",
+      "Can you summarize the records by their most important field?"
+    ],
+    jsonl: [
+      "What fields does each record have, and how many records are there?",
+      "Can you summarize the records by their most important field?"
+    ],
+    xml: [
+      "What elements and fields does this file contain?",
+      "Can you summarize the repeated records in this file?"
+    ],
     txt: [
       "What are the main themes discussed in this text?",
       "Can you provide a summary of the content?"
-    ]
+    ],
+    png: imageFallbacks,
+    jpg: imageFallbacks,
+    jpeg: imageFallbacks,
+    tif: imageFallbacks,
+    tiff: imageFallbacks
   };
   
   const suggestions = fallbacks[fileExtension] || [
@@ -372,11 +274,30 @@ router.get('/', async (req, res) => {
 router.post('/', async (req, res) => {
   try {
     const user = req.user;
-    const { fileName, fileNames, title } = req.body;
+    const { fileName, fileNames, fileIds, projectId, title } = req.body;
+
+    // Project conversations must reference a project owned by the user
+    if (projectId) {
+      try {
+        await cosmosService.getProject(projectId, user.id);
+      } catch (error) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found',
+          message: `Project '${projectId}' does not exist or you don't have access to it`
+        });
+      }
+    }
 
     // Support both single file (backward compatibility) and multiple files
     let targetFileNames = [];
-    if (fileNames && Array.isArray(fileNames)) {
+    if (projectId && Array.isArray(fileIds)) {
+      // Project file IDs may be full blob names or names relative to the project
+      const projectPrefix = getProjectPrefix(projectId);
+      targetFileNames = fileIds.filter(id => typeof id === 'string').map(id =>
+        id.startsWith(projectPrefix) ? id : getProjectBlobName(projectId, id)
+      );
+    } else if (fileNames && Array.isArray(fileNames)) {
       targetFileNames = fileNames;
     } else if (fileName) {
       targetFileNames = [fileName];
@@ -402,17 +323,19 @@ router.post('/', async (req, res) => {
     // Generate suggestions by analyzing the file content(s)
     let suggestions = [];
     try {
+      // ETags from the listing let unchanged files come from the parse cache
+      const userFiles = await listUserFiles(user.id);
+      const getFileEntry = (name) => userFiles.find(file => file.name === name) || { name };
+
       if (targetFileNames.length === 1) {
         // Single file suggestions (existing logic)
-        const fileBuffer = await getBlobContent(user.id, targetFileNames[0]);
-        const fileContent = await parseFileContent(fileBuffer, targetFileNames[0]);
+        const fileContent = await getParsedFileContent(user.id, getFileEntry(targetFileNames[0]));
         suggestions = await generateSuggestions(targetFileNames[0], fileContent);
       } else {
         // Multi-file suggestions - parse files and generate proper multi-file suggestions
         const filesData = [];
         for (const fileName of targetFileNames) {
-          const fileBuffer = await getBlobContent(user.id, fileName);
-          const content = await parseFileContent(fileBuffer, fileName);
+          const content = await getParsedFileContent(user.id, getFileEntry(fileName));
           const fileExtension = fileName.toLowerCase().substring(fileName.lastIndexOf('.') + 1);
           
           filesData.push({
@@ -446,7 +369,8 @@ router.post('/', async (req, res) => {
       targetFileNames[0], // Primary file for backward compatibility
       title, 
       suggestions, 
-      targetFileNames // All files
+      targetFileNames, // All files
+      projectId || null
     );
 
     res.status(201).json({
@@ -504,6 +428,51 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/conversations/:id/export
+ * Download the conversation as a transcript (?format=md|json|csv|docx|pdf)
+ * Archived conversations are exported in full from blob storage
+ */
+router.get('/:id/export', async (req, res) => {
+  try {
+    const user = req.user;
+    const conversationId = req.params.id;
+    const format = String(req.query.format || 'md').toLowerCase();
+
+    if (!EXPORT_CONFIG.FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported export format',
+        message: `Format must be one of: ${Object.keys(EXPORT_CONFIG.FORMATS).join(', ')}`
+      });
+    }
+
+    const conversation = await cosmosService.getFullConversation(conversationId, user.id);
+    const { content, contentType, fileName } = await exportConversation(conversation, format);
+
+    console.log(`📤 Exported conversation ${conversationId} as ${format}`);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    res.send(content);
+  } catch (error) {
+    console.error(`Failed to export conversation ${req.params.id} for user ${req.user?.id}:`, error.message);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found',
+        message: 'The requested conversation does not exist or you do not have access to it'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export conversation',
+      message: error.message
+    });
+  }
+});
+
 /**
  * PUT /api/conversations/:id
  * Update conversation (title, etc.)
@@ -516,6 +485,7 @@ router.put('/:id', async (req, res) => {
 
     // Remove fields that shouldn't be updated directly
     delete updates.id;
+    delete updates.type;
     delete updates.userId;
     delete updates.createdAt;
     delete updates.messages;
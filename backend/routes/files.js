@@ -4,22 +4,63 @@
  * RESTful API endpoints for Azure Blob Storage file operations:
  * - List user's files
  * - Generate SAS tokens for secure upload/download
+ * - Resumable block uploads for large files (plan, progress, commit)
+ * - Storage usage against the user's limits (plan and per-user overrides)
+ * - File versions: re-uploads keep what they replace; history, restore, delete and diff
+ * - Check completed uploads (size, magic bytes, test parse) before they are used
  * - Delete files
+ * - Override how delimited files (CSV, TSV) are read
+ * - Annotate files (description, tags, notes, data dictionary) for the model
+ * - Rename, move and copy files; folders are virtual (blob name prefixes), and conversations
+ *   follow renamed files
+ * - Extract email attachments as child sources
+ * - Expand uploaded ZIP archives into one file per entry (folder paths kept as a virtual prefix)
+ * - Upload and delete files inside a project (projects/{projectId}/ prefix)
  * - Enforce 5GB per-user quota
  * 
  * All endpoints require authentication via Azure Static Web Apps
  */
 
 const express = require('express');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireRole } = require('../middleware/auth');
 const {
   listUserFiles,
   sumBytes,
   sasForUpload,
   sasForRead,
   deleteBlob,
+  setDialectOverride,
+  setUploadStatus,
+  getBlobContent,
+  getProjectBlobName,
+  isProjectBlob,
   healthCheck
 } = require('../services/storage');
+const cosmosService = require('../services/cosmos');
+const { ensureFileIndex, evictFileIndex } = require('../services/retrieval');
+const { invalidateParsedContent, storeParsedContent } = require('../services/parseCache');
+const { getExtension, getProcessor, getProcessorOptions, getSupportedExtensions, getSupportedContentTypes, listFormats } = require('../processors');
+const { normalizeDialectOverride } = require('../services/csvDialect');
+const { detectEncoding } = require('../services/textEncoding');
+const { hasChildSources, findChildSources, extractChildSources, replaceChildSources, deleteChildSources } = require('../services/childSources');
+const { isArchive, expandArchive } = require('../services/archives');
+const { validateUploadedContent, UPLOAD_VALIDATION_CONFIG } = require('../services/uploadValidation');
+const {
+  createUploadId,
+  saveUploadPlan,
+  readUploadPlan,
+  deleteUploadPlan,
+  planBlocks,
+  getUploadProgress,
+  commitUpload,
+  BLOCK_UPLOAD_CONFIG
+} = require('../services/blockUploads');
+const { formatBytes, validateLimits, getUserLimits, setUserLimits, getStorageUsage, QUOTA_CONFIG } = require('../services/quotas');
+const { listVersions, archiveCurrentVersion, findVersion, readVersion, restoreVersion, deleteVersion } = require('../services/fileVersions');
+const { canDiff, diffText, diffTable } = require('../services/versionDiff');
+const { emptyAnnotations, validateAnnotations, getFileAnnotations, saveFileAnnotations, evictFileAnnotations } = require('../services/fileAnnotations');
+const { getTargetName, checkMoveTarget, listFolders, planMove, getCopyName, moveFile, copyFile, FILE_MOVES_CONFIG } = require('../services/fileMoves');
+const { isTabularFile, describeTabularFormats, loadTable, evictTable, validateQuery, runQuery, previewTable } = require('../services/tabularQuery');
 
 const router = express.Router();
 
@@ -28,6 +69,22 @@ const rateLimitMap = new Map(); // In-memory rate limiting (consider Redis for p
 const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute window
 const RATE_LIMIT_MAX_REQUESTS = 30; // Max 30 SAS requests per minute per user
 
+// Sizes declared when upload tokens were issued, checked when the upload is completed
+const pendingUploads = new Map(); // `${userId}:${blobName}` -> { sizeBytes, expiresAt }
+const PENDING_UPLOAD_TTL = 60 * 60 * 1000; // Kept well past the 10 minute SAS expiry
+
+/**
+ * Drop cached parses and search indexes for a blob that is being deleted or replaced
+ * @param {string} userId - User ID
+ * @param {string} blobName - Blob name
+ */
+function invalidateFileCaches(userId, blobName) {
+  invalidateParsedContent(userId, blobName);
+  evictFileIndex(userId, blobName);
+  evictTable(userId, blobName);
+  evictFileAnnotations(userId, blobName);
+}
+
 /**
  * Simple in-memory rate limiter for SAS token generation
  * @param {string} userId - User ID to check rate limit for
@@ -59,6 +116,16 @@ function checkRateLimit(userId) {
   return false; // Rate limited
 }
 
+/**
+ * Remember the size declared for an upload, to compare with what is stored when it completes
+ * @param {string} userId - User ID
+ * @param {string} blobName - Blob name the upload token was issued for
+ * @param {number} sizeBytes - Declared size
+ */
+function recordPendingUpload(userId, blobName, sizeBytes) {
+  pendingUploads.set(`${userId}:${blobName}`, { sizeBytes, expiresAt: Date.now() + PENDING_UPLOAD_TTL });
+}
+
 // Clean up old rate limit entries periodically
 setInterval(() => {
   const now = Date.now();
@@ -67,23 +134,18 @@ setInterval(() => {
       rateLimitMap.delete(key);
     }
   }
+  for (const [key, value] of pendingUploads.entries()) {
+    if (now > value.expiresAt) {
+      pendingUploads.delete(key);
+    }
+  }
 }, 5 * 60 * 1000); // Clean up every 5 minutes
 
 // Apply authentication middleware to all routes
 router.use(requireAuth);
 
-// Constants
-const MAX_STORAGE_BYTES = 5 * 1024 * 1024 * 1024; // 5GB per user
-const MAX_FILES_PER_USER = 50; // Maximum number of files per user
+// Constants (storage, file count and file size limits are per user, see services/quotas.js)
 const MAX_FILENAME_LENGTH = 255;
-const ALLOWED_CONTENT_TYPES = [
-  'text/csv',
-  'application/csv',
-  'text/plain',
-  'application/pdf',
-  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-];
 
 /**
  * Validate file name for security and Azure compliance
@@ -150,9 +212,9 @@ function validateFileName(fileName) {
     return { valid: false, error: 'File name contains non-normalized Unicode characters' };
   }
 
-  // Validate file extension (case-insensitive)
-  const allowedExtensions = ['.csv', '.pdf', '.docx', '.xlsx', '.txt'];
-  const fileExtension = fileName.toLowerCase().substring(fileName.lastIndexOf('.'));
+  // Validate file extension (case-insensitive) against the processor registry
+  const allowedExtensions = getSupportedExtensions();
+  const fileExtension = getExtension(fileName);
   
   if (!allowedExtensions.includes(fileExtension)) {
     return { valid: false, error: `File extension not supported. Allowed extensions: ${allowedExtensions.join(', ')}` };
@@ -161,6 +223,29 @@ function validateFileName(fileName) {
   return { valid: true };
 }
 
+/**
+ * Validate a blob name that may sit in virtual folders (files expanded from archives keep their
+ * folder paths, e.g. 'logs/jan/app.log'); the last segment is validated as a file name
+ * @param {string} blobName - Blob name to validate
+ * @returns {Object} - {valid: boolean, error?: string}
+ */
+function validateBlobName(blobName) {
+  if (!blobName || typeof blobName !== 'string') {
+    return { valid: false, error: 'File name is required and must be a string' };
+  }
+
+  const segments = blobName.split('/');
+  const folders = segments.slice(0, -1);
+  const invalidFolder = folders.find(folder =>
+    folder.length === 0 || folder === '..' || folder.startsWith('.') || folder.includes('\\') ||
+    /[<>:"|?*\x00-\x1f\x7f-\x9f]/.test(folder));
+  if (invalidFolder !== undefined) {
+    return { valid: false, error: 'File name contains an invalid folder name' };
+  }
+
+  return validateFileName(segments[segments.length - 1]);
+}
+
 /**
  * Validate content type
  * @param {string} contentType - MIME type to validate
@@ -171,13 +256,240 @@ function validateContentType(contentType) {
     return { valid: false, error: 'Content type is required' };
   }
 
-  if (!ALLOWED_CONTENT_TYPES.includes(contentType.toLowerCase())) {
-    return { valid: false, error: `File type not supported. Supported types: CSV, PDF, DOCX, XLSX, TXT (${ALLOWED_CONTENT_TYPES.join(', ')})` };
+  const allowedContentTypes = getSupportedContentTypes();
+  if (!allowedContentTypes.includes(contentType.toLowerCase())) {
+    const labels = listFormats().map(format => format.label).join(', ');
+    return { valid: false, error: `File type not supported. Supported types: ${labels} (${allowedContentTypes.join(', ')})` };
   }
 
   return { valid: true };
 }
 
+/**
+ * Run the shared upload checks (size, name, type, duplicates, file count, quota)
+ * before a SAS upload token is issued
+ * @param {string} userId - User ID from authentication
+ * @param {Object} upload - { fileName, contentType, sizeBytes, blobName, replace }, where replace allows
+ *   uploading a new version of an existing file (block uploads only)
+ * @returns {Promise<Object|null>} - {status, body} error response, or null if the upload is allowed
+ */
+async function checkUploadAllowed(userId, { fileName, contentType, sizeBytes, blobName, replace = false }) {
+  // Validate required fields
+  if (!fileName || !contentType || !Number.isFinite(sizeBytes)) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Missing required fields',
+        message: 'fileName, contentType, and sizeBytes are required'
+      }
+    };
+  }
+
+  // Validate file size
+  if (sizeBytes <= 0) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid file size',
+        message: 'File size must be greater than 0'
+      }
+    };
+  }
+
+  const limits = await getUserLimits(userId);
+  if (sizeBytes > limits.maxFileSize) {
+    return {
+      status: 413,
+      body: {
+        success: false,
+        error: 'File too large',
+        message: `Individual files cannot exceed ${formatBytes(limits.maxFileSize)}`
+      }
+    };
+  }
+
+  // Validate file name
+  const fileNameValidation = validateFileName(fileName);
+  if (!fileNameValidation.valid) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid file name',
+        message: fileNameValidation.error
+      }
+    };
+  }
+
+  // Validate content type
+  const contentTypeValidation = validateContentType(contentType);
+  if (!contentTypeValidation.valid) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid content type',
+        message: contentTypeValidation.error
+      }
+    };
+  }
+
+  // Check for duplicate files (project files are compared by their full blob name)
+  const existingFiles = await listUserFiles(userId);
+  const duplicateFile = existingFiles.find(file => file.name === blobName);
+  if (duplicateFile && !replace) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: 'File already exists',
+        message: `A file named '${fileName}' already exists. Upload it as a new version, rename your file or delete the existing one first.`,
+        existingFile: {
+          name: duplicateFile.name,
+          size: duplicateFile.size,
+          lastModified: duplicateFile.lastModified
+        }
+      }
+    };
+  }
+
+  // Check file count limit (counts files across all projects; a new version adds no file)
+  if (!duplicateFile && existingFiles.length >= limits.maxFiles) {
+    return {
+      status: 413,
+      body: {
+        success: false,
+        error: 'File limit exceeded',
+        message: `You have reached the maximum limit of ${limits.maxFiles} files. Please delete some files before uploading new ones.`,
+        fileCount: {
+          current: existingFiles.length,
+          limit: limits.maxFiles
+        }
+      }
+    };
+  }
+
+  // Check quota before issuing SAS token (a replaced file's content is kept as a version, so it still counts)
+  const currentUsage = await sumBytes(userId);
+  if (currentUsage + sizeBytes > limits.maxStorageBytes) {
+    const remainingMB = Math.round((limits.maxStorageBytes - currentUsage) / 1024 / 1024 * 100) / 100;
+    const requestedMB = Math.round(sizeBytes / 1024 / 1024 * 100) / 100;
+
+    return {
+      status: 413,
+      body: {
+        success: false,
+        error: 'Storage quota exceeded',
+        message: `Cannot upload ${requestedMB}MB file. Only ${remainingMB}MB remaining of ${formatBytes(limits.maxStorageBytes)} quota.`,
+        quota: {
+          used: currentUsage,
+          limit: limits.maxStorageBytes,
+          remaining: limits.maxStorageBytes - currentUsage,
+          requestedSize: sizeBytes
+        }
+      }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Respond 409 when a file has not passed its upload checks yet (or failed them)
+ * @param {Object} res - Express response
+ * @param {Object} file - File entry from listUserFiles
+ * @returns {boolean} - True when a response was sent
+ */
+function rejectUnreadyFile(res, file) {
+  if (file.status === UPLOAD_VALIDATION_CONFIG.STATUS.READY) {
+    return false;
+  }
+  res.status(409).json({
+    success: false,
+    error: 'File not ready',
+    message: file.status === UPLOAD_VALIDATION_CONFIG.STATUS.REJECTED
+      ? `File '${file.name}' was rejected: ${file.statusReason}`
+      : `File '${file.name}' is still processing; complete the upload first`,
+    status: file.status
+  });
+  return true;
+}
+
+/**
+ * Parse a version number from a request
+ * @param {string} value - Version from the URL or query
+ * @returns {number|null} - Version number, or null when it is not a positive whole number
+ */
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isSafeInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * Check that a file can be moved or renamed to a new blob name (its attachments move with it)
+ * @param {Array<Object>} userFiles - File entries from listUserFiles
+ * @param {string} blobName - Current blob name
+ * @param {string} targetName - New blob name
+ * @returns {Object|null} - {status, body} error response, or null if the move is allowed
+ */
+function checkMoveAllowed(userFiles, blobName, targetName) {
+  if (!userFiles.some(file => file.name === blobName)) {
+    return {
+      status: 404,
+      body: {
+        success: false,
+        error: 'File not found',
+        message: `File '${blobName}' does not exist or you don't have access to it`
+      }
+    };
+  }
+
+  const nameValidation = validateBlobName(targetName);
+  const targetError = nameValidation.valid ? checkMoveTarget(blobName, targetName) : nameValidation.error;
+  if (targetError) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid file name',
+        message: targetError
+      }
+    };
+  }
+
+  const moves = planMove(userFiles, blobName, targetName);
+  const taken = moves.find(move => userFiles.some(file => file.name === move.to) && !moves.some(other => other.from === move.to));
+  if (taken) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: 'File already exists',
+        message: `A file named '${taken.to}' already exists. Rename it or choose another name.`
+      }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Point the user's conversations at moved files; a failure is logged, as the files have moved already
+ * @param {string} userId - User ID
+ * @param {Array<Object>} moves - [{ from, to }] from moveFile
+ * @returns {Promise<number|null>} - Number of conversations updated, or null when they could not be updated
+ */
+async function renameInConversations(userId, moves) {
+  try {
+    return await cosmosService.renameConversationFiles(userId, Object.fromEntries(moves.map(move => [move.from, move.to])));
+  } catch (error) {
+    console.warn(`Failed to update conversations after moving files for user ${userId}:`, error.message);
+    return null;
+  }
+}
+
 /**
  * GET /api/files
  * List all files for the authenticated user
@@ -188,31 +500,25 @@ router.get('/', async (req, res) => {
     
     console.log(`Listing files for user: ${userId}`);
     
-    const files = await listUserFiles(userId);
+    // Project files are listed via /api/projects/:id/files
+    const files = (await listUserFiles(userId)).filter(file => !isProjectBlob(file.name));
     const totalBytes = await sumBytes(userId);
+    const { maxStorageBytes } = await getUserLimits(userId);
     
-    // Add quota information to response
+    // Add quota information to response (GET /api/files/usage has the full breakdown)
     const response = {
       success: true,
       files: files,
+      // Virtual folders from the files' blob name prefixes (a folder exists while a file is in it)
+      folders: listFolders(files),
       quota: {
         used: totalBytes,
-        limit: MAX_STORAGE_BYTES,
-        remaining: Math.max(0, MAX_STORAGE_BYTES - totalBytes),
-        usedDisplay: totalBytes < 1024 * 1024 ? 
-          `${Math.round(totalBytes / 1024)} KB` : 
-          totalBytes < 1024 * 1024 * 1024 ?
-          `${Math.round(totalBytes / 1024 / 1024 * 10) / 10} MB` :
-          `${Math.round(totalBytes / 1024 / 1024 / 1024 * 10) / 10} GB`,
-        limitDisplay: MAX_STORAGE_BYTES >= 1024 * 1024 * 1024 ?
-          `${Math.round(MAX_STORAGE_BYTES / 1024 / 1024 / 1024)} GB` :
-          `${Math.round(MAX_STORAGE_BYTES / 1024 / 1024)} MB`,
-        remainingDisplay: (MAX_STORAGE_BYTES - totalBytes) < 1024 * 1024 ?
-          `${Math.round((MAX_STORAGE_BYTES - totalBytes) / 1024)} KB` :
-          (MAX_STORAGE_BYTES - totalBytes) < 1024 * 1024 * 1024 ?
-          `${Math.round((MAX_STORAGE_BYTES - totalBytes) / 1024 / 1024)} MB` :
-          `${Math.round((MAX_STORAGE_BYTES - totalBytes) / 1024 / 1024 / 1024 * 10) / 10} GB`,
-        percentUsed: Math.round((totalBytes / MAX_STORAGE_BYTES) * 100)
+        limit: maxStorageBytes,
+        remaining: Math.max(0, maxStorageBytes - totalBytes),
+        usedDisplay: formatBytes(totalBytes),
+        limitDisplay: formatBytes(maxStorageBytes),
+        remainingDisplay: formatBytes(Math.max(0, maxStorageBytes - totalBytes)),
+        percentUsed: Math.round((totalBytes / maxStorageBytes) * 100)
       },
       timestamp: new Date().toISOString()
     };
@@ -230,6 +536,92 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/files/formats
+ * List the file formats the processor registry supports (for upload pickers and previews)
+ */
+router.get('/formats', (req, res) => {
+  res.json({
+    success: true,
+    formats: listFormats(),
+    extensions: getSupportedExtensions(),
+    maxFileSize: QUOTA_CONFIG.PLANS[QUOTA_CONFIG.DEFAULT_PLAN].maxFileSize, // Per-user value: GET /api/files/usage
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/files/usage
+ * Storage used against the user's limits, with a per-type breakdown and warnings near a limit
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const usage = await getStorageUsage(userId);
+
+    console.log(`📊 Usage for user ${userId}: ${formatBytes(usage.bytesUsed)} of ${formatBytes(usage.limits.maxStorageBytes)}, ${usage.fileCount} of ${usage.limits.maxFiles} files`);
+
+    res.json({
+      success: true,
+      ...usage,
+      display: {
+        used: formatBytes(usage.bytesUsed),
+        limit: formatBytes(usage.limits.maxStorageBytes),
+        remaining: formatBytes(usage.remaining.bytes),
+        maxFileSize: formatBytes(usage.limits.maxFileSize)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to get storage usage for user ${req.user?.id}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get storage usage',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/files/usage/limits/:userId
+ * Assign a plan and limit overrides to a user (administrators only)
+ * Body: { plan, overrides: { maxStorageBytes?, maxFiles?, maxFileSize? } }
+ */
+router.put('/usage/limits/:userId', requireRole(QUOTA_CONFIG.ADMIN_ROLE), async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { userId } = req.params;
+
+    const validation = validateLimits(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limits',
+        message: validation.error
+      });
+    }
+
+    const limits = await setUserLimits(userId, validation.limits, adminId);
+    console.log(`📊 Admin ${adminId} set limits for user ${userId}: plan ${limits.plan}${limits.overridden.length > 0 ? `, overrides ${limits.overridden.join(', ')}` : ''}`);
+
+    res.json({
+      success: true,
+      userId,
+      limits,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to set storage limits for user ${req.params.userId}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set storage limits',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/files/sas
  * Generate a SAS token for uploading a file
@@ -252,102 +644,15 @@ router.post('/sas', async (req, res) => {
       });
     }
     
-    // Validate required fields
-    if (!fileName || !contentType || !Number.isFinite(sizeBytes)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'fileName, contentType, and sizeBytes are required'
-      });
-    }
-
-    // Validate file size
-    if (sizeBytes <= 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid file size',
-        message: 'File size must be greater than 0'
-      });
-    }
-
-    if (sizeBytes > 100 * 1024 * 1024) { // 100MB individual file limit
-      return res.status(413).json({
-        success: false,
-        error: 'File too large',
-        message: 'Individual files cannot exceed 100MB'
-      });
-    }
-
-    // Validate file name
-    const fileNameValidation = validateFileName(fileName);
-    if (!fileNameValidation.valid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid file name',
-        message: fileNameValidation.error
-      });
-    }
-
-    // Validate content type
-    const contentTypeValidation = validateContentType(contentType);
-    if (!contentTypeValidation.valid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid content type',
-        message: contentTypeValidation.error
-      });
-    }
-
-    // Check for duplicate files
-    const existingFiles = await listUserFiles(userId);
-    const duplicateFile = existingFiles.find(file => file.name === fileName);
-    if (duplicateFile) {
-      return res.status(409).json({
-        success: false,
-        error: 'File already exists',
-        message: `A file named '${fileName}' already exists. Please rename your file or delete the existing one first.`,
-        existingFile: {
-          name: duplicateFile.name,
-          size: duplicateFile.size,
-          lastModified: duplicateFile.lastModified
-        }
-      });
-    }
-
-    // Check file count limit
-    if (existingFiles.length >= MAX_FILES_PER_USER) {
-      return res.status(413).json({
-        success: false,
-        error: 'File limit exceeded',
-        message: `You have reached the maximum limit of ${MAX_FILES_PER_USER} files. Please delete some files before uploading new ones.`,
-        fileCount: {
-          current: existingFiles.length,
-          limit: MAX_FILES_PER_USER
-        }
-      });
-    }
-
-    // Check quota before issuing SAS token
-    const currentUsage = await sumBytes(userId);
-    if (currentUsage + sizeBytes > MAX_STORAGE_BYTES) {
-      const remainingMB = Math.round((MAX_STORAGE_BYTES - currentUsage) / 1024 / 1024 * 100) / 100;
-      const requestedMB = Math.round(sizeBytes / 1024 / 1024 * 100) / 100;
-      
-      return res.status(413).json({
-        success: false,
-        error: 'Storage quota exceeded',
-        message: `Cannot upload ${requestedMB}MB file. Only ${remainingMB}MB remaining of 5GB quota.`,
-        quota: {
-          used: currentUsage,
-          limit: MAX_STORAGE_BYTES,
-          remaining: MAX_STORAGE_BYTES - currentUsage,
-          requestedSize: sizeBytes
-        }
-      });
+    const uploadError = await checkUploadAllowed(userId, { fileName, contentType, sizeBytes, blobName: fileName });
+    if (uploadError) {
+      return res.status(uploadError.status).json(uploadError.body);
     }
 
     // Generate SAS token for upload (10 minute expiry)
     const sasUrl = await sasForUpload(userId, fileName, contentType, 10);
+    invalidateFileCaches(userId, fileName);
+    recordPendingUpload(userId, fileName, sizeBytes);
     
     console.log(`Generated upload SAS for user ${userId}: ${fileName}`);
     
@@ -355,6 +660,7 @@ router.post('/sas', async (req, res) => {
       success: true,
       uploadUrl: sasUrl,
       fileName: fileName,
+      completeUrl: `/api/files/${encodeURIComponent(fileName)}/complete`,
       expiresInMinutes: 10,
       instructions: {
         method: 'PUT',
@@ -377,16 +683,17 @@ router.post('/sas', async (req, res) => {
 });
 
 /**
- * GET /api/files/:blobName/sas
- * Generate a SAS token for downloading a specific file
+ * POST /api/files/project-upload-sas
+ * Generate a SAS token for uploading a file into a project
+ * Body: { fileName, contentType, sizeBytes, projectId }
  */
-router.get('/:blobName/sas', async (req, res) => {
+router.post('/project-upload-sas', async (req, res) => {
   try {
     const userId = req.user.id;
-    const { blobName } = req.params;
-    
-    console.log(`SAS download request from user ${userId}: ${blobName}`);
-    
+    const { fileName, contentType, sizeBytes, projectId } = req.body;
+
+    console.log(`Project SAS upload request from user ${userId}: ${fileName} -> ${projectId} (${sizeBytes} bytes)`);
+
     // Apply rate limiting for SAS token generation
     if (!checkRateLimit(userId)) {
       return res.status(429).json({
@@ -396,10 +703,402 @@ router.get('/:blobName/sas', async (req, res) => {
         retryAfter: Math.ceil(RATE_LIMIT_WINDOW / 1000) // seconds
       });
     }
-    
-    // Validate blob name
-    const fileNameValidation = validateFileName(blobName);
-    if (!fileNameValidation.valid) {
+
+    if (!projectId || typeof projectId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'projectId is required'
+      });
+    }
+
+    // Verify the project exists and belongs to the user
+    try {
+      await cosmosService.getProject(projectId, userId);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project '${projectId}' does not exist or you don't have access to it`
+      });
+    }
+
+    const blobName = getProjectBlobName(projectId, fileName);
+    const uploadError = await checkUploadAllowed(userId, { fileName, contentType, sizeBytes, blobName });
+    if (uploadError) {
+      return res.status(uploadError.status).json(uploadError.body);
+    }
+
+    // Generate SAS token for upload (10 minute expiry)
+    const sasUrl = await sasForUpload(userId, blobName, contentType, 10);
+    invalidateFileCaches(userId, blobName);
+    recordPendingUpload(userId, blobName, sizeBytes);
+
+    console.log(`Generated project upload SAS for user ${userId}: ${blobName}`);
+
+    res.json({
+      success: true,
+      uploadUrl: sasUrl,
+      fileName: fileName,
+      blobName: blobName,
+      projectId: projectId,
+      completeUrl: `/api/files/${encodeURIComponent(blobName)}/complete`,
+      expiresInMinutes: 10,
+      instructions: {
+        method: 'PUT',
+        headers: {
+          'Content-Type': contentType,
+          'x-ms-blob-type': 'BlockBlob'
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to generate project upload SAS for user ${req.user?.id}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate upload token',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Look up the plan of a block upload for the progress and commit routes, and run the upload checks
+ * again with it (files may have been added, or space used, since the upload started)
+ * @param {string} userId - User ID from authentication
+ * @param {string} uploadId - Upload ID from the URL
+ * @param {Object} claimed - { blobName, sizeBytes } sent with the request (optional; must match the plan)
+ * @returns {Promise<Object>} - { plan } when the upload may go on, or { error: {status, body} }
+ */
+async function checkUploadPlan(userId, uploadId, { blobName, sizeBytes } = {}) {
+  const plan = await readUploadPlan(userId, uploadId);
+  if (!plan) {
+    return {
+      error: {
+        status: 404,
+        body: {
+          success: false,
+          error: 'Upload not found',
+          message: 'This upload does not exist or has expired. Start the upload again.'
+        }
+      }
+    };
+  }
+
+  if ((blobName !== undefined && blobName !== plan.blobName) ||
+    (sizeBytes !== undefined && Number(sizeBytes) !== plan.sizeBytes)) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          error: 'Invalid upload',
+          message: `This upload was started for '${plan.blobName}' (${plan.sizeBytes} bytes)`
+        }
+      }
+    };
+  }
+
+  const uploadError = await checkUploadAllowed(userId, plan);
+  return uploadError ? { error: uploadError } : { plan };
+}
+
+/**
+ * POST /api/files/uploads
+ * Start a resumable block upload: runs the upload checks, then returns the planned blocks and a
+ * SAS URL to stage them with (PUT {uploadUrl}&comp=block&blockid={id})
+ * Body: { fileName, contentType, sizeBytes, projectId?, replace? } (replace: upload a new version of an existing file)
+ */
+router.post('/uploads', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { fileName, contentType, sizeBytes, projectId = null, replace = false } = req.body;
+
+    console.log(`Block upload request from user ${userId}: ${fileName}${projectId ? ` -> ${projectId}` : ''} (${sizeBytes} bytes)`);
+
+    if (!checkRateLimit(userId)) {
+      return res.status(429).json({
+        success: false,
+        error: 'Rate limit exceeded',
+        message: `Too many SAS token requests. Maximum ${RATE_LIMIT_MAX_REQUESTS} requests per minute allowed.`,
+        retryAfter: Math.ceil(RATE_LIMIT_WINDOW / 1000) // seconds
+      });
+    }
+
+    if (projectId !== null) {
+      try {
+        await cosmosService.getProject(projectId, userId);
+      } catch (error) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found',
+          message: `Project '${projectId}' does not exist or you don't have access to it`
+        });
+      }
+    }
+
+    const blobName = projectId !== null ? getProjectBlobName(projectId, fileName) : fileName;
+    const uploadError = await checkUploadAllowed(userId, { fileName, contentType, sizeBytes, blobName, replace: replace === true });
+    if (uploadError) {
+      return res.status(uploadError.status).json(uploadError.body);
+    }
+
+    const uploadId = createUploadId();
+    await saveUploadPlan(userId, uploadId, { blobName, fileName, contentType, sizeBytes, replace: replace === true });
+    const uploadUrl = await sasForUpload(userId, blobName, contentType, BLOCK_UPLOAD_CONFIG.SAS_MINUTES);
+    invalidateFileCaches(userId, blobName);
+    recordPendingUpload(userId, blobName, sizeBytes);
+
+    const blocks = planBlocks(uploadId, sizeBytes);
+    console.log(`Planned block upload ${uploadId} for user ${userId}: ${blobName} (${blocks.length} blocks)`);
+
+    res.json({
+      success: true,
+      uploadId,
+      fileName,
+      blobName,
+      sizeBytes,
+      blockSize: BLOCK_UPLOAD_CONFIG.BLOCK_SIZE,
+      blocks,
+      uploadUrl,
+      commitUrl: `/api/files/uploads/${uploadId}/commit`,
+      completeUrl: `/api/files/${encodeURIComponent(blobName)}/complete`,
+      expiresInMinutes: BLOCK_UPLOAD_CONFIG.SAS_MINUTES,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to start block upload for user ${req.user?.id}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start upload',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/files/uploads/:uploadId
+ * Resume a block upload: which planned blocks are already staged, and a fresh SAS URL for the rest.
+ * The upload is read from the plan kept when it started, and the upload checks run again.
+ */
+router.get('/uploads/:uploadId', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { uploadId } = req.params;
+
+    if (!checkRateLimit(userId)) {
+      return res.status(429).json({
+        success: false,
+        error: 'Rate limit exceeded',
+        message: `Too many SAS token requests. Maximum ${RATE_LIMIT_MAX_REQUESTS} requests per minute allowed.`,
+        retryAfter: Math.ceil(RATE_LIMIT_WINDOW / 1000) // seconds
+      });
+    }
+
+    const { plan, error } = await checkUploadPlan(userId, uploadId);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+    const { blobName, sizeBytes, contentType } = plan;
+
+    const { blocks, uploadedBytes, committed } = await getUploadProgress(userId, blobName, uploadId, sizeBytes);
+    if (committed) {
+      return res.status(409).json({
+        success: false,
+        error: 'Upload already committed',
+        message: `This upload of '${blobName}' has already been committed`
+      });
+    }
+
+    const uploadUrl = await sasForUpload(userId, blobName, contentType, BLOCK_UPLOAD_CONFIG.SAS_MINUTES);
+    recordPendingUpload(userId, blobName, sizeBytes);
+
+    console.log(`Resuming block upload ${uploadId} for user ${userId}: ${blobName} (${uploadedBytes}/${sizeBytes} bytes staged)`);
+
+    res.json({
+      success: true,
+      uploadId,
+      blobName,
+      sizeBytes,
+      blockSize: BLOCK_UPLOAD_CONFIG.BLOCK_SIZE,
+      blocks,
+      uploadedBytes,
+      uploadUrl,
+      commitUrl: `/api/files/uploads/${uploadId}/commit`,
+      completeUrl: `/api/files/${encodeURIComponent(blobName)}/complete`,
+      expiresInMinutes: BLOCK_UPLOAD_CONFIG.SAS_MINUTES,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to read block upload ${req.params.uploadId} for user ${req.user?.id}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read upload progress',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/files/uploads/:uploadId/commit
+ * Commit a block upload once every block is staged; the file then needs POST /:blobName/complete
+ * Body: { blobName, sizeBytes } (optional; checked against the upload's plan)
+ */
+router.post('/uploads/:uploadId/commit', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { uploadId } = req.params;
+
+    // The file, size and type are the ones checked when the upload started; the limits are checked again
+    const { plan, error } = await checkUploadPlan(userId, uploadId, { blobName: req.body?.blobName, sizeBytes: req.body?.sizeBytes });
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+    const { blobName, sizeBytes, contentType } = plan;
+
+    // A file already under this name is kept as a version before the new content is committed;
+    // its annotations (a sidecar) apply to the new version too
+    const result = await commitUpload(userId, blobName, uploadId, sizeBytes, contentType, {
+      beforeCommit: async () => {
+        const existing = (await listUserFiles(userId)).find(file => file.name === blobName);
+        if (!existing) {
+          return { version: '1', uploadedat: new Date().toISOString() };
+        }
+        const version = await archiveCurrentVersion(userId, existing);
+        return { version: String(version), uploadedat: new Date().toISOString() };
+      }
+    });
+    if (!result.committed) {
+      return res.status(409).json({
+        success: false,
+        error: 'Upload incomplete',
+        message: `${result.missingBlocks.length} block(s) have not been uploaded yet`,
+        missingBlocks: result.missingBlocks
+      });
+    }
+    await deleteUploadPlan(userId, uploadId);
+    recordPendingUpload(userId, blobName, sizeBytes);
+    invalidateFileCaches(userId, blobName);
+
+    res.json({
+      success: true,
+      uploadId,
+      blobName,
+      size: sizeBytes,
+      completeUrl: `/api/files/${encodeURIComponent(blobName)}/complete`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to commit block upload ${req.params.uploadId} for user ${req.user?.id}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to commit upload',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/files/project/:projectId/:fileName
+ * Delete a file from a project
+ */
+router.delete('/project/:projectId/:fileName', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { projectId, fileName } = req.params;
+
+    console.log(`Project file delete request from user ${userId}: ${projectId}/${fileName}`);
+
+    // Validate file name
+    const fileNameValidation = validateFileName(fileName);
+    if (!fileNameValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file name',
+        message: fileNameValidation.error
+      });
+    }
+
+    // Verify the project exists and belongs to the user
+    try {
+      await cosmosService.getProject(projectId, userId);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project '${projectId}' does not exist or you don't have access to it`
+      });
+    }
+
+    const blobName = getProjectBlobName(projectId, fileName);
+    const userFiles = await listUserFiles(userId, { prefix: blobName });
+    const fileExists = userFiles.some(file => file.name === blobName);
+
+    if (!fileExists) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: `File '${fileName}' does not exist in this project`
+      });
+    }
+
+    await deleteBlob(userId, blobName);
+    invalidateFileCaches(userId, blobName);
+
+    // Attachments extracted from the file go with it
+    const deletedChildren = await deleteChildSources(userId, userFiles, blobName);
+    deletedChildren.forEach(childName => invalidateFileCaches(userId, childName));
+
+    console.log(`Successfully deleted project file for user ${userId}: ${blobName}`);
+
+    res.json({
+      success: true,
+      message: `File '${fileName}' has been deleted`,
+      fileName: fileName,
+      projectId: projectId,
+      deletedChildren,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to delete project file for user ${req.user?.id}, file ${req.params.fileName}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete file',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/files/:blobName/sas
+ * Generate a SAS token for downloading a specific file
+ */
+router.get('/:blobName/sas', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { blobName } = req.params;
+    
+    console.log(`SAS download request from user ${userId}: ${blobName}`);
+    
+    // Apply rate limiting for SAS token generation
+    if (!checkRateLimit(userId)) {
+      return res.status(429).json({
+        success: false,
+        error: 'Rate limit exceeded',
+        message: `Too many SAS token requests. Maximum ${RATE_LIMIT_MAX_REQUESTS} requests per minute allowed.`,
+        retryAfter: Math.ceil(RATE_LIMIT_WINDOW / 1000) // seconds
+      });
+    }
+    
+    // Validate blob name
+    const fileNameValidation = validateBlobName(blobName);
+    if (!fileNameValidation.valid) {
       return res.status(400).json({
         success: false,
         error: 'Invalid file name',
@@ -443,31 +1142,29 @@ router.get('/:blobName/sas', async (req, res) => {
 });
 
 /**
- * DELETE /api/files/:blobName
- * Delete a specific file
+ * GET /api/files/:blobName/preview
+ * Get the typed rows of a table file (CSV, JSON/XML records) or XLSX sheet for the preview table
+ * Query: sheet (XLSX sheet name, defaults to the first sheet), limit (max 1000 rows)
  */
-router.delete('/:blobName', async (req, res) => {
+router.get('/:blobName/preview', async (req, res) => {
   try {
     const userId = req.user.id;
     const { blobName } = req.params;
-    
-    console.log(`Delete request from user ${userId}: ${blobName}`);
-    
-    // Validate blob name
-    const fileNameValidation = validateFileName(blobName);
-    if (!fileNameValidation.valid) {
+    const { sheet, limit } = req.query;
+
+    if (!isTabularFile(blobName)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid file name',
-        message: fileNameValidation.error
+        error: 'Unsupported file type',
+        message: `Only ${describeTabularFormats()} files can be previewed as a table`
       });
     }
 
-    // Check if file exists by listing user's files
+    // Check if file exists by listing user's files (the listing provides the ETag for caching)
     const userFiles = await listUserFiles(userId);
-    const fileExists = userFiles.some(file => file.name === blobName);
-    
-    if (!fileExists) {
+    const file = userFiles.find(candidate => candidate.name === blobName);
+
+    if (!file) {
       return res.status(404).json({
         success: false,
         error: 'File not found',
@@ -475,8 +1172,1083 @@ router.delete('/:blobName', async (req, res) => {
       });
     }
 
-    // Delete the file
-    await deleteBlob(userId, blobName);
+    let table;
+    try {
+      table = await loadTable(userId, file, sheet);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: 'Sheet not found',
+          message: error.message
+        });
+      }
+      if (error.message.includes('no array of records')) {
+        return res.status(400).json({
+          success: false,
+          error: 'No table in file',
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      preview: previewTable(table, limit),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to preview file for user ${req.user?.id}, file ${req.params.blobName}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview file',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/files/:blobName/dialect
+ * Override how a delimited file (CSV, TSV) is read; settings left null are detected
+ * Body: { delimiter: 'comma'|'semicolon'|'tab'|'pipe'|null, quote: 'double'|'single'|null, header: boolean|null }
+ */
+router.put('/:blobName/dialect', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { blobName } = req.params;
+
+    const processor = getProcessor(blobName);
+    if (!processor || !processor.delimited) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported file type',
+        message: 'Only delimited text files (CSV, TSV) have a dialect'
+      });
+    }
+
+    const validation = normalizeDialectOverride(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dialect',
+        message: validation.error
+      });
+    }
+
+    const userFiles = await listUserFiles(userId);
+    if (!userFiles.some(candidate => candidate.name === blobName)) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: `File '${blobName}' does not exist or you don't have access to it`
+      });
+    }
+
+    // The metadata write changes the ETag, so cached parses, indexes and tables are rebuilt on next use
+    await setDialectOverride(userId, blobName, validation.override);
+    invalidateFileCaches(userId, blobName);
+
+    res.json({
+      success: true,
+      fileName: blobName,
+      dialect: validation.override,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to set dialect for user ${req.user?.id}, file ${req.params.blobName}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update file dialect',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/files/:blobName/annotations
+ * Get the user's annotations of a file (description, tags, notes and data dictionary)
+ */
+router.get('/:blobName/annotations', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { blobName } = req.params;
+
+    const userFiles = await listUserFiles(userId);
+    const file = userFiles.find(candidate => candidate.name === blobName);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: `File '${blobName}' does not exist or you don't have access to it`
+      });
+    }
+
+    const annotations = await getFileAnnotations(userId, file);
+
+    res.json({
+      success: true,
+      fileName: blobName,
+      annotations: annotations || { ...emptyAnnotations(), updatedAt: null },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to get annotations for user ${req.user?.id}, file ${req.params.blobName}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get file annotations',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/files/:blobName/annotations
+ * Replace the user's annotations of a file; they are given to the model with the file's content
+ * Body: { description, tags: [string], notes, columns: [{ name, description, unit }] }
+ */
+router.put('/:blobName/annotations', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { blobName } = req.params;
+
+    const validation = validateAnnotations(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid annotations',
+        message: validation.error
+      });
+    }
+
+    const userFiles = await listUserFiles(userId);
+    if (!userFiles.some(candidate => candidate.name === blobName)) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: `File '${blobName}' does not exist or you don't have access to it`
+      });
+    }
+
+    // Only the sidecar changes: prompts add annotations to the cached parses and indexes when they are built
+    const annotations = await saveFileAnnotations(userId, blobName, validation.annotations);
+
+    res.json({
+      success: true,
+      fileName: blobName,
+      annotations,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to set annotations for user ${req.user?.id}, file ${req.params.blobName}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update file annotations',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/files/:blobName/complete
+ * Check a file after the client has uploaded it with a SAS token: the stored size against the
+ * declared size, magic bytes against the processor registry, and a test parse. The blob is
+ * marked 'ready' or 'rejected' in its status sidecar; until then (and once its content changes) the file
+ * lists as 'processing'.
+ * Body: { sizeBytes } (optional; the size declared for the SAS token is used when known)
+ */
+router.post('/:blobName/complete', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { blobName } = req.params;
+
+    const fileNameValidation = validateBlobName(blobName);
+    if (!fileNameValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file name',
+        message: fileNameValidation.error
+      });
+    }
+
+    const userFiles = await listUserFiles(userId);
+    const file = userFiles.find(candidate => candidate.name === blobName);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: `File '${blobName}' does not exist or you don't have access to it`
+      });
+    }
+
+    const pendingKey = `${userId}:${blobName}`;
+    const declaredSize = pendingUploads.get(pendingKey)?.sizeBytes ??
+      (Number.isFinite(req.body?.sizeBytes) ? req.body.sizeBytes : null);
+
+    const buffer = await getBlobContent(userId, blobName);
+    const validation = await validateUploadedContent(buffer, file, declaredSize);
+    const processor = getProcessor(blobName);
+    const status = validation.valid ? UPLOAD_VALIDATION_CONFIG.STATUS.READY : UPLOAD_VALIDATION_CONFIG.STATUS.REJECTED;
+
+    const etag = await setUploadStatus(userId, file, status, {
+      reason: validation.reason,
+      encoding: validation.valid && processor.text ? detectEncoding(buffer).name : null
+    });
+    pendingUploads.delete(pendingKey);
+    invalidateFileCaches(userId, blobName);
+
+    if (!validation.valid) {
+      return res.status(422).json({
+        success: false,
+        error: 'File rejected',
+        message: validation.reason,
+        fileName: blobName,
+        status
+      });
+    }
+
+    // The test parse is what chat would read first, so it is cached (with the segments chat indexes)
+    // for the marked version; without it the first chat parses the file
+    try {
+      storeParsedContent(userId, { name: blobName, etag }, {
+        content: processor.formatForPrompt(validation.parsed, blobName),
+        segments: await processor.extractSegments(buffer, getProcessorOptions(file))
+      });
+    } catch (error) {
+      console.warn(`⚠️  Could not cache the parse of ${blobName}:`, error.message);
+    }
+
+    res.json({
+      success: true,
+      fileName: blobName,
+      status,
+      size: buffer.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to complete upload for user ${req.user?.id}, file ${req.params.blobName}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to complete upload',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/files/:blobName/children
+ * Extract the attachments of an email (.eml, .msg) as child sources stored next to it
+ * ("{email} - {attachment}"); attachments no processor can read are skipped.
+ * Extracting again replaces the previous children.
+ */
+router.post('/:blobName/children', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { blobName } = req.params;
+
+    if (!hasChildSources(blobName)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported file type',
+        message: 'Only email files (.eml, .msg) have attachments to extract'
+      });
+    }
+
+    const userFiles = await listUserFiles(userId);
+    const file = userFiles.find(candidate => candidate.name === blobName);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: `File '${blobName}' does not exist or you don't have access to it`
+      });
+    }
+    if (rejectUnreadyFile(res, file)) {
+      return;
+    }
+
+    const { children, rejected } = await extractChildSources(userId, file, userFiles);
+    const previousChildren = findChildSources(userFiles, blobName);
+
+    const limits = await getUserLimits(userId);
+    const oversized = children.find(child => child.content.length > limits.maxFileSize);
+    if (oversized) {
+      return res.status(413).json({
+        success: false,
+        error: 'File too large',
+        message: `Attachment '${oversized.fileName}' exceeds the ${formatBytes(limits.maxFileSize)} file limit`
+      });
+    }
+
+    // Children count against the same limits as uploads (the children they replace are freed)
+    const fileCount = userFiles.length - previousChildren.length + children.length;
+    if (fileCount > limits.maxFiles) {
+      return res.status(413).json({
+        success: false,
+        error: 'File limit exceeded',
+        message: `Extracting ${children.length} attachment(s) would exceed the maximum of ${limits.maxFiles} files. Please delete some files first.`,
+        fileCount: {
+          current: userFiles.length,
+          limit: limits.maxFiles
+        }
+      });
+    }
+
+    const currentUsage = await sumBytes(userId);
+    const childBytes = children.reduce((sum, child) => sum + child.content.length, 0);
+    const freedBytes = previousChildren.reduce((sum, child) => sum + child.size, 0);
+    if (currentUsage - freedBytes + childBytes > limits.maxStorageBytes) {
+      return res.status(413).json({
+        success: false,
+        error: 'Storage quota exceeded',
+        message: `The attachments need ${Math.round(childBytes / 1024 / 1024 * 100) / 100}MB, more than the remaining ${formatBytes(limits.maxStorageBytes)} quota.`,
+        quota: {
+          used: currentUsage,
+          limit: limits.maxStorageBytes,
+          remaining: limits.maxStorageBytes - currentUsage,
+          requestedSize: childBytes
+        }
+      });
+    }
+
+    const { created, removed } = await replaceChildSources(userId, file, children, userFiles);
+    [...removed, ...created.map(child => child.name)].forEach(childName => invalidateFileCaches(userId, childName));
+
+    res.json({
+      success: true,
+      fileName: blobName,
+      children: created.map(child => ({
+        name: child.name,
+        size: child.size,
+        contentType: child.contentType,
+        childLabel: child.childLabel
+      })),
+      rejected,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to extract attachments for user ${req.user?.id}, file ${req.params.blobName}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to extract attachments',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/files/:blobName/expand
+ * Expand an uploaded archive (.zip) into one file per entry, keeping the archive's folder paths
+ * as a virtual folder prefix. Each entry is checked like an upload; rejected entries are reported
+ * with the reason. The archive is deleted once at least one file has been expanded.
+ */
+router.post('/:blobName/expand', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { blobName } = req.params;
+
+    if (!isArchive(blobName)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported file type',
+        message: 'Only archives (.zip) can be expanded'
+      });
+    }
+
+    const userFiles = await listUserFiles(userId);
+    const file = userFiles.find(candidate => candidate.name === blobName);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: `File '${blobName}' does not exist or you don't have access to it`
+      });
+    }
+    if (rejectUnreadyFile(res, file)) {
+      return;
+    }
+
+    const limits = await getUserLimits(userId);
+    const { created, rejected, archiveDeleted } = await expandArchive(userId, file, userFiles, {
+      checkFileName: (fileName) => validateFileName(fileName).error || null,
+      maxFileSize: limits.maxFileSize,
+      maxFiles: limits.maxFiles,
+      maxStorageBytes: limits.maxStorageBytes,
+      usedBytes: await sumBytes(userId)
+    });
+    if (archiveDeleted) {
+      invalidateFileCaches(userId, blobName);
+    }
+
+    res.json({
+      success: true,
+      fileName: blobName,
+      archiveDeleted,
+      files: created.map(entry => ({
+        name: entry.name,
+        path: entry.path,
+        size: entry.size,
+        contentType: entry.contentType
+      })),
+      rejected,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to expand archive for user ${req.user?.id}, file ${req.params.blobName}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to expand archive',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/files/:blobName/passages
+ * Get a file's text passages (the chunks chat answers cite) with their page, row, paragraph or line locations
+ */
+router.get('/:blobName/passages', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { blobName } = req.params;
+
+    // Check if file exists by listing user's files (the listing provides the ETag for caching)
+    const userFiles = await listUserFiles(userId);
+    const file = userFiles.find(candidate => candidate.name === blobName);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: `File '${blobName}' does not exist or you don't have access to it`
+      });
+    }
+
+    let index;
+    try {
+      index = await ensureFileIndex(userId, file);
+    } catch (error) {
+      if (error.message.startsWith('Unsupported file type')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Unsupported file type',
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      fileName: blobName,
+      passages: index.chunks.map((chunk, chunkIndex) => ({
+        chunkIndex,
+        text: chunk.text,
+        provenance: chunk.provenance
+      })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to load passages for user ${req.user?.id}, file ${req.params.blobName}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load file passages',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/files/:blobName/query
+ * Run a tabular query (filters, group-by, aggregations, sort, limit) over a table file
+ * Body: { sheet, filters, groupBy, aggregations, select, sort, limit }
+ */
+router.post('/:blobName/query', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { blobName } = req.params;
+    const { sheet, ...query } = req.body || {};
+
+    if (!isTabularFile(blobName)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported file type',
+        message: `Only ${describeTabularFormats()} files can be queried`
+      });
+    }
+
+    // Check if file exists by listing user's files (the listing provides the ETag for caching)
+    const userFiles = await listUserFiles(userId);
+    const file = userFiles.find(candidate => candidate.name === blobName);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: `File '${blobName}' does not exist or you don't have access to it`
+      });
+    }
+
+    let table;
+    try {
+      table = await loadTable(userId, file, sheet);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: 'Sheet not found',
+          message: error.message
+        });
+      }
+      if (error.message.includes('no array of records')) {
+        return res.status(400).json({
+          success: false,
+          error: 'No table in file',
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    const queryValidation = validateQuery(table, query);
+    if (!queryValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: queryValidation.error
+      });
+    }
+
+    const result = runQuery(table, query);
+    console.log(`Tabular query for user ${userId} on ${blobName}: ${result.matchedRows}/${result.totalRows} rows matched`);
+
+    res.json({
+      success: true,
+      result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to query file for user ${req.user?.id}, file ${req.params.blobName}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to query file',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/files/:blobName/versions
+ * List a file's versions, current one first, then earlier versions newest first
+ */
+router.get('/:blobName/versions', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { blobName } = req.params;
+
+    const userFiles = await listUserFiles(userId);
+    const file = userFiles.find(candidate => candidate.name === blobName);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: `File '${blobName}' does not exist or you don't have access to it`
+      });
+    }
+
+    res.json({
+      success: true,
+      fileName: blobName,
+      versions: await listVersions(userId, file),
+      canDiff: canDiff(getProcessor(blobName)),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to list versions for user ${req.user?.id}, file ${req.params.blobName}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list file versions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/files/:blobName/versions/diff?from=&to=
+ * Compare two versions of a file: delimited files (CSV, TSV) row by row, other text formats line by line
+ * Query: from (older version), to (newer version, defaults to the current version)
+ */
+router.get('/:blobName/versions/diff', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { blobName } = req.params;
+
+    const processor = getProcessor(blobName);
+    if (!canDiff(processor)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported file type',
+        message: 'Only delimited files (CSV, TSV) and text formats can be compared'
+      });
+    }
+
+    const userFiles = await listUserFiles(userId);
+    const file = userFiles.find(candidate => candidate.name === blobName);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: `File '${blobName}' does not exist or you don't have access to it`
+      });
+    }
+
+    const from = parseVersion(req.query.from);
+    const to = req.query.to === undefined ? file.version : parseVersion(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid version',
+        message: 'from and to must be version numbers'
+      });
+    }
+
+    const [older, newer] = await Promise.all([findVersion(userId, file, from), findVersion(userId, file, to)]);
+    if (!older || !newer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found',
+        message: `Version ${!older ? from : to} of '${blobName}' does not exist`
+      });
+    }
+
+    const [oldBuffer, newBuffer] = await Promise.all([readVersion(userId, older), readVersion(userId, newer)]);
+    const diff = processor.delimited
+      ? await diffTable(processor,
+        { buffer: oldBuffer, options: getProcessorOptions(older) },
+        { buffer: newBuffer, options: getProcessorOptions(newer) })
+      : diffText(oldBuffer, newBuffer);
+
+    res.json({
+      success: true,
+      fileName: blobName,
+      from,
+      to,
+      diff,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to diff versions for user ${req.user?.id}, file ${req.params.blobName}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare file versions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/files/:blobName/versions/:version/restore
+ * Make an earlier version current again (as a new version; the content it replaces is kept)
+ */
+router.post('/:blobName/versions/:version/restore', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { blobName } = req.params;
+    const version = parseVersion(req.params.version);
+
+    const userFiles = await listUserFiles(userId);
+    const file = userFiles.find(candidate => candidate.name === blobName);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: `File '${blobName}' does not exist or you don't have access to it`
+      });
+    }
+
+    const entry = version === null ? null : await findVersion(userId, file, version);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found',
+        message: `Version ${req.params.version} of '${blobName}' does not exist`
+      });
+    }
+    if (entry === file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Version is current',
+        message: `Version ${version} is already the current version of '${blobName}'`
+      });
+    }
+
+    // The restored content is stored again as the current file, so it needs room in the quota
+    const limits = await getUserLimits(userId);
+    const currentUsage = await sumBytes(userId);
+    if (currentUsage + entry.size > limits.maxStorageBytes) {
+      return res.status(413).json({
+        success: false,
+        error: 'Storage quota exceeded',
+        message: `Restoring version ${version} needs ${formatBytes(entry.size)}; only ${formatBytes(Math.max(0, limits.maxStorageBytes - currentUsage))} remaining of ${formatBytes(limits.maxStorageBytes)} quota.`
+      });
+    }
+
+    const newVersion = await restoreVersion(userId, file, entry);
+    invalidateFileCaches(userId, blobName);
+
+    res.json({
+      success: true,
+      fileName: blobName,
+      restoredFrom: version,
+      version: newVersion,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to restore version for user ${req.user?.id}, file ${req.params.blobName}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore file version',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/files/:blobName/versions/:version
+ * Delete an earlier version of a file (the current version is deleted with the file)
+ */
+router.delete('/:blobName/versions/:version', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { blobName } = req.params;
+    const version = parseVersion(req.params.version);
+
+    const userFiles = await listUserFiles(userId);
+    const file = userFiles.find(candidate => candidate.name === blobName);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: `File '${blobName}' does not exist or you don't have access to it`
+      });
+    }
+
+    const entry = version === null ? null : await findVersion(userId, file, version);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found',
+        message: `Version ${req.params.version} of '${blobName}' does not exist`
+      });
+    }
+    if (entry === file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Version is current',
+        message: `Version ${version} is the current version of '${blobName}'; delete the file or restore another version instead`
+      });
+    }
+
+    await deleteVersion(userId, entry);
+
+    res.json({
+      success: true,
+      fileName: blobName,
+      deletedVersion: version,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to delete version for user ${req.user?.id}, file ${req.params.blobName}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete file version',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/files/:blobName
+ * Rename a file or move it to another folder ({ name, folder }); earlier versions, annotations and
+ * attachments go with it, and conversations that use it are updated
+ */
+router.patch('/:blobName', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { blobName } = req.params;
+    const { name, folder } = req.body || {};
+
+    if ((name === undefined && folder === undefined) ||
+        (name !== undefined && typeof name !== 'string') || (folder !== undefined && typeof folder !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: 'Send a new file name (name) and/or folder (folder, \'\' for the top level) as text'
+      });
+    }
+
+    const userFiles = await listUserFiles(userId);
+    const targetName = getTargetName(blobName, { name, folder });
+    const moveError = checkMoveAllowed(userFiles, blobName, targetName);
+    if (moveError) {
+      return res.status(moveError.status).json(moveError.body);
+    }
+
+    let moves = [];
+    let conversationsUpdated = 0;
+    if (targetName !== blobName) {
+      moves = await moveFile(userId, userFiles, blobName, targetName);
+      moves.forEach(move => invalidateFileCaches(userId, move.from));
+      conversationsUpdated = await renameInConversations(userId, moves);
+    }
+
+    res.json({
+      success: true,
+      message: targetName === blobName ? `File '${blobName}' is unchanged` : `File '${blobName}' has been moved to '${targetName}'`,
+      fileName: targetName,
+      previousName: blobName,
+      moved: moves,
+      conversationsUpdated,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to move file for user ${req.user?.id}, file ${req.params.blobName}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to move file',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/files/move
+ * Move several files into one folder ({ fileNames, folder }); each file is moved as with PATCH
+ */
+router.post('/move', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { fileNames, folder } = req.body || {};
+
+    if (!Array.isArray(fileNames) || fileNames.length === 0 || fileNames.length > FILE_MOVES_CONFIG.MAX_FILES_PER_MOVE ||
+        fileNames.some(fileName => typeof fileName !== 'string') || typeof folder !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: `Send 1 to ${FILE_MOVES_CONFIG.MAX_FILES_PER_MOVE} file names (fileNames) and a folder (folder, '' for the top level)`
+      });
+    }
+
+    let userFiles = await listUserFiles(userId);
+    // Attachments of an email that is moved too go with it
+    const requested = fileNames.filter(fileName => {
+      const file = userFiles.find(candidate => candidate.name === fileName);
+      return !(file && file.parent && fileNames.includes(file.parent));
+    });
+
+    const moved = [];
+    const errors = [];
+    let movedFiles = 0;
+    for (const fileName of requested) {
+      try {
+        const targetName = getTargetName(fileName, { folder });
+        const moveError = checkMoveAllowed(userFiles, fileName, targetName);
+        if (moveError) {
+          errors.push({ fileName, error: moveError.body.message });
+          continue;
+        }
+        if (targetName === fileName) {
+          continue;
+        }
+
+        const moves = await moveFile(userId, userFiles, fileName, targetName);
+        moves.forEach(move => invalidateFileCaches(userId, move.from));
+        moved.push(...moves);
+        movedFiles++;
+        // Later files are checked against the names as they are now
+        userFiles = userFiles
+          .filter(file => !moves.some(move => move.from === file.name))
+          .concat(moves.map(move => ({ ...userFiles.find(file => file.name === move.from), name: move.to })));
+      } catch (error) {
+        console.error(`Failed to move file ${fileName} for user ${userId}:`, error.message);
+        errors.push({ fileName, error: error.message });
+      }
+    }
+
+    const conversationsUpdated = moved.length > 0 ? await renameInConversations(userId, moved) : 0;
+
+    res.status(errors.length === 0 ? 200 : 207).json({ // 207 = Multi-Status for partial success
+      success: errors.length === 0,
+      message: errors.length === 0
+        ? `Moved ${movedFiles} file(s) to ${folder ? `'${folder}'` : 'the top level'}`
+        : `Moved ${movedFiles} file(s) with ${errors.length} errors`,
+      moved,
+      errors,
+      conversationsUpdated,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to move files for user ${req.user?.id}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to move files',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/files/:blobName/copy
+ * Copy a file as a new file ({ name, folder }, default '{name} (copy)' next to it); the copy
+ * has the file's annotations but starts again at version 1
+ */
+router.post('/:blobName/copy', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { blobName } = req.params;
+    const { name, folder } = req.body || {};
+
+    if ((name !== undefined && typeof name !== 'string') || (folder !== undefined && typeof folder !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: 'name and folder must be text'
+      });
+    }
+
+    const userFiles = await listUserFiles(userId);
+    const file = userFiles.find(candidate => candidate.name === blobName);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: `File '${blobName}' does not exist or you don't have access to it`
+      });
+    }
+    if (rejectUnreadyFile(res, file)) {
+      return;
+    }
+
+    const targetName = name === undefined && folder === undefined
+      ? getCopyName(userFiles, blobName)
+      : getTargetName(blobName, { name, folder });
+    const nameValidation = validateBlobName(targetName);
+    const targetError = nameValidation.valid ? checkMoveTarget(blobName, targetName) : nameValidation.error;
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file name',
+        message: targetError
+      });
+    }
+    if (userFiles.some(candidate => candidate.name === targetName)) {
+      return res.status(409).json({
+        success: false,
+        error: 'File already exists',
+        message: `A file named '${targetName}' already exists. Rename it or choose another name.`
+      });
+    }
+
+    // A copy is a new file: it counts towards the file limit and the quota
+    const limits = await getUserLimits(userId);
+    if (userFiles.length >= limits.maxFiles) {
+      return res.status(413).json({
+        success: false,
+        error: 'File limit exceeded',
+        message: `You have reached the maximum limit of ${limits.maxFiles} files. Please delete some files before copying.`
+      });
+    }
+    const currentUsage = await sumBytes(userId);
+    if (currentUsage + file.size > limits.maxStorageBytes) {
+      return res.status(413).json({
+        success: false,
+        error: 'Storage quota exceeded',
+        message: `Copying '${blobName}' needs ${formatBytes(file.size)}; only ${formatBytes(Math.max(0, limits.maxStorageBytes - currentUsage))} remaining of ${formatBytes(limits.maxStorageBytes)} quota.`
+      });
+    }
+
+    await copyFile(userId, file, targetName);
+
+    res.status(201).json({
+      success: true,
+      message: `File '${blobName}' has been copied to '${targetName}'`,
+      fileName: targetName,
+      copiedFrom: blobName,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Failed to copy file for user ${req.user?.id}, file ${req.params.blobName}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to copy file',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/files/:blobName
+ * Delete a specific file
+ */
+router.delete('/:blobName', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { blobName } = req.params;
+    
+    console.log(`Delete request from user ${userId}: ${blobName}`);
+    
+    // Validate blob name
+    const fileNameValidation = validateBlobName(blobName);
+    if (!fileNameValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file name',
+        message: fileNameValidation.error
+      });
+    }
+
+    // Check if file exists by listing user's files
+    const userFiles = await listUserFiles(userId);
+    const fileExists = userFiles.some(file => file.name === blobName);
+    
+    if (!fileExists) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: `File '${blobName}' does not exist or you don't have access to it`
+      });
+    }
+
+    // Delete the file (its search index sidecar goes with it) and any attachments extracted from it
+    await deleteBlob(userId, blobName);
+    invalidateFileCaches(userId, blobName);
+
+    const deletedChildren = await deleteChildSources(userId, userFiles, blobName);
+    deletedChildren.forEach(childName => invalidateFileCaches(userId, childName));
     
     console.log(`Successfully deleted file for user ${userId}: ${blobName}`);
     
@@ -484,6 +2256,7 @@ router.delete('/:blobName', async (req, res) => {
       success: true,
       message: `File '${blobName}' has been deleted`,
       fileName: blobName,
+      deletedChildren,
       timestamp: new Date().toISOString()
     });
     
@@ -527,6 +2300,7 @@ router.delete('/', async (req, res) => {
     for (const file of userFiles) {
       try {
         await deleteBlob(userId, file.name);
+        invalidateFileCaches(userId, file.name);
         deletedFiles.push(file.name);
         console.log(`Successfully deleted file for user ${userId}: ${file.name}`);
       } catch (error) {
@@ -0,0 +1,382 @@
+/**
+ * Project Management Routes
+ * 
+ * RESTful API endpoints for grouping files and conversations by project:
+ * - Create, list, update and delete projects (Cosmos DB documents)
+ * - List a project's files (blobs under projects/{projectId}/ in the user container)
+ * - List a project's conversations
+ * - Store the user's active project preference
+ * 
+ * All endpoints require authentication via Azure Static Web Apps
+ */
+
+const express = require('express');
+const router = express.Router();
+const cosmosService = require('../services/cosmos');
+const { PROJECT_CONFIG } = require('../services/cosmos');
+const { requireAuth } = require('../middleware/auth');
+const {
+  listUserFiles,
+  deleteBlobsWithPrefix,
+  getProjectPrefix,
+  PROJECT_PREFIX
+} = require('../services/storage');
+
+// Apply authentication to all project routes
+router.use(requireAuth);
+
+/**
+ * Validate project name and description
+ * @param {Object} fields - { name, description }
+ * @param {boolean} requireName - Whether name must be present (create vs update)
+ * @returns {Object} - {valid: boolean, error?: string}
+ */
+function validateProjectFields({ name, description }, requireName) {
+  if (name !== undefined || requireName) {
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return { valid: false, error: 'Project name is required' };
+    }
+    if (name.trim().length > PROJECT_CONFIG.MAX_NAME_LENGTH) {
+      return { valid: false, error: `Project name too long (max ${PROJECT_CONFIG.MAX_NAME_LENGTH} characters)` };
+    }
+  }
+
+  if (description !== undefined && description !== null) {
+    if (typeof description !== 'string') {
+      return { valid: false, error: 'Project description must be a string' };
+    }
+    if (description.length > PROJECT_CONFIG.MAX_DESCRIPTION_LENGTH) {
+      return { valid: false, error: `Project description too long (max ${PROJECT_CONFIG.MAX_DESCRIPTION_LENGTH} characters)` };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * List a project's files with names relative to the project
+ * @param {string} userId - User ID
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} - File objects ({ id, name, blobName, size, lastModified, ... })
+ */
+async function listProjectFiles(userId, projectId) {
+  const prefix = getProjectPrefix(projectId);
+  const blobs = await listUserFiles(userId, { prefix });
+
+  return blobs.map(blob => ({
+    ...blob,
+    id: blob.name,
+    blobName: blob.name,
+    name: blob.name.substring(prefix.length)
+  }));
+}
+
+/**
+ * Send a 404 for missing projects, otherwise a 500
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service layer
+ * @param {string} fallbackError - Error label for unexpected failures
+ */
+function sendProjectError(res, error, fallbackError) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      error: 'Project not found',
+      message: 'The requested project does not exist or you do not have access to it'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackError,
+    message: error.message
+  });
+}
+
+/**
+ * GET /api/projects
+ * List the user's projects with file and conversation stats
+ */
+router.get('/', async (req, res) => {
+  try {
+    const user = req.user;
+
+    const [projects, files, conversationCounts] = await Promise.all([
+      cosmosService.listUserProjects(user.id),
+      listUserFiles(user.id, { prefix: PROJECT_PREFIX }),
+      cosmosService.countConversationsByProject(user.id)
+    ]);
+
+    const projectsWithStats = projects.map(project => {
+      const prefix = getProjectPrefix(project.id);
+      const projectFiles = files.filter(file => file.name.startsWith(prefix));
+
+      return {
+        ...project,
+        stats: {
+          fileCount: projectFiles.length,
+          totalBytes: projectFiles.reduce((sum, file) => sum + (file.size || 0), 0),
+          conversationCount: conversationCounts[project.id] || 0
+        }
+      };
+    });
+
+    res.json({
+      success: true,
+      projects: projectsWithStats,
+      count: projectsWithStats.length
+    });
+  } catch (error) {
+    console.error(`Failed to list projects for user ${req.user?.id}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve projects',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/projects
+ * Create a new project
+ * Body: { name, description }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const user = req.user;
+    const { name, description } = req.body;
+
+    const validation = validateProjectFields({ name, description }, true);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid project',
+        message: validation.error
+      });
+    }
+
+    const existingProjects = await cosmosService.listUserProjects(user.id);
+    if (existingProjects.length >= PROJECT_CONFIG.MAX_PROJECTS_PER_USER) {
+      return res.status(413).json({
+        success: false,
+        error: 'Project limit exceeded',
+        message: `You have reached the maximum limit of ${PROJECT_CONFIG.MAX_PROJECTS_PER_USER} projects.`
+      });
+    }
+
+    const project = await cosmosService.createProject(user.id, name.trim(), description ? description.trim() : '');
+
+    res.status(201).json({
+      success: true,
+      project: {
+        ...project,
+        stats: { fileCount: 0, totalBytes: 0, conversationCount: 0 }
+      },
+      message: 'Project created successfully'
+    });
+  } catch (error) {
+    console.error(`Failed to create project for user ${req.user?.id}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create project',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/projects/preferences
+ * Get the user's project preferences (active project)
+ */
+router.get('/preferences', async (req, res) => {
+  try {
+    const preferences = await cosmosService.getUserPreferences(req.user.id);
+
+    res.json({
+      success: true,
+      preferences
+    });
+  } catch (error) {
+    console.error(`Failed to get preferences for user ${req.user?.id}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve preferences',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/projects/:id
+ * Get a single project
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const project = await cosmosService.getProject(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      project
+    });
+  } catch (error) {
+    console.error(`Failed to get project ${req.params.id} for user ${req.user?.id}:`, error.message);
+    sendProjectError(res, error, 'Failed to retrieve project');
+  }
+});
+
+/**
+ * PUT /api/projects/:id
+ * Update a project's name or description
+ * Body: { name?, description? }
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const validation = validateProjectFields({ name, description }, false);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid project',
+        message: validation.error
+      });
+    }
+
+    // Only name and description are editable
+    const updates = {};
+    if (name !== undefined) updates.name = name.trim();
+    if (description !== undefined) updates.description = description ? description.trim() : '';
+
+    const project = await cosmosService.updateProject(req.params.id, req.user.id, updates);
+
+    res.json({
+      success: true,
+      project,
+      message: 'Project updated successfully'
+    });
+  } catch (error) {
+    console.error(`Failed to update project ${req.params.id} for user ${req.user?.id}:`, error.message);
+    sendProjectError(res, error, 'Failed to update project');
+  }
+});
+
+/**
+ * DELETE /api/projects/:id
+ * Delete a project along with its files and conversations
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const user = req.user;
+    const projectId = req.params.id;
+
+    // Confirm ownership before touching blobs or conversations
+    await cosmosService.getProject(projectId, user.id);
+
+    const deletedFiles = await deleteBlobsWithPrefix(user.id, getProjectPrefix(projectId));
+
+    const conversations = await cosmosService.listProjectConversations(projectId, user.id, 1000, 0);
+    for (const conversation of conversations) {
+      await cosmosService.deleteConversation(conversation.id, user.id);
+    }
+
+    await cosmosService.deleteProject(projectId, user.id);
+
+    // Clear the active project if it pointed at the deleted one
+    const preferences = await cosmosService.getUserPreferences(user.id);
+    if (preferences.activeProjectId === projectId) {
+      await cosmosService.updateUserPreferences(user.id, { activeProjectId: null });
+    }
+
+    console.log(`✅ Deleted project ${projectId}: ${deletedFiles.length} files, ${conversations.length} conversations`);
+
+    res.json({
+      success: true,
+      message: 'Project deleted successfully',
+      deletedFiles: deletedFiles.length,
+      deletedConversations: conversations.length
+    });
+  } catch (error) {
+    console.error(`Failed to delete project ${req.params.id} for user ${req.user?.id}:`, error.message);
+    sendProjectError(res, error, 'Failed to delete project');
+  }
+});
+
+/**
+ * GET /api/projects/:id/files
+ * List files stored in a project
+ */
+router.get('/:id/files', async (req, res) => {
+  try {
+    const user = req.user;
+    const projectId = req.params.id;
+
+    await cosmosService.getProject(projectId, user.id);
+    const files = await listProjectFiles(user.id, projectId);
+
+    res.json({
+      success: true,
+      files,
+      count: files.length
+    });
+  } catch (error) {
+    console.error(`Failed to list files for project ${req.params.id}:`, error.message);
+    sendProjectError(res, error, 'Failed to list project files');
+  }
+});
+
+/**
+ * GET /api/projects/:id/conversations
+ * List conversations that belong to a project
+ */
+router.get('/:id/conversations', async (req, res) => {
+  try {
+    const user = req.user;
+    const projectId = req.params.id;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    await cosmosService.getProject(projectId, user.id);
+    const conversations = await cosmosService.listProjectConversations(projectId, user.id, limit, offset);
+
+    res.json({
+      success: true,
+      conversations,
+      pagination: {
+        limit,
+        offset,
+        count: conversations.length,
+        hasMore: conversations.length === limit
+      }
+    });
+  } catch (error) {
+    console.error(`Failed to list conversations for project ${req.params.id}:`, error.message);
+    sendProjectError(res, error, 'Failed to list project conversations');
+  }
+});
+
+/**
+ * POST /api/projects/:id/activate
+ * Store the project as the user's active project ("null" clears it)
+ */
+router.post('/:id/activate', async (req, res) => {
+  try {
+    const user = req.user;
+    const projectId = req.params.id === 'null' ? null : req.params.id;
+
+    if (projectId) {
+      await cosmosService.getProject(projectId, user.id);
+    }
+
+    const preferences = await cosmosService.updateUserPreferences(user.id, { activeProjectId: projectId });
+
+    res.json({
+      success: true,
+      preferences
+    });
+  } catch (error) {
+    console.error(`Failed to activate project ${req.params.id} for user ${req.user?.id}:`, error.message);
+    sendProjectError(res, error, 'Failed to set active project');
+  }
+});
+
+module.exports = router;
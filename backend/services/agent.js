@@ -0,0 +1,203 @@
+/**
+ * Chat Agent Loop
+ *
+ * Runs a chat completion with the toolkit tools available:
+ * - The model may request several tool calls at once; they run in parallel
+ * - Tool results are fed back to the model until it answers without tools
+ * - The number of model calls is capped; the last one must answer directly
+ * - Every tool call is recorded as a step so it can be stored with the reply
+ */
+
+const { loadTools, executeTool } = require('../toolkit');
+
+// Configuration constants for the agent loop
+const AGENT_CONFIG = {
+  MODEL: 'gpt-4.1',                  // Azure deployment name
+  MAX_ITERATIONS: parseInt(process.env.AGENT_MAX_ITERATIONS, 10) || 5,
+  MAX_TOKENS: 1500,                  // Leaves room for tool arguments (e.g. long lists of numbers)
+  TEMPERATURE: 0.1,
+  MAX_TOOL_RESULT_CHARS: 20000,      // Tool output sent back to the model
+  MAX_STORED_OUTPUT_CHARS: 4000      // Tool output kept on the stored message
+};
+
+/**
+ * Truncate a string to a maximum length
+ * @param {string} text - Text to truncate
+ * @param {number} maxChars - Maximum length
+ * @returns {string} - Truncated text
+ */
+function truncate(text, maxChars) {
+  return text.length > maxChars ? `${text.substring(0, maxChars)}... [truncated]` : text;
+}
+
+/**
+ * Request one completion, streaming content deltas when a handler is given
+ * @param {OpenAI} openai - OpenAI client
+ * @param {Object} params - Completion parameters
+ * @param {Object} options - { signal, onDelta }
+ * @returns {Promise<Object>} - { content, toolCalls }
+ */
+async function requestCompletion(openai, params, { signal, onDelta }) {
+  if (!onDelta) {
+    const completion = await openai.chat.completions.create(params, { signal });
+    const choice = completion.choices[0].message;
+    return { content: choice.content || '', toolCalls: choice.tool_calls || [] };
+  }
+
+  const stream = await openai.chat.completions.create({ ...params, stream: true }, { signal });
+  let content = '';
+  const toolCalls = [];
+
+  for await (const chunk of stream) {
+    const delta = chunk.choices[0]?.delta;
+    if (!delta) {
+      continue;
+    }
+
+    if (delta.content) {
+      content += delta.content;
+      onDelta(delta.content);
+    }
+
+    // Tool calls arrive in fragments keyed by index
+    for (const fragment of delta.tool_calls || []) {
+      const toolCall = toolCalls[fragment.index] ||
+        (toolCalls[fragment.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+      if (fragment.id) toolCall.id = fragment.id;
+      if (fragment.function?.name) toolCall.function.name += fragment.function.name;
+      if (fragment.function?.arguments) toolCall.function.arguments += fragment.function.arguments;
+    }
+  }
+
+  return { content, toolCalls: toolCalls.filter(Boolean) };
+}
+
+/**
+ * Execute a single tool call and describe it as a step
+ * @param {Object} toolCall - Tool call from the model
+ * @param {Object} context - Tool context ({ userId, files })
+ * @param {number} iteration - Agent iteration the call belongs to
+ * @returns {Promise<Object>} - { step, message } where message is the tool message for the model
+ */
+async function runToolCall(toolCall, context, iteration) {
+  const toolName = toolCall.function.name;
+  const startTime = Date.now();
+  let args = {};
+  let output;
+  let error = null;
+
+  try {
+    args = JSON.parse(toolCall.function.arguments || '{}');
+    console.log(`🔧 Executing tool: ${toolName}`);
+    const result = await executeTool(toolName, args, context);
+    output = JSON.stringify(result);
+    console.log(`✅ Tool ${toolName} executed successfully`);
+  } catch (toolError) {
+    error = toolError instanceof SyntaxError ? `Invalid JSON arguments: ${toolError.message}` : toolError.message;
+    output = JSON.stringify({ error });
+    console.error(`❌ Tool ${toolName} failed:`, error);
+  }
+
+  return {
+    step: {
+      id: toolCall.id,
+      iteration,
+      tool: toolName,
+      arguments: args,
+      output: truncate(output, AGENT_CONFIG.MAX_STORED_OUTPUT_CHARS),
+      error,
+      durationMs: Date.now() - startTime
+    },
+    message: {
+      role: 'tool',
+      tool_call_id: toolCall.id,
+      content: truncate(output, AGENT_CONFIG.MAX_TOOL_RESULT_CHARS)
+    }
+  };
+}
+
+/**
+ * Run the agent loop until the model answers without requesting tools
+ * @param {OpenAI} openai - OpenAI client
+ * @param {Object} options - Agent options
+ * @param {Array<Object>} options.messages - Initial chat messages (system + user)
+ * @param {Object} options.context - Tool context ({ userId, files })
+ * @param {AbortSignal} options.signal - Aborts the current model call
+ * @param {Function} options.onDelta - Called with each reply content delta (enables streaming)
+ * @param {Function} options.onStep - Called with each completed tool step
+ * @returns {Promise<Object>} - { reply, steps, iterations, stopped }
+ */
+async function runAgent(openai, { messages, context = {}, signal, onDelta, onStep }) {
+  const tools = loadTools();
+  const conversation = [...messages];
+  const steps = [];
+  let reply = '';
+  let iteration = 0;
+
+  // Separate text from consecutive model calls (e.g. a preamble before tool calls)
+  let needsSeparator = false;
+  const handleDelta = onDelta && ((delta) => {
+    if (needsSeparator) {
+      needsSeparator = false;
+      reply += '\n\n';
+      onDelta('\n\n');
+    }
+    reply += delta;
+    onDelta(delta);
+  });
+
+  try {
+    while (iteration < AGENT_CONFIG.MAX_ITERATIONS) {
+      iteration++;
+      const isLastIteration = iteration === AGENT_CONFIG.MAX_ITERATIONS;
+
+      const params = {
+        model: AGENT_CONFIG.MODEL,
+        messages: conversation,
+        max_tokens: AGENT_CONFIG.MAX_TOKENS,
+        temperature: AGENT_CONFIG.TEMPERATURE
+      };
+      if (tools.length > 0) {
+        params.tools = tools;
+        // The final call must produce an answer
+        params.tool_choice = isLastIteration ? 'none' : 'auto';
+      }
+
+      needsSeparator = reply.length > 0;
+      const { content, toolCalls } = await requestCompletion(openai, params, { signal, onDelta: handleDelta });
+
+      if (!onDelta && content) {
+        reply += (reply ? '\n\n' : '') + content;
+      }
+
+      if (toolCalls.length === 0) {
+        break;
+      }
+
+      console.log(`🛠️ Model requested ${toolCalls.length} tool call(s) (iteration ${iteration}/${AGENT_CONFIG.MAX_ITERATIONS})`);
+      conversation.push({ role: 'assistant', content: content || null, tool_calls: toolCalls });
+
+      const results = await Promise.all(toolCalls.map(toolCall => runToolCall(toolCall, context, iteration)));
+      for (const { step, message } of results) {
+        steps.push(step);
+        conversation.push(message);
+        if (onStep) {
+          onStep(step);
+        }
+      }
+    }
+  } catch (error) {
+    // A stopped generation keeps whatever was produced so far
+    if (signal?.aborted) {
+      return { reply, steps, iterations: iteration, stopped: true };
+    }
+    throw error;
+  }
+
+  return { reply, steps, iterations: iteration, stopped: false };
+}
+
+module.exports = {
+  runAgent,
+  AGENT_CONFIG
+};
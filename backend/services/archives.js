@@ -0,0 +1,182 @@
+/**
+ * Archive Expansion
+ *
+ * Archives (ZIP) uploaded to bring in many files at once are expanded into one source per file:
+ * - Processors that export extractEntries(buffer) list the files of an archive
+ * - Each file keeps its folder path inside the archive as a virtual folder prefix, next to the
+ *   archive (e.g. 'jan/app.log' from 'logs.zip', or 'projects/p1/jan/app.log' in a project)
+ * - Every file is checked like an upload (name, type, size, file count, quota, and the content checks
+ *   of services/uploadValidation.js);
+ *   files that fail are reported with the reason instead of stopping the expansion
+ * - The archive is deleted once at least one file has been expanded from it
+ */
+
+const { getBlobContent, uploadBlob, deleteBlob, isProjectBlob } = require('./storage');
+const { getExtension, getProcessor, matchesSignature } = require('../processors');
+const { validateUploadedContent } = require('./uploadValidation');
+
+// Configuration constants for archive expansion
+const ARCHIVE_CONFIG = {
+  MAX_FOLDER_DEPTH: 10  // Deeper folder paths are rejected
+};
+
+/**
+ * Check whether a file is an archive that is expanded into its files
+ * @param {string} fileName - File name
+ * @returns {boolean} - True when its processor exports extractEntries
+ */
+function isArchive(fileName) {
+  const processor = getProcessor(fileName);
+  return !!processor && typeof processor.extractEntries === 'function';
+}
+
+/**
+ * Turn an archive entry path into folder and file name segments
+ * @param {string} entryPath - Path inside the archive (e.g. 'logs/jan/app.log')
+ * @returns {Object} - { valid: boolean, error?: string, segments?: Array<string> }
+ */
+function splitEntryPath(entryPath) {
+  const segments = String(entryPath)
+    .normalize('NFC')
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(segment => segment !== '' && segment !== '.');
+
+  if (segments.length === 0) {
+    return { valid: false, error: 'missing file name' };
+  }
+  if (segments.includes('..')) {
+    return { valid: false, error: 'path points outside the archive' };
+  }
+  if (segments.length - 1 > ARCHIVE_CONFIG.MAX_FOLDER_DEPTH) {
+    return { valid: false, error: `folders nested more than ${ARCHIVE_CONFIG.MAX_FOLDER_DEPTH} levels deep` };
+  }
+
+  const badFolder = segments.slice(0, -1).find(folder =>
+    /[<>:"|?*\x00-\x1f\x7f-\x9f]/.test(folder) || folder.startsWith('.') || folder.trim() !== folder);
+  if (badFolder !== undefined) {
+    return { valid: false, error: `invalid folder name "${badFolder}"` };
+  }
+
+  return { valid: true, segments };
+}
+
+/**
+ * Expand an archive into one file per entry
+ * @param {string} userId - User ID
+ * @param {Object} file - Archive file entry from listUserFiles ({ name, size })
+ * @param {Array<Object>} existingFiles - File entries from listUserFiles (names in use, file count)
+ * @param {Object} limits - Upload limits applied to every entry
+ * @param {Function} limits.checkFileName - (fileName) => error message, or null when the name is allowed
+ * @param {number} limits.maxFileSize - Largest file in bytes
+ * @param {number} limits.maxFiles - Most files per user
+ * @param {number} limits.maxStorageBytes - Storage quota in bytes
+ * @param {number} limits.usedBytes - Bytes currently stored
+ * @returns {Promise<Object>} - { created: [file entries with path], rejected: [{ path, reason }], archiveDeleted }
+ */
+async function expandArchive(userId, file, existingFiles, limits) {
+  const processor = getProcessor(file.name);
+  if (!isArchive(file.name)) {
+    throw new Error(`Unsupported file type: ${getExtension(file.name)} files are not archives`);
+  }
+
+  const buffer = await getBlobContent(userId, file.name);
+  if (!matchesSignature(processor, buffer)) {
+    throw new Error(`File content is not a valid ${processor.label} file`);
+  }
+
+  const entries = await processor.extractEntries(buffer);
+  const folder = file.name.substring(0, file.name.lastIndexOf('/') + 1);
+  const taken = new Set(existingFiles.map(existing => existing.name));
+
+  // The archive's own slot and bytes are freed when it is deleted after expansion
+  let fileCount = existingFiles.length - 1;
+  let usedBytes = limits.usedBytes - (file.size || 0);
+
+  const created = [];
+  const rejected = [];
+  const reject = (path, reason) => rejected.push({ path, reason });
+
+  for (const entry of entries) {
+    const entryPath = splitEntryPath(entry.path);
+    if (!entryPath.valid) {
+      reject(entry.path, entryPath.error);
+      continue;
+    }
+
+    const fileName = entryPath.segments[entryPath.segments.length - 1];
+    const blobName = `${folder}${entryPath.segments.join('/')}`;
+    const entryProcessor = getProcessor(fileName);
+
+    if (!entryProcessor) {
+      reject(entry.path, `unsupported file type${getExtension(fileName) ? ` (${getExtension(fileName)})` : ''}`);
+      continue;
+    }
+    if (typeof entryProcessor.extractEntries === 'function') {
+      reject(entry.path, 'archives inside archives are not expanded');
+      continue;
+    }
+    const nameError = limits.checkFileName(fileName);
+    if (nameError) {
+      reject(entry.path, nameError);
+      continue;
+    }
+    if (!folder && isProjectBlob(blobName)) {
+      reject(entry.path, `the "${entryPath.segments[0]}" folder name is reserved`);
+      continue;
+    }
+    if (taken.has(blobName)) {
+      reject(entry.path, 'a file with this name already exists');
+      continue;
+    }
+    if (entry.size > limits.maxFileSize) {
+      reject(entry.path, `larger than the ${Math.round(limits.maxFileSize / 1024 / 1024)}MB file limit`);
+      continue;
+    }
+    if (fileCount >= limits.maxFiles) {
+      reject(entry.path, `file limit of ${limits.maxFiles} files reached`);
+      continue;
+    }
+
+    let content;
+    try {
+      content = await entry.read(limits.maxFileSize);
+    } catch (error) {
+      reject(entry.path, `could not be read: ${error.message}`);
+      continue;
+    }
+
+    // Expanded files are stored as ready files, so they get the checks an upload gets
+    // (executables, magic bytes, binary data in text formats, a test parse)
+    const validation = await validateUploadedContent(content, { name: blobName });
+    if (!validation.valid) {
+      reject(entry.path, validation.reason.charAt(0).toLowerCase() + validation.reason.slice(1));
+      continue;
+    }
+    if (usedBytes + content.length > limits.maxStorageBytes) {
+      reject(entry.path, 'storage quota exceeded');
+      continue;
+    }
+
+    const uploaded = await uploadBlob(userId, blobName, content, entryProcessor.mimeTypes[0]);
+    created.push({ ...uploaded, path: entry.path });
+    taken.add(blobName);
+    fileCount++;
+    usedBytes += content.length;
+  }
+
+  // Keep the archive when nothing came out of it, so it can be expanded again after freeing space
+  const archiveDeleted = created.length > 0;
+  if (archiveDeleted) {
+    await deleteBlob(userId, file.name);
+  }
+
+  console.log(`🗜️  Expanded ${created.length} file(s) from ${file.name}${rejected.length > 0 ? ` (${rejected.length} rejected)` : ''}`);
+  return { created, rejected, archiveDeleted };
+}
+
+module.exports = {
+  isArchive,
+  expandArchive,
+  ARCHIVE_CONFIG
+};
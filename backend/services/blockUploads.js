@@ -0,0 +1,178 @@
+/**
+ * Block Uploads
+ *
+ * Large files are uploaded as numbered blocks straight to blob storage, so a dropped
+ * connection only costs the blocks in flight:
+ * - Starting an upload plans the blocks (fixed size, IDs derived from a random upload ID) and keeps
+ *   the plan (file, size, type, replace) as a sidecar, so resuming and committing only trust what
+ *   was checked when the upload started, not what the client sends later
+ * - The client stages blocks with the SAS URL (Put Block), in parallel and in any order
+ * - Progress comes from the blob's uncommitted block list, so an upload can be resumed after
+ *   a page reload or a backend restart
+ * - Committing checks that every planned block was staged with the right size, then commits
+ *   them in order (Put Block List); the file is then completed like any other upload
+ * - Staged blocks do not touch a file's committed content, so a re-upload replaces a file only
+ *   at commit time (after its current content has been kept as a version)
+ */
+
+const crypto = require('crypto');
+const {
+  listUncommittedBlocks,
+  listCommittedBlockIds,
+  commitBlocks,
+  readSidecar,
+  writeSidecar,
+  deleteBlob,
+  getSidecarBlobName
+} = require('./storage');
+
+// Configuration constants for block uploads
+const BLOCK_UPLOAD_CONFIG = {
+  BLOCK_SIZE: 4 * 1024 * 1024, // Bytes per block (the last block may be shorter)
+  SAS_MINUTES: 60,             // Validity of the block upload SAS URL (refreshed on resume)
+  UPLOAD_ID_PATTERN: /^[0-9a-f]{16}$/,
+  PLAN_FOLDER: '.uploads',     // Plans are kept at .taktmate/.uploads/{uploadId}.json (no file name starts with '.')
+  PLAN_MAX_AGE_MS: 7 * 24 * 60 * 60 * 1000 // Blob storage discards staged blocks after 7 days
+};
+
+/**
+ * Create an ID for a new block upload
+ * @returns {string} - 16 hex characters
+ */
+function createUploadId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Check an upload ID from a request
+ * @param {string} uploadId - Upload ID
+ * @returns {boolean} - True when it has the form createUploadId produces
+ */
+function isValidUploadId(uploadId) {
+  return typeof uploadId === 'string' && BLOCK_UPLOAD_CONFIG.UPLOAD_ID_PATTERN.test(uploadId);
+}
+
+/**
+ * Keep the plan of a new upload, checked when it was started
+ * @param {string} userId - User ID
+ * @param {string} uploadId - Upload ID
+ * @param {Object} plan - { blobName, fileName, contentType, sizeBytes, replace }
+ * @returns {Promise<Object>} - The plan as stored (with startedAt)
+ */
+async function saveUploadPlan(userId, uploadId, plan) {
+  const stored = { ...plan, startedAt: new Date().toISOString() };
+  await writeSidecar(userId, BLOCK_UPLOAD_CONFIG.PLAN_FOLDER, uploadId, stored);
+  return stored;
+}
+
+/**
+ * Read the plan of an upload the user started
+ * Plans live in the user's own container, so another user's upload ID is not found
+ * @param {string} userId - User ID
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object|null>} - Plan from saveUploadPlan, or null when unknown or expired
+ */
+async function readUploadPlan(userId, uploadId) {
+  if (!isValidUploadId(uploadId)) {
+    return null;
+  }
+  const plan = await readSidecar(userId, BLOCK_UPLOAD_CONFIG.PLAN_FOLDER, uploadId);
+  if (plan && Date.now() - new Date(plan.startedAt).getTime() > BLOCK_UPLOAD_CONFIG.PLAN_MAX_AGE_MS) {
+    await deleteUploadPlan(userId, uploadId);
+    return null;
+  }
+  return plan;
+}
+
+/**
+ * Forget the plan of an upload (once it is committed, or expired)
+ * @param {string} userId - User ID
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<void>}
+ */
+async function deleteUploadPlan(userId, uploadId) {
+  await deleteBlob(userId, getSidecarBlobName(BLOCK_UPLOAD_CONFIG.PLAN_FOLDER, uploadId));
+}
+
+/**
+ * Plan the blocks of an upload
+ * Block IDs must all have the same length within a blob, so the index is zero-padded
+ * @param {string} uploadId - Upload ID
+ * @param {number} sizeBytes - File size
+ * @returns {Array<Object>} - Blocks of { index, id, offset, size } in file order
+ */
+function planBlocks(uploadId, sizeBytes) {
+  const count = Math.max(1, Math.ceil(sizeBytes / BLOCK_UPLOAD_CONFIG.BLOCK_SIZE));
+  return Array.from({ length: count }, (_, index) => {
+    const offset = index * BLOCK_UPLOAD_CONFIG.BLOCK_SIZE;
+    return {
+      index,
+      id: Buffer.from(`${uploadId}-${String(index).padStart(6, '0')}`).toString('base64'),
+      offset,
+      size: Math.min(BLOCK_UPLOAD_CONFIG.BLOCK_SIZE, sizeBytes - offset)
+    };
+  });
+}
+
+/**
+ * Get the planned blocks of an upload with the ones already staged marked
+ * @param {string} userId - User ID
+ * @param {string} blobName - Blob being uploaded
+ * @param {string} uploadId - Upload ID
+ * @param {number} sizeBytes - File size
+ * @returns {Promise<Object>} - { blocks: [{ index, id, offset, size, uploaded }], uploadedBytes, committed } where
+ *   committed is true once the upload has been committed (its blocks are then the blob's content)
+ */
+async function getUploadProgress(userId, blobName, uploadId, sizeBytes) {
+  const [uncommitted, committedIds] = await Promise.all([
+    listUncommittedBlocks(userId, blobName),
+    listCommittedBlockIds(userId, blobName)
+  ]);
+  const staged = new Map(uncommitted.map(block => [block.id, block.size]));
+  const blocks = planBlocks(uploadId, sizeBytes).map(block => ({
+    ...block,
+    uploaded: staged.get(block.id) === block.size
+  }));
+
+  return {
+    blocks,
+    uploadedBytes: blocks.filter(block => block.uploaded).reduce((sum, block) => sum + block.size, 0),
+    committed: committedIds.includes(blocks[0].id)
+  };
+}
+
+/**
+ * Commit a block upload once every planned block has been staged
+ * @param {string} userId - User ID
+ * @param {string} blobName - Blob being uploaded
+ * @param {string} uploadId - Upload ID
+ * @param {number} sizeBytes - File size
+ * @param {string} contentType - MIME type
+ * @param {Object} options - Commit options
+ * @param {Function} options.beforeCommit - async () => metadata for the committed blob, called once every
+ *   block is staged (e.g. to keep the content being replaced as a version)
+ * @returns {Promise<Object>} - { committed: boolean, missingBlocks: [indexes], etag? }
+ */
+async function commitUpload(userId, blobName, uploadId, sizeBytes, contentType, { beforeCommit } = {}) {
+  const { blocks } = await getUploadProgress(userId, blobName, uploadId, sizeBytes);
+  const missingBlocks = blocks.filter(block => !block.uploaded).map(block => block.index);
+  if (missingBlocks.length > 0) {
+    return { committed: false, missingBlocks };
+  }
+
+  const metadata = beforeCommit ? await beforeCommit() : {};
+  const etag = await commitBlocks(userId, blobName, blocks.map(block => block.id), contentType, metadata);
+  return { committed: true, missingBlocks: [], etag };
+}
+
+module.exports = {
+  createUploadId,
+  isValidUploadId,
+  saveUploadPlan,
+  readUploadPlan,
+  deleteUploadPlan,
+  planBlocks,
+  getUploadProgress,
+  commitUpload,
+  BLOCK_UPLOAD_CONFIG
+};
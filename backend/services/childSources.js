@@ -0,0 +1,179 @@
+/**
+ * Child Sources
+ *
+ * Files embedded in an upload (email attachments) are stored as user files of their own:
+ * - Processors that export extractChildren(buffer, fileName) hand over the embedded files they can read
+ * - Each child is uploaded next to its parent as "{parent} - {file name}", with blob metadata
+ *   linking it back (parent, childLabel), so every processor, route and cache works on it unchanged
+ * - Extracting again replaces the previous children; deleting the parent deletes them
+ */
+
+const { getBlobContent, uploadBlob, deleteBlob } = require('./storage');
+const { getExtension, getProcessor, matchesSignature } = require('../processors');
+const { validateUploadedContent } = require('./uploadValidation');
+
+// Configuration constants for child sources
+const CHILD_SOURCES_CONFIG = {
+  NAME_SEPARATOR: ' - ',  // Between the parent's name and the child's file name
+  MAX_NAME_LENGTH: 255    // Same limit as uploaded file names
+};
+
+/**
+ * Make an embedded file name safe to use in a blob name (same rules as uploaded file names)
+ * @param {string} fileName - Embedded file name (may contain paths or reserved characters)
+ * @returns {string} - Safe file name
+ */
+function sanitizeFileName(fileName) {
+  return String(fileName)
+    .split(/[\\/]/).pop()
+    .normalize('NFC')
+    .replace(/[<>:"|?*\x00-\x1f\x7f-\x9f]/g, '_')
+    .replace(/\.{2,}/g, '.')
+    .trim();
+}
+
+/**
+ * Name the blob for a child source, next to its parent and unique among existing names
+ * @param {string} parentName - Parent blob name (e.g. 'projects/p1/complaint.eml')
+ * @param {string} fileName - Child file name
+ * @param {Set<string>} taken - Blob names already in use (updated with the new name)
+ * @returns {string} - e.g. 'projects/p1/complaint.eml - orders.xlsx' or '... - orders (2).xlsx'
+ */
+function getChildBlobName(parentName, fileName, taken) {
+  const extension = getExtension(fileName);
+  const prefix = `${parentName}${CHILD_SOURCES_CONFIG.NAME_SEPARATOR}`;
+  const parentFileName = prefix.substring(prefix.lastIndexOf('/') + 1);
+  const room = CHILD_SOURCES_CONFIG.MAX_NAME_LENGTH - parentFileName.length - extension.length - 4; // Leaves room for " (n)"
+  const base = fileName.substring(0, fileName.length - extension.length).substring(0, Math.max(room, 1));
+
+  let candidate = `${prefix}${base}${extension}`;
+  for (let copy = 2; taken.has(candidate); copy++) {
+    candidate = `${prefix}${base} (${copy})${extension}`;
+  }
+  taken.add(candidate);
+  return candidate;
+}
+
+/**
+ * Find the child sources of a file
+ * @param {Array<Object>} files - File entries from listUserFiles
+ * @param {string} parentName - Parent blob name
+ * @returns {Array<Object>} - Child file entries
+ */
+function findChildSources(files, parentName) {
+  return files.filter(file => file.parent === parentName);
+}
+
+/**
+ * Check whether a file's format has embedded files to extract
+ * @param {string} fileName - File name
+ * @returns {boolean} - True when its processor exports extractChildren
+ */
+function hasChildSources(fileName) {
+  const processor = getProcessor(fileName);
+  return !!processor && typeof processor.extractChildren === 'function';
+}
+
+/**
+ * Read the embedded files of a blob that other processors can read
+ * @param {string} userId - User ID
+ * @param {Object} file - File entry from listUserFiles ({ name })
+ * @param {Array<Object>} existingFiles - File entries from listUserFiles (for unique names)
+ * @returns {Promise<Object>} - { children: [{ blobName, fileName, contentType, content, label }], rejected: [{ fileName, reason }] }
+ *   where rejected attachments failed the checks an upload goes through
+ */
+async function extractChildSources(userId, file, existingFiles) {
+  const processor = getProcessor(file.name);
+  if (!hasChildSources(file.name)) {
+    throw new Error(`Unsupported file type: ${getExtension(file.name)} files have no attachments`);
+  }
+
+  const buffer = await getBlobContent(userId, file.name);
+  if (!matchesSignature(processor, buffer)) {
+    throw new Error(`File content is not a valid ${processor.label} file`);
+  }
+
+  // Names of the current children are free again, since they are replaced
+  const taken = new Set(existingFiles
+    .filter(existing => existing.parent !== file.name)
+    .map(existing => existing.name));
+
+  const children = [];
+  const rejected = [];
+  for (const child of await processor.extractChildren(buffer, file.name)) {
+    const fileName = sanitizeFileName(child.fileName);
+    const childProcessor = getProcessor(fileName);
+    // Attachments are stored as ready files, so they get the checks an upload gets
+    const validation = await validateUploadedContent(child.content, { name: fileName });
+    if (!validation.valid) {
+      console.warn(`⚠️  Skipping attachment "${child.fileName}" of ${file.name}: ${validation.reason}`);
+      rejected.push({ fileName, reason: validation.reason });
+      continue;
+    }
+    children.push({
+      blobName: getChildBlobName(file.name, fileName, taken),
+      fileName,
+      // Senders often label attachments application/octet-stream
+      contentType: childProcessor.mimeTypes.includes(child.contentType) ? child.contentType : childProcessor.mimeTypes[0],
+      content: child.content,
+      label: child.label
+    });
+  }
+
+  return { children, rejected };
+}
+
+/**
+ * Replace a file's child sources with newly extracted ones
+ * @param {string} userId - User ID
+ * @param {Object} file - Parent file entry ({ name })
+ * @param {Array<Object>} children - Children from extractChildSources
+ * @param {Array<Object>} existingFiles - File entries from listUserFiles (to find the previous children)
+ * @returns {Promise<Object>} - { created: [file entries], removed: [blob names] }
+ */
+async function replaceChildSources(userId, file, children, existingFiles) {
+  const newNames = new Set(children.map(child => child.blobName));
+  const removed = [];
+  for (const previous of findChildSources(existingFiles, file.name)) {
+    if (!newNames.has(previous.name)) {
+      await deleteBlob(userId, previous.name);
+    }
+    removed.push(previous.name);
+  }
+
+  const created = [];
+  for (const child of children) {
+    created.push(await uploadBlob(userId, child.blobName, child.content, child.contentType, {
+      parent: file.name,
+      childLabel: child.label
+    }));
+  }
+
+  console.log(`📎 Extracted ${created.length} child source(s) from ${file.name}`);
+  return { created, removed };
+}
+
+/**
+ * Delete a file's child sources (when the parent is deleted)
+ * @param {string} userId - User ID
+ * @param {Array<Object>} files - File entries from listUserFiles
+ * @param {string} parentName - Parent blob name
+ * @returns {Promise<Array<string>>} - Names of the deleted blobs
+ */
+async function deleteChildSources(userId, files, parentName) {
+  const deleted = [];
+  for (const child of findChildSources(files, parentName)) {
+    await deleteBlob(userId, child.name);
+    deleted.push(child.name);
+  }
+  return deleted;
+}
+
+module.exports = {
+  hasChildSources,
+  findChildSources,
+  extractChildSources,
+  replaceChildSources,
+  deleteChildSources,
+  CHILD_SOURCES_CONFIG
+};
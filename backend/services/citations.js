@@ -0,0 +1,291 @@
+/**
+ * Citation Resolver
+ *
+ * Turns the numbered references in a chat reply into structured citations:
+ * - Reads the References section ("[1] manual.pdf p.3", "[2] sales.xlsx, sheet Q3, rows 2-40")
+ * - Matches each reference to a file and an excerpt the model was given
+ * - Narrows the excerpt to the line that best supports the sentences citing it
+ * The frontend uses the result to open the cited passage next to the answer.
+ */
+
+const { tokenize } = require('./retrieval');
+
+// Configuration constants for citation matching
+const CITATION_CONFIG = {
+  MAX_SNIPPET_CHARS: 300,
+  MAX_CITATIONS: 50
+};
+
+// "[n] label" lines, optionally written as list items
+const REFERENCE_LINE = /^\s*(?:[-*]\s*)?\[(\d+)\]\s*(.+?)\s*$/;
+
+/**
+ * Split a reply into its body and its numbered references
+ * @param {string} reply - Assistant reply
+ * @returns {Object} - { body, references: Map<number, string> }
+ */
+function parseReferences(reply) {
+  const lines = (reply || '').split('\n');
+  const references = new Map();
+
+  // The References heading is usually bold or a markdown heading; without one, trailing "[n] ..." lines count
+  let start = lines.findIndex(line => /^\s*(?:#+\s*)?\**\s*references?\s*:?\s*\**\s*:?\s*$/i.test(line));
+  if (start === -1) {
+    start = lines.length;
+    while (start > 0 && (REFERENCE_LINE.test(lines[start - 1]) || lines[start - 1].trim() === '')) {
+      start--;
+    }
+  }
+
+  lines.slice(start).forEach(line => {
+    const match = line.match(REFERENCE_LINE);
+    if (match && !references.has(Number(match[1]))) {
+      // Drop markdown emphasis around the label
+      references.set(Number(match[1]), match[2].replace(/^\*+|\*+$/g, '').trim());
+    }
+  });
+
+  return { body: lines.slice(0, start).join('\n'), references };
+}
+
+/**
+ * Collect the sentences of the reply body that cite a reference number
+ * @param {string} body - Reply body (without references)
+ * @param {number} number - Reference number
+ * @returns {string} - Citing sentences joined together
+ */
+function getCitingText(body, number) {
+  const marker = new RegExp(`\\[${number}\\](?!\\()`);
+  return body
+    .split(/(?<=[.!?])\s+|\n+/)
+    .filter(sentence => marker.test(sentence))
+    .join(' ');
+}
+
+/**
+ * Read location hints from a reference label
+ * @param {string} label - e.g. "manual.pdf p.3", "sales.xlsx, sheet Q3, rows 2-40" or 'spec.docx, section "2.1 Dimensions"'
+ * @returns {Object} - { page?, slide?, sheet?, path?, section?, row?, paragraph?, line? } where ranges are [start, end]
+ */
+function parseLocationHint(label) {
+  const hint = {};
+  const range = (match) => [Number(match[1]), Number(match[2] || match[1])];
+
+  // Section headings are free text, so they are read (and removed) before the other locations
+  const section = label.match(/\bsection\s+(?:["“]([^"”]+)["”]|([^,;()]+))/i);
+  if (section) {
+    hint.section = (section[1] || section[2]).trim();
+    label = label.replace(section[0], '');
+  }
+
+  const page = label.match(/\b(?:p\.?|pages?)\s*(\d+)(?:\s*[-–]\s*(\d+))?/i);
+  if (page) hint.page = range(page);
+
+  const slide = label.match(/\bslides?\s*(\d+)(?:\s*[-–]\s*(\d+))?/i);
+  if (slide) hint.slide = range(slide);
+
+  const sheet = label.match(/\bsheet\s+["']?([^,;"']+?)["']?\s*(?:[,;]|$)/i);
+  if (sheet) hint.sheet = sheet[1].trim();
+
+  const path = label.match(/\bpath\s+["']?([^\s,;"']+)/i);
+  if (path) hint.path = path[1];
+
+  const row = label.match(/\brows?\s+(\d+)(?:\s*[-–]\s*(\d+))?/i);
+  if (row) hint.row = range(row);
+
+  const paragraph = label.match(/\b(?:paragraphs?|para\.?)\s*(\d+)(?:\s*[-–]\s*(\d+))?/i);
+  if (paragraph) hint.paragraph = range(paragraph);
+
+  const line = label.match(/\blines?\s+(\d+)(?:\s*[-–]\s*(\d+))?/i);
+  if (line) hint.line = range(line);
+
+  return hint;
+}
+
+/**
+ * Find the file a reference label names (full blob name, just the file name, or an email
+ * attachment's origin such as "attachment 1 of email complaint.eml")
+ * @param {string} label - Reference label
+ * @param {Array<Object>} files - Retrieved files ({ fileName, childLabel, chunks })
+ * @returns {Object|null} - Matching file entry
+ */
+function matchFile(label, files) {
+  const text = label.toLowerCase();
+  const candidates = files
+    .map(file => {
+      const fullName = file.fileName.toLowerCase();
+      const shortName = fullName.substring(fullName.lastIndexOf('/') + 1);
+      const origin = (file.childLabel || '').toLowerCase();
+      // The origin contains the parent's name, so it outranks a match on the parent itself
+      const matchedLength = origin && text.includes(origin) ? origin.length
+        : text.includes(fullName) ? fullName.length
+        : text.includes(shortName) ? shortName.length
+        : 0;
+      return { file, matchedLength };
+    })
+    .filter(candidate => candidate.matchedLength > 0)
+    .sort((a, b) => b.matchedLength - a.matchedLength);
+
+  if (candidates.length > 0) {
+    return candidates[0].file;
+  }
+  // A single-file chat may cite the document by its title instead of its name
+  return files.length === 1 ? files[0] : null;
+}
+
+/**
+ * Check whether a chunk's provenance has every kind of location a hint names
+ * @param {Object} provenance - Chunk provenance
+ * @param {Object} hint - Location hint from parseLocationHint
+ * @returns {boolean} - True when no hinted location is missing from the chunk
+ */
+function hasHintedLocation(provenance, hint) {
+  return Object.keys(hint).every(key => ['row', 'paragraph', 'line'].includes(key)
+    ? provenance[`${key}Start`] !== undefined
+    : provenance[key] !== undefined);
+}
+
+/**
+ * Check whether a chunk's provenance agrees with a location hint
+ * @param {Object} provenance - Chunk provenance
+ * @param {Object} hint - Location hint from parseLocationHint
+ * @returns {boolean} - True when every hinted location overlaps the chunk
+ */
+function matchesHint(provenance, hint) {
+  if (hint.page && provenance.page !== undefined &&
+      (provenance.page < hint.page[0] || provenance.page > hint.page[1])) {
+    return false;
+  }
+  if (hint.slide && provenance.slide !== undefined &&
+      (provenance.slide < hint.slide[0] || provenance.slide > hint.slide[1])) {
+    return false;
+  }
+  if (hint.sheet && provenance.sheet !== undefined &&
+      provenance.sheet.toLowerCase() !== hint.sheet.toLowerCase()) {
+    return false;
+  }
+  // A cited JSON/XML path matches its own section and the sections around or inside it
+  const within = (inner, outer) => inner === outer || inner.startsWith(`${outer}.`) || inner.startsWith(`${outer}[`);
+  if (hint.path && provenance.path !== undefined &&
+      !within(hint.path, provenance.path) && !within(provenance.path, hint.path)) {
+    return false;
+  }
+  // A cited DOCX section matches with or without its number ("2.1 Dimensions" or "Dimensions")
+  const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+  if (hint.section && provenance.section !== undefined &&
+      !normalize(provenance.section).includes(normalize(hint.section)) &&
+      !normalize(hint.section).includes(normalize(provenance.section))) {
+    return false;
+  }
+  for (const key of ['row', 'paragraph', 'line']) {
+    const start = provenance[`${key}Start`];
+    if (hint[key] && start !== undefined &&
+        (provenance[`${key}End`] < hint[key][0] || start > hint[key][1])) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Count how many of the citing terms appear in a text
+ * @param {string} text - Candidate text
+ * @param {Set<string>} terms - Terms from the citing sentences
+ * @returns {number} - Overlap score
+ */
+function overlapScore(text, terms) {
+  return new Set(tokenize(text).filter(term => terms.has(term))).size;
+}
+
+/**
+ * Resolve one reference to a file, excerpt and snippet
+ * @param {number} number - Reference number
+ * @param {string} label - Reference label
+ * @param {string} citingText - Sentences citing the reference
+ * @param {Array<Object>} files - Retrieved files ({ fileName, chunks })
+ * @returns {Object} - Citation
+ */
+function resolveCitation(number, label, citingText, files) {
+  const citation = { number, label, fileName: null, chunkIndex: null, location: null, target: null, snippet: null };
+
+  const file = matchFile(label, files);
+  if (!file || file.chunks.length === 0) {
+    return citation;
+  }
+  citation.fileName = file.fileName;
+
+  const hint = parseLocationHint(label);
+  const terms = new Set(tokenize(citingText));
+  const hinted = file.chunks.filter(chunk => matchesHint(chunk.provenance || {}, hint));
+  // Excerpts that carry the hinted locations beat ones that only lack them (an email's headers for a cited paragraph)
+  const located = hinted.filter(chunk => hasHintedLocation(chunk.provenance || {}, hint));
+  const candidates = located.length > 0 ? located : hinted.length > 0 ? hinted : file.chunks;
+
+  // Best supporting excerpt (ties keep document order)
+  let best = candidates[0];
+  let bestScore = -1;
+  for (const chunk of candidates) {
+    const score = overlapScore(chunk.text, terms);
+    if (score > bestScore) {
+      best = chunk;
+      bestScore = score;
+    }
+  }
+
+  // Best supporting line within the excerpt, skipping the repeated header of tabular chunks.
+  // Lines inside an explicitly cited row, paragraph or line range always win over lines outside it.
+  const lines = best.text.split('\n');
+  const lineLocations = best.lineLocations || [];
+  const bodyStart = lineLocations.length > 0 ? lines.length - lineLocations.length : 0;
+  let bestLine = bodyStart;
+  let bestLineScore = -1;
+  for (let i = bodyStart; i < lines.length; i++) {
+    const location = lineLocations[i - bodyStart];
+    const inHint = !location || ['row', 'paragraph', 'line'].every(key =>
+      !hint[key] || location[key] === undefined || (location[key] >= hint[key][0] && location[key] <= hint[key][1]));
+    const score = overlapScore(lines[i], terms) + (inHint ? lines.length : 0);
+    if (lines[i].trim() && score > bestLineScore) {
+      bestLine = i;
+      bestLineScore = score;
+    }
+  }
+
+  const snippet = lines[bestLine] || best.text;
+  citation.chunkIndex = best.chunkIndex;
+  citation.location = best.provenance || {};
+  citation.target = lineLocations[bestLine - bodyStart] || null;
+  citation.snippet = snippet.length > CITATION_CONFIG.MAX_SNIPPET_CHARS
+    ? `${snippet.substring(0, CITATION_CONFIG.MAX_SNIPPET_CHARS)}...`
+    : snippet;
+
+  return citation;
+}
+
+/**
+ * Build structured citations for a reply from the excerpts the model was given
+ * @param {string} reply - Assistant reply
+ * @param {Object} retrievedContext - Result of retrieveContext
+ * @returns {Array<Object>} - Citations of { number, label, fileName, chunkIndex, location, target, snippet }
+ *   (location is the excerpt's provenance; target is the cited row, paragraph or line when known)
+ */
+function buildCitations(reply, retrievedContext) {
+  if (!reply || !retrievedContext) {
+    return [];
+  }
+
+  const { body, references } = parseReferences(reply);
+  const citations = [];
+
+  for (const [number, label] of references) {
+    if (citations.length >= CITATION_CONFIG.MAX_CITATIONS) break;
+    citations.push(resolveCitation(number, label, getCitingText(body, number), retrievedContext.files));
+  }
+
+  return citations.sort((a, b) => a.number - b.number);
+}
+
+module.exports = {
+  buildCitations,
+  parseReferences,
+  CITATION_CONFIG
+};
@@ -0,0 +1,503 @@
+/**
+ * Conversation Export
+ *
+ * Renders a conversation as a transcript file for sharing outside the app:
+ * - md, json and csv for reuse, docx and pdf for handing to customers
+ * - Every format carries the title, the files used, timestamps, the messages
+ *   and each answer's resolved citations (file, location and cited snippet)
+ * Used by GET /api/conversations/:id/export
+ */
+
+const PDFDocument = require('pdfkit');
+const { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType } = require('docx');
+const { toCsvLine } = require('../processCsv');
+const { describeProvenance } = require('./retrieval');
+const { parseReferences } = require('./citations');
+
+// Configuration constants for conversation export
+const EXPORT_CONFIG = {
+  FORMATS: {
+    md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+    pdf: { extension: 'pdf', contentType: 'application/pdf' }
+  },
+  MAX_FILENAME_CHARS: 80,
+  // Spreadsheet apps run cells starting with these as formulas
+  CSV_FORMULA_PREFIX: /^[=+\-@\t\r]/,
+  ROLE_LABELS: { user: 'User', assistant: 'Assistant', system: 'System' }
+};
+
+/**
+ * Format an ISO timestamp for transcripts, e.g. "2025-03-14 09:30 UTC"
+ * @param {string} isoString - ISO timestamp
+ * @returns {string} - Readable UTC timestamp, or '' when missing
+ */
+function formatTimestamp(isoString) {
+  const date = isoString ? new Date(isoString) : null;
+  if (!date || isNaN(date.getTime())) {
+    return '';
+  }
+  return `${date.toISOString().substring(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Display name of a blob (project files are stored under a folder prefix)
+ * @param {string} blobName - Blob name
+ * @returns {string} - File name without folders
+ */
+function displayFileName(blobName) {
+  return String(blobName || '').split('/').pop();
+}
+
+/**
+ * Render a stored citation as one line, e.g. '[1] report.pdf, p.3 - "Revenue grew 12%"'
+ * @param {Object} citation - Citation from buildCitations
+ * @returns {string} - Citation text
+ */
+function formatCitation(citation) {
+  if (!citation.fileName) {
+    return `[${citation.number}] ${citation.label}`;
+  }
+
+  // Narrow the excerpt's range to the cited row, paragraph or line when it is known
+  const location = { ...(citation.location || {}) };
+  Object.entries(citation.target || {}).forEach(([key, value]) => {
+    location[`${key}Start`] = value;
+    location[`${key}End`] = value;
+  });
+
+  const where = describeProvenance(location);
+  let text = `[${citation.number}] ${displayFileName(citation.fileName)}${where ? `, ${where}` : ''}`;
+  if (citation.snippet) {
+    text += ` - "${citation.snippet}"`;
+  }
+  return text;
+}
+
+/**
+ * Build the export model shared by every format
+ * @param {Object} conversation - Full conversation (archived messages included)
+ * @returns {Object} - { id, title, files, createdAt, updatedAt, exportedAt, summary, messages }
+ */
+function buildTranscript(conversation) {
+  const files = (conversation.fileNames && conversation.fileNames.length > 0
+    ? conversation.fileNames
+    : [conversation.fileName]
+  ).filter(Boolean).map(displayFileName);
+
+  const messages = (conversation.messages || []).map(message => {
+    const citations = Array.isArray(message.citations) ? message.citations : [];
+    // Resolved citations replace the reply's own References section
+    const content = citations.length > 0
+      ? parseReferences(message.content || '').body.trim()
+      : (message.content || '');
+
+    return {
+      role: message.role,
+      timestamp: message.timestamp || null,
+      content,
+      stopped: message.stopped === true,
+      citations: citations.map(citation => ({ ...citation, text: formatCitation(citation) }))
+    };
+  });
+
+  return {
+    id: conversation.id,
+    title: conversation.title || 'Untitled Conversation',
+    files,
+    createdAt: conversation.createdAt || null,
+    updatedAt: conversation.updatedAt || null,
+    exportedAt: new Date().toISOString(),
+    summary: conversation.summary || null,
+    messages
+  };
+}
+
+/**
+ * Heading line for a message, e.g. "Assistant - 2025-03-14 09:30 UTC"
+ * @param {Object} message - Transcript message
+ * @returns {string} - Message heading
+ */
+function messageHeading(message) {
+  const role = EXPORT_CONFIG.ROLE_LABELS[message.role] || message.role;
+  const time = formatTimestamp(message.timestamp);
+  return time ? `${role} - ${time}` : role;
+}
+
+/**
+ * Header lines describing the conversation
+ * @param {Object} transcript - Export model
+ * @returns {Array<string>} - Lines of "Label: value"
+ */
+function describeTranscript(transcript) {
+  return [
+    ['Files', transcript.files.join(', ') || 'None'],
+    ['Created', formatTimestamp(transcript.createdAt)],
+    ['Last updated', formatTimestamp(transcript.updatedAt)],
+    ['Exported', formatTimestamp(transcript.exportedAt)],
+    ['Messages', String(transcript.messages.length)]
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `${label}: ${value}`);
+}
+
+/**
+ * Split Markdown into the blocks the DOCX and PDF writers lay out
+ * @param {string} markdown - Message content
+ * @returns {Array<Object>} - Blocks of { type: 'heading', level, text } | { type: 'paragraph', text } |
+ *   { type: 'listItem', marker, text } | { type: 'code', text } | { type: 'table', rows }
+ */
+function parseMarkdownBlocks(markdown) {
+  const blocks = [];
+  const lines = String(markdown || '').split('\n');
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+      paragraph = [];
+    }
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim();
+
+    if (line.startsWith('```')) {
+      flushParagraph();
+      const code = [];
+      index++;
+      while (index < lines.length && !lines[index].trim().startsWith('```')) {
+        code.push(lines[index]);
+        index++;
+      }
+      blocks.push({ type: 'code', text: code.join('\n') });
+      continue;
+    }
+
+    if (!line) {
+      flushParagraph();
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      continue;
+    }
+
+    if (/^\|.*\|$/.test(line)) {
+      flushParagraph();
+      const rows = [];
+      while (index < lines.length && /^\|.*\|$/.test(lines[index].trim())) {
+        const row = lines[index].trim();
+        // Skip the |---|---| separator under the header
+        if (!/^\|[\s:|-]+\|$/.test(row)) {
+          rows.push(row.slice(1, -1).split(/(?<!\\)\|/).map(cell => cell.replace(/\\\|/g, '|').trim()));
+        }
+        index++;
+      }
+      index--;
+      blocks.push({ type: 'table', rows });
+      continue;
+    }
+
+    const listItem = line.match(/^([-*+]|\d+[.)])\s+(.*)$/);
+    if (listItem) {
+      flushParagraph();
+      blocks.push({ type: 'listItem', marker: /\d/.test(listItem[1]) ? listItem[1] : '•', text: listItem[2] });
+      continue;
+    }
+
+    paragraph.push(line);
+  }
+
+  flushParagraph();
+  return blocks;
+}
+
+/**
+ * Split inline Markdown into plain and bold runs (links keep their URL, other markup is dropped)
+ * @param {string} text - Inline Markdown
+ * @returns {Array<Object>} - Runs of { text, bold }
+ */
+function parseInlineRuns(text) {
+  const plain = String(text || '')
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+    .replace(/`([^`]*)`/g, '$1');
+
+  return plain
+    .split('**')
+    .map((part, index) => ({ text: part.replace(/(^|\W)[*_]([^*_]+)[*_](?=\W|$)/g, '$1$2'), bold: index % 2 === 1 }))
+    .filter(run => run.text.length > 0);
+}
+
+/**
+ * Render a transcript as Markdown
+ * @param {Object} transcript - Export model
+ * @returns {string} - Markdown document
+ */
+function renderMarkdown(transcript) {
+  const parts = [`# ${transcript.title}`, describeTranscript(transcript).map(line => `- ${line}`).join('\n')];
+
+  if (transcript.summary) {
+    parts.push(`## Summary of earlier messages\n\n${transcript.summary}`);
+  }
+
+  for (const message of transcript.messages) {
+    let section = `---\n\n## ${messageHeading(message)}\n\n${message.content}`;
+    if (message.stopped) {
+      section += '\n\n_(Response stopped before it finished)_';
+    }
+    if (message.citations.length > 0) {
+      section += `\n\n**Sources**\n\n${message.citations.map(citation => `- ${citation.text}`).join('\n')}`;
+    }
+    parts.push(section);
+  }
+
+  return `${parts.join('\n\n')}\n`;
+}
+
+/**
+ * Render a transcript as JSON
+ * @param {Object} transcript - Export model
+ * @returns {string} - JSON document
+ */
+function renderJson(transcript) {
+  return JSON.stringify({
+    ...transcript,
+    messages: transcript.messages.map(({ citations, ...message }) => ({
+      ...message,
+      citations: citations.map(({ text, ...citation }) => citation)
+    }))
+  }, null, 2);
+}
+
+/**
+ * Keep a CSV cell from being read as a formula by prefixing it with an apostrophe
+ * Replies can repeat content from uploaded files, so no cell is trusted
+ * @param {string} value - Cell value
+ * @returns {string} - Cell value safe to open in a spreadsheet
+ */
+function neutralizeCsvCell(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return EXPORT_CONFIG.CSV_FORMULA_PREFIX.test(str) ? `'${str}` : str;
+}
+
+/**
+ * Render a transcript as CSV with one row per message
+ * @param {Object} transcript - Export model
+ * @returns {string} - CSV document
+ */
+function renderCsv(transcript) {
+  const lines = [toCsvLine(['conversation', 'files', 'timestamp', 'role', 'content', 'sources'])];
+
+  for (const message of transcript.messages) {
+    lines.push(toCsvLine([
+      transcript.title,
+      transcript.files.join('; '),
+      message.timestamp || '',
+      message.role,
+      message.content,
+      message.citations.map(citation => citation.text).join('\n')
+    ].map(neutralizeCsvCell)));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render a transcript as a Word document
+ * @param {Object} transcript - Export model
+ * @returns {Promise<Buffer>} - DOCX file
+ */
+async function renderDocx(transcript) {
+  const headingLevels = [HeadingLevel.HEADING_3, HeadingLevel.HEADING_4, HeadingLevel.HEADING_5];
+  const toRuns = (text, options = {}) => parseInlineRuns(text).map(run => new TextRun({ text: run.text, bold: run.bold, ...options }));
+
+  const children = [
+    new Paragraph({ text: transcript.title, heading: HeadingLevel.TITLE }),
+    ...describeTranscript(transcript).map(line => new Paragraph({ children: [new TextRun({ text: line, color: '555555' })] }))
+  ];
+
+  if (transcript.summary) {
+    children.push(new Paragraph({ text: 'Summary of earlier messages', heading: HeadingLevel.HEADING_2 }));
+    children.push(new Paragraph({ children: toRuns(transcript.summary) }));
+  }
+
+  for (const message of transcript.messages) {
+    children.push(new Paragraph({ text: messageHeading(message), heading: HeadingLevel.HEADING_2, spacing: { before: 240 } }));
+
+    for (const block of parseMarkdownBlocks(message.content)) {
+      switch (block.type) {
+        case 'heading':
+          children.push(new Paragraph({ children: toRuns(block.text), heading: headingLevels[Math.min(block.level, 3) - 1] }));
+          break;
+        case 'listItem':
+          children.push(block.marker === '•'
+            ? new Paragraph({ children: toRuns(block.text), bullet: { level: 0 } })
+            : new Paragraph({ children: [new TextRun(`${block.marker} `), ...toRuns(block.text)], indent: { left: 360 } }));
+          break;
+        case 'code':
+          block.text.split('\n').forEach(line => {
+            children.push(new Paragraph({ children: [new TextRun({ text: line, font: 'Courier New', size: 18 })] }));
+          });
+          break;
+        case 'table':
+          children.push(new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            rows: block.rows.map((row, rowIndex) => new TableRow({
+              children: row.map(cell => new TableCell({
+                children: [new Paragraph({ children: toRuns(cell, rowIndex === 0 ? { bold: true } : {}) })]
+              }))
+            }))
+          }));
+          break;
+        default:
+          children.push(new Paragraph({ children: toRuns(block.text), spacing: { after: 120 } }));
+      }
+    }
+
+    if (message.stopped) {
+      children.push(new Paragraph({ children: [new TextRun({ text: '(Response stopped before it finished)', italics: true })] }));
+    }
+    if (message.citations.length > 0) {
+      children.push(new Paragraph({ children: [new TextRun({ text: 'Sources', bold: true })], spacing: { before: 120 } }));
+      message.citations.forEach(citation => {
+        children.push(new Paragraph({ children: [new TextRun({ text: citation.text, size: 18 })] }));
+      });
+    }
+  }
+
+  const document = new Document({
+    title: transcript.title,
+    sections: [{ children }]
+  });
+
+  return Packer.toBuffer(document);
+}
+
+/**
+ * Render a transcript as a PDF
+ * @param {Object} transcript - Export model
+ * @returns {Promise<Buffer>} - PDF file
+ */
+function renderPdf(transcript) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, info: { Title: transcript.title } });
+    const buffers = [];
+    doc.on('data', chunk => buffers.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+
+    const writeRuns = (text, { size = 10, indent = 0 } = {}) => {
+      const runs = parseInlineRuns(text);
+      if (runs.length === 0) return;
+      doc.fontSize(size);
+      runs.forEach((run, index) => {
+        doc.font(run.bold ? 'Helvetica-Bold' : 'Helvetica')
+          .text(run.text, { continued: index < runs.length - 1, indent: index === 0 ? indent : 0 });
+      });
+    };
+
+    doc.font('Helvetica-Bold').fontSize(18).text(transcript.title);
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(9).fillColor('#555555');
+    describeTranscript(transcript).forEach(line => doc.text(line));
+    doc.fillColor('black');
+
+    if (transcript.summary) {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(12).text('Summary of earlier messages');
+      writeRuns(transcript.summary);
+    }
+
+    for (const message of transcript.messages) {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(12).fillColor('#cc5d08').text(messageHeading(message));
+      doc.fillColor('black').moveDown(0.3);
+
+      for (const block of parseMarkdownBlocks(message.content)) {
+        switch (block.type) {
+          case 'heading':
+            writeRuns(`**${block.text}**`, { size: Math.max(10, 14 - block.level) });
+            break;
+          case 'listItem':
+            writeRuns(`${block.marker} ${block.text}`, { indent: 12 });
+            break;
+          case 'code':
+            doc.font('Courier').fontSize(9).text(block.text);
+            break;
+          case 'table':
+            doc.fontSize(9).font('Helvetica');
+            doc.table({
+              data: block.rows.map((row, rowIndex) => row.map(cell => {
+                const text = parseInlineRuns(cell).map(run => run.text).join('');
+                return rowIndex === 0 ? { text, font: 'Helvetica-Bold' } : text;
+              }))
+            });
+            break;
+          default:
+            writeRuns(block.text);
+        }
+        doc.moveDown(0.4);
+      }
+
+      if (message.stopped) {
+        doc.font('Helvetica-Oblique').fontSize(9).text('(Response stopped before it finished)');
+      }
+      if (message.citations.length > 0) {
+        doc.font('Helvetica-Bold').fontSize(10).text('Sources');
+        doc.font('Helvetica').fontSize(8);
+        message.citations.forEach(citation => doc.text(citation.text));
+      }
+    }
+
+    doc.end();
+  });
+}
+
+/**
+ * Build a download file name from the conversation title
+ * @param {string} title - Conversation title
+ * @param {string} extension - File extension
+ * @returns {string} - Safe file name, e.g. "Q3_Sales_Review.pdf"
+ */
+function buildExportFileName(title, extension) {
+  const base = String(title || '')
+    .replace(/[^\w\- ]+/g, '')
+    .trim()
+    .replace(/\s+/g, '_')
+    .substring(0, EXPORT_CONFIG.MAX_FILENAME_CHARS);
+  return `${base || 'conversation'}.${extension}`;
+}
+
+/**
+ * Export a conversation in one of the supported formats
+ * @param {Object} conversation - Full conversation (from getFullConversation)
+ * @param {string} format - md, json, csv, docx or pdf
+ * @returns {Promise<Object>} - { content: Buffer|string, contentType, fileName }
+ */
+async function exportConversation(conversation, format) {
+  const formatConfig = EXPORT_CONFIG.FORMATS[format];
+  if (!formatConfig) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const transcript = buildTranscript(conversation);
+  const renderers = { md: renderMarkdown, json: renderJson, csv: renderCsv, docx: renderDocx, pdf: renderPdf };
+  const content = await renderers[format](transcript);
+
+  return {
+    content,
+    contentType: formatConfig.contentType,
+    fileName: buildExportFileName(transcript.title, formatConfig.extension)
+  };
+}
+
+module.exports = {
+  exportConversation,
+  EXPORT_CONFIG
+};
@@ -25,7 +25,27 @@ const CONVERSATION_CONFIG = {
   
   // TTL settings (in seconds)
   DEFAULT_TTL: 7776000, // 90 days
-  ARCHIVED_TTL: 31536000 // 365 days for archived conversations
+  ARCHIVED_TTL: 31536000, // 365 days for archived conversations
+
+  // Document types stored in the container (conversations predate the type field)
+  DOC_TYPES: {
+    CONVERSATION: 'conversation',
+    PROJECT: 'project',
+    PREFERENCES: 'preferences',
+    LIMITS: 'limits'
+  }
+};
+
+// Configuration constants for project management
+const PROJECT_CONFIG = {
+  MAX_PROJECTS_PER_USER: 100,
+  MAX_NAME_LENGTH: 100,
+  MAX_DESCRIPTION_LENGTH: 1000,
+
+  STATUS: {
+    ACTIVE: 'active',
+    DELETED: 'deleted'
+  }
 };
 
 class CosmosService {
@@ -96,7 +116,7 @@ class CosmosService {
     }
   }
 
-  async createConversation(userId, fileName, title = null, suggestions = [], fileNames = null) {
+  async createConversation(userId, fileName, title = null, suggestions = [], fileNames = null, projectId = null) {
     try {
       if (!this.isInitialized) {
         await this.initialize();
@@ -113,7 +133,9 @@ class CosmosService {
       
       const conversation = {
         id: conversationId,
+        type: CONVERSATION_CONFIG.DOC_TYPES.CONVERSATION,
         userId,
+        projectId,
         title: displayTitle,
         fileName, // Keep for backward compatibility
         fileNames: targetFileNames, // New field for multiple files
@@ -153,7 +175,8 @@ class CosmosService {
 
       const { resource } = await this.container.item(conversationId, userId).read();
       
-      if (!resource) {
+      // Project and preference documents share the container; never treat them as conversations
+      if (!resource || (resource.type && resource.type !== CONVERSATION_CONFIG.DOC_TYPES.CONVERSATION)) {
         throw new Error('Conversation not found');
       }
 
@@ -174,6 +197,7 @@ class CosmosService {
         query: `
           SELECT * FROM c 
           WHERE c.userId = @userId 
+          AND (NOT IS_DEFINED(c.type) OR c.type = @conversationType)
           AND (NOT IS_DEFINED(c.status) OR c.status != @deletedStatus)
           ORDER BY c.updatedAt DESC 
           OFFSET @offset LIMIT @limit
@@ -182,6 +206,7 @@ class CosmosService {
           { name: '@userId', value: userId },
           { name: '@offset', value: offset },
           { name: '@limit', value: limit },
+          { name: '@conversationType', value: CONVERSATION_CONFIG.DOC_TYPES.CONVERSATION },
           { name: '@deletedStatus', value: CONVERSATION_CONFIG.STATUS.DELETED }
         ]
       };
@@ -269,6 +294,446 @@ class CosmosService {
     }
   }
 
+  /**
+   * List non-deleted conversations that belong to a project
+   * @param {string} projectId - The project ID
+   * @param {string} userId - The user ID (for partition key)
+   * @param {number} limit - Maximum number of conversations to return
+   * @param {number} offset - Number of conversations to skip
+   * @returns {Array} - Conversation documents, most recently updated first
+   */
+  async listProjectConversations(projectId, userId, limit = 20, offset = 0) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const querySpec = {
+        query: `
+          SELECT * FROM c 
+          WHERE c.userId = @userId 
+          AND c.type = @conversationType
+          AND c.projectId = @projectId
+          AND (NOT IS_DEFINED(c.status) OR c.status != @deletedStatus)
+          ORDER BY c.updatedAt DESC 
+          OFFSET @offset LIMIT @limit
+        `,
+        parameters: [
+          { name: '@userId', value: userId },
+          { name: '@projectId', value: projectId },
+          { name: '@offset', value: offset },
+          { name: '@limit', value: limit },
+          { name: '@conversationType', value: CONVERSATION_CONFIG.DOC_TYPES.CONVERSATION },
+          { name: '@deletedStatus', value: CONVERSATION_CONFIG.STATUS.DELETED }
+        ]
+      };
+
+      const { resources } = await this.container.items.query(querySpec).fetchAll();
+
+      console.log(`✅ Retrieved ${resources.length} conversations for project: ${projectId}`);
+      return resources;
+    } catch (error) {
+      console.error(`❌ Failed to list conversations for project ${projectId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Count non-deleted conversations per project for a user
+   * @param {string} userId - The user ID (for partition key)
+   * @returns {Object} - Map of projectId to conversation count
+   */
+  async countConversationsByProject(userId) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const querySpec = {
+        query: `
+          SELECT c.projectId FROM c 
+          WHERE c.userId = @userId 
+          AND c.type = @conversationType
+          AND IS_DEFINED(c.projectId) AND NOT IS_NULL(c.projectId)
+          AND (NOT IS_DEFINED(c.status) OR c.status != @deletedStatus)
+        `,
+        parameters: [
+          { name: '@userId', value: userId },
+          { name: '@conversationType', value: CONVERSATION_CONFIG.DOC_TYPES.CONVERSATION },
+          { name: '@deletedStatus', value: CONVERSATION_CONFIG.STATUS.DELETED }
+        ]
+      };
+
+      const { resources } = await this.container.items.query(querySpec).fetchAll();
+
+      return resources.reduce((counts, { projectId }) => {
+        counts[projectId] = (counts[projectId] || 0) + 1;
+        return counts;
+      }, {});
+    } catch (error) {
+      console.error(`❌ Failed to count project conversations for user ${userId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Point a user's conversations at the new names of renamed or moved files: their file
+   * associations and the sources and citations stored on their messages, in Cosmos DB and in
+   * the blob archives of archived conversations
+   * @param {string} userId - The user ID (for partition key)
+   * @param {Object} renames - Map of old blob name to new blob name
+   * @returns {number} - Number of conversations updated
+   */
+  async renameConversationFiles(userId, renames) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const oldNames = Object.keys(renames);
+      if (oldNames.length === 0) {
+        return 0;
+      }
+      const rename = (name) => (Object.prototype.hasOwnProperty.call(renames, name) ? renames[name] : name);
+
+      // Archived and deleted conversations are included, so restoring them finds the files
+      const querySpec = {
+        query: `
+          SELECT * FROM c
+          WHERE c.userId = @userId
+          AND (NOT IS_DEFINED(c.type) OR c.type = @conversationType)
+          AND (ARRAY_CONTAINS(@oldNames, c.fileName)
+            OR EXISTS(SELECT VALUE name FROM name IN c.fileNames WHERE ARRAY_CONTAINS(@oldNames, name)))
+        `,
+        parameters: [
+          { name: '@userId', value: userId },
+          { name: '@conversationType', value: CONVERSATION_CONFIG.DOC_TYPES.CONVERSATION },
+          { name: '@oldNames', value: oldNames }
+        ]
+      };
+
+      const { resources } = await this.container.items.query(querySpec).fetchAll();
+
+      const renameFiles = (conversation) => {
+        if (conversation.fileName) {
+          conversation.fileName = rename(conversation.fileName);
+        }
+        if (Array.isArray(conversation.fileNames)) {
+          conversation.fileNames = conversation.fileNames.map(rename);
+        }
+        (conversation.messages || []).forEach(message => {
+          (message.sources || []).forEach(source => { source.fileName = rename(source.fileName); });
+          (message.citations || []).forEach(citation => {
+            if (citation.fileName) citation.fileName = rename(citation.fileName);
+          });
+        });
+      };
+
+      for (const conversation of resources) {
+        renameFiles(conversation);
+
+        // Archived conversations keep their full message history in blob storage, which is what
+        // reopening and exporting them reads
+        if (conversation.status === CONVERSATION_CONFIG.STATUS.ARCHIVED && conversation.archiveBlobUrl) {
+          try {
+            const summarizerService = require('./summarizerService');
+            await summarizerService.updateArchivedConversation(conversation.archiveBlobUrl, renameFiles);
+          } catch (archiveError) {
+            console.warn(`⚠️ Failed to rename files in the archive of conversation ${conversation.id}:`, archiveError.message);
+          }
+        }
+
+        // updatedAt is left alone: a renamed file is not new activity in the conversation
+        await this.container.item(conversation.id, userId).replace(conversation);
+      }
+
+      console.log(`✅ Renamed files in ${resources.length} conversations for user: ${userId}`);
+      return resources.length;
+    } catch (error) {
+      console.error(`❌ Failed to rename files in conversations for user ${userId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a project document
+   * @param {string} userId - The user ID (for partition key)
+   * @param {string} name - Project name
+   * @param {string} description - Optional project description
+   * @returns {Object} - Created project document
+   */
+  async createProject(userId, name, description = '') {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const projectId = `proj_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const now = new Date().toISOString();
+
+      const project = {
+        id: projectId,
+        type: CONVERSATION_CONFIG.DOC_TYPES.PROJECT,
+        userId,
+        name,
+        description: description || '',
+        status: PROJECT_CONFIG.STATUS.ACTIVE,
+        createdAt: now,
+        updatedAt: now,
+        // Projects are long-lived; opt out of the container default TTL
+        ttl: -1
+      };
+
+      const { resource } = await this.container.items.create(project);
+
+      console.log(`✅ Created project: ${projectId}`);
+      return resource;
+    } catch (error) {
+      console.error('❌ Failed to create project:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a project document
+   * @param {string} projectId - The project ID
+   * @param {string} userId - The user ID (for partition key)
+   * @returns {Object} - Project document
+   */
+  async getProject(projectId, userId) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const { resource } = await this.container.item(projectId, userId).read();
+
+      if (!resource ||
+          resource.type !== CONVERSATION_CONFIG.DOC_TYPES.PROJECT ||
+          resource.status === PROJECT_CONFIG.STATUS.DELETED) {
+        throw new Error('Project not found');
+      }
+
+      return resource;
+    } catch (error) {
+      console.error(`❌ Failed to get project ${projectId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's active projects
+   * @param {string} userId - The user ID (for partition key)
+   * @returns {Array} - Project documents, most recently updated first
+   */
+  async listUserProjects(userId) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const querySpec = {
+        query: `
+          SELECT * FROM c 
+          WHERE c.userId = @userId 
+          AND c.type = @projectType
+          AND c.status != @deletedStatus
+          ORDER BY c.updatedAt DESC
+        `,
+        parameters: [
+          { name: '@userId', value: userId },
+          { name: '@projectType', value: CONVERSATION_CONFIG.DOC_TYPES.PROJECT },
+          { name: '@deletedStatus', value: PROJECT_CONFIG.STATUS.DELETED }
+        ]
+      };
+
+      const { resources } = await this.container.items.query(querySpec).fetchAll();
+
+      console.log(`✅ Retrieved ${resources.length} projects for user: ${userId}`);
+      return resources;
+    } catch (error) {
+      console.error(`❌ Failed to list projects for user ${userId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a project's editable fields
+   * @param {string} projectId - The project ID
+   * @param {string} userId - The user ID (for partition key)
+   * @param {Object} updates - Fields to update (name, description)
+   * @returns {Object} - Updated project document
+   */
+  async updateProject(projectId, userId, updates) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const project = await this.getProject(projectId, userId);
+
+      Object.assign(project, updates, {
+        updatedAt: new Date().toISOString()
+      });
+
+      const { resource } = await this.container.item(projectId, userId).replace(project);
+
+      console.log(`✅ Updated project: ${projectId}`);
+      return resource;
+    } catch (error) {
+      console.error(`❌ Failed to update project ${projectId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a project document. Conversations and blobs are cleaned up by the caller.
+   * @param {string} projectId - The project ID
+   * @param {string} userId - The user ID (for partition key)
+   * @returns {Object} - Deletion result
+   */
+  async deleteProject(projectId, userId) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      // Confirms ownership and type before deleting
+      await this.getProject(projectId, userId);
+      await this.container.item(projectId, userId).delete();
+
+      console.log(`✅ Deleted project: ${projectId}`);
+      return { success: true, message: 'Project deleted successfully' };
+    } catch (error) {
+      console.error(`❌ Failed to delete project ${projectId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's stored preferences, falling back to defaults
+   * @param {string} userId - The user ID (for partition key)
+   * @returns {Object} - Preferences ({ activeProjectId, updatedAt })
+   */
+  async getUserPreferences(userId) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const { resource } = await this.container.item(`prefs_${userId}`, userId).read();
+
+      return {
+        activeProjectId: resource ? resource.activeProjectId || null : null,
+        updatedAt: resource ? resource.updatedAt : null
+      };
+    } catch (error) {
+      console.error(`❌ Failed to get preferences for user ${userId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge and store a user's preferences
+   * @param {string} userId - The user ID (for partition key)
+   * @param {Object} updates - Preference fields to set (e.g. activeProjectId)
+   * @returns {Object} - Stored preferences
+   */
+  async updateUserPreferences(userId, updates) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const current = await this.getUserPreferences(userId);
+      const preferences = {
+        id: `prefs_${userId}`,
+        type: CONVERSATION_CONFIG.DOC_TYPES.PREFERENCES,
+        userId,
+        activeProjectId: current.activeProjectId,
+        ...updates,
+        updatedAt: new Date().toISOString(),
+        ttl: -1
+      };
+
+      const { resource } = await this.container.items.upsert(preferences);
+
+      console.log(`✅ Updated preferences for user: ${userId}`);
+      return {
+        activeProjectId: resource.activeProjectId || null,
+        updatedAt: resource.updatedAt
+      };
+    } catch (error) {
+      console.error(`❌ Failed to update preferences for user ${userId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the storage plan and limit overrides stored for a user
+   * @param {string} userId - The user ID (for partition key)
+   * @returns {Object|null} - { plan, overrides, updatedAt, updatedBy }, or null when none are stored
+   */
+  async getUserLimits(userId) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const { resource } = await this.container.item(`limits_${userId}`, userId).read();
+      if (!resource) {
+        return null;
+      }
+
+      return {
+        plan: resource.plan || null,
+        overrides: resource.overrides || {},
+        updatedAt: resource.updatedAt,
+        updatedBy: resource.updatedBy || null
+      };
+    } catch (error) {
+      console.error(`❌ Failed to get limits for user ${userId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a user's storage plan and limit overrides (replaces any stored before)
+   * @param {string} userId - The user ID (for partition key)
+   * @param {Object} limits - { plan, overrides } (plan null for the default plan)
+   * @param {string} updatedBy - ID of the administrator making the change
+   * @returns {Object} - Stored limits
+   */
+  async setUserLimits(userId, { plan = null, overrides = {} }, updatedBy) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const { resource } = await this.container.items.upsert({
+        id: `limits_${userId}`,
+        type: CONVERSATION_CONFIG.DOC_TYPES.LIMITS,
+        userId,
+        plan,
+        overrides,
+        updatedBy,
+        updatedAt: new Date().toISOString(),
+        ttl: -1
+      });
+
+      console.log(`✅ Updated limits for user: ${userId} (plan: ${plan || 'default'})`);
+      return {
+        plan: resource.plan || null,
+        overrides: resource.overrides || {},
+        updatedAt: resource.updatedAt,
+        updatedBy: resource.updatedBy
+      };
+    } catch (error) {
+      console.error(`❌ Failed to update limits for user ${userId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Check if a conversation needs archiving based on configured thresholds
    * @param {Object} conversation - The conversation document
@@ -448,3 +913,4 @@ class CosmosService {
 const cosmosService = new CosmosService();
 module.exports = cosmosService;
 module.exports.CONVERSATION_CONFIG = CONVERSATION_CONFIG;
+module.exports.PROJECT_CONFIG = PROJECT_CONFIG;
@@ -0,0 +1,283 @@
+/**
+ * CSV Dialect Detection
+ *
+ * Works out how a delimited text file (CSV, TSV) is written before it is parsed:
+ * - Delimiter: comma, semicolon (European Excel exports), tab or pipe, whichever splits
+ *   the sampled records into the most consistent number of fields
+ * - Quote character: double quotes, or single quotes when fields are wrapped in them
+ * - Header row: the first row is data when it has the same types as the rows below
+ *   (e.g. numbers in numeric columns); header-less files get Column 1..N names
+ * A per-file override (stored as blob metadata) replaces any detected setting.
+ */
+
+// Configuration constants for dialect detection
+const CSV_DIALECT_CONFIG = {
+  SAMPLE_CHARS: 64 * 1024,  // Characters examined to detect the dialect
+  SAMPLE_RECORDS: 50,       // Records compared for field counts and column types
+  DELIMITERS: {
+    comma: ',',
+    semicolon: ';',
+    tab: '\t',
+    pipe: '|'
+  },
+  QUOTES: {
+    double: '"',
+    single: "'"
+  }
+};
+
+const NUMBER_PATTERN = /^[-+]?(\d{1,3}([,. ]\d{3})*|\d+)([.,]\d+)?%?$/;
+const DATE_PATTERN = /^(\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4})([ T]\d{1,2}:\d{2}(:\d{2})?)?$/;
+
+/**
+ * Split text into records of fields, honouring quoted fields (embedded delimiters,
+ * newlines and doubled quotes)
+ * @param {string} text - Delimited text
+ * @param {string} delimiter - Field delimiter character
+ * @param {string} quote - Quote character
+ * @param {number} maxRecords - Stop after this many records
+ * @returns {Array<Array<string>>} - Records of field values (blank lines are skipped)
+ */
+function splitRecords(text, delimiter, quote, maxRecords = Infinity) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let index = 0;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push(fields);
+    }
+    fields = [];
+    field = '';
+  };
+
+  while (index < text.length && records.length < maxRecords) {
+    const char = text[index];
+    if (quoted) {
+      if (char === quote && text[index + 1] === quote) {
+        field += quote;
+        index++;
+      } else if (char === quote) {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === quote && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      endRecord();
+    } else {
+      field += char;
+    }
+    index++;
+  }
+
+  if (records.length < maxRecords && (field !== '' || fields.length > 0)) {
+    endRecord();
+  }
+  return records;
+}
+
+/**
+ * Score how well a delimiter splits a sample: consistent field counts above one field
+ * @param {Array<Array<string>>} records - Sample records split with the delimiter
+ * @returns {number} - Score (0 when the delimiter never splits a record)
+ */
+function scoreDelimiter(records) {
+  if (records.length === 0) {
+    return 0;
+  }
+
+  const counts = new Map();
+  records.forEach(record => counts.set(record.length, (counts.get(record.length) || 0) + 1));
+  const [fieldCount, frequency] = Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+  if (fieldCount < 2) {
+    return 0;
+  }
+
+  // Consistency matters most; more fields breaks ties (a stray comma inside semicolon data)
+  return (frequency / records.length) * 100 + Math.min(fieldCount, 50) / 50;
+}
+
+/**
+ * Choose the quote character: single quotes only when fields are wrapped in them
+ * @param {string} sample - Start of the file
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} - Quote character
+ */
+function detectQuote(sample, delimiter) {
+  const count = (quote) => {
+    const escapedQuote = `\\${quote}`;
+    const escapedDelimiter = delimiter === '\t' ? '\\t' : `\\${delimiter}`;
+    const wrapped = new RegExp(`(^|${escapedDelimiter}|\\n)${escapedQuote}[^${escapedQuote}\\n]*${escapedQuote}(?=${escapedDelimiter}|\\r?\\n|$)`, 'g');
+    return (sample.match(wrapped) || []).length;
+  };
+  return count("'") > count('"') ? CSV_DIALECT_CONFIG.QUOTES.single : CSV_DIALECT_CONFIG.QUOTES.double;
+}
+
+/**
+ * Classify a value for header detection
+ * @param {string} value - Field value
+ * @returns {string} - 'empty', 'number', 'date' or 'text'
+ */
+function valueKind(value) {
+  const text = String(value).trim();
+  if (text === '') return 'empty';
+  if (NUMBER_PATTERN.test(text)) return 'number';
+  if (DATE_PATTERN.test(text)) return 'date';
+  return 'text';
+}
+
+/**
+ * Decide whether the first record is a header row by comparing it with the records below
+ * Columns whose values are numbers or dates vote for a header when the first row is text there,
+ * and against it when the first row has the same kind of value
+ * @param {Array<Array<string>>} records - Sample records
+ * @returns {boolean} - True when the first record names the columns
+ */
+function detectHeader(records) {
+  if (records.length < 2) {
+    return true;
+  }
+
+  const [first, ...rest] = records;
+  let votes = 0;
+
+  first.forEach((value, column) => {
+    const kinds = rest.map(record => valueKind(record[column] ?? '')).filter(kind => kind !== 'empty');
+    if (kinds.length === 0) {
+      return;
+    }
+    const columnKind = kinds.every(kind => kind === kinds[0]) ? kinds[0] : 'text';
+    const firstKind = valueKind(value);
+
+    if (columnKind !== 'text') {
+      votes += firstKind === columnKind ? -1 : 1;
+    } else if (firstKind === 'number' || firstKind === 'date') {
+      votes -= 1; // Header names are text
+    } else if (rest.some(record => record[column] === value)) {
+      votes -= 1; // A header name does not repeat as a value in its own column
+    }
+  });
+
+  // Without evidence either way (all-text tables), assume the usual header row
+  return votes >= 0;
+}
+
+/**
+ * Look up the name of a delimiter or quote character
+ * @param {Object} names - CSV_DIALECT_CONFIG.DELIMITERS or CSV_DIALECT_CONFIG.QUOTES
+ * @param {string} char - Character
+ * @returns {string} - Name (e.g. 'semicolon')
+ */
+function nameOf(names, char) {
+  return Object.keys(names).find(name => names[name] === char);
+}
+
+/**
+ * Detect the dialect of delimited text, applying a per-file override
+ * @param {string} text - Decoded file content
+ * @param {Object} options - Detection options
+ * @param {string} options.defaultDelimiter - Delimiter name preferred when the sample is ambiguous (e.g. 'tab' for .tsv)
+ * @param {Object} options.override - Settings that replace detection: { delimiter, quote, header } (names and boolean)
+ * @returns {Object} - { delimiter, quote, header, delimiterName, quoteName, detected: { delimiter, quote, header } }
+ *   where detected flags which settings were sniffed rather than overridden
+ */
+function detectDialect(text, { defaultDelimiter = 'comma', override = null } = {}) {
+  const sample = text.slice(0, CSV_DIALECT_CONFIG.SAMPLE_CHARS);
+  const settings = override || {};
+
+  let delimiter = CSV_DIALECT_CONFIG.DELIMITERS[settings.delimiter];
+  if (!delimiter) {
+    const preferred = CSV_DIALECT_CONFIG.DELIMITERS[defaultDelimiter] || CSV_DIALECT_CONFIG.DELIMITERS.comma;
+    let bestScore = 0;
+    delimiter = preferred;
+    // The preferred delimiter is scored first, so it wins ties
+    const candidates = [preferred, ...Object.values(CSV_DIALECT_CONFIG.DELIMITERS).filter(char => char !== preferred)];
+    for (const candidate of candidates) {
+      const score = scoreDelimiter(splitRecords(sample, candidate, detectQuote(sample, candidate), CSV_DIALECT_CONFIG.SAMPLE_RECORDS));
+      if (score > bestScore) {
+        bestScore = score;
+        delimiter = candidate;
+      }
+    }
+  }
+
+  const quote = CSV_DIALECT_CONFIG.QUOTES[settings.quote] || detectQuote(sample, delimiter);
+  const header = typeof settings.header === 'boolean'
+    ? settings.header
+    : detectHeader(splitRecords(sample, delimiter, quote, CSV_DIALECT_CONFIG.SAMPLE_RECORDS));
+
+  return {
+    delimiter,
+    quote,
+    header,
+    delimiterName: nameOf(CSV_DIALECT_CONFIG.DELIMITERS, delimiter),
+    quoteName: nameOf(CSV_DIALECT_CONFIG.QUOTES, quote),
+    detected: {
+      delimiter: !CSV_DIALECT_CONFIG.DELIMITERS[settings.delimiter],
+      quote: !CSV_DIALECT_CONFIG.QUOTES[settings.quote],
+      header: typeof settings.header !== 'boolean'
+    }
+  };
+}
+
+/**
+ * Validate a dialect override from a request or blob metadata
+ * @param {Object} override - { delimiter, quote, header }; null or missing settings are detected
+ * @returns {Object} - { valid: boolean, error?: string, override?: Object|null } (null when nothing is overridden)
+ */
+function normalizeDialectOverride(override) {
+  if (!override || typeof override !== 'object') {
+    return { valid: true, override: null };
+  }
+
+  const { delimiter = null, quote = null, header = null } = override;
+  if (delimiter !== null && !CSV_DIALECT_CONFIG.DELIMITERS[delimiter]) {
+    return { valid: false, error: `delimiter must be one of: ${Object.keys(CSV_DIALECT_CONFIG.DELIMITERS).join(', ')}` };
+  }
+  if (quote !== null && !CSV_DIALECT_CONFIG.QUOTES[quote]) {
+    return { valid: false, error: `quote must be one of: ${Object.keys(CSV_DIALECT_CONFIG.QUOTES).join(', ')}` };
+  }
+  if (header !== null && typeof header !== 'boolean') {
+    return { valid: false, error: 'header must be true or false' };
+  }
+
+  const normalized = {};
+  if (delimiter !== null) normalized.delimiter = delimiter;
+  if (quote !== null) normalized.quote = quote;
+  if (header !== null) normalized.header = header;
+  return { valid: true, override: Object.keys(normalized).length > 0 ? normalized : null };
+}
+
+/**
+ * Describe a dialect for prompts and logs
+ * @param {Object} dialect - Dialect from detectDialect
+ * @returns {string} - e.g. "semicolon-delimited, no header row"
+ */
+function describeDialect(dialect) {
+  const parts = [`${dialect.delimiterName}-delimited`];
+  if (dialect.quoteName !== 'double') {
+    parts.push(`${dialect.quoteName} quotes`);
+  }
+  parts.push(dialect.header ? 'header row' : 'no header row');
+  return parts.join(', ');
+}
+
+module.exports = {
+  detectDialect,
+  normalizeDialectOverride,
+  describeDialect,
+  splitRecords,
+  CSV_DIALECT_CONFIG
+};
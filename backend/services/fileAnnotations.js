@@ -0,0 +1,209 @@
+/**
+ * File Annotations
+ *
+ * User-written metadata kept with each file and given to the model with its content:
+ * - A description, tags and notes, plus (mostly for tables) a data dictionary saying what
+ *   each column means and its unit, so cryptic column names (e.g. ERP exports) are read correctly
+ * - Stored as a sidecar (.taktmate/{blobName}/annotations.json), so they survive new versions of
+ *   the file; tags and the time of the last edit are kept in the sidecar's blob metadata so file
+ *   listings can be filtered by tag without reading every sidecar, and the file itself (and the
+ *   caches keyed by its ETag) is left alone
+ * - Chat prompts and parsed prompt content start each file with its annotations
+ */
+
+const { readSidecar, writeSidecar, ANNOTATIONS_SIDECAR_KIND } = require('./storage');
+
+// Configuration constants for file annotations
+const FILE_ANNOTATIONS_CONFIG = {
+  SIDECAR_KIND: ANNOTATIONS_SIDECAR_KIND,
+  MAX_DESCRIPTION_LENGTH: 1000,
+  MAX_NOTES_LENGTH: 4000,
+  MAX_TAGS: 10,               // Tags live in the sidecar's blob metadata too, which is limited to 8KB per blob
+  MAX_TAG_LENGTH: 30,
+  MAX_COLUMNS: 500,
+  MAX_COLUMN_NAME_LENGTH: 200,
+  MAX_COLUMN_DESCRIPTION_LENGTH: 500,
+  MAX_UNIT_LENGTH: 50,
+  MAX_CACHE_ENTRIES: 200
+};
+
+// Annotations read from sidecars: `${userId}:${blobName}:${annotatedAt}` -> annotations (Map keeps insertion order)
+const annotationCache = new Map();
+
+/**
+ * Annotations of a file that has none
+ * @returns {Object} - { description, tags, notes, columns }
+ */
+function emptyAnnotations() {
+  return { description: '', tags: [], notes: '', columns: [] };
+}
+
+/**
+ * Check and normalize annotations before they are stored
+ * @param {Object} body - { description, tags, notes, columns: [{ name, description, unit }] } from a request
+ * @returns {Object} - { valid: boolean, error?: string, annotations?: { description, tags, notes, columns } }
+ */
+function validateAnnotations(body = {}) {
+  const config = FILE_ANNOTATIONS_CONFIG;
+  const { description = '', tags = [], notes = '', columns = [] } = body || {};
+
+  if (typeof description !== 'string' || description.length > config.MAX_DESCRIPTION_LENGTH) {
+    return { valid: false, error: `description must be text of at most ${config.MAX_DESCRIPTION_LENGTH} characters` };
+  }
+  if (typeof notes !== 'string' || notes.length > config.MAX_NOTES_LENGTH) {
+    return { valid: false, error: `notes must be text of at most ${config.MAX_NOTES_LENGTH} characters` };
+  }
+
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return { valid: false, error: 'tags must be a list of text values' };
+  }
+  // Tags are trimmed and compared without case; the first spelling is kept
+  const normalizedTags = [];
+  for (const tag of tags.map(value => value.trim()).filter(Boolean)) {
+    if (tag.length > config.MAX_TAG_LENGTH) {
+      return { valid: false, error: `Tag '${tag}' is longer than ${config.MAX_TAG_LENGTH} characters` };
+    }
+    if (!normalizedTags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+      normalizedTags.push(tag);
+    }
+  }
+  if (normalizedTags.length > config.MAX_TAGS) {
+    return { valid: false, error: `A file can have at most ${config.MAX_TAGS} tags` };
+  }
+
+  if (!Array.isArray(columns) || columns.some(column => !column || typeof column !== 'object')) {
+    return { valid: false, error: 'columns must be a list of { name, description, unit }' };
+  }
+  const normalizedColumns = [];
+  for (const column of columns) {
+    const name = typeof column.name === 'string' ? column.name.trim() : '';
+    const columnDescription = typeof column.description === 'string' ? column.description.trim() : '';
+    const unit = typeof column.unit === 'string' ? column.unit.trim() : '';
+    if (!name || name.length > config.MAX_COLUMN_NAME_LENGTH) {
+      return { valid: false, error: `Column names are required and at most ${config.MAX_COLUMN_NAME_LENGTH} characters` };
+    }
+    if (columnDescription.length > config.MAX_COLUMN_DESCRIPTION_LENGTH || unit.length > config.MAX_UNIT_LENGTH) {
+      return { valid: false, error: `Column '${name}': descriptions are at most ${config.MAX_COLUMN_DESCRIPTION_LENGTH} characters and units at most ${config.MAX_UNIT_LENGTH}` };
+    }
+    if (normalizedColumns.some(existing => existing.name === name)) {
+      return { valid: false, error: `Column '${name}' is described more than once` };
+    }
+    // Columns left blank are not stored
+    if (columnDescription || unit) {
+      normalizedColumns.push({ name, description: columnDescription, unit });
+    }
+  }
+  if (normalizedColumns.length > config.MAX_COLUMNS) {
+    return { valid: false, error: `At most ${config.MAX_COLUMNS} columns can be described` };
+  }
+
+  return {
+    valid: true,
+    annotations: { description: description.trim(), tags: normalizedTags, notes: notes.trim(), columns: normalizedColumns }
+  };
+}
+
+/**
+ * Check whether annotations say anything
+ * @param {Object|null} annotations - Annotations as stored
+ * @returns {boolean} - True when any field is filled in
+ */
+function hasAnnotations(annotations) {
+  return !!annotations && !!(annotations.description || annotations.notes ||
+    annotations.tags.length > 0 || annotations.columns.length > 0);
+}
+
+/**
+ * Get a file's annotations
+ * @param {string} userId - User ID
+ * @param {Object} file - File entry from listUserFiles ({ name, annotatedAt })
+ * @returns {Promise<Object|null>} - { description, tags, notes, columns, updatedAt }, or null when never annotated
+ */
+async function getFileAnnotations(userId, file) {
+  if (!file.annotatedAt) {
+    return null;
+  }
+
+  const key = `${userId}:${file.name}:${file.annotatedAt}`;
+  if (annotationCache.has(key)) {
+    return annotationCache.get(key);
+  }
+
+  const stored = await readSidecar(userId, file.name, FILE_ANNOTATIONS_CONFIG.SIDECAR_KIND);
+  const annotations = stored ? { ...emptyAnnotations(), ...stored } : null;
+
+  evictFileAnnotations(userId, file.name);
+  annotationCache.set(key, annotations);
+  while (annotationCache.size > FILE_ANNOTATIONS_CONFIG.MAX_CACHE_ENTRIES) {
+    annotationCache.delete(annotationCache.keys().next().value);
+  }
+  return annotations;
+}
+
+/**
+ * Store a file's annotations (replacing earlier ones)
+ * @param {string} userId - User ID
+ * @param {string} blobName - File's blob name
+ * @param {Object} annotations - Validated annotations (from validateAnnotations)
+ * @returns {Promise<Object>} - Annotations as stored, with updatedAt
+ */
+async function saveFileAnnotations(userId, blobName, annotations) {
+  const stored = { ...annotations, updatedAt: new Date().toISOString() };
+
+  // The new annotatedat metadata is what makes readers load the sidecar again
+  await writeSidecar(userId, blobName, FILE_ANNOTATIONS_CONFIG.SIDECAR_KIND, stored, {
+    annotatedat: stored.updatedAt,
+    tags: annotations.tags.length > 0 ? encodeURIComponent(JSON.stringify(annotations.tags)) : null
+  });
+  evictFileAnnotations(userId, blobName);
+  return stored;
+}
+
+/**
+ * Drop cached annotations of a file
+ * @param {string} userId - User ID
+ * @param {string} blobName - Blob name
+ */
+function evictFileAnnotations(userId, blobName) {
+  const prefix = `${userId}:${blobName}:`;
+  for (const key of Array.from(annotationCache.keys())) {
+    if (key.startsWith(prefix)) {
+      annotationCache.delete(key);
+    }
+  }
+}
+
+/**
+ * Format a file's annotations for the GPT prompt
+ * @param {string} fileName - File name
+ * @param {Object|null} annotations - Annotations from getFileAnnotations
+ * @returns {string} - Prompt text ('' when there is nothing to say)
+ */
+function formatAnnotationsForPrompt(fileName, annotations) {
+  if (!hasAnnotations(annotations)) {
+    return '';
+  }
+
+  let prompt = `Notes on ${fileName} from the user (use them to interpret the data):\n`;
+  if (annotations.description) prompt += `Description: ${annotations.description}\n`;
+  if (annotations.tags.length > 0) prompt += `Tags: ${annotations.tags.join(', ')}\n`;
+  if (annotations.notes) prompt += `Notes: ${annotations.notes}\n`;
+  if (annotations.columns.length > 0) {
+    prompt += `Data dictionary (column: meaning [unit]):\n`;
+    annotations.columns.forEach(column => {
+      const meaning = column.description || 'no description';
+      prompt += `- ${column.name}: ${meaning}${column.unit ? ` [${column.unit}]` : ''}\n`;
+    });
+  }
+  return prompt;
+}
+
+module.exports = {
+  emptyAnnotations,
+  validateAnnotations,
+  getFileAnnotations,
+  saveFileAnnotations,
+  evictFileAnnotations,
+  formatAnnotationsForPrompt,
+  FILE_ANNOTATIONS_CONFIG
+};
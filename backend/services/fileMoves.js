@@ -0,0 +1,255 @@
+/**
+ * File Moves
+ *
+ * Renaming, moving and copying files. Blob storage has no rename, so a move copies the blob and
+ * then deletes the original:
+ * - Folders are virtual: the part of a blob name before its last '/' (e.g. 'reports/2024/q1.csv'),
+ *   so a folder exists while a file is in it; project files keep their projects/{projectId}/ root
+ * - Earlier versions and annotations (.taktmate/{blobName}/) move with the file, and the copy is
+ *   given the file's upload status; other sidecars (search index, parse cache) are keyed by the
+ *   blob's ETag and are rebuilt for the new blob
+ * - Child sources (email attachments) move with their parent and are linked and labelled with its new name
+ * - A copy starts again at version 1, with the source's annotations but not its earlier versions
+ */
+
+const {
+  listUserFiles,
+  copyBlob,
+  deleteBlob,
+  getSidecarBlobName,
+  isVersionBlob,
+  isProjectBlob,
+  SIDECAR_PREFIX
+} = require('./storage');
+const { getExtension } = require('../processors');
+const { findChildSources, CHILD_SOURCES_CONFIG } = require('./childSources');
+const { FILE_ANNOTATIONS_CONFIG } = require('./fileAnnotations');
+
+// Configuration constants for file moves
+const FILE_MOVES_CONFIG = {
+  MAX_FILES_PER_MOVE: 100,   // Files one batch move may name (attachments moving with an email are not counted)
+  COPY_SUFFIX: ' (copy)'     // Added before the extension of a copy's default name
+};
+
+/**
+ * Get the root a file's folders are relative to
+ * @param {string} blobName - Blob name
+ * @returns {string} - '' for the user's own files, 'projects/{projectId}/' for project files
+ */
+function getRoot(blobName) {
+  return isProjectBlob(blobName) ? blobName.split('/').slice(0, 2).join('/') + '/' : '';
+}
+
+/**
+ * Get the virtual folder of a file, relative to its root
+ * @param {string} blobName - Blob name (e.g. 'reports/2024/q1.csv')
+ * @returns {string} - Folder path (e.g. 'reports/2024'), '' at the top level
+ */
+function getFolder(blobName) {
+  const relative = blobName.substring(getRoot(blobName).length);
+  return relative.includes('/') ? relative.substring(0, relative.lastIndexOf('/')) : '';
+}
+
+/**
+ * Get the file name of a blob without its folders
+ * @param {string} blobName - Blob name
+ * @returns {string} - File name (e.g. 'q1.csv')
+ */
+function getBaseName(blobName) {
+  return blobName.substring(blobName.lastIndexOf('/') + 1);
+}
+
+/**
+ * Normalize a folder path from a request ('/reports//2024/' -> 'reports/2024')
+ * @param {string} folder - Folder path
+ * @returns {string} - Folder path without empty segments, '' for the top level
+ */
+function normalizeFolder(folder) {
+  return String(folder).split('/').map(segment => segment.trim()).filter(Boolean).join('/');
+}
+
+/**
+ * Work out the new blob name of a file from a rename or move request
+ * @param {string} blobName - Current blob name
+ * @param {Object} target - { name, folder }: new file name and/or folder (relative to the file's
+ *   root, '' for the top level); a part that is left out stays as it is
+ * @returns {string} - New blob name
+ */
+function getTargetName(blobName, { name, folder } = {}) {
+  const targetFolder = folder === undefined || folder === null ? getFolder(blobName) : normalizeFolder(folder);
+  const targetFile = name === undefined || name === null ? getBaseName(blobName) : String(name).trim();
+  return `${getRoot(blobName)}${targetFolder ? `${targetFolder}/` : ''}${targetFile}`;
+}
+
+/**
+ * Check the parts of a move that file name validation does not cover
+ * @param {string} blobName - Current blob name
+ * @param {string} targetName - New blob name
+ * @returns {string|null} - Error message, or null when the move is allowed
+ */
+function checkMoveTarget(blobName, targetName) {
+  if (getExtension(targetName) !== getExtension(blobName)) {
+    // The content type and processor were checked for the original extension on upload
+    return `A file keeps its extension (${getExtension(blobName)})`;
+  }
+  if (!isProjectBlob(blobName) && isProjectBlob(targetName)) {
+    return 'The top-level projects folder is reserved for project files';
+  }
+  return null;
+}
+
+/**
+ * List the virtual folders of a set of files
+ * @param {Array<Object>} files - File entries from listUserFiles
+ * @param {string} root - Prefix the folders are relative to ('' or a project prefix)
+ * @returns {Array<Object>} - [{ path, fileCount }] sorted by path; fileCount includes files in subfolders
+ */
+function listFolders(files, root = '') {
+  const counts = new Map();
+  files
+    .filter(file => file.name.startsWith(root))
+    .forEach(file => {
+      const segments = file.name.substring(root.length).split('/').slice(0, -1);
+      segments.forEach((segment, index) => {
+        const path = segments.slice(0, index + 1).join('/');
+        counts.set(path, (counts.get(path) || 0) + 1);
+      });
+    });
+  return Array.from(counts, ([path, fileCount]) => ({ path, fileCount }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Point a child source's label at its parent's new name
+ * @param {string|null} childLabel - Current label (e.g. 'attachment 1 of email complaint.eml')
+ * @param {string} parentName - Parent's current blob name
+ * @param {string} targetName - Parent's new blob name
+ * @returns {string|null} - e.g. 'attachment 1 of email complaint 2024.eml'; labels that don't end
+ *   with the parent's file name are kept as they are
+ */
+function relabelChild(childLabel, parentName, targetName) {
+  const oldBase = getBaseName(parentName);
+  if (!childLabel || !childLabel.endsWith(` ${oldBase}`)) {
+    return childLabel || null;
+  }
+  return `${childLabel.substring(0, childLabel.length - oldBase.length)}${getBaseName(targetName)}`;
+}
+
+/**
+ * Plan the blob names a move produces: the file, and its child sources next to it
+ * @param {Array<Object>} files - File entries from listUserFiles
+ * @param {string} blobName - Blob name of the file to move
+ * @param {string} targetName - New blob name
+ * @returns {Array<Object>} - [{ from, to }], the file first; children also carry their new childLabel
+ */
+function planMove(files, blobName, targetName) {
+  const childPrefix = `${blobName}${CHILD_SOURCES_CONFIG.NAME_SEPARATOR}`;
+  const children = findChildSources(files, blobName).map(child => ({
+    from: child.name,
+    // Children named after their parent are renamed with it; others keep their name in the new folder
+    to: child.name.startsWith(childPrefix)
+      ? `${targetName}${CHILD_SOURCES_CONFIG.NAME_SEPARATOR}${child.name.substring(childPrefix.length)}`
+      : `${targetName.substring(0, targetName.lastIndexOf('/') + 1)}${getBaseName(child.name)}`,
+    childLabel: relabelChild(child.childLabel, blobName, targetName)
+  }));
+  return [{ from: blobName, to: targetName }, ...children];
+}
+
+/**
+ * Plan the default name of a copy, in the same folder and unique among existing names
+ * @param {Array<Object>} files - File entries from listUserFiles
+ * @param {string} blobName - Blob name of the file to copy
+ * @returns {string} - e.g. 'reports/q1 (copy).csv' or 'reports/q1 (copy 2).csv'
+ */
+function getCopyName(files, blobName) {
+  const extension = getExtension(blobName);
+  const base = blobName.substring(0, blobName.length - extension.length);
+  const taken = new Set(files.map(file => file.name));
+
+  let candidate = `${base}${FILE_MOVES_CONFIG.COPY_SUFFIX}${extension}`;
+  for (let copy = 2; taken.has(candidate); copy++) {
+    candidate = `${base}${FILE_MOVES_CONFIG.COPY_SUFFIX.replace(/\)$/, ` ${copy})`)}${extension}`;
+  }
+  return candidate;
+}
+
+/**
+ * Copy the sidecars that belong with a file's content (annotations, and optionally earlier versions)
+ * @param {string} userId - User ID
+ * @param {string} fromName - Blob name the sidecars are kept for
+ * @param {string} toName - Blob name to keep them for
+ * @param {boolean} includeVersions - Copy earlier versions too
+ * @returns {Promise<number>} - Number of sidecars copied
+ */
+async function copyKeptSidecars(userId, fromName, toName, includeVersions) {
+  const fromPrefix = `${SIDECAR_PREFIX}${fromName}/`;
+  const annotationsName = getSidecarBlobName(fromName, FILE_ANNOTATIONS_CONFIG.SIDECAR_KIND);
+  const entries = (await listUserFiles(userId, { prefix: fromPrefix, includeSidecars: true }))
+    .filter(entry => entry.name === annotationsName || (includeVersions && isVersionBlob(entry.name)));
+
+  for (const entry of entries) {
+    await copyBlob(userId, entry.name, `${SIDECAR_PREFIX}${toName}/${entry.name.substring(fromPrefix.length)}`);
+  }
+  return entries.length;
+}
+
+/**
+ * Move (or rename) a file, with its earlier versions, annotations and child sources
+ * Every copy is made before any original is deleted, so a failed move leaves the file in place.
+ * @param {string} userId - User ID
+ * @param {Array<Object>} files - File entries from listUserFiles
+ * @param {string} blobName - Blob name of the file to move
+ * @param {string} targetName - New blob name (checked to be free, with planMove's names for the children)
+ * @returns {Promise<Array<Object>>} - [{ from, to }] of every blob that was moved
+ */
+async function moveFile(userId, files, blobName, targetName) {
+  const moves = planMove(files, blobName, targetName);
+
+  for (const move of moves) {
+    const links = move.from === blobName ? {} : {
+      parent: encodeURIComponent(targetName),
+      childlabel: move.childLabel ? encodeURIComponent(move.childLabel) : null
+    };
+    await copyBlob(userId, move.from, move.to, links);
+    await copyKeptSidecars(userId, move.from, move.to, true);
+  }
+
+  // Deleting a blob also deletes its sidecars
+  for (const move of moves) {
+    await deleteBlob(userId, move.from);
+  }
+
+  console.log(`🚚 Moved ${blobName} to ${targetName}${moves.length > 1 ? ` with ${moves.length - 1} attachment(s)` : ''}`);
+  return moves;
+}
+
+/**
+ * Copy a file as a new file of its own (version 1, same annotations, no earlier versions)
+ * @param {string} userId - User ID
+ * @param {Object} file - File entry from listUserFiles
+ * @param {string} targetName - Blob name of the copy (checked to be free)
+ * @returns {Promise<void>}
+ */
+async function copyFile(userId, file, targetName) {
+  await copyBlob(userId, file.name, targetName, {
+    version: '1',
+    uploadedat: new Date().toISOString(),
+    restoredfrom: null,
+    // A copied attachment is not linked to the email it came from
+    parent: null,
+    childlabel: null
+  });
+  await copyKeptSidecars(userId, file.name, targetName, false);
+}
+
+module.exports = {
+  getFolder,
+  getTargetName,
+  checkMoveTarget,
+  listFolders,
+  planMove,
+  getCopyName,
+  moveFile,
+  copyFile,
+  FILE_MOVES_CONFIG
+};
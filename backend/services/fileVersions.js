@@ -0,0 +1,153 @@
+/**
+ * File Versions
+ *
+ * Re-uploading a file keeps what it replaces:
+ * - Every file has a version number (blob metadata, 1 for the first upload)
+ * - Before new content is committed over a file, the current content is copied to
+ *   .taktmate/{blobName}/versions/{n} with its metadata (status, encoding, dialect, upload time)
+ * - Restoring copies an earlier version back as a new version, so restores can be undone too;
+ *   the file's current annotations stay (they are kept per file, not per version)
+ * - Earlier versions count towards the storage quota and are deleted with the file; only the
+ *   newest VERSION_CONFIG.MAX_VERSIONS earlier versions are kept
+ */
+
+const {
+  listUserFiles,
+  getBlobContent,
+  copyBlob,
+  deleteBlob,
+  getVersionPrefix,
+  getVersionBlobName
+} = require('./storage');
+
+// Configuration constants for file versions
+const VERSION_CONFIG = {
+  MAX_VERSIONS: 20 // Earlier versions kept per file (the oldest are deleted first)
+};
+
+/**
+ * Describe a stored file version for API responses
+ * @param {Object} entry - File entry from listUserFiles (the file itself or one of its version blobs)
+ * @param {boolean} current - True for the file's current content
+ * @returns {Object} - { version, current, size, uploadedAt, status, statusReason, restoredFrom }
+ */
+function describeVersion(entry, current) {
+  return {
+    version: entry.version,
+    current,
+    size: entry.size,
+    uploadedAt: entry.uploadedAt,
+    status: entry.status,
+    statusReason: entry.statusReason,
+    restoredFrom: entry.restoredFrom
+  };
+}
+
+/**
+ * List the earlier versions kept for a file
+ * @param {string} userId - User ID
+ * @param {Object} file - File entry from listUserFiles
+ * @returns {Promise<Array<Object>>} - Version blob entries, newest first
+ */
+async function listArchivedVersions(userId, file) {
+  const entries = await listUserFiles(userId, { prefix: getVersionPrefix(file.name), includeSidecars: true });
+  return entries
+    .map(entry => ({ ...entry, version: Number(entry.name.substring(entry.name.lastIndexOf('/') + 1)) || entry.version }))
+    .sort((a, b) => b.version - a.version);
+}
+
+/**
+ * List a file's versions, current one first
+ * @param {string} userId - User ID
+ * @param {Object} file - File entry from listUserFiles
+ * @returns {Promise<Array<Object>>} - Versions as returned by describeVersion, newest first
+ */
+async function listVersions(userId, file) {
+  const archived = await listArchivedVersions(userId, file);
+  return [describeVersion(file, true), ...archived.map(entry => describeVersion(entry, false))];
+}
+
+/**
+ * Keep a file's current content as an earlier version before it is replaced
+ * @param {string} userId - User ID
+ * @param {Object} file - File entry from listUserFiles
+ * @returns {Promise<number>} - Version number for the content that replaces it
+ */
+async function archiveCurrentVersion(userId, file) {
+  await copyBlob(userId, file.name, getVersionBlobName(file.name, file.version), {
+    version: String(file.version),
+    uploadedat: new Date(file.uploadedAt).toISOString()
+  });
+
+  // Drop the oldest versions beyond the limit
+  const archived = await listArchivedVersions(userId, file);
+  for (const entry of archived.slice(VERSION_CONFIG.MAX_VERSIONS)) {
+    await deleteBlob(userId, entry.name);
+  }
+
+  console.log(`🗂️  Kept version ${file.version} of ${file.name}`);
+  return file.version + 1;
+}
+
+/**
+ * Find a stored version of a file
+ * @param {string} userId - User ID
+ * @param {Object} file - File entry from listUserFiles
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} - File entry holding that version (the file itself for the current version), or null
+ */
+async function findVersion(userId, file, version) {
+  if (version === file.version) {
+    return file;
+  }
+  const archived = await listArchivedVersions(userId, file);
+  return archived.find(entry => entry.version === version) || null;
+}
+
+/**
+ * Read the content of a stored version
+ * @param {string} userId - User ID
+ * @param {Object} entry - Version entry from findVersion
+ * @returns {Promise<Buffer>} - Content of that version
+ */
+async function readVersion(userId, entry) {
+  return getBlobContent(userId, entry.name);
+}
+
+/**
+ * Make an earlier version current again; the content it replaces is kept as a version first
+ * @param {string} userId - User ID
+ * @param {Object} file - File entry from listUserFiles
+ * @param {Object} entry - Earlier version entry from findVersion
+ * @returns {Promise<number>} - The file's new version number
+ */
+async function restoreVersion(userId, file, entry) {
+  const version = await archiveCurrentVersion(userId, file);
+  await copyBlob(userId, entry.name, file.name, {
+    version: String(version),
+    restoredfrom: String(entry.version),
+    uploadedat: new Date().toISOString()
+  });
+
+  console.log(`⏪ Restored version ${entry.version} of ${file.name} as version ${version}`);
+  return version;
+}
+
+/**
+ * Delete an earlier version of a file
+ * @param {string} userId - User ID
+ * @param {Object} entry - Earlier version entry from findVersion
+ */
+async function deleteVersion(userId, entry) {
+  await deleteBlob(userId, entry.name);
+}
+
+module.exports = {
+  listVersions,
+  archiveCurrentVersion,
+  findVersion,
+  readVersion,
+  restoreVersion,
+  deleteVersion,
+  VERSION_CONFIG
+};
@@ -0,0 +1,230 @@
+/**
+ * Local OCR Service
+ *
+ * Reads text from scanned PDF pages and image uploads without any network calls:
+ * - Tesseract (tesseract.js, WebAssembly) with the English model bundled in @tesseract.js-data/eng
+ * - PDF pages without a text layer are rendered with pdf.js onto a native canvas before recognition
+ * - One worker is shared by all requests and shut down when idle
+ * - Results are cached by content hash, so prompt parsing and indexing of the same file share one OCR pass
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createWorker } = require('tesseract.js');
+
+// Configuration constants for OCR
+const OCR_CONFIG = {
+  ENABLED: process.env.OCR_ENABLED !== 'false',
+  LANGUAGE: 'eng',
+  LANG_PATH: path.join(path.dirname(require.resolve('@tesseract.js-data/eng')), '4.0.0_best_int'),
+  RENDER_DPI: 200,              // Resolution PDF pages are rendered at for recognition
+  MIN_TEXT_CHARS: 20,           // PDF pages with less embedded text than this are treated as scans
+  MAX_PAGES: 100,               // Pages recognized per file
+  LOW_CONFIDENCE: 60,           // Paragraphs below this confidence (0-100) are flagged in the text
+  RESULT_CACHE_SIZE: 50,        // Recognized pages kept in memory
+  WORKER_IDLE_MS: 60 * 1000     // Idle time before the worker is shut down
+};
+
+let workerPromise = null;
+let activeJobs = 0;
+let idleTimer = null;
+
+// Recognized pages keyed by content hash and page (Map keeps insertion order for LRU eviction)
+const resultCache = new Map();
+
+/**
+ * Start the shared Tesseract worker (language data is read from the bundled package)
+ * @returns {Promise<Object>} - Tesseract worker
+ */
+function getWorker() {
+  if (!workerPromise) {
+    console.log('🔎 Starting OCR worker');
+    workerPromise = createWorker(OCR_CONFIG.LANGUAGE, 1, {
+      langPath: OCR_CONFIG.LANG_PATH,
+      gzip: true,
+      cacheMethod: 'none'
+    }).catch(error => {
+      workerPromise = null;
+      throw new Error(`OCR engine failed to start: ${error.message}`);
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Shut down the shared worker (it is restarted on the next recognition)
+ */
+async function terminateWorker() {
+  const pending = workerPromise;
+  workerPromise = null;
+  if (pending) {
+    try {
+      const worker = await pending;
+      await worker.terminate();
+      console.log('🔎 OCR worker stopped (idle)');
+    } catch (error) {
+      console.warn('⚠️  Failed to stop OCR worker:', error.message);
+    }
+  }
+}
+
+/**
+ * Read paragraphs and confidence scores from Tesseract's block output
+ * @param {Object} data - Recognition data ({ text, confidence, blocks })
+ * @returns {Object} - { confidence, paragraphs: [{ text, confidence }] } with confidence 0-100
+ */
+function readRecognition(data) {
+  const paragraphs = (data.blocks || [])
+    .flatMap(block => block.paragraphs || [])
+    .map(paragraph => ({
+      text: (paragraph.lines || []).map(line => line.text.trim()).filter(Boolean).join('\n'),
+      confidence: Math.round(paragraph.confidence)
+    }))
+    .filter(paragraph => paragraph.text.length > 0);
+
+  return {
+    confidence: paragraphs.length > 0 ? Math.round(data.confidence) : 0,
+    paragraphs
+  };
+}
+
+/**
+ * Get a cached recognition result, refreshing its LRU position
+ * @param {string} key - Cache key
+ * @returns {Object|null} - Recognition result or null
+ */
+function getCachedResult(key) {
+  if (!resultCache.has(key)) {
+    return null;
+  }
+  const cached = resultCache.get(key);
+  resultCache.delete(key);
+  resultCache.set(key, cached);
+  return cached;
+}
+
+/**
+ * Recognize the text of one image
+ * @param {Buffer} image - PNG, JPEG or other image file content supported by Tesseract
+ * @param {string} cacheKey - Optional cache key (defaults to the image's hash)
+ * @returns {Promise<Object>} - { confidence, paragraphs: [{ text, confidence }] }
+ */
+async function recognizeImage(image, cacheKey = null) {
+  const key = cacheKey || crypto.createHash('sha1').update(image).digest('hex');
+  const cached = getCachedResult(key);
+  if (cached) {
+    return cached;
+  }
+
+  clearTimeout(idleTimer);
+  activeJobs++;
+  try {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+    const result = readRecognition(data);
+
+    resultCache.set(key, result);
+    while (resultCache.size > OCR_CONFIG.RESULT_CACHE_SIZE) {
+      resultCache.delete(resultCache.keys().next().value);
+    }
+    return result;
+  } finally {
+    activeJobs--;
+    if (activeJobs === 0) {
+      idleTimer = setTimeout(terminateWorker, OCR_CONFIG.WORKER_IDLE_MS);
+      idleTimer.unref(); // Never keeps the process alive
+    }
+  }
+}
+
+/**
+ * Render PDF pages to images and recognize them, one page at a time
+ * @param {Buffer} buffer - PDF file buffer
+ * @param {Array<number>} pageNumbers - 1-based pages to recognize
+ * @returns {Promise<Map<number, Object>>} - Recognition results keyed by page number
+ */
+async function recognizePdfPages(buffer, pageNumbers) {
+  const results = new Map();
+  const pages = pageNumbers.slice(0, OCR_CONFIG.MAX_PAGES);
+  if (pages.length < pageNumbers.length) {
+    console.warn(`⚠️  OCR limited to the first ${OCR_CONFIG.MAX_PAGES} of ${pageNumbers.length} scanned pages`);
+  }
+
+  const fileHash = crypto.createHash('sha1').update(buffer).digest('hex');
+
+  let document = null;
+  try {
+    for (const pageNumber of pages) {
+      const cacheKey = `${fileHash}:${pageNumber}`;
+      const cached = getCachedResult(cacheKey);
+      if (cached) {
+        results.set(pageNumber, cached);
+        continue;
+      }
+
+      // pdf.js is only loaded (and the document only opened) once a page has to be rendered
+      if (!document) {
+        const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+        document = await pdfjs.getDocument({
+          data: new Uint8Array(buffer),
+          isEvalSupported: false,
+          verbosity: 0
+        }).promise;
+      }
+
+      const page = await document.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: OCR_CONFIG.RENDER_DPI / 72 });
+      const { canvas, context } = document.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+      // Transparent areas would otherwise render black
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: context, canvas, viewport }).promise;
+
+      const image = canvas.toBuffer('image/png');
+      document.canvasFactory.destroy({ canvas, context });
+      page.cleanup();
+
+      results.set(pageNumber, await recognizeImage(image, cacheKey));
+    }
+  } finally {
+    if (document) {
+      await document.destroy();
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Describe a recognition confidence for prompts and excerpt headers
+ * @param {number} confidence - Confidence 0-100
+ * @returns {string} - e.g. "OCR confidence 82%" or "OCR confidence 41%, low: check figures against the original"
+ */
+function describeConfidence(confidence) {
+  return confidence < OCR_CONFIG.LOW_CONFIDENCE
+    ? `OCR confidence ${confidence}%, low: check figures against the original`
+    : `OCR confidence ${confidence}%`;
+}
+
+/**
+ * Turn recognized paragraphs into paragraph blocks, flagging low-confidence paragraphs
+ * @param {Object} recognition - Result of recognizeImage
+ * @returns {Array<Object>} - Blocks of { type: 'paragraph', text }
+ */
+function toParagraphBlocks(recognition) {
+  return recognition.paragraphs.map(paragraph => ({
+    type: 'paragraph',
+    text: paragraph.confidence < OCR_CONFIG.LOW_CONFIDENCE
+      ? `${paragraph.text} [low OCR confidence: ${paragraph.confidence}%]`
+      : paragraph.text
+  }));
+}
+
+module.exports = {
+  recognizeImage,
+  recognizePdfPages,
+  describeConfidence,
+  toParagraphBlocks,
+  OCR_CONFIG
+};
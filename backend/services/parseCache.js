@@ -0,0 +1,262 @@
+/**
+ * Parsed Content Cache
+ *
+ * Avoids downloading and reparsing unchanged files:
+ * - An entry holds a file's prompt content and its retrieval segments, so chat (which indexes the
+ *   segments, see services/retrieval.js) and conversation suggestions share one parse
+ * - Entries are keyed by user, blob name and blob ETag, so a re-upload is a cache miss
+ * - Recently used content is kept in memory (LRU, bounded by entry count and size)
+ * - Content is optionally persisted as a sidecar blob (.taktmate/{blobName}/parsed.json)
+ * - Entries are invalidated when a file is deleted or a new upload is started
+ * - The user's annotations of a file are added when content is returned, not cached with it
+ */
+
+const { getBlobContent, recordTextEncoding, readSidecar, writeSidecar } = require('./storage');
+const { getExtension, getProcessor, getProcessorOptions, matchesSignature } = require('../processors');
+const { detectEncoding } = require('./textEncoding');
+const { getFileAnnotations, formatAnnotationsForPrompt } = require('./fileAnnotations');
+
+// Configuration constants for the parse cache
+const PARSE_CACHE_CONFIG = {
+  CACHE_VERSION: 6,                  // Bump when parser output changes
+  SIDECAR_KIND: 'parsed',
+  MAX_ENTRIES: 100,
+  MAX_MEMORY_CHARS: 50 * 1024 * 1024, // Total cached characters kept in memory
+  PERSIST_SIDECAR: process.env.PARSE_CACHE_PERSIST !== 'false'
+};
+
+// LRU of parsed files ({ content, segments, sourceEtag }) keyed by userId:blobName:etag (Map keeps insertion order)
+const memoryCache = new Map();
+let memoryChars = 0;
+
+// Parses in progress, so concurrent requests for the same file share one parse
+const pendingParses = new Map();
+
+/**
+ * Parse a file with the processor registered for its extension
+ * @param {Buffer} buffer - File buffer
+ * @param {string} fileName - File name with extension
+ * @param {Object} options - Per-file processor settings (from getProcessorOptions)
+ * @returns {Promise<Object>} - { content, segments }: formatted content for GPT prompt and retrieval segments
+ */
+async function parseFile(buffer, fileName, options = {}) {
+  const fileExtension = getExtension(fileName);
+  const processor = getProcessor(fileName);
+  if (!processor) {
+    throw new Error(`Unsupported file type: ${fileExtension}`);
+  }
+
+  try {
+    if (!matchesSignature(processor, buffer)) {
+      throw new Error(`File content is not a valid ${processor.label} file`);
+    }
+
+    const parsed = await processor.parse(buffer, options);
+    return {
+      content: processor.formatForPrompt(parsed, fileName),
+      segments: await processor.extractSegments(buffer, options)
+    };
+  } catch (error) {
+    console.error(`Error parsing ${fileExtension} file "${fileName}":`, error.message);
+    throw new Error(`Failed to parse ${fileExtension.toUpperCase()} file: ${error.message}`);
+  }
+}
+
+/**
+ * Count the characters a parsed file keeps in memory
+ * @param {Object} entry - { content, segments }
+ * @returns {number} - Characters of the content and segment texts
+ */
+function entryChars(entry) {
+  return entry.content.length + entry.segments.reduce((sum, segment) => sum + segment.text.length, 0);
+}
+
+/**
+ * Store a parsed file in the memory LRU, evicting least recently used entries
+ * @param {string} key - Cache key
+ * @param {Object} entry - { content, segments, sourceEtag }
+ */
+function remember(key, entry) {
+  forget(key);
+
+  // Very large files are still served from the sidecar, but would crowd out everything else
+  const chars = entryChars(entry);
+  if (chars > PARSE_CACHE_CONFIG.MAX_MEMORY_CHARS / 4) {
+    return;
+  }
+
+  memoryCache.set(key, entry);
+  memoryChars += chars;
+
+  while (memoryCache.size > PARSE_CACHE_CONFIG.MAX_ENTRIES || memoryChars > PARSE_CACHE_CONFIG.MAX_MEMORY_CHARS) {
+    forget(memoryCache.keys().next().value);
+  }
+}
+
+/**
+ * Remove a single entry from the memory LRU
+ * @param {string} key - Cache key
+ */
+function forget(key) {
+  if (memoryCache.has(key)) {
+    memoryChars -= entryChars(memoryCache.get(key));
+    memoryCache.delete(key);
+  }
+}
+
+/**
+ * Get a file's formatted prompt content, starting with the user's annotations of it
+ * @param {string} userId - User ID
+ * @param {Object} file - File entry from listUserFiles ({ name, etag, annotatedAt })
+ * @returns {Promise<string>} - Formatted content for GPT prompt
+ */
+async function getParsedFileContent(userId, file) {
+  const [{ content }, annotations] = await Promise.all([
+    getParsedFile(userId, file),
+    getFileAnnotations(userId, file)
+  ]);
+  const notes = formatAnnotationsForPrompt(file.name, annotations);
+  return notes ? `${notes}\n${content}` : content;
+}
+
+/**
+ * Get a parsed file, parsing it only when the blob has changed
+ * @param {string} userId - User ID
+ * @param {Object} file - File entry from listUserFiles ({ name, etag })
+ * @returns {Promise<Object>} - { content, segments, sourceEtag }: formatted content for GPT prompt, retrieval
+ *   segments, and the ETag they hold for (a text file's first parse records its encoding, which changes the ETag)
+ */
+async function getParsedFile(userId, file) {
+  // Without an ETag there is no safe cache key
+  if (!file.etag) {
+    const buffer = await getBlobContent(userId, file.name);
+    return { ...(await parseFile(buffer, file.name, getProcessorOptions(file))), sourceEtag: null };
+  }
+
+  const key = `${userId}:${file.name}:${file.etag}`;
+
+  if (memoryCache.has(key)) {
+    const entry = memoryCache.get(key);
+    remember(key, entry); // Refresh LRU position
+    return entry;
+  }
+
+  if (pendingParses.has(key)) {
+    return pendingParses.get(key);
+  }
+
+  const load = (async () => {
+    if (PARSE_CACHE_CONFIG.PERSIST_SIDECAR) {
+      try {
+        const stored = await readSidecar(userId, file.name, PARSE_CACHE_CONFIG.SIDECAR_KIND);
+        if (stored && stored.version === PARSE_CACHE_CONFIG.CACHE_VERSION && stored.sourceEtag === file.etag) {
+          console.log(`📦 Parse cache hit (sidecar): ${file.name}`);
+          const entry = { content: stored.content, segments: stored.segments, sourceEtag: stored.sourceEtag };
+          remember(key, entry);
+          return entry;
+        }
+      } catch (error) {
+        console.warn(`⚠️  Could not read parse cache for ${file.name}:`, error.message);
+      }
+    }
+
+    const buffer = await getBlobContent(userId, file.name);
+    const { content, segments } = await parseFile(buffer, file.name, getProcessorOptions(file));
+
+    // Text files keep their detected encoding as blob metadata (shown in the file list)
+    const sourceEtag = getProcessor(file.name).text
+      ? await recordTextEncoding(userId, file, detectEncoding(buffer).name)
+      : file.etag;
+
+    const entry = { content, segments, sourceEtag };
+    invalidateParsedContent(userId, file.name); // Drop entries for older versions of the blob
+    remember(key, entry);
+    persist(userId, file.name, entry);
+
+    return entry;
+  })();
+
+  pendingParses.set(key, load);
+  try {
+    return await load;
+  } finally {
+    pendingParses.delete(key);
+  }
+}
+
+/**
+ * Persist a parsed file as its sidecar (best-effort; a failed write only costs a reparse later)
+ * @param {string} userId - User ID
+ * @param {string} blobName - Blob name
+ * @param {Object} entry - { content, segments, sourceEtag }
+ */
+function persist(userId, blobName, { content, segments, sourceEtag }) {
+  if (!PARSE_CACHE_CONFIG.PERSIST_SIDECAR) {
+    return;
+  }
+
+  writeSidecar(userId, blobName, PARSE_CACHE_CONFIG.SIDECAR_KIND, {
+    version: PARSE_CACHE_CONFIG.CACHE_VERSION,
+    sourceBlob: blobName,
+    sourceEtag,
+    createdAt: new Date().toISOString(),
+    content,
+    segments
+  }).catch(error => console.warn(`⚠️  Failed to persist parse cache for ${blobName}:`, error.message));
+}
+
+/**
+ * Cache a file parsed elsewhere (the test parse when an upload is completed), so the first chat
+ * about the file does not parse it again
+ * @param {string} userId - User ID
+ * @param {Object} file - File entry ({ name, etag }) for the version that was parsed
+ * @param {Object} parsed - { content, segments }: formatted content for GPT prompt and retrieval segments
+ */
+function storeParsedContent(userId, file, { content, segments }) {
+  if (!file.etag) {
+    return;
+  }
+
+  const entry = { content, segments, sourceEtag: file.etag };
+  invalidateParsedContent(userId, file.name);
+  remember(`${userId}:${file.name}:${file.etag}`, entry);
+  persist(userId, file.name, entry);
+}
+
+/**
+ * Drop cached content for a blob (all versions). Sidecars are removed with the blob by deleteBlob.
+ * @param {string} userId - User ID
+ * @param {string} blobName - Blob name
+ */
+function invalidateParsedContent(userId, blobName) {
+  const prefix = `${userId}:${blobName}:`;
+  for (const key of Array.from(memoryCache.keys())) {
+    if (key.startsWith(prefix)) {
+      forget(key);
+    }
+  }
+}
+
+/**
+ * Get cache statistics (for health checks and debugging)
+ * @returns {Object} - { entries, memoryChars, maxEntries, maxMemoryChars, persistSidecar }
+ */
+function getParseCacheStats() {
+  return {
+    entries: memoryCache.size,
+    memoryChars,
+    maxEntries: PARSE_CACHE_CONFIG.MAX_ENTRIES,
+    maxMemoryChars: PARSE_CACHE_CONFIG.MAX_MEMORY_CHARS,
+    persistSidecar: PARSE_CACHE_CONFIG.PERSIST_SIDECAR
+  };
+}
+
+module.exports = {
+  parseFile,
+  getParsedFile,
+  getParsedFileContent,
+  storeParsedContent,
+  invalidateParsedContent,
+  getParseCacheStats,
+  PARSE_CACHE_CONFIG
+};
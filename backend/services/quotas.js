@@ -0,0 +1,198 @@
+/**
+ * Storage Quotas
+ *
+ * Every user has storage limits (total bytes, file count, largest file):
+ * - Limits come from the user's plan (QUOTA_CONFIG.PLANS, 'standard' unless another plan is assigned)
+ * - Administrators can assign a plan and override single limits per user; both are stored in
+ *   Cosmos DB (a 'limits' document in the user's partition)
+ * - Usage is computed from the user's blobs (all files, project files included, and earlier
+ *   versions of files) with a breakdown per file type and warnings as a limit is approached
+ */
+
+const cosmosService = require('./cosmos');
+const { listUserFiles, isSidecarBlob, isVersionBlob } = require('./storage');
+const { getProcessor } = require('../processors');
+
+// Configuration constants for storage quotas
+const QUOTA_CONFIG = {
+  DEFAULT_PLAN: 'standard',
+  PLANS: {
+    standard: {
+      label: 'Standard',
+      maxStorageBytes: 5 * 1024 * 1024 * 1024, // 5GB per user
+      maxFiles: 50,                            // Files per user (across all projects)
+      maxFileSize: 100 * 1024 * 1024           // 100MB individual file limit
+    },
+    team: {
+      label: 'Team',
+      maxStorageBytes: 50 * 1024 * 1024 * 1024,
+      maxFiles: 500,
+      maxFileSize: 500 * 1024 * 1024
+    }
+  },
+  LIMIT_KEYS: ['maxStorageBytes', 'maxFiles', 'maxFileSize'],
+  WARNING_PERCENT: 80,           // Usage shown as a warning from this share of a limit
+  CACHE_TTL_MS: 5 * 60 * 1000,   // Stored limits are re-read after 5 minutes
+  ADMIN_ROLE: 'admin'            // Static Web Apps role allowed to change limits
+};
+
+// Stored limits per user: userId -> { limits, expiresAt }
+const limitsCache = new Map();
+
+/**
+ * Format a byte count for messages (e.g. '512 KB', '4.2 MB', '5 GB')
+ * @param {number} bytes - Byte count
+ * @returns {string} - Readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  if (bytes < 1024 * 1024 * 1024) {
+    return `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+  }
+  return `${Math.round(bytes / 1024 / 1024 / 1024 * 10) / 10} GB`;
+}
+
+/**
+ * Check a plan and limit overrides before they are stored
+ * @param {Object} limits - { plan, overrides } from a request body
+ * @returns {Object} - { valid: boolean, error?: string, limits?: { plan, overrides } }
+ */
+function validateLimits({ plan = null, overrides = {} } = {}) {
+  if (plan !== null && !Object.prototype.hasOwnProperty.call(QUOTA_CONFIG.PLANS, plan)) {
+    return { valid: false, error: `Unknown plan '${plan}'. Plans: ${Object.keys(QUOTA_CONFIG.PLANS).join(', ')}` };
+  }
+  if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+    return { valid: false, error: 'overrides must be an object' };
+  }
+
+  const unknown = Object.keys(overrides).filter(key => !QUOTA_CONFIG.LIMIT_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return { valid: false, error: `Unknown limit(s): ${unknown.join(', ')}. Limits: ${QUOTA_CONFIG.LIMIT_KEYS.join(', ')}` };
+  }
+  const invalid = Object.keys(overrides).filter(key => !Number.isSafeInteger(overrides[key]) || overrides[key] <= 0);
+  if (invalid.length > 0) {
+    return { valid: false, error: `Limit(s) must be positive whole numbers: ${invalid.join(', ')}` };
+  }
+
+  return { valid: true, limits: { plan, overrides } };
+}
+
+/**
+ * Get the limits that apply to a user (plan limits with the user's overrides)
+ * Falls back to the default plan when stored limits cannot be read
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { plan, planLabel, maxStorageBytes, maxFiles, maxFileSize, overridden: [limit keys] }
+ */
+async function getUserLimits(userId) {
+  const cached = limitsCache.get(userId);
+  let stored = cached && cached.expiresAt > Date.now() ? cached.limits : undefined;
+
+  if (stored === undefined) {
+    try {
+      stored = await cosmosService.getUserLimits(userId);
+      limitsCache.set(userId, { limits: stored, expiresAt: Date.now() + QUOTA_CONFIG.CACHE_TTL_MS });
+    } catch (error) {
+      console.warn(`⚠️  Using default limits for user ${userId}: ${error.message}`);
+      stored = null;
+    }
+  }
+
+  const plan = stored && stored.plan && QUOTA_CONFIG.PLANS[stored.plan] ? stored.plan : QUOTA_CONFIG.DEFAULT_PLAN;
+  const overrides = (stored && stored.overrides) || {};
+  const { label, ...planLimits } = QUOTA_CONFIG.PLANS[plan];
+
+  return {
+    plan,
+    planLabel: label,
+    ...planLimits,
+    ...overrides,
+    overridden: Object.keys(overrides).filter(key => QUOTA_CONFIG.LIMIT_KEYS.includes(key))
+  };
+}
+
+/**
+ * Store a user's plan and limit overrides and return the limits that now apply
+ * @param {string} userId - User whose limits change
+ * @param {Object} limits - Validated { plan, overrides }
+ * @param {string} updatedBy - ID of the administrator making the change
+ * @returns {Promise<Object>} - Limits as returned by getUserLimits
+ */
+async function setUserLimits(userId, limits, updatedBy) {
+  await cosmosService.setUserLimits(userId, limits, updatedBy);
+  limitsCache.delete(userId);
+  return getUserLimits(userId);
+}
+
+/**
+ * Compute a user's storage usage against their limits
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { bytesUsed, fileCount, limits, remaining, percentUsed, warnings, byType }
+ */
+async function getStorageUsage(userId) {
+  const [blobs, limits] = await Promise.all([listUserFiles(userId, { includeSidecars: true }), getUserLimits(userId)]);
+  const files = blobs.filter(blob => !isSidecarBlob(blob.name));
+  // Earlier versions count towards storage but not towards the file limit
+  const versions = blobs.filter(blob => isVersionBlob(blob.name));
+  const bytesUsed = [...files, ...versions].reduce((total, file) => total + (file.size || 0), 0);
+
+  // Per-type breakdown, largest first
+  const types = new Map();
+  for (const file of files) {
+    const processor = getProcessor(file.name);
+    const type = processor ? processor.name : 'other';
+    const entry = types.get(type) || { type, label: processor ? processor.label : 'Other', fileCount: 0, bytes: 0 };
+    entry.fileCount++;
+    entry.bytes += file.size || 0;
+    types.set(type, entry);
+  }
+  if (versions.length > 0) {
+    types.set('versions', {
+      type: 'versions',
+      label: 'Earlier versions',
+      fileCount: versions.length,
+      bytes: versions.reduce((total, version) => total + (version.size || 0), 0)
+    });
+  }
+  const byType = [...types.values()].sort((a, b) => b.bytes - a.bytes);
+
+  const percentUsed = {
+    storage: Math.round((bytesUsed / limits.maxStorageBytes) * 100),
+    files: Math.round((files.length / limits.maxFiles) * 100)
+  };
+
+  const warnings = [];
+  if (bytesUsed >= limits.maxStorageBytes) {
+    warnings.push({ limit: 'storage', level: 'full', message: `Storage is full (${formatBytes(limits.maxStorageBytes)}). Delete files to upload more.` });
+  } else if (percentUsed.storage >= QUOTA_CONFIG.WARNING_PERCENT) {
+    warnings.push({ limit: 'storage', level: 'warning', message: `${percentUsed.storage}% of your ${formatBytes(limits.maxStorageBytes)} storage is used.` });
+  }
+  if (files.length >= limits.maxFiles) {
+    warnings.push({ limit: 'files', level: 'full', message: `File limit of ${limits.maxFiles} files reached. Delete files to upload more.` });
+  } else if (percentUsed.files >= QUOTA_CONFIG.WARNING_PERCENT) {
+    warnings.push({ limit: 'files', level: 'warning', message: `${files.length} of ${limits.maxFiles} files used.` });
+  }
+
+  return {
+    bytesUsed,
+    fileCount: files.length,
+    limits,
+    remaining: {
+      bytes: Math.max(0, limits.maxStorageBytes - bytesUsed),
+      files: Math.max(0, limits.maxFiles - files.length)
+    },
+    percentUsed,
+    warnings,
+    byType
+  };
+}
+
+module.exports = {
+  formatBytes,
+  validateLimits,
+  getUserLimits,
+  setUserLimits,
+  getStorageUsage,
+  QUOTA_CONFIG
+};
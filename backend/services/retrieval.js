@@ -0,0 +1,515 @@
+/**
+ * Retrieval Service
+ *
+ * Chunking and BM25 search over uploaded files so chat prompts only carry
+ * the parts of a document that matter for the question:
+ * - Splits each file into chunks with page, slide, sheet, row, paragraph or line provenance
+ * - Builds a BM25 inverted index once per blob version (ETag), from the segments in the parse cache
+ * - Persists the index as a sidecar blob next to the source file (.taktmate/{blobName}/index.json)
+ * - Keeps recently used indexes in memory (LRU)
+ * - Selects the top-k chunks for a question, or every chunk when the files are small
+ * - Starts each file's excerpts with the user's annotations (description, data dictionary)
+ */
+
+const { readSidecar, writeSidecar } = require('./storage');
+const { getParsedFile } = require('./parseCache');
+const { getFileAnnotations, formatAnnotationsForPrompt } = require('./fileAnnotations');
+
+// Configuration constants for retrieval
+const RETRIEVAL_CONFIG = {
+  INDEX_VERSION: 6,                 // Bump when the chunk or index format changes
+  INDEX_SIDECAR_KIND: 'index',
+  MAX_CHUNK_CHARS: 1500,            // Target chunk size
+  TOP_K: 12,                        // Maximum chunks pulled into a prompt
+  // Files whose combined text fits this budget are sent in full (no retrieval)
+  MAX_CONTEXT_CHARS: parseInt(process.env.RETRIEVAL_MAX_CONTEXT_CHARS) || 60000,
+  MEMORY_CACHE_SIZE: 20,            // Indexes kept in memory
+  BM25_K1: 1.2,
+  BM25_B: 0.75
+};
+
+// Location keys that group segments (a chunk never spans two pages, slides, sheets, JSON/XML paths or DOCX sections)
+const GROUP_KEYS = ['page', 'slide', 'sheet', 'path', 'section'];
+
+// Location keys that become start/end ranges on a chunk
+const RANGE_KEYS = ['row', 'paragraph', 'line'];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'do', 'does', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'than',
+  'that', 'the', 'their', 'them', 'there', 'these', 'this', 'those', 'to', 'was', 'we', 'were', 'what',
+  'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your', 'can', 'could', 'should', 'would',
+  'about', 'show', 'tell', 'give', 'list', 'please'
+]);
+
+// In-memory LRU of hydrated indexes keyed by userId:blobName:etag (Map keeps insertion order)
+const indexCache = new Map();
+
+// Index builds in progress, so concurrent chats on the same file share one build
+const pendingBuilds = new Map();
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Terms with stop words removed
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => !STOP_WORDS.has(term));
+}
+
+/**
+ * Split a long piece of text on whitespace into pieces of at most maxChars
+ * @param {string} text - Text to split
+ * @param {number} maxChars - Maximum piece length
+ * @returns {Array<string>} - Text pieces
+ */
+function splitLongText(text, maxChars) {
+  const pieces = [];
+  let remaining = text;
+
+  while (remaining.length > maxChars) {
+    let cut = remaining.lastIndexOf('\n', maxChars);
+    if (cut < maxChars / 2) cut = remaining.lastIndexOf(' ', maxChars);
+    if (cut < maxChars / 2) cut = maxChars;
+    pieces.push(remaining.slice(0, cut).trim());
+    remaining = remaining.slice(cut).trim();
+  }
+
+  if (remaining.length > 0) {
+    pieces.push(remaining);
+  }
+  return pieces;
+}
+
+/**
+ * Pack consecutive segments into size-bounded chunks with merged provenance
+ * @param {Array<Object>} segments - Segments of { text, header?, location }
+ * @returns {Array<Object>} - Chunks of { text, provenance, lineLocations? } where lineLocations
+ *   gives each body line's row, paragraph or line number (used to pinpoint citations)
+ */
+function packSegments(segments) {
+  const chunks = [];
+  let current = null;
+
+  const groupKeyOf = (segment) =>
+    JSON.stringify([segment.header || null, ...GROUP_KEYS.map(key => segment.location[key])]);
+
+  const flush = () => {
+    if (!current) return;
+    const body = current.lines.join('\n');
+    const chunk = {
+      text: current.header ? `${current.header}\n${body}` : body,
+      provenance: current.provenance
+    };
+    if (current.lineLocations.some(Boolean)) {
+      chunk.lineLocations = current.lineLocations;
+    }
+    chunks.push(chunk);
+    current = null;
+  };
+
+  const startChunk = (segment, groupKey) => {
+    const provenance = {};
+    GROUP_KEYS.forEach(key => {
+      if (segment.location[key] !== undefined) provenance[key] = segment.location[key];
+    });
+    current = { groupKey, header: segment.header || null, lines: [], lineLocations: [], size: 0, provenance };
+  };
+
+  const addToChunk = (segment, text) => {
+    current.lines.push(text);
+    current.size += text.length + 1;
+    const lineLocation = {};
+    RANGE_KEYS.forEach(key => {
+      const value = segment.location[key];
+      if (value === undefined) return;
+      lineLocation[key] = value;
+      if (current.provenance[`${key}Start`] === undefined) {
+        current.provenance[`${key}Start`] = value;
+      }
+      current.provenance[`${key}End`] = value;
+    });
+    // One entry per physical line, so the entries stay aligned with text.split('\n')
+    text.split('\n').forEach(() => current.lineLocations.push(Object.keys(lineLocation).length > 0 ? lineLocation : null));
+  };
+
+  for (const segment of segments) {
+    const groupKey = groupKeyOf(segment);
+    const headerSize = segment.header ? segment.header.length + 1 : 0;
+    const pieces = segment.text.length + headerSize > RETRIEVAL_CONFIG.MAX_CHUNK_CHARS
+      ? splitLongText(segment.text, RETRIEVAL_CONFIG.MAX_CHUNK_CHARS - headerSize)
+      : [segment.text];
+
+    for (const piece of pieces) {
+      if (current && (current.groupKey !== groupKey ||
+          current.size + piece.length + headerSize > RETRIEVAL_CONFIG.MAX_CHUNK_CHARS)) {
+        flush();
+      }
+      if (!current) {
+        startChunk(segment, groupKey);
+      }
+      addToChunk(segment, piece);
+    }
+  }
+
+  flush();
+  return chunks;
+}
+
+/**
+ * Build a BM25 inverted index over chunks
+ * @param {Array<Object>} chunks - Chunks of { text, provenance }
+ * @returns {Object} - Serializable index ({ lengths, avgLength, postings: { term: [[chunkIndex, tf], ...] } })
+ */
+function buildIndex(chunks) {
+  const postings = Object.create(null);
+  const lengths = [];
+
+  chunks.forEach((chunk, chunkIndex) => {
+    const terms = tokenize(chunk.text);
+    lengths.push(terms.length);
+
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+    for (const [term, frequency] of frequencies) {
+      if (!postings[term]) postings[term] = [];
+      postings[term].push([chunkIndex, frequency]);
+    }
+  });
+
+  const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+
+  return {
+    lengths,
+    avgLength: lengths.length > 0 ? totalLength / lengths.length : 0,
+    postings
+  };
+}
+
+/**
+ * Turn a stored index document into its in-memory form (postings as a Map)
+ * @param {Object} document - Index sidecar document
+ * @returns {Object} - Hydrated index
+ */
+function hydrateIndex(document) {
+  return {
+    ...document,
+    postings: new Map(Object.entries(document.postings))
+  };
+}
+
+/**
+ * Score every chunk of an index against query terms with BM25
+ * @param {Object} index - Hydrated index
+ * @param {Array<string>} queryTerms - Tokenized query
+ * @returns {Array<Object>} - Matches of { chunkIndex, score }, best first
+ */
+function searchIndex(index, queryTerms) {
+  const { BM25_K1: k1, BM25_B: b } = RETRIEVAL_CONFIG;
+  const chunkCount = index.chunks.length;
+  const scores = new Map();
+
+  for (const term of new Set(queryTerms)) {
+    const termPostings = index.postings.get(term);
+    if (!termPostings) continue;
+
+    const docFrequency = termPostings.length;
+    const idf = Math.log(1 + (chunkCount - docFrequency + 0.5) / (docFrequency + 0.5));
+
+    for (const [chunkIndex, frequency] of termPostings) {
+      const lengthRatio = index.avgLength > 0 ? index.lengths[chunkIndex] / index.avgLength : 1;
+      const termScore = idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * lengthRatio));
+      scores.set(chunkIndex, (scores.get(chunkIndex) || 0) + termScore);
+    }
+  }
+
+  return Array.from(scores, ([chunkIndex, score]) => ({ chunkIndex, score }))
+    .sort((x, y) => y.score - x.score);
+}
+
+/**
+ * Add an index to the in-memory LRU, evicting the least recently used entry
+ * @param {string} key - Cache key
+ * @param {Object} index - Hydrated index
+ */
+function cacheIndex(key, index) {
+  indexCache.delete(key);
+  indexCache.set(key, index);
+  while (indexCache.size > RETRIEVAL_CONFIG.MEMORY_CACHE_SIZE) {
+    indexCache.delete(indexCache.keys().next().value);
+  }
+}
+
+/**
+ * Build a file's index document from its parsed segments
+ * @param {string} userId - User ID
+ * @param {Object} file - { name, etag, dialect }
+ * @returns {Promise<Object>} - Index sidecar document
+ */
+async function buildFileIndex(userId, file) {
+  const startTime = Date.now();
+  // The parse cache shares the parse with conversation suggestions and records text encodings
+  const { segments, sourceEtag } = await getParsedFile(userId, file);
+  const chunks = packSegments(segments);
+  const index = buildIndex(chunks);
+
+  console.log(`🔎 Indexed ${file.name}: ${segments.length} segments -> ${chunks.length} chunks in ${Date.now() - startTime}ms`);
+
+  return {
+    version: RETRIEVAL_CONFIG.INDEX_VERSION,
+    sourceBlob: file.name,
+    sourceEtag: sourceEtag || null,
+    createdAt: new Date().toISOString(),
+    totalChars: chunks.reduce((sum, chunk) => sum + chunk.text.length, 0),
+    chunks,
+    ...index
+  };
+}
+
+/**
+ * Get the search index for a file, loading it from memory or its sidecar blob,
+ * or building (and persisting) it when missing or stale
+ * @param {string} userId - User ID
+ * @param {Object} file - File entry from listUserFiles ({ name, etag })
+ * @returns {Promise<Object>} - Hydrated index ({ chunks, postings, lengths, avgLength, totalChars, ... })
+ */
+async function ensureFileIndex(userId, file) {
+  const cacheKey = `${userId}:${file.name}:${file.etag}`;
+
+  if (indexCache.has(cacheKey)) {
+    const cached = indexCache.get(cacheKey);
+    cacheIndex(cacheKey, cached); // Refresh LRU position
+    return cached;
+  }
+
+  if (pendingBuilds.has(cacheKey)) {
+    return pendingBuilds.get(cacheKey);
+  }
+
+  const load = (async () => {
+    // Reuse the persisted index when it matches the current blob version
+    try {
+      const stored = await readSidecar(userId, file.name, RETRIEVAL_CONFIG.INDEX_SIDECAR_KIND);
+      if (stored && stored.version === RETRIEVAL_CONFIG.INDEX_VERSION && stored.sourceEtag === file.etag) {
+        const index = hydrateIndex(stored);
+        cacheIndex(cacheKey, index);
+        return index;
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not load stored index for ${file.name}, rebuilding:`, error.message);
+    }
+
+    const document = await buildFileIndex(userId, file);
+
+    // Persisting is best-effort; the in-memory index is still usable
+    try {
+      await writeSidecar(userId, file.name, RETRIEVAL_CONFIG.INDEX_SIDECAR_KIND, document);
+    } catch (error) {
+      console.warn(`⚠️  Failed to persist index for ${file.name}:`, error.message);
+    }
+
+    const index = hydrateIndex(document);
+    cacheIndex(cacheKey, index);
+    return index;
+  })();
+
+  pendingBuilds.set(cacheKey, load);
+  try {
+    return await load;
+  } finally {
+    pendingBuilds.delete(cacheKey);
+  }
+}
+
+/**
+ * Drop in-memory indexes for a blob (all versions)
+ * @param {string} userId - User ID
+ * @param {string} blobName - Blob name
+ */
+function evictFileIndex(userId, blobName) {
+  const prefix = `${userId}:${blobName}:`;
+  for (const key of Array.from(indexCache.keys())) {
+    if (key.startsWith(prefix)) {
+      indexCache.delete(key);
+    }
+  }
+}
+
+/**
+ * Select the chunks to send to the model for a question.
+ * Small file sets are sent in full; larger ones are reduced to the top-k BM25 matches,
+ * keeping at least one chunk per file.
+ * @param {string} userId - User ID
+ * @param {Array<Object>} files - File entries from listUserFiles ({ name, etag, childLabel, annotatedAt })
+ * @param {string} query - Question (plus any recent context) to rank chunks against
+ * @returns {Promise<Object>} - { mode: 'full'|'retrieval', files: [{ fileName, childLabel, annotations, totalChunks, chunks: [{ chunkIndex, text, provenance, score }] }] }
+ *   where childLabel names an email attachment's origin (e.g. 'attachment 1 of email complaint.eml') or is null,
+ *   and annotations are the user's notes on the file (see services/fileAnnotations.js) or null
+ */
+async function retrieveContext(userId, files, query) {
+  const indexes = [];
+  for (const file of files) {
+    try {
+      indexes.push({
+        fileName: file.name,
+        childLabel: file.childLabel || null,
+        annotations: await getFileAnnotations(userId, file),
+        index: await ensureFileIndex(userId, file)
+      });
+    } catch (error) {
+      console.error(`Error processing file "${file.name}":`, error.message);
+      throw new Error(`Failed to process file "${file.name}": ${error.message}`);
+    }
+  }
+
+  const totalChars = indexes.reduce((sum, { index }) => sum + index.totalChars, 0);
+
+  if (totalChars <= RETRIEVAL_CONFIG.MAX_CONTEXT_CHARS) {
+    return {
+      mode: 'full',
+      files: indexes.map(({ fileName, childLabel, annotations, index }) => ({
+        fileName,
+        childLabel,
+        annotations,
+        totalChunks: index.chunks.length,
+        chunks: index.chunks.map((chunk, chunkIndex) => ({ chunkIndex, ...chunk, score: null }))
+      }))
+    };
+  }
+
+  const queryTerms = tokenize(query);
+  const perFile = indexes.map(({ fileName, childLabel, annotations, index }) => ({
+    fileName,
+    childLabel,
+    annotations,
+    index,
+    matches: searchIndex(index, queryTerms),
+    selected: new Map()
+  }));
+
+  let usedChars = 0;
+  let selectedCount = 0;
+  const select = (entry, chunkIndex, score) => {
+    if (entry.selected.has(chunkIndex)) return;
+    entry.selected.set(chunkIndex, score);
+    usedChars += entry.index.chunks[chunkIndex].text.length;
+    selectedCount++;
+  };
+
+  // Every file contributes its best chunk (or its opening chunk when nothing matches)
+  perFile.forEach(entry => {
+    if (entry.index.chunks.length === 0) return;
+    const best = entry.matches[0];
+    select(entry, best ? best.chunkIndex : 0, best ? best.score : 0);
+  });
+
+  // Fill the remaining slots with the best matches across all files
+  const ranked = perFile
+    .flatMap(entry => entry.matches.map(match => ({ entry, ...match })))
+    .sort((x, y) => y.score - x.score);
+
+  for (const { entry, chunkIndex, score } of ranked) {
+    if (selectedCount >= RETRIEVAL_CONFIG.TOP_K) break;
+    const chunkChars = entry.index.chunks[chunkIndex].text.length;
+    if (usedChars + chunkChars > RETRIEVAL_CONFIG.MAX_CONTEXT_CHARS) continue;
+    select(entry, chunkIndex, score);
+  }
+
+  console.log(`🔎 Retrieved ${selectedCount} chunks (${usedChars} chars) from ${files.length} file(s) for query terms: ${queryTerms.slice(0, 10).join(' ')}`);
+
+  return {
+    mode: 'retrieval',
+    files: perFile.map(entry => ({
+      fileName: entry.fileName,
+      childLabel: entry.childLabel,
+      annotations: entry.annotations,
+      totalChunks: entry.index.chunks.length,
+      // Keep document order so neighbouring excerpts read naturally
+      chunks: Array.from(entry.selected.keys())
+        .sort((x, y) => x - y)
+        .map(chunkIndex => ({
+          chunkIndex,
+          ...entry.index.chunks[chunkIndex],
+          score: entry.selected.get(chunkIndex)
+        }))
+    }))
+  };
+}
+
+/**
+ * Describe a chunk's provenance for prompts and citations
+ * @param {Object} provenance - Chunk provenance ({ page }, { sheet, rowStart, rowEnd }, ...)
+ * @returns {string} - e.g. "p.3" or "sheet Sales, rows 2-40"
+ */
+function describeProvenance(provenance = {}) {
+  const parts = [];
+  const range = (singular, plural, start, end) =>
+    start === end ? `${singular} ${start}` : `${plural} ${start}-${end}`;
+
+  if (provenance.page !== undefined) parts.push(`p.${provenance.page}`);
+  if (provenance.slide !== undefined) parts.push(`slide ${provenance.slide}`);
+  if (provenance.sheet !== undefined) parts.push(`sheet ${provenance.sheet}`);
+  if (provenance.path !== undefined) parts.push(`path ${provenance.path}`);
+  if (provenance.section !== undefined) parts.push(`section "${provenance.section}"`);
+  if (provenance.rowStart !== undefined) parts.push(range('row', 'rows', provenance.rowStart, provenance.rowEnd));
+  if (provenance.paragraphStart !== undefined) parts.push(range('paragraph', 'paragraphs', provenance.paragraphStart, provenance.paragraphEnd));
+  if (provenance.lineStart !== undefined) parts.push(range('line', 'lines', provenance.lineStart, provenance.lineEnd));
+
+  return parts.join(', ');
+}
+
+/**
+ * Format retrieved chunks as the document section of the system prompt
+ * @param {Object} context - Result of retrieveContext
+ * @returns {string} - Prompt text
+ */
+function formatRetrievedContext(context) {
+  const fileNames = context.files.map(file => file.fileName);
+
+  let prompt = context.files.length === 1
+    ? `You are analyzing the document ${fileNames[0]}.\n`
+    : `You are analyzing ${context.files.length} documents: ${fileNames.join(', ')}.\n`;
+
+  if (context.mode === 'full') {
+    prompt += `The complete content is included below as consecutive excerpts.\n`;
+  } else {
+    prompt += `The documents are too large to include in full, so only the excerpts most relevant to the question are included below. ` +
+      `If they do not contain the answer, say so instead of guessing, and suggest a more specific question.\n`;
+  }
+
+  prompt += `Each excerpt is labelled with its file and location (page, slide, sheet, path, section, rows, paragraphs or lines). ` +
+    `In the References section, include the location with the file name, e.g. [1] report.pdf p.3, [2] review.pptx slide 4 or [3] sales.xlsx, sheet Q3, rows 2-40.\n`;
+
+  if (context.files.some(file => file.childLabel)) {
+    prompt += `Files attached to an email are labelled with their origin; cite them by it, e.g. [4] attachment 1 of email complaint.eml, rows 2-9.\n`;
+  }
+  prompt += '\n';
+
+  context.files.forEach(file => {
+    const notes = formatAnnotationsForPrompt(file.fileName, file.annotations);
+    if (notes) {
+      prompt += `${notes}\n`;
+    }
+    file.chunks.forEach(chunk => {
+      const location = describeProvenance(chunk.provenance);
+      const origin = file.childLabel ? ` [${file.childLabel}]` : '';
+      prompt += `=== ${file.fileName}${origin}${location ? ` (${location})` : ''} - excerpt ${chunk.chunkIndex + 1} of ${file.totalChunks} ===\n`;
+      prompt += `${chunk.text}\n\n`;
+    });
+  });
+
+  return prompt;
+}
+
+module.exports = {
+  ensureFileIndex,
+  evictFileIndex,
+  retrieveContext,
+  formatRetrievedContext,
+  describeProvenance,
+  tokenize,
+  RETRIEVAL_CONFIG
+};
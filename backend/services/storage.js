@@ -20,6 +20,21 @@ const crypto = require('crypto');
 // Get storage account name from environment variables
 const STORAGE_ACCOUNT_NAME = process.env.STORAGE_ACCOUNT_NAME || 'taktmateblob';
 
+// Blobs belonging to a project live under projects/{projectId}/ in the user's container
+const PROJECT_PREFIX = 'projects/';
+
+// Derived data (search indexes, caches) lives under .taktmate/{blobName}/ next to the source blob.
+// User file names cannot start with '.', so this prefix never collides with uploads.
+const SIDECAR_PREFIX = '.taktmate/';
+
+// Sidecar kind of the upload check record ({ status, statusreason, etag } in its metadata). Clients can write
+// a user blob's metadata with their upload SAS, but not its sidecars, so readiness is kept here.
+const STATUS_SIDECAR_KIND = 'status';
+
+// Sidecar kind of a file's annotations (see services/fileAnnotations.js); its metadata holds the tags and
+// time of the last edit for listings, so saving annotations leaves the file's ETag (and caches) alone
+const ANNOTATIONS_SIDECAR_KIND = 'annotations';
+
 /**
  * Generate a compliant Azure container name from userId
  * Azure container naming rules:
@@ -109,27 +124,290 @@ async function ensureUserContainer(userId) {
   }
 }
 
+/**
+ * Build the blob prefix used for a project's files
+ * @param {string} projectId - Project ID
+ * @returns {string} Blob name prefix (e.g. projects/proj_123/)
+ */
+function getProjectPrefix(projectId) {
+  if (!projectId || typeof projectId !== 'string') {
+    throw new Error('Valid projectId is required for project blob naming');
+  }
+  return `${PROJECT_PREFIX}${projectId}/`;
+}
+
+/**
+ * Build the full blob name for a file inside a project
+ * @param {string} projectId - Project ID
+ * @param {string} fileName - File name within the project
+ * @returns {string} Full blob name
+ */
+function getProjectBlobName(projectId, fileName) {
+  return `${getProjectPrefix(projectId)}${fileName}`;
+}
+
+/**
+ * Check whether a blob belongs to a project
+ * @param {string} blobName - Blob name
+ * @returns {boolean} True if the blob lives under the projects/ prefix
+ */
+function isProjectBlob(blobName) {
+  return typeof blobName === 'string' && blobName.startsWith(PROJECT_PREFIX);
+}
+
+/**
+ * Check whether a blob is an internal sidecar (index, cache) rather than a user file
+ * @param {string} blobName - Blob name
+ * @returns {boolean} True if the blob lives under the .taktmate/ prefix
+ */
+function isSidecarBlob(blobName) {
+  return typeof blobName === 'string' && blobName.startsWith(SIDECAR_PREFIX);
+}
+
+/**
+ * Build the blob name of a sidecar stored next to a source blob
+ * @param {string} blobName - Source blob name
+ * @param {string} kind - Sidecar kind (e.g. 'index')
+ * @returns {string} Sidecar blob name (e.g. .taktmate/report.pdf/index.json)
+ */
+function getSidecarBlobName(blobName, kind) {
+  if (!blobName || !kind) {
+    throw new Error('blobName and kind are required for sidecar naming');
+  }
+  return `${SIDECAR_PREFIX}${blobName}/${kind}.json`;
+}
+
+/**
+ * Build the blob name prefix under which a file's earlier versions are kept
+ * @param {string} blobName - Source blob name
+ * @returns {string} Version prefix (e.g. .taktmate/report.csv/versions/)
+ */
+function getVersionPrefix(blobName) {
+  return `${SIDECAR_PREFIX}${blobName}/versions/`;
+}
+
+/**
+ * Build the blob name of an earlier version of a file
+ * @param {string} blobName - Source blob name
+ * @param {number} version - Version number
+ * @returns {string} Version blob name (e.g. .taktmate/report.csv/versions/2)
+ */
+function getVersionBlobName(blobName, version) {
+  return `${getVersionPrefix(blobName)}${version}`;
+}
+
+/**
+ * Check whether a blob is an earlier version of a file (kept content, unlike other sidecars)
+ * @param {string} blobName - Blob name
+ * @returns {boolean} True if the blob lives under a file's versions/ prefix
+ */
+function isVersionBlob(blobName) {
+  return isSidecarBlob(blobName) && /\/versions\/\d+$/.test(blobName);
+}
+
+/**
+ * Read a JSON value stored in a blob metadata entry
+ * @param {string} value - Metadata value
+ * @returns {*} Parsed value, or null when missing or malformed
+ */
+function readJsonMetadata(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read a text value stored URI-encoded in a blob metadata entry (metadata values must be ASCII)
+ * @param {string} value - Metadata value
+ * @returns {string|null} Decoded text, or null when missing or malformed
+ */
+function readTextMetadata(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Apply metadata changes to blob metadata
+ * @param {Object} metadata - Current metadata entries
+ * @param {Object} changes - Entries to set; entries set to null are removed
+ * @returns {Object} New metadata entries
+ */
+function mergeMetadata(metadata, changes) {
+  const merged = { ...metadata, ...changes };
+  Object.keys(merged).filter(key => merged[key] === null || merged[key] === undefined).forEach(key => delete merged[key]);
+  return merged;
+}
+
+/**
+ * Work out a file's upload status
+ * A user file is only as checked as its status record says, and only while its ETag is the one that was
+ * checked; status metadata on the blob itself could have been written by the client. Sidecars (earlier
+ * versions) are written by the server only, so their own metadata is trusted.
+ * @param {Object} blob - Blob item from a listing ({ name, properties, metadata })
+ * @param {Object|undefined} record - Metadata of the file's status sidecar
+ * @returns {Object} { status: 'processing'|'ready'|'rejected', statusReason }
+ */
+function readUploadStatus(blob, record) {
+  const source = isSidecarBlob(blob.name)
+    ? blob.metadata
+    : (record && record.etag === blob.properties.etag ? record : null);
+  return {
+    status: source?.status || 'processing',
+    statusReason: readTextMetadata(source?.statusreason)
+  };
+}
+
+/**
+ * Write the status record of a user file's content
+ * @param {ContainerClient} containerClient - User's container client
+ * @param {string} blobName - Name of the blob
+ * @param {Object} check - { etag, status, reason }: the ETag of the content the status holds for
+ * @returns {Promise<void>}
+ */
+async function writeStatusRecord(containerClient, blobName, { etag, status, reason = null }) {
+  const recordClient = containerClient.getBlockBlobClient(getSidecarBlobName(blobName, STATUS_SIDECAR_KIND));
+  const body = Buffer.from(JSON.stringify({ status, reason, etag, checkedAt: new Date().toISOString() }), 'utf8');
+
+  await recordClient.uploadData(body, {
+    blobHTTPHeaders: { blobContentType: 'application/json' },
+    metadata: mergeMetadata({ status, etag }, { statusreason: reason ? encodeURIComponent(reason) : null })
+  });
+}
+
+/**
+ * Read the status of a blob's current content from its record (or its own metadata for sidecars)
+ * @param {ContainerClient} containerClient - User's container client
+ * @param {string} blobName - Name of the blob
+ * @param {Object} properties - The blob's properties ({ etag, metadata })
+ * @returns {Promise<Object>} { status, statusReason } as returned by readUploadStatus
+ */
+async function readStatusRecord(containerClient, blobName, properties) {
+  let record;
+  if (!isSidecarBlob(blobName)) {
+    try {
+      const recordClient = containerClient.getBlockBlobClient(getSidecarBlobName(blobName, STATUS_SIDECAR_KIND));
+      record = (await recordClient.getProperties()).metadata;
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+    }
+  }
+  return readUploadStatus({ name: blobName, properties, metadata: properties.metadata }, record);
+}
+
+/**
+ * Keep a file's status after the server changed its metadata (and so its ETag) but not its content
+ * @param {ContainerClient} containerClient - User's container client
+ * @param {string} blobName - Name of the blob
+ * @param {string} previousEtag - ETag the metadata write was conditional on
+ * @param {string} etag - ETag after the write
+ * @returns {Promise<void>}
+ */
+async function carryStatusRecord(containerClient, blobName, previousEtag, etag) {
+  const recordClient = containerClient.getBlockBlobClient(getSidecarBlobName(blobName, STATUS_SIDECAR_KIND));
+  try {
+    const { metadata } = await recordClient.getProperties();
+    if (metadata.etag === previousEtag) {
+      await writeStatusRecord(containerClient, blobName, {
+        etag,
+        status: metadata.status,
+        reason: readTextMetadata(metadata.statusreason)
+      });
+    }
+  } catch (error) {
+    if (error.statusCode !== 404) {
+      throw error;
+    }
+  }
+}
+
 /**
  * List all files in user's container
  * @param {string} userId - User ID from authentication
- * @returns {Promise<Array>} Array of file objects with name, size, lastModified
+ * @param {Object} options - Listing options
+ * @param {string} options.prefix - Only list blobs whose name starts with this prefix
+ * @param {boolean} options.includeSidecars - Include internal .taktmate/ sidecar blobs
+ * @returns {Promise<Array>} Array of file objects with name, size, lastModified, version (1 for the first upload),
+ *   uploadedAt, tags and annotatedAt (user annotations, see services/fileAnnotations.js), and for child sources (e.g. email attachments) parent (the source's blob name) and
+ *   childLabel (e.g. 'attachment 1 of email complaint.eml')
  */
-async function listUserFiles(userId) {
+async function listUserFiles(userId, options = {}) {
   try {
     const containerClient = await ensureUserContainer(userId);
     const files = [];
+    const listOptions = { includeMetadata: true };
+    if (options.prefix) {
+      listOptions.prefix = options.prefix;
+    }
     
-    console.log(`Listing files for user: ${userId}`);
+    console.log(`Listing files for user: ${userId}${options.prefix ? ` (prefix: ${options.prefix})` : ''}`);
     
-    // List all blobs in the user's container with metadata
-    for await (const blob of containerClient.listBlobsFlat({ includeMetadata: true })) {
+    // List all blobs in the user's container with metadata; the metadata of status and annotation
+    // sidecars is collected on the way, by the blob name they belong to
+    const blobs = [];
+    const records = { [STATUS_SIDECAR_KIND]: new Map(), [ANNOTATIONS_SIDECAR_KIND]: new Map() };
+    const collectRecord = (blob) => {
+      if (!isSidecarBlob(blob.name)) {
+        return;
+      }
+      for (const [kind, found] of Object.entries(records)) {
+        const suffix = `/${kind}.json`;
+        if (blob.name.endsWith(suffix)) {
+          found.set(blob.name.slice(SIDECAR_PREFIX.length, -suffix.length), blob.metadata || {});
+        }
+      }
+    };
+
+    for await (const blob of containerClient.listBlobsFlat(listOptions)) {
+      collectRecord(blob);
+      if (isSidecarBlob(blob.name) && !options.includeSidecars) {
+        continue;
+      }
+      blobs.push(blob);
+    }
+    // A prefix listing of user files doesn't reach their sidecars
+    if (options.prefix && !isSidecarBlob(options.prefix)) {
+      for await (const blob of containerClient.listBlobsFlat({ includeMetadata: true, prefix: `${SIDECAR_PREFIX}${options.prefix}` })) {
+        collectRecord(blob);
+      }
+    }
+
+    for (const blob of blobs) {
       const size = blob.properties.contentLength || blob.properties.blobSize || 0;
+      const { status, statusReason } = readUploadStatus(blob, records[STATUS_SIDECAR_KIND].get(blob.name));
+      const annotations = records[ANNOTATIONS_SIDECAR_KIND].get(blob.name);
       files.push({
         name: blob.name,
         size: size,
         lastModified: blob.properties.lastModified,
         contentType: blob.properties.contentType,
-        etag: blob.properties.etag
+        etag: blob.properties.etag,
+        encoding: blob.metadata?.encoding || null,
+        dialect: readJsonMetadata(blob.metadata?.dialect),
+        parent: readTextMetadata(blob.metadata?.parent),
+        childLabel: readTextMetadata(blob.metadata?.childlabel),
+        // Set when the upload is checked (POST /api/files/:blobName/complete), for the checked content only
+        status,
+        statusReason,
+        // Re-uploads and restores count up; earlier versions keep their number (see services/fileVersions.js)
+        version: Number(blob.metadata?.version) || 1,
+        uploadedAt: blob.metadata?.uploadedat || blob.properties.lastModified,
+        restoredFrom: Number(blob.metadata?.restoredfrom) || null,
+        // Kept as metadata of the annotations sidecar so listings can be filtered by tag
+        tags: readJsonMetadata(readTextMetadata(annotations?.tags)) || [],
+        annotatedAt: annotations?.annotatedat || null
       });
     }
     
@@ -148,7 +426,9 @@ async function listUserFiles(userId) {
  */
 async function sumBytes(userId) {
   try {
-    const files = await listUserFiles(userId);
+    // Earlier versions of files count too; other sidecars (indexes, caches) are derived data
+    const files = (await listUserFiles(userId, { includeSidecars: true }))
+      .filter(file => !isSidecarBlob(file.name) || isVersionBlob(file.name));
     const totalBytes = files.reduce((total, file) => total + (file.size || 0), 0);
     
     console.log(`User ${userId} using ${totalBytes} bytes (${(totalBytes / 1024 / 1024).toFixed(3)} MB)`);
@@ -279,6 +559,11 @@ async function deleteBlob(userId, blobName) {
     // Delete the blob (will not fail if blob doesn't exist)
     await blobClient.deleteIfExists();
     
+    // Remove derived sidecars (search index, caches) for the blob
+    if (!isSidecarBlob(blobName)) {
+      await deleteByPrefix(containerClient, `${SIDECAR_PREFIX}${blobName}/`);
+    }
+    
     console.log(`Successfully deleted blob: ${blobName}`);
   } catch (error) {
     console.error(`Failed to delete blob ${blobName} for user ${userId}:`, error.message);
@@ -286,6 +571,353 @@ async function deleteBlob(userId, blobName) {
   }
 }
 
+/**
+ * Delete every blob under a prefix in a container
+ * @param {ContainerClient} containerClient - User's container client
+ * @param {string} prefix - Blob name prefix
+ * @returns {Promise<Array<string>>} Names of the deleted blobs
+ */
+async function deleteByPrefix(containerClient, prefix) {
+  const deleted = [];
+  for await (const blob of containerClient.listBlobsFlat({ prefix })) {
+    await containerClient.getBlockBlobClient(blob.name).deleteIfExists();
+    deleted.push(blob.name);
+  }
+  return deleted;
+}
+
+/**
+ * Delete every blob under a prefix in user's container
+ * @param {string} userId - User ID from authentication
+ * @param {string} prefix - Blob name prefix (must not be empty)
+ * @returns {Promise<Array<string>>} Names of the deleted blobs
+ */
+async function deleteBlobsWithPrefix(userId, prefix) {
+  try {
+    if (!userId || !prefix) {
+      throw new Error('userId and prefix are required');
+    }
+
+    const containerClient = await ensureUserContainer(userId);
+
+    console.log(`Deleting blobs for user ${userId} with prefix: ${prefix}`);
+
+    const deleted = await deleteByPrefix(containerClient, prefix);
+
+    // Sidecars mirror the source blob names, so they share the prefix under .taktmate/
+    if (!isSidecarBlob(prefix)) {
+      await deleteByPrefix(containerClient, `${SIDECAR_PREFIX}${prefix}`);
+    }
+
+    console.log(`Successfully deleted ${deleted.length} blobs with prefix: ${prefix}`);
+    return deleted;
+  } catch (error) {
+    console.error(`Failed to delete blobs with prefix ${prefix} for user ${userId}:`, error.message);
+    throw new Error(`Blob prefix deletion failed: ${error.message}`);
+  }
+}
+
+/**
+ * Read a JSON sidecar stored next to a source blob
+ * @param {string} userId - User ID from authentication
+ * @param {string} blobName - Source blob name
+ * @param {string} kind - Sidecar kind (e.g. 'index')
+ * @returns {Promise<Object|null>} Parsed sidecar, or null if it does not exist
+ */
+async function readSidecar(userId, blobName, kind) {
+  try {
+    const containerClient = await ensureUserContainer(userId);
+    const sidecarClient = containerClient.getBlockBlobClient(getSidecarBlobName(blobName, kind));
+
+    if (!(await sidecarClient.exists())) {
+      return null;
+    }
+
+    const buffer = await sidecarClient.downloadToBuffer();
+    return JSON.parse(buffer.toString('utf8'));
+  } catch (error) {
+    console.error(`Failed to read ${kind} sidecar for ${blobName}:`, error.message);
+    throw new Error(`Sidecar read failed: ${error.message}`);
+  }
+}
+
+/**
+ * Write a JSON sidecar next to a source blob (overwrites any existing sidecar)
+ * @param {string} userId - User ID from authentication
+ * @param {string} blobName - Source blob name
+ * @param {string} kind - Sidecar kind (e.g. 'index')
+ * @param {Object} data - JSON-serializable sidecar content
+ * @param {Object} metadata - Blob metadata of the sidecar, for values file listings read (optional)
+ * @returns {Promise<number>} Number of bytes written
+ */
+async function writeSidecar(userId, blobName, kind, data, metadata = {}) {
+  try {
+    const containerClient = await ensureUserContainer(userId);
+    const sidecarClient = containerClient.getBlockBlobClient(getSidecarBlobName(blobName, kind));
+    const body = Buffer.from(JSON.stringify(data), 'utf8');
+
+    await sidecarClient.uploadData(body, {
+      blobHTTPHeaders: { blobContentType: 'application/json' },
+      metadata: mergeMetadata({}, metadata)
+    });
+
+    console.log(`Wrote ${kind} sidecar for ${blobName} (${body.length} bytes)`);
+    return body.length;
+  } catch (error) {
+    console.error(`Failed to write ${kind} sidecar for ${blobName}:`, error.message);
+    throw new Error(`Sidecar write failed: ${error.message}`);
+  }
+}
+
+/**
+ * Upload content produced by the server (e.g. an email attachment) as a user file
+ * @param {string} userId - User ID from authentication
+ * @param {string} blobName - Name of the blob to create or replace
+ * @param {Buffer} content - File content
+ * @param {string} contentType - MIME type
+ * @param {Object} links - Child source links: { parent, childLabel } (stored URI-encoded as metadata)
+ * @returns {Promise<Object>} The new file entry ({ name, size, contentType, etag, parent, childLabel, status })
+ */
+async function uploadBlob(userId, blobName, content, contentType, links = {}) {
+  try {
+    const containerClient = await ensureUserContainer(userId);
+    const blobClient = containerClient.getBlockBlobClient(blobName);
+
+    const metadata = {};
+    if (links.parent) metadata.parent = encodeURIComponent(links.parent);
+    if (links.childLabel) metadata.childlabel = encodeURIComponent(links.childLabel);
+
+    const response = await blobClient.uploadData(content, {
+      blobHTTPHeaders: { blobContentType: contentType },
+      metadata
+    });
+    // Server-made files are built from checked content, so they are ready straight away
+    await writeStatusRecord(containerClient, blobName, { etag: response.etag, status: 'ready' });
+
+    console.log(`Uploaded ${blobName} for user ${userId} (${content.length} bytes)`);
+    return {
+      name: blobName,
+      size: content.length,
+      contentType,
+      etag: response.etag,
+      parent: links.parent || null,
+      childLabel: links.childLabel || null,
+      status: 'ready'
+    };
+  } catch (error) {
+    console.error(`Failed to upload ${blobName} for user ${userId}:`, error.message);
+    throw new Error(`Blob upload failed: ${error.message}`);
+  }
+}
+
+/**
+ * List the blocks staged for a blob by a block upload that has not been committed yet
+ * @param {string} userId - User ID from authentication
+ * @param {string} blobName - Name of the blob being uploaded
+ * @returns {Promise<Array<Object>>} Staged blocks of { id, size } (empty when nothing has been staged)
+ */
+async function listUncommittedBlocks(userId, blobName) {
+  try {
+    const containerClient = await ensureUserContainer(userId);
+    const blobClient = containerClient.getBlockBlobClient(blobName);
+    const blockList = await blobClient.getBlockList('uncommitted');
+    return (blockList.uncommittedBlocks || []).map(block => ({ id: block.name, size: block.size }));
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return [];
+    }
+    console.error(`Failed to list staged blocks for ${blobName}:`, error.message);
+    throw new Error(`Block listing failed: ${error.message}`);
+  }
+}
+
+/**
+ * List the IDs of the blocks a blob's current content was committed from
+ * @param {string} userId - User ID from authentication
+ * @param {string} blobName - Name of the blob
+ * @returns {Promise<Array<string>>} Block IDs (empty when the blob does not exist)
+ */
+async function listCommittedBlockIds(userId, blobName) {
+  try {
+    const containerClient = await ensureUserContainer(userId);
+    const blobClient = containerClient.getBlockBlobClient(blobName);
+    const blockList = await blobClient.getBlockList('committed');
+    return (blockList.committedBlocks || []).map(block => block.name);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return [];
+    }
+    console.error(`Failed to list committed blocks for ${blobName}:`, error.message);
+    throw new Error(`Block listing failed: ${error.message}`);
+  }
+}
+
+/**
+ * Commit staged blocks, in order, as the blob's content
+ * @param {string} userId - User ID from authentication
+ * @param {string} blobName - Name of the blob being uploaded
+ * @param {Array<string>} blockIds - Block IDs in file order
+ * @param {string} contentType - MIME type of the file
+ * @param {Object} metadata - Metadata of the new blob (e.g. { version: '2' }; null entries are left out)
+ * @returns {Promise<string>} The new blob's ETag
+ */
+async function commitBlocks(userId, blobName, blockIds, contentType, metadata = {}) {
+  try {
+    const containerClient = await ensureUserContainer(userId);
+    const blobClient = containerClient.getBlockBlobClient(blobName);
+    const response = await blobClient.commitBlockList(blockIds, {
+      blobHTTPHeaders: { blobContentType: contentType },
+      metadata: mergeMetadata({}, metadata)
+    });
+
+    console.log(`🧱 Committed ${blockIds.length} block(s) as ${blobName} for user ${userId}`);
+    return response.etag;
+  } catch (error) {
+    console.error(`Failed to commit blocks for ${blobName}:`, error.message);
+    throw new Error(`Block commit failed: ${error.message}`);
+  }
+}
+
+/**
+ * Copy a blob within the user's container (content, content type and metadata)
+ * @param {string} userId - User ID from authentication
+ * @param {string} sourceName - Blob to copy
+ * @param {string} targetName - Blob to create or overwrite
+ * @param {Object} metadata - Metadata entries set on the copy, on top of the source's (null entries are removed)
+ * @returns {Promise<string>} The copy's ETag
+ */
+async function copyBlob(userId, sourceName, targetName, metadata = {}) {
+  try {
+    const containerClient = await ensureUserContainer(userId);
+    const sourceClient = containerClient.getBlockBlobClient(sourceName);
+    const targetClient = containerClient.getBlockBlobClient(targetName);
+
+    const properties = await sourceClient.getProperties();
+    const { status, statusReason } = await readStatusRecord(containerClient, sourceName, properties);
+    // A kept version holds the status in its own metadata; a user file's status metadata is never read.
+    // Copies between sidecars keep theirs.
+    let statusMetadata = {};
+    if (!isSidecarBlob(targetName)) {
+      statusMetadata = { status: null, statusreason: null };
+    } else if (!isSidecarBlob(sourceName)) {
+      statusMetadata = { status, statusreason: statusReason ? encodeURIComponent(statusReason) : null };
+    }
+
+    // The copy reads the source through a short-lived read SAS (no account keys), and only the
+    // content whose status was read
+    const sourceUrl = await sasForRead(userId, sourceName);
+    const poller = await targetClient.beginCopyFromURL(sourceUrl, {
+      metadata: mergeMetadata(properties.metadata, { ...statusMetadata, ...metadata }),
+      sourceConditions: { ifMatch: properties.etag }
+    });
+    const result = await poller.pollUntilDone();
+
+    // The copy has the same content, so it has the same status
+    if (!isSidecarBlob(targetName) && status !== 'processing') {
+      await writeStatusRecord(containerClient, targetName, { etag: result.etag, status, reason: statusReason });
+    }
+
+    console.log(`📑 Copied ${sourceName} to ${targetName} for user ${userId}`);
+    return result.etag;
+  } catch (error) {
+    console.error(`Failed to copy ${sourceName} to ${targetName}:`, error.message);
+    throw new Error(`Blob copy failed: ${error.message}`);
+  }
+}
+
+/**
+ * Record a text file's detected character encoding in its blob metadata (other metadata is kept)
+ * Writing metadata changes the blob's ETag, so the new ETag is returned for caches keyed on it
+ * @param {string} userId - User ID from authentication
+ * @param {Object} file - File entry from listUserFiles ({ name, etag, encoding })
+ * @param {string} encoding - Encoding name (e.g. 'UTF-8', 'windows-1252')
+ * @returns {Promise<string>} The blob's current ETag (unchanged when the encoding was already recorded or the write failed)
+ */
+async function recordTextEncoding(userId, file, encoding) {
+  if (file.encoding === encoding) {
+    return file.etag;
+  }
+
+  try {
+    const containerClient = await ensureUserContainer(userId);
+    const blobClient = containerClient.getBlockBlobClient(file.name);
+    // Only write to the version that was read; a newer upload is detected on its own
+    const conditions = file.etag ? { ifMatch: file.etag } : undefined;
+
+    const properties = await blobClient.getProperties({ conditions });
+    const response = await blobClient.setMetadata({ ...properties.metadata, encoding }, { conditions });
+    await carryStatusRecord(containerClient, file.name, properties.etag, response.etag);
+
+    console.log(`🔤 Recorded encoding ${encoding} for ${file.name}`);
+    return response.etag;
+  } catch (error) {
+    // Best-effort; the file still parses, and the next read tries again
+    console.warn(`⚠️  Could not record encoding for ${file.name}:`, error.message);
+    return file.etag;
+  }
+}
+
+/**
+ * Record the outcome of an upload's checks in the file's status record
+ * @param {string} userId - User ID from authentication
+ * @param {Object} file - File entry from listUserFiles ({ name, etag, encoding })
+ * @param {string} status - 'ready' or 'rejected'
+ * @param {Object} details - { reason, encoding }: why the file was rejected, and a text file's detected encoding
+ *   (stored in the blob's metadata)
+ * @returns {Promise<string>} The blob's ETag, which the status holds for (new when the encoding was written)
+ */
+async function setUploadStatus(userId, file, status, { reason = null, encoding = null } = {}) {
+  try {
+    const containerClient = await ensureUserContainer(userId);
+    const blobClient = containerClient.getBlockBlobClient(file.name);
+    // Only mark the version that was checked; a newer upload needs checking on its own
+    const conditions = { ifMatch: file.etag };
+
+    const properties = await blobClient.getProperties({ conditions });
+    let etag = properties.etag;
+    if (encoding && encoding !== properties.metadata?.encoding) {
+      etag = (await blobClient.setMetadata({ ...properties.metadata, encoding }, { conditions })).etag;
+    }
+    await writeStatusRecord(containerClient, file.name, { etag, status, reason });
+
+    console.log(`${status === 'ready' ? '✅' : '🚫'} Marked ${file.name} ${status}${reason ? `: ${reason}` : ''}`);
+    return etag;
+  } catch (error) {
+    console.error(`Failed to set upload status for ${file.name}:`, error.message);
+    throw new Error(`Upload status update failed: ${error.message}`);
+  }
+}
+
+/**
+ * Store or clear a delimited file's dialect override in its blob metadata (other metadata is kept)
+ * @param {string} userId - User ID from authentication
+ * @param {string} blobName - Name of the blob
+ * @param {Object|null} dialect - { delimiter, quote, header } override, or null to detect everything again
+ * @returns {Promise<string>} The blob's new ETag (caches keyed on the old one are stale)
+ */
+async function setDialectOverride(userId, blobName, dialect) {
+  try {
+    const containerClient = await ensureUserContainer(userId);
+    const blobClient = containerClient.getBlockBlobClient(blobName);
+
+    const properties = await blobClient.getProperties();
+    const metadata = { ...properties.metadata };
+    if (dialect) {
+      metadata.dialect = JSON.stringify(dialect);
+    } else {
+      delete metadata.dialect;
+    }
+
+    const response = await blobClient.setMetadata(metadata, { conditions: { ifMatch: properties.etag } });
+    await carryStatusRecord(containerClient, blobName, properties.etag, response.etag);
+    console.log(`🧾 ${dialect ? 'Set' : 'Cleared'} dialect override for ${blobName}`);
+    return response.etag;
+  } catch (error) {
+    console.error(`Failed to set dialect for ${blobName}:`, error.message);
+    throw new Error(`Dialect update failed: ${error.message}`);
+  }
+}
+
 /**
  * Get blob content as a stream (for CSV processing)
  * @param {string} userId - User ID from authentication
@@ -393,6 +1025,29 @@ module.exports = {
   sasForUpload,
   sasForRead,
   deleteBlob,
+  deleteBlobsWithPrefix,
   getBlobContent,
-  healthCheck
+  uploadBlob,
+  recordTextEncoding,
+  setDialectOverride,
+  setUploadStatus,
+  readUploadStatus,
+  listUncommittedBlocks,
+  listCommittedBlockIds,
+  commitBlocks,
+  copyBlob,
+  readSidecar,
+  writeSidecar,
+  isSidecarBlob,
+  getSidecarBlobName,
+  getVersionPrefix,
+  getVersionBlobName,
+  isVersionBlob,
+  getProjectPrefix,
+  getProjectBlobName,
+  isProjectBlob,
+  healthCheck,
+  PROJECT_PREFIX,
+  SIDECAR_PREFIX,
+  ANNOTATIONS_SIDECAR_KIND
 };
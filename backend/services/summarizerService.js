@@ -194,6 +194,41 @@ class SummarizerService {
     }
   }
 
+  /**
+   * Rewrite an archived conversation in place (e.g. when a file it refers to is renamed)
+   * @param {string} blobUrl - URL of the archived conversation
+   * @param {Function} update - Changes the archived conversation data in place
+   * @returns {Object} - Updated conversation data
+   */
+  async updateArchivedConversation(blobUrl, update) {
+    try {
+      const conversationData = await this.getArchivedConversation(blobUrl);
+      update(conversationData);
+
+      const urlParts = blobUrl.split('/');
+      const blobName = urlParts.slice(-2).join('/'); // userId/filename
+      const blockBlobClient = this.blobServiceClient.getContainerClient(this.containerName).getBlockBlobClient(blobName);
+
+      const { metadata } = await blockBlobClient.getProperties();
+      const jsonData = JSON.stringify(conversationData, null, 2);
+      await blockBlobClient.upload(jsonData, Buffer.byteLength(jsonData), {
+        blobHTTPHeaders: {
+          blobContentType: 'application/json'
+        },
+        metadata: {
+          ...metadata,
+          ...(conversationData.fileName ? { fileName: conversationData.fileName } : {})
+        }
+      });
+
+      console.log(`✅ Updated archived conversation in blob: ${blobName}`);
+      return conversationData;
+    } catch (error) {
+      console.error('❌ Failed to update archived conversation:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Trim a conversation to keep only recent messages
    * @param {Object} conversation - The conversation document
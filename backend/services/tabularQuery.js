@@ -0,0 +1,796 @@
+/**
+ * Tabular Query Engine
+ *
+ * Answers structured questions over table rows deterministically:
+ * - Tables come from processors that export loadTables (CSV, TSV, XLSX, JSON, JSONL and XML)
+ * - Column types (number, date, boolean, string) are inferred from the values
+ * - Queries support filters (including date ranges), group-by, aggregations
+ *   (count, sum, avg, min, max, median, percentile, stddev), sorting and top-N
+ * - Used by the query_table chat tool and POST /api/files/:blobName/query
+ */
+
+const { getBlobContent } = require('./storage');
+const { getProcessor, getProcessorOptions, listFormats } = require('../processors');
+
+// Configuration constants for the query engine
+const TABULAR_CONFIG = {
+  TYPE_MATCH_RATIO: 0.95,          // Share of non-empty values that must parse for a column type
+  DEFAULT_LIMIT: 50,
+  MAX_LIMIT: 500,
+  MAX_PREVIEW_ROWS: 1000,
+  TABLE_CACHE_SIZE: 10,
+  FILTER_OPS: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between', 'in', 'contains', 'starts_with', 'is_empty', 'not_empty'],
+  AGGREGATE_OPS: ['count', 'count_distinct', 'sum', 'avg', 'min', 'max', 'median', 'percentile', 'stddev']
+};
+
+const NUMERIC_AGGREGATES = ['sum', 'avg', 'median', 'percentile', 'stddev'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parsed tables keyed by userId:blobName:etag (Map keeps insertion order for LRU eviction)
+const tableCache = new Map();
+
+/**
+ * Check whether a file can be queried as a table
+ * @param {string} fileName - File name
+ * @returns {boolean} - True when the file's processor can load tables
+ */
+function isTabularFile(fileName) {
+  const processor = getProcessor(fileName);
+  return !!processor && typeof processor.loadTables === 'function';
+}
+
+/**
+ * Name the formats that can be queried as tables (for messages)
+ * @returns {string} - e.g. "CSV, XLSX or XML"
+ */
+function describeTabularFormats() {
+  const labels = listFormats().filter(format => format.preview === 'table').map(format => format.label);
+  return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}` : labels.join('');
+}
+
+/**
+ * Parse a number, accepting currency symbols, thousands separators, percents and (negatives)
+ * @param {*} value - Raw value
+ * @returns {number|null} - Parsed number or null
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  let text = value.trim();
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1).trim();
+  }
+  text = text.replace(/^[$€£¥]\s*/, '').replace(/%$/, '').replace(/,(?=\d{3}(\D|$))/g, '');
+
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) {
+    return null;
+  }
+  const number = parseFloat(text);
+  return negative ? -number : number;
+}
+
+/**
+ * Build a UTC timestamp from date parts, rejecting parts that would roll over
+ * (Date.UTC turns 2024-02-31 into March 2 and month 15 into the next year)
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @param {number} hours - Hours (0-23)
+ * @param {number} minutes - Minutes (0-59)
+ * @param {number} seconds - Seconds (0-59)
+ * @returns {number|null} - Milliseconds since epoch, or null when a part is out of range
+ */
+function toTimestamp(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  const roundTrips = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day && date.getUTCHours() === hours &&
+    date.getUTCMinutes() === minutes && date.getUTCSeconds() === seconds;
+  return roundTrips ? date.getTime() : null;
+}
+
+/**
+ * Parse a date into a UTC timestamp
+ * Accepts Date objects, ISO dates (with optional time), M/D/YYYY and "March 15, 2024";
+ * dates that don't exist (15/03/2024, 2024-02-31) are not dates
+ * @param {*} value - Raw value
+ * @returns {number|null} - Milliseconds since epoch or null
+ */
+function parseDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.getTime();
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+  if (match) {
+    const [, y, m, d, hh = 0, mm = 0, ss = 0] = match;
+    return toTimestamp(+y, +m, +d, +hh, +mm, +ss);
+  }
+
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+    return toTimestamp(year, +match[1], +match[2]);
+  }
+
+  match = text.match(/^[a-z]{3,}\.? (\d{1,2}),? \d{4}$/i);
+  if (match) {
+    const parsed = Date.parse(`${text} UTC`);
+    // Date.parse rolls "February 31" over into March, so the day has to survive the parse
+    return isNaN(parsed) || new Date(parsed).getUTCDate() !== +match[1] ? null : parsed;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a boolean written as true/false or yes/no
+ * @param {*} value - Raw value
+ * @returns {boolean|null} - Parsed boolean or null
+ */
+function parseBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = String(value).trim().toLowerCase();
+  if (text === 'true' || text === 'yes') return true;
+  if (text === 'false' || text === 'no') return false;
+  return null;
+}
+
+/**
+ * Check whether a raw cell is empty
+ * @param {*} value - Raw value
+ * @returns {boolean} - True for null, undefined and blank strings
+ */
+function isEmptyValue(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+// Parsers by column type (string columns keep the trimmed text)
+const TYPE_PARSERS = {
+  number: parseNumber,
+  date: parseDate,
+  boolean: parseBoolean,
+  string: value => String(value).trim()
+};
+
+/**
+ * Infer a column type from its raw values
+ * @param {Array} values - Raw column values
+ * @returns {string} - 'number', 'date', 'boolean' or 'string'
+ */
+function inferColumnType(values) {
+  const nonEmpty = values.filter(value => !isEmptyValue(value));
+  if (nonEmpty.length === 0) {
+    return 'string';
+  }
+
+  for (const type of ['number', 'date', 'boolean']) {
+    const parsed = nonEmpty.filter(value => TYPE_PARSERS[type](value) !== null).length;
+    if (parsed / nonEmpty.length >= TABULAR_CONFIG.TYPE_MATCH_RATIO) {
+      return type;
+    }
+  }
+  return 'string';
+}
+
+/**
+ * Build a typed table from a header and raw rows
+ * @param {Array<string>} headers - Column names
+ * @param {Array<Object>} rawRows - Rows of { values, row }
+ * @param {Object} meta - Extra table fields ({ fileName, sheet, hidden })
+ * @param {Array<string|null>} knownTypes - Column types already known from the source (null entries are inferred)
+ * @returns {Object} - { columns: [{ name, type }], rows: [{ _row, ...values }], ...meta }
+ */
+function buildTable(headers, rawRows, meta, knownTypes = []) {
+  // Blank and duplicate headers still need distinct, addressable names
+  const seen = new Map();
+  const names = headers.map((header, index) => {
+    const base = header || `Column ${index + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base}_${count}`;
+  });
+
+  const columns = names.map((name, index) => ({
+    name,
+    type: knownTypes[index] || inferColumnType(rawRows.map(row => row.values[index]))
+  }));
+
+  const rows = rawRows.map(({ values, row }) => {
+    const record = { _row: row };
+    columns.forEach((column, index) => {
+      const value = values[index];
+      record[column.name] = isEmptyValue(value) ? null : TYPE_PARSERS[column.type](value);
+    });
+    return record;
+  });
+
+  return { ...meta, columns, rows };
+}
+
+/**
+ * Load a tabular blob as a typed table (cached by ETag)
+ * @param {string} userId - User ID
+ * @param {Object} file - File entry from listUserFiles ({ name, etag, dialect })
+ * @param {string} sheetName - XLSX sheet name (defaults to the first sheet)
+ * @returns {Promise<Object>} - Typed table, with sheets: [{ name, hidden, rowCount }] for workbooks
+ */
+async function loadTable(userId, file, sheetName = null) {
+  if (!isTabularFile(file.name)) {
+    throw new Error(`File '${file.name}' is not a ${describeTabularFormats()} file`);
+  }
+
+  const cacheKey = `${userId}:${file.name}:${file.etag}`;
+  let tables = file.etag ? tableCache.get(cacheKey) : null;
+
+  if (tables) {
+    // Refresh LRU position
+    tableCache.delete(cacheKey);
+    tableCache.set(cacheKey, tables);
+  } else {
+    const buffer = await getBlobContent(userId, file.name);
+    const rawTables = await getProcessor(file.name).loadTables(buffer, getProcessorOptions(file));
+    tables = rawTables.map(raw => buildTable(
+      raw.headers,
+      raw.rows,
+      { fileName: file.name, sheet: raw.sheet || null, hidden: raw.hidden, dialect: raw.dialect || null },
+      raw.types || []
+    ));
+
+    if (file.etag) {
+      tableCache.set(cacheKey, tables);
+      while (tableCache.size > TABULAR_CONFIG.TABLE_CACHE_SIZE) {
+        tableCache.delete(tableCache.keys().next().value);
+      }
+    }
+  }
+
+  const sheets = tables
+    .filter(candidate => candidate.sheet)
+    .map(candidate => ({ name: candidate.sheet, hidden: !!candidate.hidden, rowCount: candidate.rows.length }));
+  const table = sheetName
+    ? tables.find(candidate => candidate.sheet && candidate.sheet.toLowerCase() === String(sheetName).toLowerCase())
+    : tables[0];
+
+  if (!table) {
+    throw new Error(`Sheet '${sheetName}' not found. Available sheets: ${sheets.map(sheet => sheet.name).join(', ')}`);
+  }
+
+  return { ...table, sheets };
+}
+
+/**
+ * Find a file among the chat's selected files by blob name or by name within its project
+ * @param {Array<Object>} files - File entries available to the request
+ * @param {string} fileName - Requested file name
+ * @returns {Object} - File entry
+ */
+function resolveTabularFile(files, fileName) {
+  const tabularFiles = (files || []).filter(file => file && isTabularFile(file.name));
+  const file = tabularFiles.find(candidate => candidate.name === fileName) ||
+    tabularFiles.find(candidate => candidate.name.split('/').pop() === fileName);
+
+  if (!file) {
+    const available = tabularFiles.map(candidate => candidate.name.split('/').pop());
+    throw new Error(available.length > 0
+      ? `File '${fileName}' is not one of the selected ${describeTabularFormats()} files: ${available.join(', ')}`
+      : `No ${describeTabularFormats()} files are selected in this chat`);
+  }
+  return file;
+}
+
+/**
+ * Drop cached tables for a blob (all versions)
+ * @param {string} userId - User ID
+ * @param {string} blobName - Blob name
+ */
+function evictTable(userId, blobName) {
+  const prefix = `${userId}:${blobName}:`;
+  for (const key of Array.from(tableCache.keys())) {
+    if (key.startsWith(prefix)) {
+      tableCache.delete(key);
+    }
+  }
+}
+
+/**
+ * Find a column by name (case-insensitive)
+ * @param {Object} table - Typed table
+ * @param {string} name - Column name
+ * @returns {Object|undefined} - Column definition
+ */
+function findColumn(table, name) {
+  if (typeof name !== 'string') {
+    return undefined;
+  }
+  return table.columns.find(column => column.name === name) ||
+    table.columns.find(column => column.name.toLowerCase() === name.trim().toLowerCase());
+}
+
+/**
+ * Parse a date filter bound; partial dates cover their whole period
+ * ("2020" is 2020-01-01 as a start bound and 2020-12-31 end of day as an end bound)
+ * @param {*} value - Filter value
+ * @param {boolean} isEnd - True for an upper bound
+ * @returns {number|null} - Timestamp or null
+ */
+function parseDateBound(value, isEnd) {
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})$/);
+  if (match) {
+    return isEnd ? Date.UTC(+match[1] + 1, 0, 1) - 1 : Date.UTC(+match[1], 0, 1);
+  }
+  match = text.match(/^(\d{4})-(\d{1,2})$/);
+  if (match) {
+    if (+match[2] < 1 || +match[2] > 12) {
+      return null;
+    }
+    return isEnd ? Date.UTC(+match[1], +match[2], 1) - 1 : Date.UTC(+match[1], +match[2] - 1, 1);
+  }
+
+  const timestamp = parseDate(text);
+  if (timestamp === null) {
+    return null;
+  }
+  // Date-only end bounds include the whole day
+  const isMidnight = timestamp % DAY_MS === 0;
+  return isEnd && isMidnight && !/\d{2}:\d{2}/.test(text) ? timestamp + DAY_MS - 1 : timestamp;
+}
+
+/**
+ * Parse a filter value for a column
+ * @param {Object} column - Column definition
+ * @param {*} value - Filter value
+ * @param {boolean} isEnd - True for an upper bound (dates only)
+ * @returns {*} - Typed value, or null if it can't be parsed
+ */
+function parseFilterValue(column, value, isEnd = false) {
+  if (column.type === 'date') {
+    return parseDateBound(value, isEnd);
+  }
+  if (column.type === 'string') {
+    return String(value).trim().toLowerCase();
+  }
+  return TYPE_PARSERS[column.type](value);
+}
+
+/**
+ * Validate a query against a table
+ * @param {Object} table - Typed table
+ * @param {Object} query - Query specification
+ * @returns {Object} - { valid: boolean, error?: string }
+ */
+function validateQuery(table, query) {
+  const columnList = table.columns.map(column => column.name).join(', ');
+  const unknownColumn = (name) => ({ valid: false, error: `Unknown column '${name}'. Available columns: ${columnList}` });
+
+  if (!query || typeof query !== 'object') {
+    return { valid: false, error: 'Query must be an object' };
+  }
+
+  for (const filter of query.filters || []) {
+    if (!filter || !findColumn(table, filter.column)) {
+      return unknownColumn(filter?.column);
+    }
+    if (!TABULAR_CONFIG.FILTER_OPS.includes(filter.op)) {
+      return { valid: false, error: `Unknown filter op '${filter.op}'. Use one of: ${TABULAR_CONFIG.FILTER_OPS.join(', ')}` };
+    }
+    if (filter.op === 'between' && (!Array.isArray(filter.value) || filter.value.length !== 2)) {
+      return { valid: false, error: `Filter 'between' on '${filter.column}' needs a [from, to] value` };
+    }
+    if (filter.op === 'in' && !Array.isArray(filter.value)) {
+      return { valid: false, error: `Filter 'in' on '${filter.column}' needs an array value` };
+    }
+    if (['is_empty', 'not_empty'].includes(filter.op)) {
+      continue;
+    }
+    if (filter.value === undefined || filter.value === null) {
+      return { valid: false, error: `Filter '${filter.op}' on '${filter.column}' needs a value` };
+    }
+    const column = findColumn(table, filter.column);
+    if (column.type !== 'string' && !['contains', 'starts_with'].includes(filter.op)) {
+      const values = Array.isArray(filter.value) ? filter.value : [filter.value];
+      const unreadable = values.find(value => parseFilterValue(column, value) === null);
+      if (unreadable !== undefined) {
+        return { valid: false, error: `Column '${column.name}' is ${column.type}; could not read '${unreadable}' as a ${column.type}` };
+      }
+    }
+  }
+
+  for (const name of [...(query.groupBy || []), ...(query.select || [])]) {
+    if (!findColumn(table, name)) {
+      return unknownColumn(name);
+    }
+  }
+
+  for (const aggregation of query.aggregations || []) {
+    if (!aggregation || !TABULAR_CONFIG.AGGREGATE_OPS.includes(aggregation.op)) {
+      return { valid: false, error: `Unknown aggregation '${aggregation?.op}'. Use one of: ${TABULAR_CONFIG.AGGREGATE_OPS.join(', ')}` };
+    }
+    if (aggregation.op !== 'count' && !aggregation.column) {
+      return { valid: false, error: `Aggregation '${aggregation.op}' needs a column` };
+    }
+    const column = aggregation.column ? findColumn(table, aggregation.column) : null;
+    if (aggregation.column && !column) {
+      return unknownColumn(aggregation.column);
+    }
+    if (NUMERIC_AGGREGATES.includes(aggregation.op) && column.type !== 'number') {
+      return { valid: false, error: `Aggregation '${aggregation.op}' needs a numeric column; '${column.name}' is ${column.type}` };
+    }
+    if (aggregation.op === 'percentile') {
+      const percentile = parseNumber(aggregation.percentile);
+      if (percentile === null || percentile < 0 || percentile > 100) {
+        return { valid: false, error: "Aggregation 'percentile' needs a percentile between 0 and 100" };
+      }
+    }
+  }
+
+  const outputNames = (query.aggregations || []).map(aggregationName);
+  if ((query.groupBy || []).length > 0 && outputNames.length === 0) {
+    outputNames.push('count'); // Default aggregation for groupBy
+  }
+  for (const sort of query.sort || []) {
+    if (!sort || (!findColumn(table, sort.column) && !outputNames.includes(sort.column) && sort.column !== '_row')) {
+      return unknownColumn(sort?.column);
+    }
+  }
+
+  if (query.limit !== undefined &&(!Number.isInteger(query.limit) || query.limit < 1)) {
+    return { valid: false, error: 'limit must be a positive integer' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Build a row predicate for a filter
+ * @param {Object} table - Typed table
+ * @param {Object} filter - { column, op, value }
+ * @returns {Function} - Predicate over typed rows
+ */
+function buildPredicate(table, filter) {
+  const column = findColumn(table, filter.column);
+  const key = column.name;
+  const normalize = value => (typeof value === 'string' ? value.toLowerCase() : value);
+
+  switch (filter.op) {
+    case 'is_empty':
+      return row => row[key] === null;
+    case 'not_empty':
+      return row => row[key] !== null;
+    case 'contains': {
+      const needle = String(filter.value).toLowerCase();
+      return row => row[key] !== null && String(row[key]).toLowerCase().includes(needle);
+    }
+    case 'starts_with': {
+      const needle = String(filter.value).toLowerCase();
+      return row => row[key] !== null && String(row[key]).toLowerCase().startsWith(needle);
+    }
+    case 'in': {
+      const options = filter.value.map(value => parseFilterValue(column, value));
+      return row => row[key] !== null && options.includes(normalize(row[key]));
+    }
+    case 'between': {
+      const from = parseFilterValue(column, filter.value[0]);
+      const to = parseFilterValue(column, filter.value[1], true);
+      // String bounds are lowercased by parseFilterValue, so the cell is too
+      return row => row[key] !== null && normalize(row[key]) >= from && normalize(row[key]) <= to;
+    }
+    default: {
+      // Dates compare against the whole period for eq/neq and the matching bound otherwise
+      const start = parseFilterValue(column, filter.value);
+      const end = column.type === 'date' ? parseFilterValue(column, filter.value, true) : start;
+      const comparisons = {
+        eq: value => value >= start && value <= end,
+        neq: value => value < start || value > end,
+        gt: value => value > end,
+        gte: value => value >= start,
+        lt: value => value < start,
+        lte: value => value <= end
+      };
+      return row => row[key] !== null && comparisons[filter.op](normalize(row[key]));
+    }
+  }
+}
+
+/**
+ * Compute a percentile with linear interpolation between closest ranks
+ * @param {Array<number>} sorted - Sorted numbers
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number} - Percentile value
+ */
+function computePercentile(sorted, percentile) {
+  const position = (sorted.length - 1) * (percentile / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Compute one aggregation over a set of rows
+ * @param {Object} table - Typed table
+ * @param {Array<Object>} rows - Typed rows
+ * @param {Object} aggregation - { op, column, percentile }
+ * @returns {*} - Aggregated value (null when there are no values)
+ */
+function computeAggregate(table, rows, aggregation) {
+  if (aggregation.op === 'count' && !aggregation.column) {
+    return rows.length;
+  }
+
+  const key = findColumn(table, aggregation.column).name;
+  const values = rows.map(row => row[key]).filter(value => value !== null);
+
+  switch (aggregation.op) {
+    case 'count':
+      return values.length;
+    case 'count_distinct':
+      return new Set(values.map(value => (typeof value === 'string' ? value.toLowerCase() : value))).size;
+    case 'min':
+    case 'max': {
+      if (values.length === 0) return null;
+      const sorted = [...values].sort(compareValues);
+      return aggregation.op === 'min' ? sorted[0] : sorted[sorted.length - 1];
+    }
+    default:
+      break;
+  }
+
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sum = values.reduce((total, value) => total + value, 0);
+  const sorted = [...values].sort((a, b) => a - b);
+  switch (aggregation.op) {
+    case 'sum':
+      return sum;
+    case 'avg':
+      return sum / values.length;
+    case 'median':
+      return computePercentile(sorted, 50);
+    case 'percentile':
+      return computePercentile(sorted, parseNumber(aggregation.percentile));
+    case 'stddev': {
+      // Sample standard deviation
+      if (values.length < 2) return 0;
+      const mean = sum / values.length;
+      return Math.sqrt(values.reduce((total, value) => total + (value - mean) ** 2, 0) / (values.length - 1));
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compare two typed values (nulls sort last, strings case-insensitively)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Sort order
+ */
+function compareValues(a, b) {
+  if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'string' || typeof b === 'string') {
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Default output name for an aggregation
+ * @param {Object} aggregation - { op, column, percentile, as }
+ * @returns {string} - Output column name
+ */
+function aggregationName(aggregation) {
+  if (aggregation.as) return aggregation.as;
+  if (!aggregation.column) return aggregation.op;
+  if (aggregation.op === 'percentile') return `p${parseNumber(aggregation.percentile)}_${aggregation.column}`;
+  return `${aggregation.op}_${aggregation.column}`;
+}
+
+/**
+ * Format a typed value for output (dates become ISO strings, floats are rounded)
+ * @param {*} value - Typed value
+ * @param {string} type - Column type ('date' formats timestamps)
+ * @returns {*} - JSON-friendly value
+ */
+function formatValue(value, type) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (type === 'date') {
+    const iso = new Date(value).toISOString();
+    return value % DAY_MS === 0 ? iso.substring(0, 10) : iso;
+  }
+  if (typeof value === 'number' && !Number.isInteger(value)) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+  return value;
+}
+
+/**
+ * Run a query against a typed table
+ * @param {Object} table - Typed table from loadTable
+ * @param {Object} query - { filters, groupBy, aggregations, select, sort, limit }
+ * @returns {Object} - { fileName, sheet, totalRows, matchedRows, columns, rows, returnedRows, truncated }
+ */
+function runQuery(table, query = {}) {
+  const validation = validateQuery(table, query);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  const predicates = (query.filters || []).map(filter => buildPredicate(table, filter));
+  const matched = table.rows.filter(row => predicates.every(predicate => predicate(row)));
+
+  const groupColumns = (query.groupBy || []).map(name => findColumn(table, name));
+  let aggregations = query.aggregations || [];
+  if (groupColumns.length > 0 && aggregations.length === 0) {
+    aggregations = [{ op: 'count' }];
+  }
+
+  // Output columns with the type used to format them
+  let outputColumns;
+  let records;
+
+  if (aggregations.length > 0) {
+    const groups = new Map();
+    for (const row of matched) {
+      const groupKey = JSON.stringify(groupColumns.map(column => {
+        const value = row[column.name];
+        return typeof value === 'string' ? value.toLowerCase() : value;
+      }));
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, []);
+      }
+      groups.get(groupKey).push(row);
+    }
+    // Aggregating without groupBy still returns one row, even when nothing matched
+    if (groupColumns.length === 0 && groups.size === 0) {
+      groups.set('[]', []);
+    }
+
+    outputColumns = [
+      ...groupColumns.map(column => ({ name: column.name, type: column.type })),
+      ...aggregations.map(aggregation => {
+        const column = aggregation.column ? findColumn(table, aggregation.column) : null;
+        const keepsType = ['min', 'max', 'median', 'percentile'].includes(aggregation.op);
+        return { name: aggregationName(aggregation), type: keepsType && column ? column.type : 'number' };
+      })
+    ];
+
+    records = Array.from(groups.values()).map(groupRows => {
+      const record = {};
+      groupColumns.forEach(column => { record[column.name] = groupRows[0][column.name]; });
+      aggregations.forEach(aggregation => {
+        record[aggregationName(aggregation)] = computeAggregate(table, groupRows, aggregation);
+      });
+      return record;
+    });
+  } else {
+    const selected = query.select && query.select.length > 0
+      ? query.select.map(name => findColumn(table, name))
+      : table.columns;
+    outputColumns = [{ name: '_row', type: 'number' }, ...selected.map(column => ({ name: column.name, type: column.type }))];
+    records = matched;
+  }
+
+  for (const sort of [...(query.sort || [])].reverse()) {
+    const name = outputColumns.find(column => column.name === sort.column)?.name || findColumn(table, sort.column)?.name;
+    if (!name) {
+      throw new Error(`Unknown sort column '${sort.column}'. Available columns: ${outputColumns.map(column => column.name).join(', ')}`);
+    }
+    const direction = String(sort.direction || 'asc').toLowerCase() === 'desc' ? -1 : 1;
+    // Array.prototype.sort is stable, so applying sorts last-to-first gives multi-key ordering
+    records = [...records].sort((a, b) => {
+      if (a[name] === null || b[name] === null) return compareValues(a[name], b[name]);
+      return direction * compareValues(a[name], b[name]);
+    });
+  }
+
+  const limit = Math.min(query.limit || TABULAR_CONFIG.DEFAULT_LIMIT, TABULAR_CONFIG.MAX_LIMIT);
+  const rows = records.slice(0, limit).map(record => {
+    const output = {};
+    outputColumns.forEach(column => { output[column.name] = formatValue(record[column.name], column.type); });
+    return output;
+  });
+
+  return {
+    fileName: table.fileName,
+    sheet: table.sheet,
+    totalRows: table.rows.length,
+    matchedRows: matched.length,
+    columns: outputColumns.map(column => column.name),
+    rows,
+    returnedRows: rows.length,
+    truncated: records.length > rows.length
+  };
+}
+
+/**
+ * Take the first rows of a table for display
+ * @param {Object} table - Typed table from loadTable
+ * @param {number} limit - Maximum number of rows (capped at MAX_PREVIEW_ROWS)
+ * @returns {Object} - { fileName, sheet, sheets, dialect, columns: [{ name, type }], rows, totalRows, returnedRows, truncated }
+ *   where dialect is how a delimited file was read ({ delimiterName, quoteName, header, detected }) or null
+ */
+function previewTable(table, limit = TABULAR_CONFIG.MAX_PREVIEW_ROWS) {
+  const rowLimit = Math.min(Math.max(parseInt(limit, 10) || TABULAR_CONFIG.MAX_PREVIEW_ROWS, 1), TABULAR_CONFIG.MAX_PREVIEW_ROWS);
+  const rows = table.rows.slice(0, rowLimit).map(record => {
+    const formatted = { _row: record._row };
+    table.columns.forEach(column => {
+      formatted[column.name] = formatValue(record[column.name], column.type);
+    });
+    return formatted;
+  });
+
+  return {
+    fileName: table.fileName,
+    sheet: table.sheet,
+    sheets: table.sheets,
+    dialect: table.dialect,
+    columns: table.columns,
+    rows,
+    totalRows: table.rows.length,
+    returnedRows: rows.length,
+    truncated: table.rows.length > rows.length
+  };
+}
+
+/**
+ * Describe a table's columns for the model or the API
+ * @param {Object} table - Typed table from loadTable
+ * @returns {Object} - { fileName, sheet, sheets, rowCount, columns: [{ name, type, nonEmpty, distinct, min, max, examples }] }
+ */
+function describeTable(table) {
+  return {
+    fileName: table.fileName,
+    sheet: table.sheet,
+    sheets: table.sheets,
+    rowCount: table.rows.length,
+    columns: table.columns.map(column => {
+      const values = table.rows.map(row => row[column.name]).filter(value => value !== null);
+      const distinct = Array.from(new Set(values));
+      const description = {
+        name: column.name,
+        type: column.type,
+        nonEmpty: values.length,
+        distinct: distinct.length,
+        examples: distinct.slice(0, 5).map(value => formatValue(value, column.type))
+      };
+      if ((column.type === 'number' || column.type === 'date') && values.length > 0) {
+        const sorted = [...values].sort((a, b) => a - b);
+        description.min = formatValue(sorted[0], column.type);
+        description.max = formatValue(sorted[sorted.length - 1], column.type);
+      }
+      return description;
+    })
+  };
+}
+
+module.exports = {
+  isTabularFile,
+  describeTabularFormats,
+  loadTable,
+  resolveTabularFile,
+  evictTable,
+  validateQuery,
+  runQuery,
+  previewTable,
+  describeTable,
+  inferColumnType,
+  TABULAR_CONFIG
+};
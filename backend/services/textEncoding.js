@@ -0,0 +1,198 @@
+/**
+ * Text Encoding Detection
+ *
+ * Decodes text uploads (TXT, CSV, JSON, JSONL, XML) in whatever encoding they were saved:
+ * - A byte order mark identifies UTF-8 and UTF-16 (LE/BE) outright
+ * - Text with a zero in every other byte is UTF-16 saved without a BOM
+ * - Files that decode as strict UTF-8 are UTF-8 (plain ASCII included)
+ * - An XML declaration's encoding="..." is honoured
+ * - Anything else gets the most likely legacy charset (Windows-1252, Shift_JIS, GB18030, EUC-KR, ...)
+ * Decoding uses iconv-lite: Node's own TextDecoder treats windows-1252 as Latin-1 (losing €, quotes and dashes)
+ */
+
+const chardet = require('chardet');
+const iconv = require('iconv-lite');
+
+// Configuration constants for encoding detection
+const TEXT_ENCODING_CONFIG = {
+  SAMPLE_BYTES: 64 * 1024,           // Bytes examined to detect the charset
+  FALLBACK_ENCODING: 'windows-1252', // Decodes any byte sequence; the usual encoding of Excel/Notepad exports
+  UTF16_ZERO_RATIO: 0.3,             // Share of zero bytes in one byte lane that marks BOM-less UTF-16
+  MIN_CONFIDENCE: 10,                // Charset guesses below this confidence (0-100) are ignored
+  WESTERN_MARGIN: 10                 // Windows-1252 wins over a guess at most this much more confident
+};
+
+const BYTE_ORDER_MARKS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'UTF-8' },
+  { bytes: [0xff, 0xfe], encoding: 'UTF-16LE' },
+  { bytes: [0xfe, 0xff], encoding: 'UTF-16BE' }
+];
+
+// Registered (IANA) spelling of common labels, used in metadata and the UI
+const ENCODING_NAMES = {
+  'utf-8': 'UTF-8',
+  'utf8': 'UTF-8',
+  'utf-16le': 'UTF-16LE',
+  'utf-16be': 'UTF-16BE',
+  'shift_jis': 'Shift_JIS',
+  'sjis': 'Shift_JIS',
+  'euc-jp': 'EUC-JP',
+  'gb18030': 'GB18030',
+  'gbk': 'GBK',
+  'gb2312': 'GB2312',
+  'big5': 'Big5',
+  'euc-kr': 'EUC-KR',
+  'koi8-r': 'KOI8-R',
+  'koi8-u': 'KOI8-U'
+};
+
+// Labels decoded as Windows-1252, its superset (as browsers do)
+const LATIN1_LABELS = ['iso-8859-1', 'latin1', 'us-ascii', 'ascii', 'cp1252'];
+
+/**
+ * Normalize an encoding label to its registered name
+ * @param {string} label - Encoding label (e.g. 'iso-8859-1', 'Shift_JIS', 'windows-1251')
+ * @returns {string|null} - e.g. 'windows-1252', 'Shift_JIS', 'ISO-8859-2', or null when it cannot be decoded
+ */
+function resolveEncoding(label) {
+  const lower = label.toLowerCase();
+  if (!iconv.encodingExists(lower)) {
+    return null;
+  }
+  if (LATIN1_LABELS.includes(lower)) {
+    return 'windows-1252';
+  }
+  if (ENCODING_NAMES[lower]) {
+    return ENCODING_NAMES[lower];
+  }
+  return lower.startsWith('iso-') ? lower.toUpperCase() : lower;
+}
+
+/**
+ * Check whether a sample decodes as UTF-8 (a multi-byte character cut off at the end of the sample is allowed)
+ * @param {Buffer} sample - Start of the file
+ * @returns {boolean} - True for valid UTF-8
+ */
+function isUtf8(sample) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Detect UTF-16 without a BOM: mostly-Latin text has a zero in every other byte
+ * @param {Buffer} sample - Start of the file
+ * @returns {string|null} - 'UTF-16LE', 'UTF-16BE' or null
+ */
+function detectUtf16(sample) {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs === 0) {
+    return null;
+  }
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let index = 0; index < pairs * 2; index += 2) {
+    if (sample[index] === 0) evenZeros++;
+    if (sample[index + 1] === 0) oddZeros++;
+  }
+
+  const threshold = pairs * TEXT_ENCODING_CONFIG.UTF16_ZERO_RATIO;
+  if (oddZeros >= threshold && evenZeros < oddZeros / 10) return 'UTF-16LE';
+  if (evenZeros >= threshold && oddZeros < evenZeros / 10) return 'UTF-16BE';
+  return null;
+}
+
+/**
+ * Read the encoding named in an XML declaration (<?xml version="1.0" encoding="..."?>)
+ * @param {Buffer} sample - Start of the file
+ * @returns {string|null} - Encoding name or null
+ */
+function readXmlDeclaration(sample) {
+  const declaration = sample.subarray(0, 200).toString('latin1')
+    .match(/^\s*<\?xml\b[^>]*\bencoding\s*=\s*["']([A-Za-z0-9._:-]+)["']/);
+  return declaration ? resolveEncoding(declaration[1]) : null;
+}
+
+/**
+ * Pick the most likely legacy charset; UTF-8 and UTF-16 are already ruled out
+ * @param {Buffer} sample - Start of the file
+ * @returns {string|null} - Encoding name or null
+ */
+function guessCharset(sample) {
+  const candidates = chardet.analyse(sample)
+    .filter(match => match.confidence >= TEXT_ENCODING_CONFIG.MIN_CONFIDENCE)
+    .map(match => ({ encoding: resolveEncoding(match.name), confidence: match.confidence }))
+    .filter(match => match.encoding && !match.encoding.startsWith('UTF-'));
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  // Short Western European texts score about the same in every Windows code page
+  const western = candidates.find(match => match.encoding === TEXT_ENCODING_CONFIG.FALLBACK_ENCODING);
+  if (western && candidates[0].confidence - western.confidence <= TEXT_ENCODING_CONFIG.WESTERN_MARGIN) {
+    return western.encoding;
+  }
+  return candidates[0].encoding;
+}
+
+/**
+ * Detect the character encoding of a text file
+ * @param {Buffer} buffer - File content
+ * @returns {Object} - { name, bom, source: 'bom' | 'utf-16' | 'utf-8' | 'declaration' | 'detected' | 'fallback' }
+ *   where name is the registered encoding name (e.g. 'UTF-8', 'windows-1252', 'Shift_JIS')
+ */
+function detectEncoding(buffer) {
+  const mark = BYTE_ORDER_MARKS.find(({ bytes }) => bytes.every((byte, index) => buffer[index] === byte));
+  if (mark) {
+    return { name: mark.encoding, bom: true, source: 'bom' };
+  }
+
+  const sample = buffer.subarray(0, TEXT_ENCODING_CONFIG.SAMPLE_BYTES);
+  // Before the UTF-8 check: zero bytes are valid UTF-8 but never appear in real UTF-8 text
+  const utf16 = detectUtf16(sample);
+  if (utf16) {
+    return { name: utf16, bom: false, source: 'utf-16' };
+  }
+
+  if (isUtf8(sample)) {
+    return { name: 'UTF-8', bom: false, source: 'utf-8' };
+  }
+
+  const declared = readXmlDeclaration(sample);
+  if (declared) {
+    return { name: declared, bom: false, source: 'declaration' };
+  }
+
+  const guess = guessCharset(sample);
+  if (guess) {
+    return { name: guess, bom: false, source: 'detected' };
+  }
+
+  return { name: TEXT_ENCODING_CONFIG.FALLBACK_ENCODING, bom: false, source: 'fallback' };
+}
+
+/**
+ * Decode a text file to a string in its detected encoding (a BOM is removed)
+ * @param {Buffer} buffer - File content
+ * @returns {Object} - { text, encoding } where encoding is the registered name (e.g. 'windows-1252')
+ */
+function decodeBuffer(buffer) {
+  const detected = detectEncoding(buffer);
+  const text = iconv.decode(buffer, detected.name);
+
+  if (detected.source !== 'bom' && detected.source !== 'utf-8') {
+    console.log(`🔤 Decoded text as ${detected.name} (${detected.source})`);
+  }
+
+  return { text, encoding: detected.name };
+}
+
+module.exports = {
+  detectEncoding,
+  decodeBuffer,
+  TEXT_ENCODING_CONFIG
+};
@@ -0,0 +1,117 @@
+/**
+ * Upload Validation
+ *
+ * Clients upload straight to blob storage, so the backend checks what actually landed
+ * before a file is used (POST /api/files/:blobName/complete):
+ * - The stored size matches the size declared when the upload token was issued
+ * - The content is not an executable, whatever its name and declared type
+ * - Binary formats start with their processor's magic bytes; text formats contain no binary data
+ * - The file parses with its processor
+ * The outcome ('ready' or 'rejected') is stored in the file's status sidecar for the ETag that was checked;
+ * until then, and once the content changes, the file is 'processing'.
+ */
+
+const { getExtension, getProcessor, getProcessorOptions, matchesSignature } = require('../processors');
+const { detectEncoding, TEXT_ENCODING_CONFIG } = require('./textEncoding');
+
+// Configuration constants for upload validation
+const UPLOAD_VALIDATION_CONFIG = {
+  STATUS: {
+    PROCESSING: 'processing', // Uploaded, not yet checked
+    READY: 'ready',           // Checked; used in chat, search and queries
+    REJECTED: 'rejected'      // Failed a check; kept so the reason can be shown
+  },
+  // Programs and libraries, refused under any name
+  EXECUTABLE_SIGNATURES: [
+    { bytes: [0x4d, 0x5a], label: 'Windows executable', peHeader: true }, // MZ, with a PE header
+    { bytes: [0x7f, 0x45, 0x4c, 0x46], label: 'Linux executable' },      // \x7fELF
+    { bytes: [0xcf, 0xfa, 0xed, 0xfe], label: 'macOS executable' },      // Mach-O 64-bit
+    { bytes: [0xce, 0xfa, 0xed, 0xfe], label: 'macOS executable' },      // Mach-O 32-bit
+    { bytes: [0xca, 0xfe, 0xba, 0xbe], label: 'macOS or Java executable' } // Mach-O universal / Java class
+  ]
+};
+
+/**
+ * Check for the PE header a Windows executable's MZ stub points to
+ * ("MZ" alone is too short to tell an executable from text that starts with those letters)
+ * @param {Buffer} buffer - File content
+ * @returns {boolean} - True when the offset at 0x3c leads to "PE\0\0"
+ */
+function hasPeHeader(buffer) {
+  if (buffer.length < 0x40) {
+    return false;
+  }
+  const offset = buffer.readUInt32LE(0x3c);
+  return offset + 4 <= buffer.length && buffer.toString('latin1', offset, offset + 4) === 'PE\0\0';
+}
+
+/**
+ * Find the executable format a buffer starts with
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} - Executable label, or null
+ */
+function detectExecutable(buffer) {
+  const match = UPLOAD_VALIDATION_CONFIG.EXECUTABLE_SIGNATURES.find(({ bytes, peHeader }) =>
+    buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte) &&
+    (!peHeader || hasPeHeader(buffer)));
+  return match ? match.label : null;
+}
+
+/**
+ * Check whether a text upload holds binary data (zero bytes outside UTF-16 text)
+ * @param {Buffer} buffer - File content
+ * @returns {boolean} - True when the content is not text
+ */
+function isBinaryContent(buffer) {
+  const encoding = detectEncoding(buffer).name;
+  if (encoding.startsWith('UTF-16')) {
+    return false;
+  }
+  return buffer.subarray(0, TEXT_ENCODING_CONFIG.SAMPLE_BYTES).includes(0);
+}
+
+/**
+ * Check uploaded content against its declared size and its format
+ * @param {Buffer} buffer - Stored file content
+ * @param {Object} file - File entry from listUserFiles ({ name, dialect })
+ * @param {number|null} declaredSize - Size declared when the upload token was issued (null when unknown)
+ * @returns {Promise<Object>} - { valid: boolean, reason?: string, parsed?: Object } where parsed is the
+ *   processor's parse result for valid files
+ */
+async function validateUploadedContent(buffer, file, declaredSize = null) {
+  const processor = getProcessor(file.name);
+  if (!processor) {
+    return { valid: false, reason: `Unsupported file type: ${getExtension(file.name) || 'no extension'}` };
+  }
+
+  if (declaredSize !== null && buffer.length !== declaredSize) {
+    return { valid: false, reason: `Uploaded size (${buffer.length} bytes) does not match the declared size (${declaredSize} bytes)` };
+  }
+  if (buffer.length === 0) {
+    return { valid: false, reason: 'File is empty' };
+  }
+
+  const executable = detectExecutable(buffer);
+  if (executable) {
+    return { valid: false, reason: `File is a ${executable}, not a ${processor.label} file` };
+  }
+
+  if (!matchesSignature(processor, buffer)) {
+    return { valid: false, reason: `File content is not a valid ${processor.label} file` };
+  }
+  if (processor.text && isBinaryContent(buffer)) {
+    return { valid: false, reason: `File contains binary data, not ${processor.label} text` };
+  }
+
+  try {
+    const parsed = await processor.parse(buffer, getProcessorOptions(file));
+    return { valid: true, parsed };
+  } catch (error) {
+    return { valid: false, reason: `File could not be read as ${processor.label}: ${error.message}` };
+  }
+}
+
+module.exports = {
+  validateUploadedContent,
+  UPLOAD_VALIDATION_CONFIG
+};
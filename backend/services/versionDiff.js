@@ -0,0 +1,226 @@
+/**
+ * Version Diff
+ *
+ * Compares two versions of a file:
+ * - Delimited files (CSV, TSV) are compared row by row on the columns both versions share;
+ *   added and removed columns are listed separately so a new column does not change every row
+ * - Other text formats are compared line by line
+ * Changes are returned as hunks with a few lines of context, like a unified diff.
+ */
+
+const { decodeBuffer } = require('./textEncoding');
+
+// Configuration constants for version diffs
+const VERSION_DIFF_CONFIG = {
+  CONTEXT_LINES: 3,          // Unchanged lines shown around each change
+  MAX_ALIGN_CELLS: 4000000,  // Larger changed sections are shown as removed then added, without aligning lines
+  MAX_OUTPUT_LINES: 2000     // Lines returned across all hunks (the stats still count every change)
+};
+
+/**
+ * Align two sequences (longest common subsequence after trimming the common start and end)
+ * @param {Array<string>} oldItems - Items of the older version
+ * @param {Array<string>} newItems - Items of the newer version
+ * @returns {Object} - { ops: [{ type: 'equal'|'removed'|'added', oldIndex, newIndex }], approximate }
+ */
+function diffSequences(oldItems, newItems) {
+  let start = 0;
+  while (start < oldItems.length && start < newItems.length && oldItems[start] === newItems[start]) {
+    start++;
+  }
+  let oldEnd = oldItems.length;
+  let newEnd = newItems.length;
+  while (oldEnd > start && newEnd > start && oldItems[oldEnd - 1] === newItems[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) {
+    ops.push({ type: 'equal', oldIndex: i, newIndex: i });
+  }
+
+  const rows = oldEnd - start;
+  const cols = newEnd - start;
+  const approximate = rows * cols > VERSION_DIFF_CONFIG.MAX_ALIGN_CELLS;
+
+  if (approximate) {
+    for (let i = start; i < oldEnd; i++) ops.push({ type: 'removed', oldIndex: i, newIndex: null });
+    for (let j = start; j < newEnd; j++) ops.push({ type: 'added', oldIndex: null, newIndex: j });
+  } else {
+    // lengths[i * (cols + 1) + j]: common subsequence length of the sections from i and j to their ends
+    const lengths = new Uint32Array((rows + 1) * (cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lengths[i * (cols + 1) + j] = oldItems[start + i] === newItems[start + j]
+          ? lengths[(i + 1) * (cols + 1) + j + 1] + 1
+          : Math.max(lengths[(i + 1) * (cols + 1) + j], lengths[i * (cols + 1) + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+      if (i < rows && j < cols && oldItems[start + i] === newItems[start + j]) {
+        ops.push({ type: 'equal', oldIndex: start + i, newIndex: start + j });
+        i++;
+        j++;
+      } else if (i < rows && (j === cols || lengths[(i + 1) * (cols + 1) + j] >= lengths[i * (cols + 1) + j + 1])) {
+        // Removals first, as in unified diffs
+        ops.push({ type: 'removed', oldIndex: start + i, newIndex: null });
+        i++;
+      } else {
+        ops.push({ type: 'added', oldIndex: null, newIndex: start + j });
+        j++;
+      }
+    }
+  }
+
+  for (let k = 0; k < oldItems.length - oldEnd; k++) {
+    ops.push({ type: 'equal', oldIndex: oldEnd + k, newIndex: newEnd + k });
+  }
+  return { ops, approximate };
+}
+
+/**
+ * Group changes into hunks with unchanged context around them
+ * @param {Array<Object>} ops - Operations from diffSequences
+ * @param {Function} describe - (op) => line object for the response
+ * @returns {Object} - { hunks: [{ lines }], truncated }
+ */
+function buildHunks(ops, describe) {
+  const context = VERSION_DIFF_CONFIG.CONTEXT_LINES;
+
+  // Each change with its context; overlapping or touching ranges become one hunk
+  const ranges = [];
+  ops.forEach((op, index) => {
+    if (op.type === 'equal') {
+      return;
+    }
+    const from = Math.max(0, index - context);
+    const to = Math.min(ops.length, index + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && from <= last.to) {
+      last.to = to;
+    } else {
+      ranges.push({ from, to });
+    }
+  });
+
+  const hunks = [];
+  let outputLines = 0;
+  let truncated = false;
+  for (const range of ranges) {
+    const room = VERSION_DIFF_CONFIG.MAX_OUTPUT_LINES - outputLines;
+    if (room <= 0) {
+      truncated = true;
+      break;
+    }
+    const lines = ops.slice(range.from, Math.min(range.to, range.from + room)).map(describe);
+    truncated = truncated || range.from + lines.length < range.to;
+    hunks.push({ lines });
+    outputLines += lines.length;
+  }
+  return { hunks, truncated };
+}
+
+/**
+ * Count the added and removed items of a diff
+ * @param {Array<Object>} ops - Operations from diffSequences
+ * @returns {Object} - { added, removed }
+ */
+function countChanges(ops) {
+  return {
+    added: ops.filter(op => op.type === 'added').length,
+    removed: ops.filter(op => op.type === 'removed').length
+  };
+}
+
+/**
+ * Compare two versions of a text file line by line
+ * @param {Buffer} oldBuffer - Older version
+ * @param {Buffer} newBuffer - Newer version
+ * @returns {Object} - { kind: 'text', stats, hunks: [{ lines: [{ type, oldLine, newLine, text }] }], approximate, truncated }
+ */
+function diffText(oldBuffer, newBuffer) {
+  const splitLines = (buffer) => decodeBuffer(buffer).text.replace(/\r?\n$/, '').split(/\r?\n/);
+  const oldLines = splitLines(oldBuffer);
+  const newLines = splitLines(newBuffer);
+
+  const { ops, approximate } = diffSequences(oldLines, newLines);
+  const { hunks, truncated } = buildHunks(ops, op => ({
+    type: op.type,
+    oldLine: op.oldIndex === null ? null : op.oldIndex + 1,
+    newLine: op.newIndex === null ? null : op.newIndex + 1,
+    text: op.newIndex === null ? oldLines[op.oldIndex] : newLines[op.newIndex]
+  }));
+
+  return { kind: 'text', stats: countChanges(ops), hunks, approximate, truncated };
+}
+
+/**
+ * Compare two versions of a delimited file row by row
+ * @param {Object} processor - Processor of the file (with loadTables)
+ * @param {Object} older - { buffer, options } of the older version (options as from getProcessorOptions)
+ * @param {Object} newer - { buffer, options } of the newer version
+ * @returns {Promise<Object>} - { kind: 'table', headers, columns: { added, removed }, stats,
+ *   hunks: [{ lines: [{ type, oldRow, newRow, values }] }], approximate, truncated }
+ */
+async function diffTable(processor, older, newer) {
+  const [oldTable] = await processor.loadTables(older.buffer, older.options);
+  const [newTable] = await processor.loadTables(newer.buffer, newer.options);
+
+  const shared = newTable.headers.filter(header => oldTable.headers.includes(header));
+  const rowKey = (table) => {
+    const indexes = shared.map(header => table.headers.indexOf(header));
+    return row => JSON.stringify(indexes.map(index => row.values[index] ?? ''));
+  };
+  const oldKeys = oldTable.rows.map(rowKey(oldTable));
+  const newKeys = newTable.rows.map(rowKey(newTable));
+
+  // Rows are shown with every column of their own version, in the newer version's column order
+  const headers = [...newTable.headers, ...oldTable.headers.filter(header => !newTable.headers.includes(header))];
+  const rowValues = (table, row) => headers.map(header => {
+    const index = table.headers.indexOf(header);
+    return index === -1 ? null : row.values[index] ?? '';
+  });
+
+  const { ops, approximate } = diffSequences(oldKeys, newKeys);
+  const { hunks, truncated } = buildHunks(ops, op => ({
+    type: op.type,
+    oldRow: op.oldIndex === null ? null : oldTable.rows[op.oldIndex].row,
+    newRow: op.newIndex === null ? null : newTable.rows[op.newIndex].row,
+    values: op.newIndex === null
+      ? rowValues(oldTable, oldTable.rows[op.oldIndex])
+      : rowValues(newTable, newTable.rows[op.newIndex])
+  }));
+
+  return {
+    kind: 'table',
+    headers,
+    columns: {
+      added: newTable.headers.filter(header => !oldTable.headers.includes(header)),
+      removed: oldTable.headers.filter(header => !newTable.headers.includes(header))
+    },
+    stats: countChanges(ops),
+    hunks,
+    approximate,
+    truncated
+  };
+}
+
+/**
+ * Check whether two versions of a file can be compared
+ * @param {Object|null} processor - Processor of the file
+ * @returns {boolean} - True for delimited files and other text formats
+ */
+function canDiff(processor) {
+  return !!processor && !!(processor.delimited || processor.text);
+}
+
+module.exports = {
+  canDiff,
+  diffText,
+  diffTable,
+  VERSION_DIFF_CONFIG
+};
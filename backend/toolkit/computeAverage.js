@@ -0,0 +1,44 @@
+/**
+ * Tool: Compute Average
+ * Calculates the mean/average of an array of numbers
+ */
+module.exports = {
+  name: 'compute_average',
+  description: 'Calculate the average (mean) of an array of numbers. Also returns the count, sum, min and max. Useful for analyzing numerical data from CSV files, spreadsheets, or any numeric datasets.',
+
+  parameters: {
+    type: 'object',
+    properties: {
+      numbers: {
+        type: 'array',
+        items: { type: 'number' },
+        description: 'Array of numbers to calculate the average from'
+      }
+    },
+    required: ['numbers']
+  },
+
+  /**
+   * Execute the average calculation
+   * @param {Object} args - Tool arguments
+   * @param {number[]} args.numbers - Array of numbers
+   * @returns {Promise<Object>} - { average, count, sum, min, max }
+   */
+  execute: async ({ numbers }) => {
+    const validNumbers = numbers.filter(n => typeof n === 'number' && Number.isFinite(n));
+
+    if (validNumbers.length === 0) {
+      throw new Error('No valid numbers provided');
+    }
+
+    const sum = validNumbers.reduce((total, n) => total + n, 0);
+
+    return {
+      average: sum / validNumbers.length,
+      count: validNumbers.length,
+      sum,
+      min: Math.min(...validNumbers),
+      max: Math.max(...validNumbers)
+    };
+  }
+};
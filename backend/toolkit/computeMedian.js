@@ -0,0 +1,51 @@
+/**
+ * Tool: Compute Median
+ * Finds the middle value of an array of numbers
+ */
+module.exports = {
+  name: 'compute_median',
+  description: 'Calculate the median (middle value) of an array of numbers, along with the lower and upper quartiles.',
+
+  parameters: {
+    type: 'object',
+    properties: {
+      numbers: {
+        type: 'array',
+        items: { type: 'number' },
+        description: 'Array of numbers to calculate the median from'
+      }
+    },
+    required: ['numbers']
+  },
+
+  /**
+   * Execute the median calculation
+   * @param {Object} args - Tool arguments
+   * @param {number[]} args.numbers - Array of numbers
+   * @returns {Promise<Object>} - { median, q1, q3, count }
+   */
+  execute: async ({ numbers }) => {
+    const sorted = numbers
+      .filter(n => typeof n === 'number' && Number.isFinite(n))
+      .sort((a, b) => a - b);
+
+    if (sorted.length === 0) {
+      throw new Error('No valid numbers provided');
+    }
+
+    // Linear interpolation between closest ranks
+    const quantile = (q) => {
+      const position = (sorted.length - 1) * q;
+      const lower = Math.floor(position);
+      const upper = Math.ceil(position);
+      return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    };
+
+    return {
+      median: quantile(0.5),
+      q1: quantile(0.25),
+      q3: quantile(0.75),
+      count: sorted.length
+    };
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * Tool: Compute Sum
+ * Adds up an array of numbers
+ */
+module.exports = {
+  name: 'compute_sum',
+  description: 'Calculate the exact total (sum) of an array of numbers. Use this instead of adding values yourself.',
+
+  parameters: {
+    type: 'object',
+    properties: {
+      numbers: {
+        type: 'array',
+        items: { type: 'number' },
+        description: 'Array of numbers to add up'
+      }
+    },
+    required: ['numbers']
+  },
+
+  /**
+   * Execute the sum calculation
+   * @param {Object} args - Tool arguments
+   * @param {number[]} args.numbers - Array of numbers
+   * @returns {Promise<Object>} - { sum, count }
+   */
+  execute: async ({ numbers }) => {
+    const validNumbers = numbers.filter(n => typeof n === 'number' && Number.isFinite(n));
+
+    if (validNumbers.length === 0) {
+      throw new Error('No valid numbers provided');
+    }
+
+    return {
+      sum: validNumbers.reduce((total, n) => total + n, 0),
+      count: validNumbers.length
+    };
+  }
+};
@@ -0,0 +1,37 @@
+const { loadTable, resolveTabularFile, describeTable } = require('../services/tabularQuery');
+
+/**
+ * Tool: Describe Table
+ * Lists the columns of a CSV/XLSX file (or JSON/XML records) with their inferred types
+ */
+module.exports = {
+  name: 'describe_table',
+  description: 'Describe a selected CSV, TSV, XLSX, JSON, JSONL or XML file (JSON/XML records are flattened into columns such as customer.name): sheets, row count, and each column with its inferred type (number, date, boolean, string), range and example values. Call this before query_table when you are unsure of column names or types.',
+
+  parameters: {
+    type: 'object',
+    properties: {
+      fileName: {
+        type: 'string',
+        description: 'Name of the CSV, XLSX, JSON, JSONL or XML file'
+      },
+      sheet: {
+        type: 'string',
+        description: 'XLSX sheet name (defaults to the first sheet)'
+      }
+    },
+    required: ['fileName']
+  },
+
+  /**
+   * Execute the table description
+   * @param {Object} args - Tool arguments ({ fileName, sheet })
+   * @param {Object} context - Request context ({ userId, files })
+   * @returns {Promise<Object>} - Table description
+   */
+  execute: async ({ fileName, sheet }, { userId, files }) => {
+    const file = resolveTabularFile(files, fileName);
+    const table = await loadTable(userId, file, sheet);
+    return describeTable(table);
+  }
+};
@@ -0,0 +1,129 @@
+/**
+ * Toolkit Loader
+ *
+ * Every .js file in this directory (except index.js) is a tool module exporting:
+ * - name: Function name exposed to the model (snake_case)
+ * - description: When the model should use the tool
+ * - parameters: JSON schema for the arguments
+ * - execute(args, context): Async function returning a JSON-serializable result
+ *
+ * The context passed to execute is { userId, files } for the current chat request.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Tool registry keyed by tool name (loaded once, on first use)
+let registry = null;
+
+/**
+ * Load and validate all tool modules from the toolkit directory
+ * @returns {Map<string, Object>} - Tool modules keyed by name
+ */
+function loadRegistry() {
+  if (registry) {
+    return registry;
+  }
+
+  registry = new Map();
+  const files = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort();
+
+  for (const file of files) {
+    const tool = require(path.join(__dirname, file));
+
+    if (!tool.name || !tool.description || !tool.parameters || typeof tool.execute !== 'function') {
+      console.warn(`⚠️  Skipping toolkit/${file}: tools must export name, description, parameters and execute`);
+      continue;
+    }
+    if (registry.has(tool.name)) {
+      console.warn(`⚠️  Skipping toolkit/${file}: duplicate tool name "${tool.name}"`);
+      continue;
+    }
+
+    registry.set(tool.name, tool);
+  }
+
+  console.log(`✅ Loaded ${registry.size} tools:`, Array.from(registry.keys()).join(', '));
+  return registry;
+}
+
+/**
+ * Get tool definitions in OpenAI function calling format
+ * @returns {Array<Object>} - Tool definitions
+ */
+function loadTools() {
+  return Array.from(loadRegistry().values()).map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+/**
+ * Check arguments against the top level of a tool's JSON schema
+ * @param {Object} schema - Tool parameters schema
+ * @param {Object} args - Parsed arguments
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateArguments(schema, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return 'Arguments must be a JSON object';
+  }
+
+  for (const field of schema.required || []) {
+    if (args[field] === undefined || args[field] === null) {
+      return `Missing required argument: ${field}`;
+    }
+  }
+
+  for (const [field, value] of Object.entries(args)) {
+    const property = schema.properties?.[field];
+    if (!property || !property.type || value === null) {
+      continue;
+    }
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    const expectedTypes = Array.isArray(property.type) ? property.type : [property.type];
+    const matches = expectedTypes.some(type =>
+      type === actualType || (type === 'integer' && Number.isInteger(value))
+    );
+    if (!matches) {
+      return `Argument "${field}" must be of type ${expectedTypes.join(' or ')}`;
+    }
+    if (property.enum && !property.enum.includes(value)) {
+      return `Argument "${field}" must be one of: ${property.enum.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Execute a tool by name
+ * @param {string} toolName - Name of the tool to execute
+ * @param {Object} args - Arguments from the model
+ * @param {Object} context - Request context ({ userId, files })
+ * @returns {Promise<Object>} - Tool execution result
+ */
+async function executeTool(toolName, args, context = {}) {
+  const tool = loadRegistry().get(toolName);
+  if (!tool) {
+    throw new Error(`Tool "${toolName}" not found`);
+  }
+
+  const validationError = validateArguments(tool.parameters, args);
+  if (validationError) {
+    throw new Error(validationError);
+  }
+
+  return tool.execute(args, context);
+}
+
+module.exports = {
+  loadTools,
+  executeTool
+};
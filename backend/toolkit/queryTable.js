@@ -0,0 +1,88 @@
+const { loadTable, resolveTabularFile, runQuery, TABULAR_CONFIG } = require('../services/tabularQuery');
+
+/**
+ * Tool: Query Table
+ * Runs filters, group-by, aggregations, sorting and top-N over every row of a CSV/XLSX file (or JSON/XML records)
+ */
+module.exports = {
+  name: 'query_table',
+  description: 'Run an exact query over ALL rows of a selected CSV, TSV, XLSX, JSON, JSONL or XML file. Use it for counting, filtering (including date ranges), grouping, totals, averages, medians, percentiles, rankings and top-N lists instead of reading values from the excerpts. Without aggregations it returns matching rows (with their spreadsheet row number in _row).',
+
+  parameters: {
+    type: 'object',
+    properties: {
+      fileName: {
+        type: 'string',
+        description: 'Name of the CSV, TSV, XLSX, JSON, JSONL or XML file'
+      },
+      sheet: {
+        type: 'string',
+        description: 'XLSX sheet name (defaults to the first sheet)'
+      },
+      filters: {
+        type: 'array',
+        description: 'Conditions that rows must all match. Dates accept YYYY, YYYY-MM or YYYY-MM-DD; "2020" with eq matches the whole year. String matches are case-insensitive.',
+        items: {
+          type: 'object',
+          properties: {
+            column: { type: 'string' },
+            op: { type: 'string', enum: TABULAR_CONFIG.FILTER_OPS },
+            value: { description: 'Comparison value; [from, to] for between, a list for in' }
+          },
+          required: ['column', 'op']
+        }
+      },
+      groupBy: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Columns to group by (defaults to a count per group when no aggregations are given)'
+      },
+      aggregations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            op: { type: 'string', enum: TABULAR_CONFIG.AGGREGATE_OPS },
+            column: { type: 'string', description: 'Column to aggregate (omit for a row count)' },
+            percentile: { type: 'number', description: 'Percentile between 0 and 100 (percentile only)' },
+            as: { type: 'string', description: 'Output column name' }
+          },
+          required: ['op']
+        }
+      },
+      select: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Columns to return when not aggregating (defaults to all)'
+      },
+      sort: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            column: { type: 'string', description: 'Column or aggregation output name' },
+            direction: { type: 'string', enum: ['asc', 'desc'] }
+          },
+          required: ['column']
+        }
+      },
+      limit: {
+        type: 'integer',
+        description: `Maximum rows to return, for top-N (default ${TABULAR_CONFIG.DEFAULT_LIMIT}, max ${TABULAR_CONFIG.MAX_LIMIT})`
+      }
+    },
+    required: ['fileName']
+  },
+
+  /**
+   * Execute the query
+   * @param {Object} args - Tool arguments (fileName, sheet and the query)
+   * @param {Object} context - Request context ({ userId, files })
+   * @returns {Promise<Object>} - Query result
+   */
+  execute: async ({ fileName, sheet, ...query }, { userId, files }) => {
+    const file = resolveTabularFile(files, fileName);
+    const table = await loadTable(userId, file, sheet);
+    return runQuery(table, query);
+  }
+};
@@ -3,11 +3,39 @@ import axios from 'axios';
 import SourcesPanel from './components/SourcesPanel';
 import ConversationsPanel from './components/ConversationsPanel';
 import ChatBox from './components/ChatBox';
+import SourceViewer from './components/SourceViewer';
 import UserProfile from './components/UserProfile';
 import Logo from './components/Logo';
 import useAuth from './hooks/useAuth';
 import { getAuthHeaders } from './utils/auth';
 
+/**
+ * Complete the upload checks of files left 'processing', one at a time, updating each file's status
+ * @param {Array<Object>} files - Files to check
+ * @param {Object} authHeaders - Authentication headers
+ * @param {Function} setUploadedFiles - State setter for the file list
+ */
+const checkProcessingFiles = async (files, authHeaders, setUploadedFiles) => {
+  for (const file of files) {
+    let update;
+    try {
+      await axios.post(`/api/files/${encodeURIComponent(file.name)}/complete`, {}, {
+        headers: authHeaders,
+        timeout: 120000
+      });
+      update = { status: 'ready', statusReason: null };
+    } catch (err) {
+      const data = err.response?.data;
+      if (data?.status !== 'rejected') {
+        console.warn(`Could not check ${file.name}:`, data?.message || err.message);
+        continue;
+      }
+      update = { status: 'rejected', statusReason: data.message };
+    }
+    setUploadedFiles(prevFiles => prevFiles.map(entry => entry.name === file.name ? { ...entry, ...update } : entry));
+  }
+};
+
 function App() {
   const [uploadedFiles, setUploadedFiles] = useState([]);
   const [selectedFileIds, setSelectedFileIds] = useState([]); // Changed from activeFileId to selectedFileIds array
@@ -20,6 +48,7 @@ function App() {
   const [activeConversationId, setActiveConversationId] = useState(null);
   const [conversationsLoading, setConversationsLoading] = useState(false);
   const [isInNewConversationMode, setIsInNewConversationMode] = useState(true); // Start in new conversation mode by default
+  const [activeCitation, setActiveCitation] = useState(null); // Citation shown in the source viewer
   
   const { isAuthenticated, isLoading, error } = useAuth();
 
@@ -44,12 +73,29 @@ function App() {
           size: file.size,
           type: file.type || 'text/csv',
           lastModified: file.lastModified,
+          // Character encoding of text files, once the backend has read them
+          encoding: file.encoding || null,
+          // Attachments extracted from an email link back to it
+          parent: file.parent || null,
+          childLabel: file.childLabel || null,
+          // Upload checks: 'processing' until completed, then 'ready' or 'rejected' (with the reason)
+          status: file.status || 'processing',
+          statusReason: file.statusReason || null,
+          // Re-uploads and restores keep earlier versions; this is the current one
+          version: file.version || 1,
+          // User annotations (details dialog); tags filter the file list
+          tags: file.tags || [],
+          annotatedAt: file.annotatedAt || null,
           // Use file name as ID for blob storage (no longer using fileId)
           fileId: file.name
         }));
         
         setUploadedFiles(filesData);
 
+        // Files still processing were never checked (uploaded before upload checks existed, or the tab
+        // was closed before the upload completed); check them in the background
+        checkProcessingFiles(filesData.filter(file => file.status === 'processing'), authHeaders, setUploadedFiles);
+
         // Don't auto-select files - let users explicitly choose to start a conversation
       }
     } catch (err) {
@@ -131,11 +177,13 @@ function App() {
       size: uploadedFileData.size,
       type: uploadedFileData.type || 'text/csv',
       lastModified: uploadedFileData.lastModified,
+      status: 'ready', // Checked by the backend before the upload is reported
       fileId: uploadedFileData.name // Use name as ID for blob storage
     };
 
     setUploadedFiles(prevFiles => {
-      const newFiles = [...prevFiles, newFile];
+      // A new version of a file replaces its entry
+      const newFiles = [...prevFiles.filter(file => file.name !== newFile.name), newFile];
       // Don't auto-select uploaded files - let users explicitly choose
       return newFiles;
     });
@@ -175,6 +223,15 @@ function App() {
     }
   };
 
+  // Files were renamed or moved ([{ from, to }]); the backend has pointed conversations at the new names
+  const handleFilesMoved = (moved) => {
+    const renames = Object.fromEntries(moved.map(move => [move.from, move.to]));
+    setSelectedFileIds(prev => prev.map(id => renames[id] || id));
+
+    loadFiles(false);
+    loadConversations(false);
+  };
+
   const handleFileSelected = async (fileIdsOrId) => {
     // Handle both array (new multi-select) and single fileId (backward compatibility)
     let newSelectedIds = [];
@@ -226,6 +283,9 @@ function App() {
     // No need to reload conversations from backend - we have the data
   };
 
+  // Stable handler so the source viewer's Escape listener is not re-registered on every render
+  const closeSourceViewer = useCallback(() => setActiveCitation(null), []);
+
   const handleStartConversation = async (fileIds) => {
     try {
       const selectedFiles = uploadedFiles.filter(file => fileIds.includes(file.name));
@@ -345,6 +405,43 @@ function App() {
     }
   };
 
+  const handleConversationExport = async (conversationId, format) => {
+    try {
+      // Get authentication headers (handles local development bypass)
+      const authHeaders = await getAuthHeaders();
+
+      const response = await axios.get(`/api/conversations/${conversationId}/export`, {
+        params: { format },
+        headers: authHeaders,
+        responseType: 'blob',
+        timeout: 60000
+      });
+
+      // Save the transcript under the name the backend chose
+      const disposition = response.headers['content-disposition'] || '';
+      const fileNameMatch = disposition.match(/filename="([^"]+)"/);
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileNameMatch ? fileNameMatch[1] : `conversation.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to export conversation:', err);
+      // Error bodies arrive as blobs because of responseType
+      let errorMessage = err.message;
+      if (err.response?.data instanceof Blob) {
+        try {
+          errorMessage = JSON.parse(await err.response.data.text()).error || errorMessage;
+        } catch (parseError) {
+          // Keep the transport error message
+        }
+      }
+      alert(`Failed to export conversation: ${errorMessage}`);
+    }
+  };
 
   const handleFileDownload = async (file) => {
     try {
@@ -453,6 +550,7 @@ function App() {
               onConversationCreated={handleConversationCreated}
               onConversationRename={handleConversationRename}
               onConversationDelete={handleConversationDelete}
+              onConversationExport={handleConversationExport}
               conversationsLoading={conversationsLoading}
               isCollapsed={conversationsCollapsed}
               onToggleCollapse={setConversationsCollapsed}
@@ -475,6 +573,7 @@ function App() {
               selectedFileIds={selectedFileIds}
               onStartConversation={handleStartConversation}
               isNewConversationMode={isInNewConversationMode}
+              onOpenCitation={setActiveCitation}
             />
           </div>
           
@@ -482,6 +581,8 @@ function App() {
           <div className={`h-full overflow-y-auto min-h-0 ${sourcesCollapsed ? 'lg:col-span-1' : 'lg:col-span-3'} transition-all duration-300`}>
             <SourcesPanel 
               onFileUploaded={handleFileUploaded}
+              onFilesChanged={() => loadFiles(false)}
+              onFilesMoved={handleFilesMoved}
               uploadedFiles={uploadedFiles}
               selectedFileIds={selectedFileIds}
               onFileSelected={handleFileSelected}
@@ -498,6 +599,11 @@ function App() {
         </div>
 
       </main>
+
+      {/* Source Viewer - cited passage opened from a chat reply */}
+      {activeCitation && (
+        <SourceViewer citation={activeCitation} onClose={closeSourceViewer} />
+      )}
     </div>
   );
 }
@@ -17,7 +17,8 @@ const ChatBox = ({
   onConversationUpdated,
   selectedFileIds = [],
   onStartConversation,
-  isNewConversationMode = false
+  isNewConversationMode = false,
+  onOpenCitation
 }) => {
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
@@ -30,8 +31,10 @@ const ChatBox = ({
   const [startingConversation, setStartingConversation] = useState(false);
   const [hasActivatedInput, setHasActivatedInput] = useState(false);
   const [debugDropdownOpen, setDebugDropdownOpen] = useState({});
+  const [stepsOpen, setStepsOpen] = useState({});
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const abortControllerRef = useRef(null);
   const { displayName } = useAuth();
 
   // Get user initials for avatar
@@ -48,6 +51,143 @@ const ChatBox = ({
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
+  // Parse a Server-Sent Events block into { event, data }
+  const parseSseEvent = (block) => {
+    let event = 'message';
+    const dataLines = [];
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim());
+      }
+    });
+    if (dataLines.length === 0) return null;
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  };
+
+  // Update the in-progress assistant message (created on the first token or tool step)
+  const updateStreamingMessage = (update) => {
+    setMessages(prev => {
+      const last = prev[prev.length - 1];
+      if (last && last.streaming) {
+        return [...prev.slice(0, -1), update(last)];
+      }
+      return [...prev, update({
+        type: 'assistant',
+        content: '',
+        steps: [],
+        timestamp: new Date().toISOString(),
+        streaming: true
+      })];
+    });
+  };
+
+  // Append a streamed token to the in-progress assistant message
+  const appendStreamingContent = (content) => {
+    updateStreamingMessage(msg => ({ ...msg, content: msg.content + content }));
+  };
+
+  // Record a completed tool call on the in-progress assistant message
+  const appendStreamingStep = (step) => {
+    updateStreamingMessage(msg => ({ ...msg, steps: [...(msg.steps || []), step] }));
+  };
+
+  // Turn [n] markers that have a resolved citation into links (handled by the Markdown `a` renderer)
+  const linkCitations = (content, citations) => {
+    if (!citations || citations.length === 0) return content;
+    const numbers = new Set(citations.filter(citation => citation.fileName).map(citation => citation.number));
+    return content.replace(/\[(\d+)\](?![(:])/g, (match, number) =>
+      numbers.has(Number(number)) ? `[[${number}]](#citation-${number})` : match
+    );
+  };
+
+  // Stream an assistant reply from /api/chat/stream, rendering tokens as they arrive.
+  // Resolves with { conversationId, title, stopped }; the Stop button aborts the request.
+  const streamChatReply = async (requestBody) => {
+    const authHeaders = await getAuthHeaders();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    const result = { conversationId: null, title: null, stopped: false };
+    let receivedContent = false;
+
+    try {
+      const response = await fetch('/api/chat/stream', {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify(requestBody),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.message || data.error || `Request failed with status ${response.status}`);
+        error.response = { status: response.status, data };
+        throw error;
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+
+        for (const block of blocks) {
+          const parsed = parseSseEvent(block);
+          if (!parsed) continue;
+
+          if (parsed.event === 'delta') {
+            receivedContent = true;
+            appendStreamingContent(parsed.data.content);
+          } else if (parsed.event === 'step') {
+            appendStreamingStep(parsed.data);
+          } else if (parsed.event === 'citations') {
+            updateStreamingMessage(msg => ({ ...msg, citations: parsed.data.citations }));
+          } else if (parsed.event === 'start' || parsed.event === 'conversation') {
+            if (parsed.data.sources) {
+              updateStreamingMessage(msg => ({ ...msg, sources: parsed.data.sources }));
+            }
+            result.conversationId = parsed.data.conversationId || result.conversationId;
+            result.title = parsed.data.title || result.title;
+          } else if (parsed.event === 'done') {
+            result.stopped = !!parsed.data.stopped;
+          } else if (parsed.event === 'error') {
+            throw new Error(parsed.data.error || 'Failed to process chat message');
+          }
+        }
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        // Drop any partial reply; the caller shows the error instead
+        setMessages(prev => prev.filter(msg => !msg.streaming));
+        throw err;
+      }
+      result.stopped = true;
+    } finally {
+      abortControllerRef.current = null;
+    }
+
+    // Finalize the streamed message (the backend saves partial replies when stopped)
+    setMessages(prev => prev.map(msg => msg.streaming ? { ...msg, streaming: false, stopped: result.stopped } : msg));
+    if (receivedContent) {
+      setMessageCount(prev => prev + 1);
+    }
+
+    return result;
+  };
+
+  // Stop the in-progress reply
+  const handleStopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
   // Handle suggestion click
   const handleSuggestionClick = async (suggestion) => {
     if (sending || !fileData) return;
@@ -68,9 +208,6 @@ const ChatBox = ({
     setMessageCount(prev => prev + 1);
 
     try {
-      // Get authentication headers (handles local development bypass)
-      const authHeaders = await getAuthHeaders();
-      
       // Prepare request body for single or multiple files
       let requestBody;
       if (Array.isArray(fileData)) {
@@ -98,44 +235,23 @@ const ChatBox = ({
         };
       }
       
-      // Call backend with auth headers
-      const response = await axios.post('/api/chat', requestBody, {
-        headers: authHeaders,
-        timeout: 30000
-      });
+      // Stream the reply from the backend
+      const result = await streamChatReply(requestBody);
 
-      if (response.data.success) {
-        const assistantMessage = { 
-          type: 'assistant', 
-          content: response.data.reply,
-          timestamp: new Date().toISOString()
+      // Handle conversation updates - notify parent to add/update conversation
+      if (result.conversationId && onConversationUpdated) {
+        const updates = {
+          updatedAt: new Date().toISOString(),
+          messageCount: messageCount + 1,
+          title: result.title || (Array.isArray(fileData) 
+            ? `Conversation about ${fileData.length} files`
+            : `Conversation about ${fileData.name || fileData.filename}`),
+          fileNames: Array.isArray(fileData) 
+            ? fileData.map(f => f.name || f.filename)
+            : [fileData.name || fileData.filename]
         };
         
-        // Add debug info if available
-        if (response.data.debug) {
-          assistantMessage.debug = response.data.debug;
-        }
-        
-        setMessages(prev => [...prev, assistantMessage]);
-        setMessageCount(prev => prev + 1);
-
-        // Handle conversation updates - notify parent to add/update conversation
-        if (response.data.conversationId && onConversationUpdated) {
-          const updates = {
-            updatedAt: new Date().toISOString(),
-            messageCount: messageCount + 1,
-            title: response.data.title || (Array.isArray(fileData) 
-              ? `Conversation about ${fileData.length} files`
-              : `Conversation about ${fileData.name || fileData.filename}`),
-            fileNames: Array.isArray(fileData) 
-              ? fileData.map(f => f.name || f.filename)
-              : [fileData.name || fileData.filename]
-          };
-          
-          onConversationUpdated(response.data.conversationId, updates);
-        }
-      } else {
-        throw new Error(response.data.error || 'Invalid response from server');
+        onConversationUpdated(result.conversationId, updates);
       }
     } catch (err) {
       let errorMessage = '❌ I apologize, but I encountered an error processing your request.';
@@ -183,7 +299,11 @@ const ChatBox = ({
         const conversationMessages = (conversation.messages || []).map(msg => ({
           type: msg.role === 'user' ? 'user' : 'assistant',
           content: msg.content,
-          timestamp: msg.timestamp
+          timestamp: msg.timestamp,
+          stopped: msg.stopped,
+          steps: msg.steps,
+          citations: msg.citations,
+          sources: msg.sources
         }));
         
         setMessages(conversationMessages);
@@ -331,9 +451,6 @@ const ChatBox = ({
     }, 100);
 
     try {
-      // Get authentication headers (handles local development bypass)
-      const authHeaders = await getAuthHeaders();
-      
       // Prepare request body for single or multiple files
       let requestBody;
       if (Array.isArray(fileData)) {
@@ -361,44 +478,23 @@ const ChatBox = ({
         };
       }
       
-      // Call backend with auth headers
-      const response = await axios.post('/api/chat', requestBody, {
-        headers: authHeaders,
-        timeout: 30000 // 30 second timeout for AI responses
-      });
+      // Stream the reply from the backend
+      const result = await streamChatReply(requestBody);
 
-      if (response.data.success) {
-        const assistantMessage = { 
-          type: 'assistant', 
-          content: response.data.reply,
-          timestamp: new Date().toISOString()
+      // Handle conversation updates - notify parent to add/update conversation
+      if (result.conversationId && onConversationUpdated) {
+        const updates = {
+          updatedAt: new Date().toISOString(),
+          messageCount: messageCount + 1,
+          title: result.title || (Array.isArray(fileData) 
+            ? `Conversation about ${fileData.length} files`
+            : `Conversation about ${fileData.name || fileData.filename}`),
+          fileNames: Array.isArray(fileData) 
+            ? fileData.map(f => f.name || f.filename)
+            : [fileData.name || fileData.filename]
         };
         
-        // Add debug info if available
-        if (response.data.debug) {
-          assistantMessage.debug = response.data.debug;
-        }
-        
-        setMessages(prev => [...prev, assistantMessage]);
-        setMessageCount(prev => prev + 1);
-
-        // Handle conversation updates - notify parent to add/update conversation
-        if (response.data.conversationId && onConversationUpdated) {
-          const updates = {
-            updatedAt: new Date().toISOString(),
-            messageCount: messageCount + 1,
-            title: response.data.title || (Array.isArray(fileData) 
-              ? `Conversation about ${fileData.length} files`
-              : `Conversation about ${fileData.name || fileData.filename}`),
-            fileNames: Array.isArray(fileData) 
-              ? fileData.map(f => f.name || f.filename)
-              : [fileData.name || fileData.filename]
-          };
-          
-          onConversationUpdated(response.data.conversationId, updates);
-        }
-      } else {
-        throw new Error(response.data.error || 'Invalid response from server');
+        onConversationUpdated(result.conversationId, updates);
       }
     } catch (err) {
       let errorMessage = '❌ I apologize, but I encountered an error processing your request.';
@@ -681,6 +777,43 @@ const ChatBox = ({
               ) : (
                 /* Assistant Message - Full Width Document Style with Markdown */
                 <div className="w-full py-2 text-text-primary prose prose-sm max-w-none">
+                  {/* Steps Disclosure - tool calls the assistant made while answering */}
+                  {message.steps && message.steps.length > 0 && (
+                    <div className="not-prose mb-3">
+                      <button
+                        onClick={() => setStepsOpen(prev => ({
+                          ...prev,
+                          [index]: !prev[index]
+                        }))}
+                        className="flex items-center gap-2 body-xs text-text-secondary hover:text-text-primary"
+                      >
+                        <span>{stepsOpen[index] ? '▼' : '▶'}</span>
+                        <span>
+                          {message.streaming && !message.content ? 'Running calculations' : 'Steps'} ({message.steps.length} tool {message.steps.length === 1 ? 'call' : 'calls'})
+                        </span>
+                      </button>
+
+                      {stepsOpen[index] && (
+                        <div className="mt-2 space-y-2">
+                          {message.steps.map((step, stepIndex) => (
+                            <div key={step.id || stepIndex} className="bg-gray-50 rounded border border-gray-200 p-2 text-xs font-mono overflow-x-auto">
+                              <div className="font-bold text-gray-700">
+                                {stepIndex + 1}. {step.tool}
+                                {step.error && <span className="ml-2 text-red-600 font-normal">failed</span>}
+                              </div>
+                              <div className="text-gray-600 mt-1 whitespace-pre-wrap break-all">
+                                {JSON.stringify(step.arguments)}
+                              </div>
+                              <div className={`mt-1 whitespace-pre-wrap break-all ${step.error ? 'text-red-700' : 'text-gray-800'}`}>
+                                → {step.error || step.output}
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
+
                   {/* eslint-disable-next-line jsx-a11y/heading-has-content, jsx-a11y/anchor-has-content */}
                   <ReactMarkdown
                     remarkPlugins={[remarkGfm]}
@@ -718,16 +851,46 @@ const ChatBox = ({
                         ) : (
                           <code className="block bg-gray-100 text-text-primary p-3 rounded text-sm font-mono overflow-x-auto mb-3" {...props} />
                         ),
-                      // Links
-                      // eslint-disable-next-line jsx-a11y/anchor-has-content
-                      a: ({node, ...props}) => <a className="text-primary-600 hover:text-primary-700 underline" {...props} />,
+                      // Links (citation markers open the cited passage in the source viewer)
+                      a: ({node, href, children, ...props}) => {
+                        const citationNumber = href && href.startsWith('#citation-') ? Number(href.slice(10)) : null;
+                        const citation = citationNumber && (message.citations || []).find(item => item.number === citationNumber);
+                        if (citation) {
+                          return (
+                            <a
+                              href={href}
+                              onClick={(e) => {
+                                e.preventDefault();
+                                if (onOpenCitation) onOpenCitation(citation);
+                              }}
+                              className="text-primary-600 hover:text-primary-700 no-underline font-medium"
+                              title={`${citation.label}${citation.snippet ? `\n"${citation.snippet}"` : ''}`}
+                            >
+                              {children}
+                            </a>
+                          );
+                        }
+                        return <a className="text-primary-600 hover:text-primary-700 underline" href={href} {...props}>{children}</a>;
+                      },
                       // Blockquotes
                       blockquote: ({node, ...props}) => <blockquote className="border-l-4 border-gray-300 pl-4 italic text-text-secondary my-3" {...props} />,
                     }}
                   >
-                    {message.content}
+                    {message.streaming ? message.content : linkCitations(message.content, message.citations)}
                   </ReactMarkdown>
                   
+                  {/* Stopped marker - reply was cut short by the Stop button */}
+                  {message.stopped && (
+                    <div className="body-xs text-text-muted italic mt-1">Generation stopped</div>
+                  )}
+
+                  {/* File versions the reply was answered from (files can be re-uploaded since) */}
+                  {message.sources && message.sources.length > 0 && (
+                    <div className="body-xs text-text-muted mt-1">
+                      Answered from {message.sources.map(source => `${source.fileName} v${source.version}`).join(', ')}
+                    </div>
+                  )}
+                  
                   {/* Debug Dropdown - Only visible if debug config enabled and debug info present */}
                   {SHOW_DEBUG_INFO && message.debug && (
                     <div className="mt-4 border-t border-gray-200 pt-4">
@@ -784,7 +947,7 @@ const ChatBox = ({
             </div>
           </div>
         ))}
-        {sending && (
+        {sending && !messages.some(msg => msg.streaming) && (
           <div className="w-full flex justify-center">
             <div className="w-full max-w-3xl px-8">
               <div className="py-2">
@@ -864,22 +1027,29 @@ const ChatBox = ({
                         )}
                       </div>
                       
-                      <button
-                        onClick={handleSendMessage}
-                        disabled={!inputMessage.trim() || sending || inputMessage.length > 500 || !fileData}
-                        className="bg-primary-600 text-white px-3 sm:px-4 py-2 sm:py-3 rounded-button hover:bg-primary-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-all duration-200 warm-shadow hover:warm-shadow-lg flex-shrink-0 min-w-[44px] h-10 sm:h-12"
-                        title={!fileData ? "Select a file first" : !inputMessage.trim() ? "Enter a message" : sending ? "Sending..." : "Send message"}
-                      >
-                        {sending ? (
-                          <svg className="w-4 h-4 sm:w-5 sm:h-5 animate-spin" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                      {sending ? (
+                        /* Stop Button - aborts the streaming reply */
+                        <button
+                          onClick={handleStopGeneration}
+                          className="bg-gray-700 text-white px-3 sm:px-4 py-2 sm:py-3 rounded-button hover:bg-gray-800 transition-all duration-200 warm-shadow hover:warm-shadow-lg flex-shrink-0 min-w-[44px] h-10 sm:h-12"
+                          title="Stop generating"
+                        >
+                          <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="currentColor" viewBox="0 0 24 24">
+                            <rect x="6" y="6" width="12" height="12" rx="1.5" />
                           </svg>
-                        ) : (
+                        </button>
+                      ) : (
+                        <button
+                          onClick={handleSendMessage}
+                          disabled={!inputMessage.trim() || inputMessage.length > 500 || !fileData}
+                          className="bg-primary-600 text-white px-3 sm:px-4 py-2 sm:py-3 rounded-button hover:bg-primary-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-all duration-200 warm-shadow hover:warm-shadow-lg flex-shrink-0 min-w-[44px] h-10 sm:h-12"
+                          title={!fileData ? "Select a file first" : !inputMessage.trim() ? "Enter a message" : "Send message"}
+                        >
                           <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
                           </svg>
-                        )}
-                      </button>
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
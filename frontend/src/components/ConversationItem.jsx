@@ -1,14 +1,24 @@
 import React, { useState } from 'react';
 
+const EXPORT_FORMATS = [
+  { format: 'pdf', label: 'PDF' },
+  { format: 'docx', label: 'Word (.docx)' },
+  { format: 'md', label: 'Markdown' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'json', label: 'JSON' }
+];
+
 const ConversationItem = ({ 
   conversation, 
   isActive, 
   onSelect, 
   onRename, 
   onDelete,
+  onExport,
   isCollapsed = false
 }) => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [isExportMenuOpen, setIsExportMenuOpen] = useState(false);
   const [isRenaming, setIsRenaming] = useState(false);
   const [newTitle, setNewTitle] = useState(conversation.title || '');
 
@@ -20,6 +30,11 @@ const ConversationItem = ({
     setIsMenuOpen(false);
   };
 
+  const closeMenu = () => {
+    setIsMenuOpen(false);
+    setIsExportMenuOpen(false);
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter') {
       handleRename();
@@ -168,7 +183,7 @@ const ConversationItem = ({
               onClick={(e) => {
                 e.stopPropagation();
                 setIsRenaming(true);
-                setIsMenuOpen(false);
+                closeMenu();
               }}
               className="w-full px-3 py-2 text-left body-small text-text-primary hover:bg-gray-50 flex items-center space-x-2"
             >
@@ -177,7 +192,41 @@ const ConversationItem = ({
               </svg>
               <span>Rename</span>
             </button>
-            
+
+            {/* Export submenu */}
+            {onExport && (
+              <>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setIsExportMenuOpen(!isExportMenuOpen);
+                  }}
+                  className="w-full px-3 py-2 text-left body-small text-text-primary hover:bg-gray-50 flex items-center space-x-2"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                  </svg>
+                  <span className="flex-1">Export</span>
+                  <svg className={`w-3 h-3 transition-transform ${isExportMenuOpen ? 'rotate-90' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                  </svg>
+                </button>
+                {isExportMenuOpen && EXPORT_FORMATS.map(({ format, label }) => (
+                  <button
+                    key={format}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onExport(conversation.id, format);
+                      closeMenu();
+                    }}
+                    className="w-full pl-9 pr-3 py-1.5 text-left body-xs text-text-secondary hover:bg-gray-50"
+                  >
+                    {label}
+                  </button>
+                ))}
+              </>
+            )}
+
             {/* Delete option */}
             <button
               onClick={(e) => {
@@ -185,7 +234,7 @@ const ConversationItem = ({
                 if (window.confirm('Are you sure you want to delete this conversation?')) {
                   onDelete(conversation.id);
                 }
-                setIsMenuOpen(false);
+                closeMenu();
               }}
               className="w-full px-3 py-2 text-left body-small text-red-600 hover:bg-red-50 flex items-center space-x-2"
             >
@@ -202,7 +251,7 @@ const ConversationItem = ({
       {isMenuOpen && (
         <div
           className="fixed inset-0 z-0"
-          onClick={() => setIsMenuOpen(false)}
+          onClick={closeMenu}
         />
       )}
     </div>
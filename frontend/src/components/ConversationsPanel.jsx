@@ -11,6 +11,7 @@ const ConversationsPanel = ({
   onConversationCreated,
   onConversationRename,
   onConversationDelete,
+  onConversationExport,
   conversationsLoading = false,
   isCollapsed,
   onToggleCollapse
@@ -91,6 +92,7 @@ const ConversationsPanel = ({
                   onSelect={onConversationSelected}
                   onRename={onConversationRename}
                   onDelete={onConversationDelete}
+                  onExport={onConversationExport}
                   isCollapsed={true}
                 />
               ))
@@ -125,6 +127,7 @@ const ConversationsPanel = ({
                     onSelect={onConversationSelected}
                     onRename={onConversationRename}
                     onDelete={onConversationDelete}
+                    onExport={onConversationExport}
                     isCollapsed={false}
                   />
                 )) 
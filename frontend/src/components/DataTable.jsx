@@ -1,41 +1,41 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
 import { getAuthHeaders } from '../utils/auth';
 import Card, { CardHeader, CardContent } from './Card';
 
-const DataTable = ({ fileData, className = '', isCollapsed, onToggleCollapse }) => {
+// How a delimited file (CSV, TSV) can be read; values match PUT /api/files/:blobName/dialect
+const DIALECT_OPTIONS = {
+  delimiter: [['comma', 'Comma (,)'], ['semicolon', 'Semicolon (;)'], ['tab', 'Tab'], ['pipe', 'Pipe (|)']],
+  quote: [['double', 'Double quotes (")'], ['single', "Single quotes (')"]],
+  header: [['true', 'First row is the header'], ['false', 'No header row']]
+};
+
+const DataTable = ({ fileData, className = '', isCollapsed, onToggleCollapse, initialSheet = null, highlightRows = null, focusRow = null }) => {
   const [csvData, setCsvData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [sortColumn, setSortColumn] = useState(null);
   const [sortDirection, setSortDirection] = useState('asc');
+  const [savingDialect, setSavingDialect] = useState(false);
 
-  // Parse CSV content into structured data
-  const parseCsvContent = (csvText, filename) => {
-    const lines = csvText.trim().split('\n');
-    if (lines.length === 0) return null;
+  const [sheet, setSheet] = useState(initialSheet);
+  const tableContainerRef = useRef(null);
 
-    const headers = lines[0].split(',').map(header => header.trim().replace(/^"(.*)"$/, '$1'));
-    const rows = [];
+  // Convert a preview from the API into table data
+  const buildTableData = (preview) => ({
+    filename: preview.fileName,
+    sheet: preview.sheet,
+    sheets: preview.sheets || [],
+    dialect: preview.dialect || null,
+    headers: preview.columns.map(column => column.name),
+    columnTypes: Object.fromEntries(preview.columns.map(column => [column.name, column.type])),
+    data: preview.rows,
+    rowCount: preview.totalRows,
+    displayedRows: preview.returnedRows
+  });
 
-    // Parse all rows for better table functionality
-    for (let i = 1; i < lines.length && i <= 1000; i++) { // Increased limit for better pagination
-      const values = lines[i].split(',').map(value => value.trim().replace(/^"(.*)"$/, '$1'));
-      const row = {};
-      headers.forEach((header, index) => {
-        row[header] = values[index] || '';
-      });
-      rows.push(row);
-    }
-
-    return {
-      filename,
-      headers,
-      data: rows,
-      rowCount: lines.length - 1, // Total rows minus header
-      displayedRows: Math.min(1000, lines.length - 1)
-    };
-  };
+  // Display text for a typed cell (keeps 0 and false visible)
+  const formatCell = (value) => (value === null || value === undefined ? '' : String(value));
 
   // Handle sorting
   const handleSort = (column) => {
@@ -56,21 +56,22 @@ const DataTable = ({ fileData, className = '', isCollapsed, onToggleCollapse })
     // Apply sorting
     if (sortColumn) {
       sortedData.sort((a, b) => {
-        const aVal = a[sortColumn] || '';
-        const bVal = b[sortColumn] || '';
-        
-        // Try to parse as numbers for numeric sorting
-        const aNum = parseFloat(aVal);
-        const bNum = parseFloat(bVal);
-        
-        if (!isNaN(aNum) && !isNaN(bNum)) {
-          return sortDirection === 'asc' ? aNum - bNum : bNum - aNum;
+        const aVal = a[sortColumn];
+        const bVal = b[sortColumn];
+
+        // Empty cells always sort last
+        if (aVal === null || aVal === undefined) return 1;
+        if (bVal === null || bVal === undefined) return -1;
+
+        // Typed columns compare natively (dates are ISO strings, so they sort as text)
+        if (typeof aVal === 'number' && typeof bVal === 'number') {
+          return sortDirection === 'asc' ? aVal - bVal : bVal - aVal;
         }
-        
+
         // String sorting
-        return sortDirection === 'asc' 
-          ? aVal.localeCompare(bVal)
-          : bVal.localeCompare(aVal);
+        return sortDirection === 'asc'
+          ? String(aVal).localeCompare(String(bVal))
+          : String(bVal).localeCompare(String(aVal));
       });
     }
 
@@ -78,8 +79,8 @@ const DataTable = ({ fileData, className = '', isCollapsed, onToggleCollapse })
   };
 
 
-  // Fetch file content from blob storage
-  const fetchFileContent = useCallback(async (fileName) => {
+  // Fetch typed rows for the file (or one of its sheets) from the preview API
+  const fetchFileContent = useCallback(async (fileName, sheetName = null) => {
     setLoading(true);
     setError(null);
     
@@ -87,35 +88,24 @@ const DataTable = ({ fileData, className = '', isCollapsed, onToggleCollapse })
       // Get authentication headers (handles local development bypass)
       const authHeaders = await getAuthHeaders();
       
-      // Request download SAS token
-      const sasResponse = await axios.get(`/api/files/${encodeURIComponent(fileName)}/sas`, {
+      const response = await axios.get(`/api/files/${encodeURIComponent(fileName)}/preview`, {
         headers: authHeaders,
-        timeout: 10000
+        params: sheetName ? { sheet: sheetName } : {},
+        timeout: 30000
       });
 
-      if (!sasResponse.data.success || !sasResponse.data.downloadUrl) {
-        throw new Error('Failed to get download URL');
+      if (!response.data.success || !response.data.preview) {
+        throw new Error('Failed to load file preview');
       }
 
-      // Fetch file content using SAS URL
-      const contentResponse = await fetch(sasResponse.data.downloadUrl);
-      if (!contentResponse.ok) {
-        throw new Error(`Failed to download file: ${contentResponse.statusText}`);
-      }
-
-      const csvText = await contentResponse.text();
-      const parsedData = parseCsvContent(csvText, fileName);
-      
-      if (!parsedData) {
-        throw new Error('Failed to parse CSV content');
-      }
-
-      setCsvData(parsedData);
+      setCsvData(buildTableData(response.data.preview));
     } catch (err) {
       console.error('Failed to fetch file content:', err);
       
       // Handle specific error types
-      if (err.response?.status === 404 || err.message.includes('does not exist')) {
+      if (err.response?.data?.error === 'Sheet not found') {
+        setError(err.response.data.message);
+      } else if (err.response?.status === 404 || err.message.includes('does not exist')) {
         setError('File not found. It may have been deleted.');
       } else if (err.response?.status === 429 || err.message.includes('429')) {
         setError('Too many requests. Please wait a moment and try again.');
@@ -127,13 +117,40 @@ const DataTable = ({ fileData, className = '', isCollapsed, onToggleCollapse })
     }
   }, []);
 
+  // Save a dialect override (null clears it) and reload the rows as the file is now read
+  const updateDialect = async (changes) => {
+    const { dialect } = csvData;
+    // Settings the user already chose are kept; detected ones stay detected
+    const override = changes === null ? {} : {
+      delimiter: dialect.detected.delimiter ? null : dialect.delimiterName,
+      quote: dialect.detected.quote ? null : dialect.quoteName,
+      header: dialect.detected.header ? null : dialect.header,
+      ...changes
+    };
+
+    setSavingDialect(true);
+    try {
+      const authHeaders = await getAuthHeaders();
+      await axios.put(`/api/files/${encodeURIComponent(fileData.name)}/dialect`, override, {
+        headers: authHeaders,
+        timeout: 30000
+      });
+      await fetchFileContent(fileData.name, sheet);
+    } catch (err) {
+      console.error('Failed to update file dialect:', err);
+      setError(err.response?.data?.message || err.message || 'Failed to update how the file is read');
+    } finally {
+      setSavingDialect(false);
+    }
+  };
+
   // Load file content when fileData changes (with debouncing)
   useEffect(() => {
     if (fileData && fileData.name) {
       // Add a small delay to prevent rapid requests
       const timeoutId = setTimeout(() => {
-        fetchFileContent(fileData.name);
-        // Reset sorting when new file is loaded
+        fetchFileContent(fileData.name, sheet);
+        // Reset sorting when new file or sheet is loaded
         setSortColumn(null);
         setSortDirection('asc');
       }, 100);
@@ -142,7 +159,24 @@ const DataTable = ({ fileData, className = '', isCollapsed, onToggleCollapse })
     } else {
       setCsvData(null);
     }
-  }, [fileData, fetchFileContent]);
+  }, [fileData, sheet, fetchFileContent]);
+
+  // A different file starts on its first sheet (or the sheet it was opened on)
+  useEffect(() => {
+    setSheet(initialSheet);
+  }, [fileData?.name, initialSheet]);
+
+  // Scroll the focused row (e.g. a cited row) into view once the data is shown
+  useEffect(() => {
+    if (csvData && focusRow && tableContainerRef.current) {
+      const rowElement = tableContainerRef.current.querySelector(`[data-row="${focusRow}"]`);
+      rowElement?.scrollIntoView({ block: 'center' });
+    }
+  }, [csvData, focusRow]);
+
+  // Check whether a row falls in the highlighted range
+  const isHighlighted = (row) =>
+    !!highlightRows && row._row >= highlightRows.start && row._row <= highlightRows.end;
 
   // Show nothing if no file selected
   if (!fileData) {
@@ -170,7 +204,7 @@ const DataTable = ({ fileData, className = '', isCollapsed, onToggleCollapse })
             <h3 className="heading-5 text-red-900 mb-2">Failed to Load File</h3>
             <p className="body-normal text-red-700 mb-4">{error}</p>
             <button 
-              onClick={() => fetchFileContent(fileData.name)}
+              onClick={() => fetchFileContent(fileData.name, sheet)}
               className="bg-red-600 text-white px-4 py-2 rounded-button hover:bg-red-700 body-small font-medium transition-colors"
             >
               Try Again
@@ -186,27 +220,27 @@ const DataTable = ({ fileData, className = '', isCollapsed, onToggleCollapse })
     return null;
   }
 
-  const { headers, data, rowCount } = csvData;
+  const { headers, data, rowCount, displayedRows, sheets, columnTypes, dialect } = csvData;
   
   // Additional safety check for headers
   if (!headers || !Array.isArray(headers) || !data || !Array.isArray(data)) {
     return (
       <Card>
         <div className="text-center">
-          <p className="body-normal text-text-muted">Unable to parse CSV data</p>
+          <p className="body-normal text-text-muted">Unable to read table data</p>
         </div>
       </Card>
     );
   }
   
   const sortedData = getSortedData();
-  const isTruncated = rowCount > 1000;
+  const isTruncated = rowCount > displayedRows;
 
   return (
     <Card className={`h-full flex flex-col ${className}`}>
       <CardHeader
         title={!isCollapsed ? <span className="text-secondary-600 font-semibold lowercase">preview</span> : null}
-        action={
+        action={onToggleCollapse &&
           <button
             onClick={() => onToggleCollapse(!isCollapsed)}
             className="p-1 rounded hover:bg-gray-100 text-gray-500 hover:text-gray-700 transition-colors"
@@ -226,8 +260,68 @@ const DataTable = ({ fileData, className = '', isCollapsed, onToggleCollapse })
 
       {!isCollapsed && (
         <CardContent className="flex-1 flex flex-col min-h-0">
+        {/* Sheet Tabs (XLSX workbooks with more than one sheet) */}
+        {sheets.length > 1 && (
+          <div className="mb-3 flex flex-wrap gap-2">
+            {sheets.map((sheetInfo) => (
+              <button
+                key={sheetInfo.name}
+                onClick={() => setSheet(sheetInfo.name)}
+                className={`px-3 py-1 rounded-button body-xs font-medium border transition-colors ${
+                  sheetInfo.name === csvData.sheet
+                    ? 'bg-primary-600 text-white border-primary-600'
+                    : 'bg-background-warm-white text-text-secondary border-gray-300 hover:bg-gray-100'
+                }`}
+                title={`${sheetInfo.rowCount.toLocaleString()} rows${sheetInfo.hidden ? ' (hidden sheet)' : ''}`}
+              >
+                {sheetInfo.name}
+                {sheetInfo.hidden && <span className="ml-1 italic opacity-75">hidden</span>}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Dialect (delimited files): detected settings, each of which can be overridden */}
+        {dialect && (
+          <div className="mb-3 flex flex-wrap items-center gap-2 body-xs text-text-secondary">
+            <span className="font-medium lowercase">read as:</span>
+            {Object.entries(DIALECT_OPTIONS).map(([setting, options]) => {
+              const value = setting === 'delimiter' ? dialect.delimiterName
+                : setting === 'quote' ? dialect.quoteName
+                : String(dialect.header);
+              return (
+                <select
+                  key={setting}
+                  value={value}
+                  disabled={savingDialect}
+                  onChange={(e) => updateDialect({ [setting]: setting === 'header' ? e.target.value === 'true' : e.target.value })}
+                  className={`body-xs border rounded-button px-2 py-1 bg-background-warm-white ${
+                    dialect.detected[setting] ? 'border-gray-300' : 'border-primary-400 text-primary-700'
+                  }`}
+                  title={dialect.detected[setting] ? 'Detected from the file' : 'Set for this file'}
+                >
+                  {options.map(([optionValue, label]) => (
+                    <option key={optionValue} value={optionValue}>{label}</option>
+                  ))}
+                </select>
+              );
+            })}
+            {!(dialect.detected.delimiter && dialect.detected.quote && dialect.detected.header) && (
+              <button
+                onClick={() => updateDialect(null)}
+                disabled={savingDialect}
+                className="text-primary-600 hover:text-primary-700 font-medium lowercase"
+                title="Detect every setting from the file again"
+              >
+                auto-detect
+              </button>
+            )}
+            {savingDialect && <span className="italic text-text-muted">rereading…</span>}
+          </div>
+        )}
+
         {/* Desktop Table View */}
-        <div className="hidden md:block flex-1 min-h-0">
+        <div className="hidden md:block flex-1 min-h-0" ref={tableContainerRef}>
           <div className="h-full overflow-auto border border-gray-200 rounded-card warm-shadow">
             <table className="min-w-full divide-y divide-gray-200">
             {/* Table Header */}
@@ -246,7 +340,7 @@ const DataTable = ({ fileData, className = '', isCollapsed, onToggleCollapse })
                     <button
                       onClick={() => handleSort(header)}
                       className="flex items-center space-x-1 hover:text-secondary-900 transition-colors group w-full text-left"
-                      title={`Sort by ${header}`}
+                      title={`Sort by ${header} (${columnTypes[header]})`}
                     >
                       <span className="truncate max-w-32">{header}</span>
                       <div className="flex-shrink-0">
@@ -275,18 +369,26 @@ const DataTable = ({ fileData, className = '', isCollapsed, onToggleCollapse })
                     {/* Table Body */}
                     <tbody className="bg-background-warm-white divide-y divide-gray-200">
                       {sortedData.map((row, rowIndex) => (
-                        <tr key={rowIndex + 1} className={rowIndex % 2 === 0 ? 'bg-background-warm-white hover:bg-primary-25' : 'bg-background-cream hover:bg-primary-50 transition-colors duration-150'}>
-                          <td className="px-4 py-4 whitespace-nowrap body-xs text-text-muted border-r border-gray-200 font-semibold w-16">
-                            {rowIndex + 1}
+                        <tr
+                          key={rowIndex + 1}
+                          data-row={row._row}
+                          className={
+                            row._row === focusRow ? 'bg-amber-100 ring-2 ring-inset ring-amber-400' :
+                            isHighlighted(row) ? 'bg-amber-50' :
+                            rowIndex % 2 === 0 ? 'bg-background-warm-white hover:bg-primary-25' : 'bg-background-cream hover:bg-primary-50 transition-colors duration-150'
+                          }
+                        >
+                          <td className="px-4 py-4 whitespace-nowrap body-xs text-text-muted border-r border-gray-200 font-semibold w-16" title="Row in the file">
+                            {row._row || rowIndex + 1}
                           </td>
                   {headers.map((header, colIndex) => (
                     <td
                       key={colIndex}
                       className="px-4 py-4 body-small text-text-primary border-r border-gray-200 last:border-r-0"
-                      title={row[header]} // Tooltip for long values
+                      title={formatCell(row[header])} // Tooltip for long values
                     >
                       <div className="max-w-48 truncate">
-                        {row[header] || (
+                        {formatCell(row[header]) || (
                           <span className="text-text-muted italic">—</span>
                         )}
                       </div>
@@ -344,9 +446,9 @@ const DataTable = ({ fileData, className = '', isCollapsed, onToggleCollapse })
           {/* Mobile Cards */}
           <div className="space-y-3 overflow-y-auto flex-1 mobile-scrollbar">
             {sortedData.map((row, rowIndex) => (
-            <div key={rowIndex + 1} className="bg-background-warm-white border border-gray-200 rounded-card p-4 warm-shadow">
+            <div key={rowIndex + 1} className={`border rounded-card p-4 warm-shadow ${row._row === focusRow ? 'bg-amber-100 border-amber-400' : 'bg-background-warm-white border-gray-200'}`}>
               <div className="flex items-center justify-between mb-3">
-                <span className="body-xs font-semibold text-text-muted">row {rowIndex + 1}</span>
+                <span className="body-xs font-semibold text-text-muted">row {row._row || rowIndex + 1}</span>
                 {sortColumn && (
                   <span className="body-xs text-primary-600 font-medium">
                     sorted by {sortColumn}
@@ -360,7 +462,7 @@ const DataTable = ({ fileData, className = '', isCollapsed, onToggleCollapse })
                       {header}
                     </div>
                     <div className="body-small text-text-primary">
-                      {row[header] || (
+                      {formatCell(row[header]) || (
                         <span className="text-text-muted italic">—</span>
                       )}
                     </div>
@@ -394,7 +496,7 @@ const DataTable = ({ fileData, className = '', isCollapsed, onToggleCollapse })
                   <svg className="w-3 h-3 mr-1" fill="currentColor" viewBox="0 0 20 20">
                     <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
                   </svg>
-                  limited to 1,000 rows
+                  showing first {displayedRows.toLocaleString()} rows
                 </span>
               )}
               {sortColumn && (
@@ -0,0 +1,251 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { getAuthHeaders } from '../utils/auth';
+import useFileFormats from '../hooks/useFileFormats';
+
+// Sheets whose columns are offered for the data dictionary (XLSX)
+const MAX_SHEETS = 10;
+
+// Column names of a table file, across its sheets
+const loadColumnNames = async (fileName, authHeaders) => {
+  const url = `/api/files/${encodeURIComponent(fileName)}/preview`;
+  const first = await axios.get(url, { headers: authHeaders, params: { limit: 1 }, timeout: 30000 });
+  const preview = first.data.preview;
+  const names = preview.columns.map(column => column.name);
+
+  for (const sheet of (preview.sheets || []).slice(0, MAX_SHEETS)) {
+    if (sheet === preview.sheet) continue;
+    const response = await axios.get(url, { headers: authHeaders, params: { limit: 1, sheet }, timeout: 30000 });
+    response.data.preview.columns.forEach(column => {
+      if (!names.includes(column.name)) names.push(column.name);
+    });
+  }
+  return names;
+};
+
+const FileAnnotations = ({ fileName, onClose, onSaved }) => {
+  const [description, setDescription] = useState('');
+  const [tagsText, setTagsText] = useState('');
+  const [notes, setNotes] = useState('');
+  const [columns, setColumns] = useState([]); // [{ name, description, unit }]
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const { getFormat } = useFileFormats();
+  const isTable = getFormat(fileName)?.preview === 'table';
+
+  // Load the annotations, and for tables every column so each can be described
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const authHeaders = await getAuthHeaders();
+        const response = await axios.get(`/api/files/${encodeURIComponent(fileName)}/annotations`, {
+          headers: authHeaders,
+          timeout: 10000
+        });
+        const annotations = response.data.annotations;
+
+        let columnNames = [];
+        if (isTable) {
+          try {
+            columnNames = await loadColumnNames(fileName, authHeaders);
+          } catch (err) {
+            console.warn('Could not read the file columns:', err);
+          }
+        }
+        // Described columns no longer in the file are kept, after the file's own columns
+        const described = annotations.columns.filter(column => !columnNames.includes(column.name));
+        const merged = [
+          ...columnNames.map(name => annotations.columns.find(column => column.name === name) || { name, description: '', unit: '' }),
+          ...described
+        ];
+
+        if (!cancelled) {
+          setDescription(annotations.description);
+          setTagsText(annotations.tags.join(', '));
+          setNotes(annotations.notes);
+          setColumns(merged);
+        }
+      } catch (err) {
+        console.error('Failed to load file annotations:', err);
+        if (!cancelled) setError(err.response?.data?.message || 'Failed to load the file details');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [fileName, isTable]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const updateColumn = (name, changes) => {
+    setColumns(prev => prev.map(column => (column.name === name ? { ...column, ...changes } : column)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const authHeaders = await getAuthHeaders();
+      await axios.put(`/api/files/${encodeURIComponent(fileName)}/annotations`, {
+        description,
+        tags: tagsText.split(',').map(tag => tag.trim()).filter(Boolean),
+        notes,
+        columns
+      }, {
+        headers: authHeaders,
+        timeout: 10000
+      });
+      if (onSaved) onSaved();
+      onClose();
+    } catch (err) {
+      console.error('Failed to save file annotations:', err);
+      setError(err.response?.data?.message || 'Failed to save the file details');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-card border border-gray-200 warm-shadow w-full max-w-3xl max-h-full flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="min-w-0">
+            <h2 className="heading-4 text-text-primary">file details</h2>
+            <div className="body-small text-text-secondary truncate" title={fileName}>{fileName}</div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-full hover:bg-gray-100 text-gray-500 hover:text-gray-700 transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 min-h-0 overflow-y-auto p-6 space-y-4">
+          <p className="body-xs text-text-muted">These details are given to the AI with the file, so explain anything it could misread.</p>
+          {error && <p className="body-small text-red-700">{error}</p>}
+
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mr-3"></div>
+              <span className="body-normal text-text-secondary">Loading details...</span>
+            </div>
+          ) : (
+            <>
+              <label className="block">
+                <span className="body-small font-medium text-text-primary">Description</span>
+                <textarea
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                  rows={2}
+                  maxLength={1000}
+                  placeholder="What this file contains, e.g. SAP sales order export, one row per order line"
+                  className="mt-1 w-full border border-gray-300 rounded px-3 py-2 body-small"
+                />
+              </label>
+
+              <label className="block">
+                <span className="body-small font-medium text-text-primary">Tags</span>
+                <input
+                  type="text"
+                  value={tagsText}
+                  onChange={(e) => setTagsText(e.target.value)}
+                  placeholder="Comma separated, e.g. erp, sales, 2024"
+                  className="mt-1 w-full border border-gray-300 rounded px-3 py-2 body-small"
+                />
+              </label>
+
+              <label className="block">
+                <span className="body-small font-medium text-text-primary">Notes</span>
+                <textarea
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  rows={3}
+                  maxLength={4000}
+                  placeholder="Caveats and conventions, e.g. cancelled orders have negative quantities"
+                  className="mt-1 w-full border border-gray-300 rounded px-3 py-2 body-small"
+                />
+              </label>
+
+              {/* Data dictionary - what each column means and its unit */}
+              {columns.length > 0 && (
+                <div>
+                  <div className="body-small font-medium text-text-primary mb-1">Columns</div>
+                  <table className="min-w-full body-small">
+                    <thead>
+                      <tr className="text-left text-text-muted">
+                        <th className="py-1 pr-2 font-normal">Column</th>
+                        <th className="py-1 pr-2 font-normal">Meaning</th>
+                        <th className="py-1 font-normal w-28">Unit</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {columns.map(column => (
+                        <tr key={column.name}>
+                          <td className="py-1 pr-2 font-mono text-text-primary whitespace-nowrap">{column.name}</td>
+                          <td className="py-1 pr-2">
+                            <input
+                              type="text"
+                              value={column.description}
+                              onChange={(e) => updateColumn(column.name, { description: e.target.value })}
+                              maxLength={500}
+                              className="w-full border border-gray-300 rounded px-2 py-1 body-small"
+                            />
+                          </td>
+                          <td className="py-1">
+                            <input
+                              type="text"
+                              value={column.unit}
+                              onChange={(e) => updateColumn(column.name, { unit: e.target.value })}
+                              maxLength={50}
+                              placeholder="e.g. EUR"
+                              className="w-full border border-gray-300 rounded px-2 py-1 body-small"
+                            />
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-2 p-4 border-t border-gray-200">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-button body-small font-medium border border-gray-300 hover:bg-gray-100 text-text-secondary"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={loading || saving}
+            className="px-4 py-2 rounded-button body-small font-medium bg-primary-600 text-white hover:bg-primary-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FileAnnotations;
@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import axios from 'axios';
+import { getAuthHeaders } from '../utils/auth';
+import DataTable from './DataTable';
+import useFileFormats from '../hooks/useFileFormats';
+
+// Describe a citation's location, e.g. "p.3" or "sheet Sales, row 12"
+const describeLocation = (citation) => {
+  const location = citation.location || {};
+  const target = citation.target || {};
+  const parts = [];
+  if (location.page !== undefined) parts.push(`p.${location.page}`);
+  if (location.slide !== undefined) parts.push(`slide ${location.slide}`);
+  if (location.sheet !== undefined) parts.push(`sheet ${location.sheet}`);
+  if (location.path !== undefined) parts.push(`path ${location.path}`);
+  if (location.section !== undefined) parts.push(`section "${location.section}"`);
+  ['row', 'paragraph', 'line'].forEach(key => {
+    const start = location[`${key}Start`];
+    const end = location[`${key}End`];
+    if (target[key] !== undefined) parts.push(`${key} ${target[key]}`);
+    else if (start !== undefined) parts.push(start === end ? `${key} ${start}` : `${key}s ${start}-${end}`);
+  });
+  return parts.join(', ');
+};
+
+// Render passage text with the cited snippet highlighted
+const highlightSnippet = (text, snippet) => {
+  const cleanSnippet = (snippet || '').replace(/\.\.\.$/, '');
+  const start = cleanSnippet ? text.indexOf(cleanSnippet) : -1;
+  if (start === -1) return text;
+  return (
+    <>
+      {text.slice(0, start)}
+      <mark className="bg-amber-200 rounded px-0.5">{cleanSnippet}</mark>
+      {text.slice(start + cleanSnippet.length)}
+    </>
+  );
+};
+
+const SourceViewer = ({ citation, onClose }) => {
+  const [passages, setPassages] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const citedPassageRef = useRef(null);
+  const { tabularExtensions } = useFileFormats();
+
+  const fileName = citation?.fileName;
+  const extension = fileName ? fileName.toLowerCase().substring(fileName.lastIndexOf('.')) : '';
+  // Outline sections of nested JSON/XML documents are passages, not table rows
+  const isTabular = tabularExtensions.includes(extension) && citation?.location?.path === undefined;
+  const isPdf = extension === '.pdf';
+  const page = citation?.location?.page;
+
+  // Stable file object so the table does not reload on every render
+  const tableFile = useMemo(() => (fileName ? { name: fileName } : null), [fileName]);
+
+  // Load the file's passages for documents (tables use the preview API instead)
+  useEffect(() => {
+    if (!fileName || isTabular) return;
+
+    let cancelled = false;
+    const fetchPassages = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const authHeaders = await getAuthHeaders();
+        const response = await axios.get(`/api/files/${encodeURIComponent(fileName)}/passages`, {
+          headers: authHeaders,
+          timeout: 30000
+        });
+        if (!cancelled) setPassages(response.data.passages || []);
+      } catch (err) {
+        console.error('Failed to load source passages:', err);
+        if (!cancelled) {
+          setError(err.response?.status === 404 ? 'File not found. It may have been deleted.' : 'Failed to load the source document');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchPassages();
+    return () => { cancelled = true; };
+  }, [fileName, isTabular]);
+
+  // Scroll to the cited passage once passages are shown
+  useEffect(() => {
+    citedPassageRef.current?.scrollIntoView({ block: 'center' });
+  }, [passages, citation]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // Open the original PDF at the cited page in a new tab
+  const openPdfPage = async () => {
+    try {
+      const authHeaders = await getAuthHeaders();
+      const response = await axios.get(`/api/files/${encodeURIComponent(fileName)}/sas`, {
+        headers: authHeaders,
+        timeout: 10000
+      });
+      if (response.data.success && response.data.downloadUrl) {
+        window.open(`${response.data.downloadUrl}${page ? `#page=${page}` : ''}`, '_blank', 'noopener');
+      }
+    } catch (err) {
+      console.error('Failed to open PDF:', err);
+      setError('Failed to open the PDF');
+    }
+  };
+
+  if (!citation) {
+    return null;
+  }
+
+  const location = describeLocation(citation);
+  const displayName = fileName ? fileName.split('/').pop() : citation.label;
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black bg-opacity-25" onClick={onClose}>
+      <div
+        className="h-full w-full max-w-2xl bg-background-warm-white shadow-xl flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-start justify-between px-4 py-3 border-b border-gray-200">
+          <div className="min-w-0">
+            <div className="body-xs text-text-muted">Source [{citation.number}]</div>
+            <div className="heading-5 text-text-primary truncate" title={fileName || citation.label}>
+              {displayName}
+            </div>
+            {location && <div className="body-small text-text-secondary">{location}</div>}
+          </div>
+          <div className="flex items-center space-x-2 flex-shrink-0">
+            {isPdf && (
+              <button
+                onClick={openPdfPage}
+                className="px-3 py-1 rounded-button body-xs font-medium border border-gray-300 hover:bg-gray-100 text-text-secondary"
+              >
+                {page ? `Open PDF at p.${page}` : 'Open PDF'}
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="p-1 rounded hover:bg-gray-100 text-gray-500 hover:text-gray-700"
+              title="Close"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Cited Snippet */}
+        {citation.snippet && (
+          <blockquote className="mx-4 mt-3 border-l-4 border-amber-400 pl-3 body-small text-text-secondary italic">
+            {citation.snippet}
+          </blockquote>
+        )}
+
+        {/* Source Content */}
+        <div className="flex-1 min-h-0 p-4 flex flex-col">
+          {!fileName ? (
+            <p className="body-normal text-text-muted">This reference could not be matched to one of the selected files.</p>
+          ) : isTabular ? (
+            <DataTable
+              fileData={tableFile}
+              className="flex-1 min-h-0"
+              isCollapsed={false}
+              initialSheet={citation.location?.sheet || null}
+              highlightRows={citation.location?.rowStart !== undefined
+                ? { start: citation.location.rowStart, end: citation.location.rowEnd }
+                : null}
+              focusRow={citation.target?.row || null}
+            />
+          ) : loading ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mr-3"></div>
+              <span className="body-normal text-text-secondary">Loading source...</span>
+            </div>
+          ) : error ? (
+            <p className="body-normal text-red-700">{error}</p>
+          ) : (
+            <div className="flex-1 overflow-y-auto space-y-3">
+              {passages.map((passage) => {
+                const isCited = passage.chunkIndex === citation.chunkIndex;
+                const passageLocation = describeLocation({ location: passage.provenance });
+                return (
+                  <div
+                    key={passage.chunkIndex}
+                    ref={isCited ? citedPassageRef : null}
+                    className={`rounded-card border p-3 ${isCited ? 'border-amber-400 bg-amber-50' : 'border-gray-200'}`}
+                  >
+                    {passageLocation && <div className="body-xs text-text-muted mb-1">{passageLocation}</div>}
+                    <div className="body-small text-text-primary whitespace-pre-wrap">
+                      {isCited ? highlightSnippet(passage.text, citation.snippet) : passage.text}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SourceViewer;
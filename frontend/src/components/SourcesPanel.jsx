@@ -2,9 +2,16 @@ import React, { useState, useRef, useEffect } from 'react';
 import { createPortal } from 'react-dom';
 import Card, { CardContent } from './Card';
 import { getAuthHeaders } from '../utils/auth';
+import useFileFormats from '../hooks/useFileFormats';
+import useStorageUsage from '../hooks/useStorageUsage';
+import { startBlockUpload, listInterruptedUploads, discardInterruptedUpload } from '../utils/blockUpload';
+import VersionHistory from './VersionHistory';
+import FileAnnotations from './FileAnnotations';
 
 const SourcesPanel = ({ 
   onFileUploaded, 
+  onFilesChanged,
+  onFilesMoved,
   uploadedFiles, 
   selectedFileIds = [], // Changed from activeFileId to selectedFileIds array
   onFileSelected, 
@@ -23,23 +30,64 @@ const SourcesPanel = ({
   const [menuPosition, setMenuPosition] = useState({ top: 0, left: 0 });
   const [showUploadFilesPopup, setShowUploadFilesPopup] = useState(false);
   const [filesBeingDeleted, setFilesBeingDeleted] = useState([]);
-  const [filesBeingUploaded, setFilesBeingUploaded] = useState([]); // Array of {name, size} for files currently uploading
+  const [filesBeingUploaded, setFilesBeingUploaded] = useState([]); // Array of {name, size, uploadedBytes, paused} for files currently uploading
+  const [interruptedUploads, setInterruptedUploads] = useState(() => listInterruptedUploads()); // Uploads that can be resumed by selecting the file again
   const [isDragging, setIsDragging] = useState(false);
+  const [versionHistoryFile, setVersionHistoryFile] = useState(null); // File name whose version history is open
+  const [annotatingFile, setAnnotatingFile] = useState(null); // File name whose details are being edited
+  const [tagFilter, setTagFilter] = useState(null); // Only files with this tag are listed
+  const [collapsedFolders, setCollapsedFolders] = useState([]); // Paths of folders whose files are hidden
+  const [draggedFiles, setDraggedFiles] = useState([]); // Names of the files being dragged to a folder
+  const [dropFolder, setDropFolder] = useState(null); // Folder path under a dragged file ('' for the top level)
   const fileInputRef = useRef(null);
   const uploadTimeoutRef = useRef(null);
+  const uploadControllersRef = useRef({}); // Block upload controllers by file name (pause/resume)
+  const { formats, extensions: allowedExtensions, maxFileSize: defaultMaxFileSize, getFormat } = useFileFormats();
+  // Reload usage whenever files are added or removed
+  const { usage } = useStorageUsage(`${uploadedFiles.length}:${uploadedFiles.reduce((total, file) => total + (file.size || 0), 0)}`);
+  const maxFileSize = usage?.limits?.maxFileSize || defaultMaxFileSize;
 
 
   // Get file type from filename
   const getFileType = (fileName) => {
-    const extension = fileName.toLowerCase().substring(fileName.lastIndexOf('.'));
-    switch (extension) {
-      case '.csv': return 'csv';
-      case '.pdf': return 'pdf';
-      case '.docx': return 'docx';
-      case '.xlsx': return 'xlsx';
-      case '.txt': return 'txt';
-      default: return 'unknown';
+    return getFormat(fileName)?.name || 'unknown';
+  };
+
+  // File size for display (e.g. '12 KB', '4.2 MB')
+  const formatSize = (bytes) => {
+    return bytes < 1024 * 1024
+      ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+      : `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+  };
+
+  // Size, detected text encoding and version (once re-uploaded) shown under the file name
+  const getFileDetails = (file) => {
+    const details = [];
+    if (typeof file.size === 'number') {
+      details.push(formatSize(file.size));
+    }
+    if (file.encoding) {
+      details.push(file.encoding);
     }
+    if (file.version > 1) {
+      details.push(`v${file.version}`);
+    }
+    return details.join(' · ');
+  };
+
+  // Folders are virtual: the part of a file's name before its last '/' (e.g. 'reports/2024')
+  const getFolderPath = (fileName) => {
+    return fileName.includes('/') ? fileName.substring(0, fileName.lastIndexOf('/')) : '';
+  };
+
+  // File name without its folders
+  const getBaseName = (fileName) => {
+    return fileName.substring(fileName.lastIndexOf('/') + 1);
+  };
+
+  // Share of an uploading file that has reached storage
+  const getUploadPercent = (file) => {
+    return file.size > 0 ? Math.floor(((file.uploadedBytes || 0) / file.size) * 100) : 0;
   };
 
   // Get file type icon
@@ -79,6 +127,14 @@ const SourcesPanel = ({
             <text x="12" y="17" fontSize="9" fontWeight="bold" textAnchor="middle" className="fill-indigo-600">W</text>
           </svg>
         );
+      case 'pptx':
+        return (
+          <svg className="w-6 h-6" viewBox="0 0 24 24" fill="none">
+            <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8l-6-6z" className="fill-orange-100 stroke-orange-600" strokeWidth="1.5"/>
+            <path d="M14 2v6h6" className="stroke-orange-600" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
+            <text x="12" y="17" fontSize="9" fontWeight="bold" textAnchor="middle" className="fill-orange-600">P</text>
+          </svg>
+        );
       case 'xlsx':
         return (
           <svg className="w-6 h-6" viewBox="0 0 24 24" fill="none">
@@ -91,6 +147,47 @@ const SourcesPanel = ({
             <text x="12" y="18.5" fontSize="7" fontWeight="bold" textAnchor="middle" className="fill-white">XLS</text>
           </svg>
         );
+      case 'json':
+      case 'jsonl':
+        return (
+          <svg className="w-6 h-6" viewBox="0 0 24 24" fill="none">
+            <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8l-6-6z" className="fill-amber-100 stroke-amber-600" strokeWidth="1.5"/>
+            <path d="M14 2v6h6" className="stroke-amber-600" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
+            <text x="12" y="16.5" fontSize="7" fontWeight="bold" textAnchor="middle" className="fill-amber-600">{'{ }'}</text>
+          </svg>
+        );
+      case 'xml':
+        return (
+          <svg className="w-6 h-6" viewBox="0 0 24 24" fill="none">
+            <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8l-6-6z" className="fill-teal-100 stroke-teal-600" strokeWidth="1.5"/>
+            <path d="M14 2v6h6" className="stroke-teal-600" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
+            <text x="12" y="16.5" fontSize="7" fontWeight="bold" textAnchor="middle" className="fill-teal-600">{'</>'}</text>
+          </svg>
+        );
+      case 'image':
+        return (
+          <svg className="w-6 h-6" viewBox="0 0 24 24" fill="none">
+            <rect x="3" y="3" width="18" height="18" rx="2" className="fill-sky-100 stroke-sky-600" strokeWidth="1.5"/>
+            <circle cx="9" cy="9" r="2" className="fill-sky-600"/>
+            <path d="M4 18l5-5 3 3 3-4 5 6" className="stroke-sky-600" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
+          </svg>
+        );
+      case 'zip':
+        return (
+          <svg className="w-6 h-6" viewBox="0 0 24 24" fill="none">
+            <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8l-6-6z" className="fill-yellow-100 stroke-yellow-700" strokeWidth="1.5"/>
+            <path d="M10 4h2M10 7h2M10 10h2M10 13h2" className="stroke-yellow-700" strokeWidth="1.5" strokeLinecap="round"/>
+            <rect x="9.5" y="15" width="3" height="4" rx="0.5" className="stroke-yellow-700" strokeWidth="1.5"/>
+          </svg>
+        );
+      case 'eml':
+      case 'msg':
+        return (
+          <svg className="w-6 h-6" viewBox="0 0 24 24" fill="none">
+            <rect x="3" y="5" width="18" height="14" rx="2" className="fill-blue-100 stroke-blue-600" strokeWidth="1.5"/>
+            <path d="M3.5 6.5l8.5 6.5 8.5-6.5" className="stroke-blue-600" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
+          </svg>
+        );
       case 'txt':
         return (
           <svg className="w-6 h-6" viewBox="0 0 24 24" fill="none">
@@ -131,18 +228,36 @@ const SourcesPanel = ({
     
     const files = Array.from(fileList);
     const maxFilesPerUpload = 50; // controls how many files can be uploaded at once
-    const maxTotalFiles = 50; // max total files a user can have in storage
+    const maxTotalFiles = usage?.limits?.maxFiles || 50; // max total files a user can have in storage
+    const currentFileCount = usage ? usage.fileCount : uploadedFiles.length; // usage also counts project files
     
     // Validate we don't exceed per-upload file limit
     if (files.length > maxFilesPerUpload) {
       setError(`Please select no more than ${maxFilesPerUpload} files at once`);
       return;
     }
+
+    // Files with the name of an existing file are uploaded as its new version (the current one is kept)
+    const existingNames = new Set(uploadedFiles.map(file => file.name));
+    const replacedNames = files.filter(file => existingNames.has(file.name)).map(file => file.name);
+    if (replacedNames.length > 0 && !window.confirm(
+      `${replacedNames.join(', ')} already ${replacedNames.length > 1 ? 'exist' : 'exists'}. Upload as a new version? Earlier versions stay in the version history.`
+    )) {
+      return;
+    }
+    const newFileCount = files.length - replacedNames.length;
     
     // Validate we don't exceed total file storage limit
-    if (uploadedFiles.length + files.length > maxTotalFiles) {
-      const availableSlots = maxTotalFiles - uploadedFiles.length;
-      setError(`Cannot upload ${files.length} files. You can only have ${maxTotalFiles} files total. Currently have ${uploadedFiles.length} files (${availableSlots} slots remaining).`);
+    if (currentFileCount + newFileCount > maxTotalFiles) {
+      const availableSlots = Math.max(0, maxTotalFiles - currentFileCount);
+      setError(`Cannot upload ${files.length} files. You can only have ${maxTotalFiles} files total. Currently have ${currentFileCount} files (${availableSlots} slots remaining).`);
+      return;
+    }
+
+    // Validate the files fit in the remaining storage
+    const selectedBytes = files.reduce((total, file) => total + file.size, 0);
+    if (usage && selectedBytes > usage.remaining.bytes) {
+      setError(`Cannot upload ${formatSize(selectedBytes)}. Only ${usage.display.remaining} of your ${usage.display.limit} storage is left.`);
       return;
     }
     
@@ -151,19 +266,18 @@ const SourcesPanel = ({
     const errors = [];
     
     for (const file of files) {
-      // Validate file type
-      const allowedExtensions = ['.csv', '.pdf', '.docx', '.xlsx', '.txt'];
+      // Validate file type against the formats the backend supports
       const fileName = file.name.toLowerCase();
       const hasValidExtension = allowedExtensions.some(ext => fileName.endsWith(ext));
       
       if (!hasValidExtension) {
-        errors.push(`${file.name}: Must be a CSV, PDF, DOCX, XLSX, or TXT file`);
+        errors.push(`${file.name}: Must be one of ${formats.map(format => format.label).join(', ')}`);
         continue;
       }
       
-      // Validate file size (100MB limit)
-      if (file.size > 100 * 1024 * 1024) {
-        errors.push(`${file.name}: File size must be less than 100MB`);
+      // Validate file size
+      if (file.size > maxFileSize) {
+        errors.push(`${file.name}: File size must be less than ${Math.round(maxFileSize / 1024 / 1024)}MB`);
         continue;
       }
       
@@ -186,6 +300,8 @@ const SourcesPanel = ({
     const uploadingFiles = validFiles.map(file => ({
       name: file.name,
       size: file.size,
+      uploadedBytes: 0,
+      paused: false,
       isUploading: true
     }));
     setFilesBeingUploaded(uploadingFiles);
@@ -194,52 +310,90 @@ const SourcesPanel = ({
       // Get authentication headers (handles local development bypass)
       const authHeaders = await getAuthHeaders();
 
-      // Track successfully uploaded files
+      // Track successfully uploaded files, and archive entries that could not be added
       const uploadedFilesList = [];
+      const rejectedEntries = [];
 
       // Upload each file
       for (const file of validFiles) {
-        // Step 1: Request SAS token from backend
-        const sasResponse = await fetch('/api/files/sas', {
+        // Browsers often report no type for less common extensions (e.g. .jsonl)
+        const contentType = file.type || getFormat(file.name)?.mimeTypes?.[0] || 'text/csv';
+
+        // Steps 1-2: Upload the file to Azure Blob Storage in blocks, continuing an interrupted upload of it
+        const upload = startBlockUpload(file, {
+          contentType,
+          authHeaders,
+          replace: existingNames.has(file.name),
+          onProgress: (uploadedBytes) => updateUploadingFile(file.name, { uploadedBytes })
+        });
+        uploadControllersRef.current[file.name] = upload;
+        let uploaded;
+        try {
+          uploaded = await upload.done;
+        } finally {
+          delete uploadControllersRef.current[file.name];
+        }
+
+        // Step 3: Have the backend check what landed (size, file signature, test parse)
+        const completeResponse = await fetch(uploaded.completeUrl, {
           method: 'POST',
           headers: authHeaders,
-          body: JSON.stringify({
-            fileName: file.name,
-            contentType: file.type || 'text/csv',
-            sizeBytes: file.size
-          })
+          body: JSON.stringify({ sizeBytes: file.size })
         });
-
-        const sasData = await sasResponse.json();
-        
-        if (!sasData.success) {
-          throw new Error(`Failed to get upload URL for ${file.name}: ${sasData.message || sasData.error || 'Unknown error'}`);
+        const completeData = await completeResponse.json();
+        if (!completeData.success) {
+          throw new Error(`${file.name} was not accepted: ${completeData.message || completeData.error || 'Unknown error'}`);
         }
 
-        // Step 2: Upload file to Azure Blob Storage
-        const uploadResponse = await fetch(sasData.uploadUrl, {
-          method: 'PUT',
-          headers: {
-            'Content-Type': file.type || 'text/csv',
-            'x-ms-blob-type': 'BlockBlob'
-          },
-          body: file
-        });
+        // Step 4: Expand archives into their files (emails among them get their attachments extracted too)
+        if (getFormat(file.name)?.archive) {
+          const expandResponse = await fetch(`/api/files/${encodeURIComponent(file.name)}/expand`, {
+            method: 'POST',
+            headers: authHeaders
+          });
+          const expandData = await expandResponse.json();
+          if (!expandData.success) {
+            throw new Error(`Failed to expand ${file.name}: ${expandData.message || expandData.error || 'Unknown error'}`);
+          }
 
-        if (!uploadResponse.ok) {
-          throw new Error(`Upload failed for ${file.name}: ${uploadResponse.statusText}`);
+          expandData.rejected.forEach(entry => rejectedEntries.push(`${file.name}/${entry.path} (${entry.reason})`));
+          for (const expanded of expandData.files) {
+            if (getFormat(expanded.name)?.children) {
+              await extractAttachments(expanded.name, authHeaders);
+            }
+            uploadedFilesList.push({
+              name: expanded.name,
+              size: expanded.size,
+              type: expanded.contentType,
+              lastModified: new Date().toISOString()
+            });
+          }
+          // The archive is kept only when none of its files could be added
+          if (expandData.archiveDeleted) {
+            continue;
+          }
+        } else if (getFormat(file.name)?.children) {
+          // Extract attachments (emails) as sources of their own
+          await extractAttachments(file.name, authHeaders);
         }
 
         // Add to successfully uploaded list
         uploadedFilesList.push({
           name: file.name,
           size: file.size,
-          type: file.type || 'text/csv',
+          type: contentType,
           lastModified: new Date().toISOString()
         });
       }
 
-      // Step 3: Notify parent component of all successful uploads at once
+      // Report archive entries that were not added (the rest of the upload went through)
+      if (rejectedEntries.length > 0) {
+        const listed = rejectedEntries.slice(0, 10).join(', ');
+        const more = rejectedEntries.length > 10 ? ` and ${rejectedEntries.length - 10} more` : '';
+        setError(`Not added from archive: ${listed}${more}`);
+      }
+
+      // Step 5: Notify parent component of all successful uploads at once
       for (const fileData of uploadedFilesList) {
         await onFileUploaded(fileData);
       }
@@ -250,10 +404,12 @@ const SourcesPanel = ({
         setFilesBeingUploaded([]);
         uploadTimeoutRef.current = null;
       }, 100);
+      setInterruptedUploads(listInterruptedUploads());
       
     } catch (error) {
       console.error('Upload error:', error);
       setError(error.message || 'Upload failed. Please try again.');
+      setInterruptedUploads(listInterruptedUploads());
       // Clear uploading state immediately on error
       if (uploadTimeoutRef.current) {
         clearTimeout(uploadTimeoutRef.current);
@@ -263,6 +419,127 @@ const SourcesPanel = ({
     }
   };
 
+  // Update the progress shown for a file that is uploading
+  const updateUploadingFile = (fileName, changes) => {
+    setFilesBeingUploaded(prev => prev.map(file => (file.name === fileName ? { ...file, ...changes } : file)));
+  };
+
+  const toggleUploadPaused = (fileName) => {
+    const upload = uploadControllersRef.current[fileName];
+    if (!upload) return;
+    if (upload.isPaused()) {
+      upload.resume();
+    } else {
+      upload.pause();
+    }
+    updateUploadingFile(fileName, { paused: upload.isPaused() });
+  };
+
+  const discardUpload = (fileName) => {
+    discardInterruptedUpload(fileName);
+    setInterruptedUploads(listInterruptedUploads());
+  };
+
+  // Extract an email's attachments as sources of their own; the email itself is already uploaded
+  const extractAttachments = async (fileName, authHeaders) => {
+    const childrenResponse = await fetch(`/api/files/${encodeURIComponent(fileName)}/children`, {
+      method: 'POST',
+      headers: authHeaders
+    });
+    const childrenData = await childrenResponse.json();
+    if (!childrenData.success) {
+      console.warn(`Could not extract attachments of ${fileName}:`, childrenData.message || childrenData.error);
+      return;
+    }
+    childrenData.rejected.forEach(attachment => {
+      console.warn(`Attachment not added from ${fileName}: ${attachment.fileName} (${attachment.reason})`);
+    });
+  };
+
+  // Move files into a folder ('' for the top level); a folder that does not exist yet is created by
+  // moving files into it, and attachments move with their email
+  const moveFiles = async (fileNames, folder) => {
+    setError(null);
+    try {
+      const authHeaders = await getAuthHeaders();
+      const response = await fetch('/api/files/move', {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify({ fileNames, folder })
+      });
+      const data = await response.json();
+      if (!Array.isArray(data.moved)) {
+        throw new Error(data.message || data.error || 'Unknown error');
+      }
+      if (data.errors.length > 0) {
+        setError(`Some files were not moved: ${data.errors.map(entry => `${entry.fileName} (${entry.error})`).join(', ')}`);
+      }
+      if (data.moved.length > 0 && onFilesMoved) {
+        onFilesMoved(data.moved);
+      }
+    } catch (err) {
+      console.error('Failed to move files:', err);
+      setError(`Failed to move files: ${err.message}`);
+    }
+  };
+
+  const promptMoveFiles = (fileNames) => {
+    const label = fileNames.length === 1 ? getBaseName(fileNames[0]) : `${fileNames.length} files`;
+    const folder = window.prompt(
+      `Move ${label} to folder (e.g. reports/2024, or leave empty for the top level):`,
+      fileNames.length === 1 ? getFolderPath(fileNames[0]) : ''
+    );
+    if (folder !== null) {
+      moveFiles(fileNames, folder.trim());
+    }
+  };
+
+  // Rename a file in its folder; conversations that use it follow the new name
+  const renameFile = async (fileName) => {
+    const currentName = getBaseName(fileName);
+    const name = window.prompt(`Rename ${currentName} (the extension stays the same):`, currentName);
+    if (!name || name.trim() === currentName) return;
+
+    setError(null);
+    try {
+      const authHeaders = await getAuthHeaders();
+      const response = await fetch(`/api/files/${encodeURIComponent(fileName)}`, {
+        method: 'PATCH',
+        headers: authHeaders,
+        body: JSON.stringify({ name: name.trim() })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || data.error || 'Unknown error');
+      }
+      if (onFilesMoved) onFilesMoved(data.moved);
+    } catch (err) {
+      console.error(`Failed to rename ${fileName}:`, err);
+      setError(`Failed to rename ${currentName}: ${err.message}`);
+    }
+  };
+
+  // Copy a file next to it as '{name} (copy)', with its details but without its earlier versions
+  const copyFile = async (fileName) => {
+    setError(null);
+    try {
+      const authHeaders = await getAuthHeaders();
+      const response = await fetch(`/api/files/${encodeURIComponent(fileName)}/copy`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify({})
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || data.error || 'Unknown error');
+      }
+      if (onFilesChanged) onFilesChanged();
+    } catch (err) {
+      console.error(`Failed to copy ${fileName}:`, err);
+      setError(`Failed to copy ${getBaseName(fileName)}: ${err.message}`);
+    }
+  };
+
   const openFileDialog = () => {
     // Clear error state when opening file dialog
     setError(null);
@@ -300,6 +577,44 @@ const SourcesPanel = ({
     }
   };
 
+  // Dragging files of the list onto a folder moves them; dragging a selected file drags every selected file
+  const handleFileDragStart = (e, file) => {
+    const fileNames = selectedFileIds.includes(file.fileId) && selectedFileIds.length > 1
+      ? displayFiles.filter(f => selectedFileIds.includes(f.fileId) && !f.isUploading).map(f => f.name)
+      : [file.name];
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', fileNames.join('\n'));
+    setDraggedFiles(fileNames);
+  };
+
+  const handleFileDragEnd = () => {
+    setDraggedFiles([]);
+    setDropFolder(null);
+  };
+
+  const handleFolderDragOver = (e, folderPath) => {
+    // Only files dragged from this list can be dropped (not files from the desktop)
+    if (draggedFiles.length === 0) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropFolder(folderPath);
+  };
+
+  const handleFolderDrop = (e, folderPath) => {
+    e.preventDefault();
+    const fileNames = draggedFiles.filter(fileName => getFolderPath(fileName) !== folderPath);
+    handleFileDragEnd();
+    if (fileNames.length > 0) {
+      moveFiles(fileNames, folderPath);
+    }
+  };
+
+  const toggleFolder = (folderPath) => {
+    setCollapsedFolders(prev => (prev.includes(folderPath)
+      ? prev.filter(path => path !== folderPath)
+      : [...prev, folderPath]));
+  };
+
   // Clear error state when popup opens
   useEffect(() => {
     if (showUploadFilesPopup) {
@@ -322,14 +637,30 @@ const SourcesPanel = ({
 
   // Filter files based on conversation state
   const getDisplayFiles = () => {
-    // Always show all uploaded files, except those being deleted
+    // Always show all uploaded files, except those being deleted (and those without the chosen tag)
     let filesToDisplay = uploadedFiles.filter(file => !filesBeingDeleted.includes(file.name));
+    if (tagFilter) {
+      filesToDisplay = filesToDisplay.filter(file => (file.tags || []).some(tag => tag.toLowerCase() === tagFilter.toLowerCase()));
+    }
+
+    // List attachments right after the email they came from
+    const childrenByParent = {};
+    filesToDisplay.forEach(file => {
+      if (file.parent && filesToDisplay.some(other => other.name === file.parent)) {
+        (childrenByParent[file.parent] = childrenByParent[file.parent] || []).push(file);
+      }
+    });
+    filesToDisplay = filesToDisplay
+      .filter(file => !file.parent || !childrenByParent[file.parent])
+      .flatMap(file => [file, ...(childrenByParent[file.name] || [])]);
     
     // Add files that are currently uploading
     const uploadingFilesDisplay = filesBeingUploaded.map(file => ({
       name: file.name,
       fileId: file.name + '_uploading',
       size: file.size,
+      uploadedBytes: file.uploadedBytes,
+      paused: file.paused,
       type: 'uploading',
       isUploading: true
     }));
@@ -340,6 +671,12 @@ const SourcesPanel = ({
 
   const displayFiles = getDisplayFiles();
 
+  // Tags across all files (for the tag filter), without case duplicates
+  const allTags = uploadedFiles
+    .flatMap(file => file.tags || [])
+    .filter((tag, index, tags) => tags.findIndex(other => other.toLowerCase() === tag.toLowerCase()) === index)
+    .sort((a, b) => a.localeCompare(b));
+
   const handleMenuToggle = (fileId, event) => {
     if (openMenuId === fileId) {
       setOpenMenuId(null);
@@ -350,9 +687,9 @@ const SourcesPanel = ({
     const rect = buttonElement.getBoundingClientRect();
     
     // Menu dimensions
-    // Check if this file would show the "Delete Selected" option
-    const hasDeleteSelected = selectedFileIds.includes(fileId) && selectedFileIds.length >= 2;
-    const menuHeight = hasDeleteSelected ? 120 : 80; // 3 items vs 2 items
+    // Check if this file would show the "Move Selected" and "Delete Selected" options
+    const hasSelectedActions = selectedFileIds.includes(fileId) && selectedFileIds.length >= 2;
+    const menuHeight = hasSelectedActions ? 360 : 280; // 9 items vs 7 items
     const menuWidth = 160;
     const spacing = 4;
     
@@ -398,6 +735,217 @@ const SourcesPanel = ({
     }
   }, [showUploadFilesPopup]);
 
+  // Folder tree of the listed files: { path, name, fileCount, folders, files } nodes (uploads stay at the top level)
+  const buildFolderTree = (files) => {
+    const root = { path: '', name: '', fileCount: 0, folders: [], files: [] };
+    const nodes = { '': root };
+    files.forEach(file => {
+      let node = root;
+      const segments = file.isUploading ? [] : getFolderPath(file.name).split('/').filter(Boolean);
+      segments.forEach((segment, index) => {
+        const path = segments.slice(0, index + 1).join('/');
+        if (!nodes[path]) {
+          nodes[path] = { path, name: segment, fileCount: 0, folders: [], files: [] };
+          node.folders.push(nodes[path]);
+        }
+        node = nodes[path];
+        node.fileCount++;
+      });
+      node.files.push(file);
+    });
+    Object.values(nodes).forEach(node => node.folders.sort((a, b) => a.name.localeCompare(b.name)));
+    return root;
+  };
+
+  // Subfolders (collapsible, and drop targets for dragged files), then the files of a folder
+  const renderFolderContents = (node, depth) => (
+    <>
+      {node.folders.map(folder => {
+        const folderCollapsed = collapsedFolders.includes(folder.path);
+        return (
+          <div key={`folder:${folder.path}`} className="space-y-1">
+            <div
+              onClick={() => toggleFolder(folder.path)}
+              onDragOver={(e) => handleFolderDragOver(e, folder.path)}
+              onDragLeave={() => setDropFolder(null)}
+              onDrop={(e) => handleFolderDrop(e, folder.path)}
+              className={`flex items-center space-x-2 p-2 rounded-card cursor-pointer transition-colors ${
+                dropFolder === folder.path ? 'bg-primary-100 ring-2 ring-primary-600' : 'hover:bg-background-warm-white'
+              }`}
+              style={{ marginLeft: `${depth * 16}px` }}
+              title={folder.path}
+            >
+              <svg className={`w-3 h-3 text-gray-500 flex-shrink-0 transition-transform ${folderCollapsed ? '' : 'rotate-90'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+              </svg>
+              <svg className="w-5 h-5 text-secondary-500 flex-shrink-0" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M10 4H4a2 2 0 00-2 2v12a2 2 0 002 2h16a2 2 0 002-2V8a2 2 0 00-2-2h-8l-2-2z" />
+              </svg>
+              <span className="body-small font-medium text-text-primary truncate flex-1">{folder.name}</span>
+              <span className="body-xs text-text-muted flex-shrink-0">{folder.fileCount}</span>
+            </div>
+            {!folderCollapsed && renderFolderContents(folder, depth + 1)}
+          </div>
+        );
+      })}
+      {node.files.map(file => renderFileRow(file, depth))}
+    </>
+  );
+
+  // One row of the file list; rows inside folders are indented by their depth
+  const renderFileRow = (file, depth = 0) => {
+    const isSelected = selectedFileIds.includes(file.fileId);
+    // Files that failed the upload checks cannot be used in chat
+    const isRejected = file.status === 'rejected';
+    const canSelect = !isRejected && (isSelected || selectedFileIds.length < 50);
+    const isUploading = file.isUploading;
+    return (
+      <div
+        key={file.fileId}
+        draggable={!isUploading}
+        onDragStart={(e) => handleFileDragStart(e, file)}
+        onDragEnd={handleFileDragEnd}
+        className={`p-2 rounded-card border border-transparent bg-transparent transition-colors ${
+          isUploading
+            ? 'cursor-default opacity-75'
+            : !canSelect
+              ? 'cursor-not-allowed opacity-50'
+              : 'hover:bg-background-warm-white'
+        }`}
+        style={{ marginLeft: `${depth * 16 + (file.parent ? 24 : 0)}px` }}
+      >
+        <div className="flex items-center justify-between">
+          <div 
+            className={`flex items-center space-x-3 flex-1 min-w-0 ${!isUploading ? 'cursor-pointer' : 'cursor-default'}`}
+            onClick={() => {
+              if (isUploading) return;
+              if (isSelected) {
+                onFileSelected(selectedFileIds.filter(id => id !== file.fileId));
+              } else if (canSelect) {
+                onFileSelected([...selectedFileIds, file.fileId]);
+              }
+            }}
+          >
+            {/* Checkbox */}
+            <div className="flex-shrink-0">
+              <div className={`w-4 h-4 rounded border-2 flex items-center justify-center transition-colors ${
+                isUploading
+                  ? 'border-gray-200 bg-gray-100'
+                  : isSelected 
+                    ? 'bg-primary-600 border-primary-600'
+                    : !canSelect
+                      ? 'border-gray-200 bg-gray-100'
+                      : 'border-gray-300 hover:border-primary-400'
+              }`}>
+                {isSelected && !isUploading && (
+                  <svg className="w-3 h-3 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                  </svg>
+                )}
+              </div>
+            </div>
+            
+            {/* File Type Icon */}
+            <div className="flex-shrink-0">
+              {isUploading ? getFileTypeIcon('uploading') : getFileTypeIcon(getFileType(file.name))}
+            </div>
+            
+            {/* File Name */}
+            <div className="flex-1 min-w-0">
+              <p
+                className={`body-small font-medium truncate ${
+                  isUploading ? 'text-text-muted' : 'text-text-primary'
+                }`}
+                title={file.name}
+              >
+                {getBaseName(file.name)}
+              </p>
+              {isUploading && (
+                <div className="mt-1">
+                  <div className="h-1 bg-gray-200 rounded-full overflow-hidden">
+                    <div
+                      className={`h-full transition-all ${file.paused ? 'bg-gray-400' : 'bg-primary-600'}`}
+                      style={{ width: `${getUploadPercent(file)}%` }}
+                    />
+                  </div>
+                  <p className="body-xs text-text-muted truncate">
+                    {file.paused ? 'Paused' : 'Uploading'} {getUploadPercent(file)}%
+                  </p>
+                </div>
+              )}
+              {!isUploading && getFileDetails(file) && (
+                <p
+                  className="body-xs text-text-muted truncate"
+                  title={file.encoding ? `Text encoding: ${file.encoding}` : undefined}
+                >
+                  {getFileDetails(file)}
+                </p>
+              )}
+              {!isUploading && file.status === 'processing' && (
+                <p className="body-xs text-text-muted truncate">Checking file...</p>
+              )}
+              {!isUploading && isRejected && (
+                <p className="body-xs text-red-600 truncate" title={file.statusReason || undefined}>
+                  Rejected{file.statusReason ? `: ${file.statusReason}` : ''}
+                </p>
+              )}
+              {!isUploading && file.childLabel && (
+                <p className="body-xs text-text-muted truncate" title={`Extracted from ${file.parent}`}>
+                  {file.childLabel}
+                </p>
+              )}
+              {!isUploading && file.tags && file.tags.length > 0 && (
+                <p className="body-xs text-primary-700 truncate">
+                  {file.tags.map(tag => `#${tag}`).join(' ')}
+                </p>
+              )}
+            </div>
+          </div>
+          
+          {/* Pause/Resume Upload */}
+          {isUploading && uploadControllersRef.current[file.name] && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                toggleUploadPaused(file.name);
+              }}
+              className="p-2 rounded hover:bg-gray-100 text-gray-500 hover:text-gray-700 transition-colors"
+              title={file.paused ? 'Resume upload' : 'Pause upload'}
+            >
+              {file.paused ? (
+                <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                  <path d="M8 5v14l11-7z" />
+                </svg>
+              ) : (
+                <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                  <path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z" />
+                </svg>
+              )}
+            </button>
+          )}
+
+          {/* Actions Menu */}
+          {!isUploading && (
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleMenuToggle(file.fileId, e);
+                }}
+                className="p-2 rounded hover:bg-gray-100 text-gray-500 hover:text-gray-700 transition-colors"
+                title="More options"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 5v.01M12 12v.01M12 19v.01M12 6a1 1 0 110-2 1 1 0 010 2zm0 7a1 1 0 110-2 1 1 0 010 2zm0 7a1 1 0 110-2 1 1 0 010 2z" />
+                </svg>
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
   return (
     <Card 
       variant="elevated" 
@@ -493,6 +1041,33 @@ const SourcesPanel = ({
             upload files
           </button>
 
+          {/* Storage Quota Meter */}
+          {usage && (
+            <div className="mb-4 space-y-1" title={usage.byType.map(type => `${type.label}: ${type.fileCount} file(s), ${formatSize(type.bytes)}`).join('\n')}>
+              <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className={`h-full ${
+                    usage.warnings.some(warning => warning.level === 'full')
+                      ? 'bg-red-500'
+                      : usage.warnings.length > 0 ? 'bg-amber-500' : 'bg-primary-600'
+                  }`}
+                  style={{ width: `${Math.min(100, Math.max(usage.percentUsed.storage, usage.percentUsed.files))}%` }}
+                />
+              </div>
+              <p className="body-xs text-text-muted">
+                {usage.display.used} of {usage.display.limit} · {usage.fileCount} of {usage.limits.maxFiles} files
+              </p>
+              {usage.warnings.map(warning => (
+                <p
+                  key={warning.limit}
+                  className={`body-xs ${warning.level === 'full' ? 'text-red-600' : 'text-amber-700'}`}
+                >
+                  {warning.message}
+                </p>
+              ))}
+            </div>
+          )}
+
           {/* Scrollable Content Area */}
           <div className="flex-1 min-h-0">
             <div className="space-y-4 h-full overflow-y-auto mobile-scrollbar">{/* Content wrapper for scrolling */}
@@ -523,11 +1098,9 @@ const SourcesPanel = ({
                 <div>
                   <h4 className="body-small font-medium text-blue-800">Supported File Types</h4>
                   <div className="body-xs text-blue-700 mt-2 space-y-1">
-                    <p><span className="font-medium">CSV:</span> Analyze structured data, perform calculations, filter records</p>
-                    <p><span className="font-medium">PDF:</span> Extract and search text content from documents</p>
-                    <p><span className="font-medium">DOCX:</span> Analyze text, find information, summarize content</p>
-                    <p><span className="font-medium">XLSX:</span> Process spreadsheet data from multiple sheets and tables</p>
-                    <p><span className="font-medium">TXT:</span> Analyze plain text content, extract information, answer questions</p>
+                    {formats.map(format => (
+                      <p key={format.name}><span className="font-medium">{format.label}:</span> {format.description}</p>
+                    ))}
                   </div>
                 </div>
               </div>
@@ -539,7 +1112,7 @@ const SourcesPanel = ({
         <input
           ref={fileInputRef}
           type="file"
-          accept=".csv,.pdf,.docx,.xlsx,.txt"
+          accept={allowedExtensions.join(',')}
           multiple
           onChange={handleFileInput}
           className="hidden"
@@ -556,6 +1129,45 @@ const SourcesPanel = ({
           </div>
         )}
 
+        {/* Interrupted Uploads */}
+        {interruptedUploads.length > 0 && filesBeingUploaded.length === 0 && (
+          <div className="bg-amber-50 border border-amber-200 rounded-card p-3 space-y-1">
+            <p className="body-small text-amber-800">Unfinished uploads - select the same file again to continue where it stopped:</p>
+            {interruptedUploads.map(upload => (
+              <div key={upload.fileName} className="flex items-center justify-between space-x-2">
+                <p className="body-xs text-amber-700 truncate">
+                  {upload.fileName} ({Math.round((upload.uploadedBytes / upload.sizeBytes) * 100)}%)
+                </p>
+                <button
+                  onClick={() => discardUpload(upload.fileName)}
+                  className="body-xs text-amber-800 hover:underline flex-shrink-0"
+                >
+                  Discard
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Tag Filter */}
+        {allTags.length > 0 && (
+          <div className="flex flex-wrap gap-1">
+            {[null, ...allTags].map(tag => (
+              <button
+                key={tag || 'all'}
+                onClick={() => setTagFilter(tag)}
+                className={`px-2 py-0.5 rounded-full body-xs border transition-colors ${
+                  (tagFilter || null) === tag
+                    ? 'bg-primary-600 border-primary-600 text-white'
+                    : 'border-gray-300 text-text-secondary hover:bg-gray-100'
+                }`}
+              >
+                {tag || 'all files'}
+              </button>
+            ))}
+          </div>
+        )}
+
         {/* File List */}
         <div>
           {filesLoading ? (
@@ -570,7 +1182,7 @@ const SourcesPanel = ({
                 <div 
                   className="flex items-center space-x-2 cursor-pointer"
                   onClick={() => {
-                    const selectableFiles = displayFiles.filter(f => !f.isUploading);
+                    const selectableFiles = displayFiles.filter(f => !f.isUploading && f.status !== 'rejected');
                     if (selectedFileIds.length === selectableFiles.length && selectableFiles.length > 0) {
                       onFileSelected([]);
                     } else {
@@ -580,11 +1192,11 @@ const SourcesPanel = ({
                 >
                   {/* Select All Checkbox */}
                   <div className={`ml-2 w-4 h-4 rounded border-2 flex items-center justify-center transition-colors ${
-                    displayFiles.filter(f => !f.isUploading).length > 0 && selectedFileIds.length === displayFiles.filter(f => !f.isUploading).length
+                    displayFiles.filter(f => !f.isUploading && f.status !== 'rejected').length > 0 && selectedFileIds.length === displayFiles.filter(f => !f.isUploading && f.status !== 'rejected').length
                       ? 'bg-primary-600 border-primary-600'
                       : 'border-gray-300 hover:border-primary-400'
                   }`}>
-                    {displayFiles.filter(f => !f.isUploading).length > 0 && selectedFileIds.length === displayFiles.filter(f => !f.isUploading).length && (
+                    {displayFiles.filter(f => !f.isUploading && f.status !== 'rejected').length > 0 && selectedFileIds.length === displayFiles.filter(f => !f.isUploading && f.status !== 'rejected').length && (
                       <svg className="w-3 h-3 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                       </svg>
@@ -596,88 +1208,20 @@ Select All
                 </div>
               </div>
               <div className="space-y-1">
-                {displayFiles.map((file) => {
-                  const isSelected = selectedFileIds.includes(file.fileId);
-                  const canSelect = isSelected || selectedFileIds.length < 50;
-                  const isUploading = file.isUploading;
-                  return (
-                    <div
-                      key={file.fileId}
-                      className={`p-2 rounded-card border border-transparent bg-transparent transition-colors ${
-                        isUploading
-                          ? 'cursor-default opacity-75'
-                          : !canSelect
-                            ? 'cursor-not-allowed opacity-50'
-                            : 'hover:bg-background-warm-white'
-                      }`}
-                    >
-                      <div className="flex items-center justify-between">
-                        <div 
-                          className={`flex items-center space-x-3 flex-1 min-w-0 ${!isUploading ? 'cursor-pointer' : 'cursor-default'}`}
-                          onClick={() => {
-                            if (isUploading) return;
-                            if (isSelected) {
-                              onFileSelected(selectedFileIds.filter(id => id !== file.fileId));
-                            } else if (selectedFileIds.length < 50) {
-                              onFileSelected([...selectedFileIds, file.fileId]);
-                            }
-                          }}
-                        >
-                          {/* Checkbox */}
-                          <div className="flex-shrink-0">
-                            <div className={`w-4 h-4 rounded border-2 flex items-center justify-center transition-colors ${
-                              isUploading
-                                ? 'border-gray-200 bg-gray-100'
-                                : isSelected 
-                                  ? 'bg-primary-600 border-primary-600'
-                                  : !canSelect
-                                    ? 'border-gray-200 bg-gray-100'
-                                    : 'border-gray-300 hover:border-primary-400'
-                            }`}>
-                              {isSelected && !isUploading && (
-                                <svg className="w-3 h-3 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                                </svg>
-                              )}
-                            </div>
-                          </div>
-                          
-                          {/* File Type Icon */}
-                          <div className="flex-shrink-0">
-                            {isUploading ? getFileTypeIcon('uploading') : getFileTypeIcon(getFileType(file.name))}
-                          </div>
-                          
-                          {/* File Name */}
-                          <div className="flex-1 min-w-0">
-                            <p className={`body-small font-medium truncate ${
-                              isUploading ? 'text-text-muted' : 'text-text-primary'
-                            }`}>
-                              {file.name}
-                            </p>
-                          </div>
-                        </div>
-                        
-                        {/* Actions Menu */}
-                        {!isUploading && (
-                          <div className="flex items-center space-x-2">
-                            <button
-                              onClick={(e) => {
-                                e.stopPropagation();
-                                handleMenuToggle(file.fileId, e);
-                              }}
-                              className="p-2 rounded hover:bg-gray-100 text-gray-500 hover:text-gray-700 transition-colors"
-                              title="More options"
-                            >
-                              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 5v.01M12 12v.01M12 19v.01M12 6a1 1 0 110-2 1 1 0 010 2zm0 7a1 1 0 110-2 1 1 0 010 2zm0 7a1 1 0 110-2 1 1 0 010 2z" />
-                              </svg>
-                            </button>
-                          </div>
-                        )}
-                      </div>
-                    </div>
-                  );
-                })}
+                {/* Top level, as a drop target while files are dragged */}
+                {draggedFiles.length > 0 && (
+                  <div
+                    onDragOver={(e) => handleFolderDragOver(e, '')}
+                    onDragLeave={() => setDropFolder(null)}
+                    onDrop={(e) => handleFolderDrop(e, '')}
+                    className={`p-2 rounded-card border-2 border-dashed body-xs text-center transition-colors ${
+                      dropFolder === '' ? 'border-primary-500 bg-primary-50 text-primary-700' : 'border-gray-300 text-text-muted'
+                    }`}
+                  >
+                    Drop here to move to the top level
+                  </div>
+                )}
+                {renderFolderContents(buildFolderTree(displayFiles), 0)}
               </div>
             </div>
           ) : (
@@ -687,8 +1231,14 @@ Select All
                   <path d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M18,20H6V4H13V9H18V20Z" />
                 </svg>
               </div>
-              <p className="body-small text-text-muted mb-2">No files uploaded yet</p>
-              <p className="body-xs text-text-muted">Click "upload files" to upload CSV, PDF, DOCX, XLSX, or TXT files</p>
+              {tagFilter ? (
+                <p className="body-small text-text-muted mb-2">No files tagged {tagFilter}</p>
+              ) : (
+                <>
+                  <p className="body-small text-text-muted mb-2">No files uploaded yet</p>
+                  <p className="body-xs text-text-muted">Click "upload files" to upload {formats.map(format => format.label).join(', ')} files</p>
+                </>
+              )}
             </div>
           )}
         </div>
@@ -722,6 +1272,81 @@ Select All
               </svg>
               <span>Download</span>
             </button>
+
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                const file = displayFiles.find(f => f.fileId === openMenuId);
+                if (file) setVersionHistoryFile(file.name);
+                setOpenMenuId(null);
+              }}
+              className="w-full px-3 py-2 text-left body-small text-text-primary hover:bg-gray-50 flex items-center space-x-2"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              <span>Version history</span>
+            </button>
+
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                const file = displayFiles.find(f => f.fileId === openMenuId);
+                if (file) setAnnotatingFile(file.name);
+                setOpenMenuId(null);
+              }}
+              className="w-full px-3 py-2 text-left body-small text-text-primary hover:bg-gray-50 flex items-center space-x-2"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+              </svg>
+              <span>Edit details</span>
+            </button>
+
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                const file = displayFiles.find(f => f.fileId === openMenuId);
+                setOpenMenuId(null);
+                if (file) renameFile(file.name);
+              }}
+              className="w-full px-3 py-2 text-left body-small text-text-primary hover:bg-gray-50 flex items-center space-x-2"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
+              </svg>
+              <span>Rename</span>
+            </button>
+
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                const file = displayFiles.find(f => f.fileId === openMenuId);
+                setOpenMenuId(null);
+                if (file) promptMoveFiles([file.name]);
+              }}
+              className="w-full px-3 py-2 text-left body-small text-text-primary hover:bg-gray-50 flex items-center space-x-2"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z" />
+              </svg>
+              <span>Move to folder</span>
+            </button>
+
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                const file = displayFiles.find(f => f.fileId === openMenuId);
+                setOpenMenuId(null);
+                if (file) copyFile(file.name);
+              }}
+              className="w-full px-3 py-2 text-left body-small text-text-primary hover:bg-gray-50 flex items-center space-x-2"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+              </svg>
+              <span>Make a copy</span>
+            </button>
             
             <hr className="my-1 border-gray-200" />
             
@@ -742,10 +1367,26 @@ Select All
               <span>Delete</span>
             </button>
             
-            {/* Delete Selected - only show for selected files when at least one other file is selected */}
+            {/* Move and Delete Selected - only show for selected files when at least one other file is selected */}
             {selectedFileIds.includes(openMenuId) && selectedFileIds.length >= 2 && (
               <>
                 <hr className="my-1 border-gray-200" />
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    const filesToMove = displayFiles
+                      .filter(f => selectedFileIds.includes(f.fileId) && !f.isUploading)
+                      .map(f => f.name);
+                    setOpenMenuId(null);
+                    if (filesToMove.length > 0) promptMoveFiles(filesToMove);
+                  }}
+                  className="w-full px-3 py-2 text-left body-small text-text-primary hover:bg-gray-50 flex items-center space-x-2"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z" />
+                  </svg>
+                  <span>Move Selected ({selectedFileIds.length})</span>
+                </button>
                 <button
                   onClick={(e) => {
                     e.stopPropagation();
@@ -776,6 +1417,26 @@ Select All
         document.body
       )}
 
+      {/* Version history of a file (restore, delete and compare versions) */}
+      {versionHistoryFile && createPortal(
+        <VersionHistory
+          fileName={versionHistoryFile}
+          onClose={() => setVersionHistoryFile(null)}
+          onVersionChanged={onFilesChanged}
+        />,
+        document.body
+      )}
+
+      {/* Description, tags, notes and column meanings of a file (given to the AI with it) */}
+      {annotatingFile && createPortal(
+        <FileAnnotations
+          fileName={annotatingFile}
+          onClose={() => setAnnotatingFile(null)}
+          onSaved={onFilesChanged}
+        />,
+        document.body
+      )}
+
       {/* Portal-based upload popup */}
       {showUploadFilesPopup && createPortal(
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={() => setShowUploadFilesPopup(false)}>
@@ -840,7 +1501,7 @@ Select All
                   
                   {/* Supported File Types */}
                   <p className="body-xs text-text-muted">
-                    Supported file types: CSV, PDF, DOCX, XLSX, TXT
+                    Supported file types: {formats.map(format => format.label).join(', ')}
                   </p>
                 </div>
               </div>
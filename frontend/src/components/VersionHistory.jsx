@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { getAuthHeaders } from '../utils/auth';
+
+// Row colours of diff lines by change type
+const DIFF_LINE_CLASSES = {
+  added: 'bg-green-50 text-green-900',
+  removed: 'bg-red-50 text-red-900',
+  equal: 'text-text-secondary'
+};
+
+const DIFF_LINE_MARKERS = { added: '+', removed: '-', equal: ' ' };
+
+// File size for display (e.g. '12 KB', '4.2 MB')
+const formatSize = (bytes) => {
+  return bytes < 1024 * 1024
+    ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+    : `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+};
+
+// Changes between two versions: rows of a table or lines of a text file, in hunks
+const VersionDiff = ({ diff }) => {
+  const unit = diff.kind === 'table' ? 'row' : 'line';
+  const hasChanges = diff.stats.added > 0 || diff.stats.removed > 0 ||
+    (diff.kind === 'table' && (diff.columns.added.length > 0 || diff.columns.removed.length > 0));
+
+  return (
+    <div className="space-y-3">
+      <div className="body-small text-text-secondary">
+        <span className="text-green-700">+{diff.stats.added}</span>{' '}
+        <span className="text-red-700">-{diff.stats.removed}</span> {unit}s
+        {diff.kind === 'table' && diff.columns.added.length > 0 && <> · columns added: {diff.columns.added.join(', ')}</>}
+        {diff.kind === 'table' && diff.columns.removed.length > 0 && <> · columns removed: {diff.columns.removed.join(', ')}</>}
+      </div>
+      {!hasChanges && <p className="body-small text-text-muted">These versions have the same content.</p>}
+      {diff.approximate && (
+        <p className="body-xs text-amber-700">Large change: changed {unit}s are shown as removed and added without matching them up.</p>
+      )}
+
+      {diff.hunks.map((hunk, hunkIndex) => (
+        <div key={hunkIndex} className="border border-gray-200 rounded-card overflow-x-auto">
+          {diff.kind === 'table' ? (
+            <table className="min-w-full body-xs font-mono">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-2 py-1 text-left text-text-muted">row</th>
+                  <th className="px-1 py-1"></th>
+                  {diff.headers.map(header => (
+                    <th key={header} className="px-2 py-1 text-left text-text-primary whitespace-nowrap">{header}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {hunk.lines.map((line, lineIndex) => (
+                  <tr key={lineIndex} className={DIFF_LINE_CLASSES[line.type]}>
+                    <td className="px-2 py-0.5 text-text-muted">{line.newRow ?? line.oldRow}</td>
+                    <td className="px-1 py-0.5">{DIFF_LINE_MARKERS[line.type]}</td>
+                    {line.values.map((value, valueIndex) => (
+                      <td key={valueIndex} className="px-2 py-0.5 whitespace-nowrap">{value === null ? '' : value}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <pre className="body-xs font-mono">
+              {hunk.lines.map((line, lineIndex) => (
+                <div key={lineIndex} className={`px-2 ${DIFF_LINE_CLASSES[line.type]}`}>
+                  <span className="inline-block w-10 text-right text-text-muted mr-2">{line.newLine ?? line.oldLine}</span>
+                  {DIFF_LINE_MARKERS[line.type]} {line.text}
+                </div>
+              ))}
+            </pre>
+          )}
+        </div>
+      ))}
+      {diff.truncated && <p className="body-xs text-text-muted">Only the first changes are shown.</p>}
+    </div>
+  );
+};
+
+const VersionHistory = ({ fileName, onClose, onVersionChanged }) => {
+  const [versions, setVersions] = useState([]);
+  const [canDiff, setCanDiff] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [busyVersion, setBusyVersion] = useState(null);
+  const [error, setError] = useState(null);
+  const [compare, setCompare] = useState({ from: null, to: null });
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+
+  const loadVersions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const authHeaders = await getAuthHeaders();
+      const response = await axios.get(`/api/files/${encodeURIComponent(fileName)}/versions`, {
+        headers: authHeaders,
+        timeout: 10000
+      });
+      const loaded = response.data.versions || [];
+      setVersions(loaded);
+      setCanDiff(!!response.data.canDiff);
+      // Compare the newest earlier version with the current one by default
+      setCompare({ from: loaded[1]?.version ?? null, to: loaded[0]?.version ?? null });
+      setDiff(null);
+    } catch (err) {
+      console.error('Failed to load file versions:', err);
+      setError(err.response?.data?.message || 'Failed to load the version history');
+    } finally {
+      setLoading(false);
+    }
+  }, [fileName]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const restoreVersion = async (version) => {
+    if (!window.confirm(`Restore version ${version} of ${fileName}? The current content is kept as a version.`)) return;
+    setBusyVersion(version);
+    setError(null);
+    try {
+      const authHeaders = await getAuthHeaders();
+      await axios.post(`/api/files/${encodeURIComponent(fileName)}/versions/${version}/restore`, {}, {
+        headers: authHeaders,
+        timeout: 30000
+      });
+      await loadVersions();
+      if (onVersionChanged) onVersionChanged();
+    } catch (err) {
+      console.error('Failed to restore file version:', err);
+      setError(err.response?.data?.message || `Failed to restore version ${version}`);
+    } finally {
+      setBusyVersion(null);
+    }
+  };
+
+  const deleteVersion = async (version) => {
+    if (!window.confirm(`Delete version ${version} of ${fileName}? This cannot be undone.`)) return;
+    setBusyVersion(version);
+    setError(null);
+    try {
+      const authHeaders = await getAuthHeaders();
+      await axios.delete(`/api/files/${encodeURIComponent(fileName)}/versions/${version}`, {
+        headers: authHeaders,
+        timeout: 10000
+      });
+      await loadVersions();
+      if (onVersionChanged) onVersionChanged();
+    } catch (err) {
+      console.error('Failed to delete file version:', err);
+      setError(err.response?.data?.message || `Failed to delete version ${version}`);
+    } finally {
+      setBusyVersion(null);
+    }
+  };
+
+  const compareVersions = async () => {
+    setDiffLoading(true);
+    setError(null);
+    try {
+      const authHeaders = await getAuthHeaders();
+      const response = await axios.get(`/api/files/${encodeURIComponent(fileName)}/versions/diff`, {
+        headers: authHeaders,
+        params: { from: compare.from, to: compare.to },
+        timeout: 30000
+      });
+      setDiff(response.data.diff);
+    } catch (err) {
+      console.error('Failed to compare file versions:', err);
+      setError(err.response?.data?.message || 'Failed to compare the versions');
+    } finally {
+      setDiffLoading(false);
+    }
+  };
+
+  const displayName = fileName.split('/').pop();
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black bg-opacity-25" onClick={onClose}>
+      <div
+        className="h-full w-full max-w-3xl bg-background-warm-white shadow-xl flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-start justify-between px-4 py-3 border-b border-gray-200">
+          <div className="min-w-0">
+            <div className="body-xs text-text-muted">Version history</div>
+            <div className="heading-5 text-text-primary truncate" title={fileName}>{displayName}</div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 rounded hover:bg-gray-100 text-gray-500 hover:text-gray-700"
+            title="Close"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 min-h-0 overflow-y-auto p-4 space-y-4">
+          {error && <p className="body-small text-red-700">{error}</p>}
+
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mr-3"></div>
+              <span className="body-normal text-text-secondary">Loading versions...</span>
+            </div>
+          ) : (
+            <>
+              {/* Versions, current first */}
+              <div className="space-y-2">
+                {versions.map(version => (
+                  <div key={version.version} className="flex items-center justify-between rounded-card border border-gray-200 px-3 py-2">
+                    <div className="min-w-0">
+                      <div className="body-small text-text-primary font-medium">
+                        Version {version.version}
+                        {version.current && <span className="ml-2 body-xs text-primary-700">current</span>}
+                        {version.status === 'rejected' && <span className="ml-2 body-xs text-red-700">rejected</span>}
+                      </div>
+                      <div className="body-xs text-text-muted">
+                        {new Date(version.uploadedAt).toLocaleString()} · {formatSize(version.size)}
+                        {version.restoredFrom && ` · restored from version ${version.restoredFrom}`}
+                      </div>
+                    </div>
+                    {!version.current && (
+                      <div className="flex items-center space-x-2 flex-shrink-0">
+                        <button
+                          onClick={() => restoreVersion(version.version)}
+                          disabled={busyVersion !== null}
+                          className="px-3 py-1 rounded-button body-xs font-medium border border-gray-300 hover:bg-gray-100 text-text-secondary disabled:opacity-50"
+                        >
+                          Restore
+                        </button>
+                        <button
+                          onClick={() => deleteVersion(version.version)}
+                          disabled={busyVersion !== null}
+                          className="px-3 py-1 rounded-button body-xs font-medium text-red-600 hover:bg-red-50 disabled:opacity-50"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+                {versions.length === 1 && (
+                  <p className="body-xs text-text-muted">Upload a file with the same name to keep this version and add a new one.</p>
+                )}
+              </div>
+
+              {/* Compare two versions */}
+              {canDiff && versions.length > 1 && (
+                <div className="space-y-3 border-t border-gray-200 pt-4">
+                  <div className="flex items-center flex-wrap gap-2 body-small text-text-secondary">
+                    <span>Compare version</span>
+                    <select
+                      value={compare.from ?? ''}
+                      onChange={(e) => setCompare(prev => ({ ...prev, from: Number(e.target.value) }))}
+                      className="border border-gray-300 rounded px-2 py-1 body-small"
+                    >
+                      {versions.map(version => <option key={version.version} value={version.version}>{version.version}</option>)}
+                    </select>
+                    <span>with version</span>
+                    <select
+                      value={compare.to ?? ''}
+                      onChange={(e) => setCompare(prev => ({ ...prev, to: Number(e.target.value) }))}
+                      className="border border-gray-300 rounded px-2 py-1 body-small"
+                    >
+                      {versions.map(version => <option key={version.version} value={version.version}>{version.version}</option>)}
+                    </select>
+                    <button
+                      onClick={compareVersions}
+                      disabled={diffLoading || compare.from === compare.to}
+                      className="px-3 py-1 rounded-button body-xs font-medium border border-gray-300 hover:bg-gray-100 text-text-secondary disabled:opacity-50"
+                    >
+                      {diffLoading ? 'Comparing...' : 'Compare'}
+                    </button>
+                  </div>
+                  {diff && <VersionDiff diff={diff} />}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VersionHistory;
@@ -1,6 +1,8 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import axios from 'axios';
 import { getAuthHeaders } from '../utils/auth';
+import useFileFormats from '../hooks/useFileFormats';
+import { startBlockUpload } from '../utils/blockUpload';
 
 const ProjectContext = createContext();
 
@@ -21,6 +23,7 @@ export const ProjectProvider = ({ children }) => {
   // Project files and conversations
   const [projectFiles, setProjectFiles] = useState([]);
   const [projectConversations, setProjectConversations] = useState([]);
+  const { getFormat } = useFileFormats();
   
   // Loading states
   const [projectsLoading, setProjectsLoading] = useState(false);
@@ -280,7 +283,7 @@ export const ProjectProvider = ({ children }) => {
     }
   };
 
-  const uploadFile = async (file, projectId) => {
+  const uploadFile = async (file, projectId, { onProgress } = {}) => {
     if (!projectId) {
       throw new Error('Project ID is required for file upload');
     }
@@ -288,45 +291,45 @@ export const ProjectProvider = ({ children }) => {
     try {
       const authHeaders = await getAuthHeaders();
       
-      // Try project-based upload first, fallback to regular upload
-      let sasResponse;
-      try {
-        sasResponse = await axios.post('/api/files/project-upload-sas', {
-          fileName: file.name,
-          contentType: file.type,
-          projectId: projectId
-        }, {
+      // Upload file to blob storage in blocks, continuing an interrupted upload of it
+      const { blobName } = await startBlockUpload(file, {
+        contentType: file.type || getFormat(file.name)?.mimeTypes?.[0] || 'text/csv',
+        authHeaders,
+        projectId,
+        onProgress
+      }).done;
+
+      // Have the backend check what landed (size, file signature, test parse); rejections throw
+      await axios.post(`/api/files/${encodeURIComponent(blobName)}/complete`, { sizeBytes: file.size }, {
+        headers: authHeaders,
+        timeout: 120000
+      });
+
+      // Expand archives into project files, keeping their folder paths
+      if (getFormat(file.name)?.archive) {
+        const expandResponse = await axios.post(`/api/files/${encodeURIComponent(blobName)}/expand`, {}, {
           headers: authHeaders,
-          timeout: 10000
+          timeout: 120000
         });
-      } catch (error) {
-        console.warn('Project upload endpoint not available, using regular upload');
-        // Fallback to regular file upload
-        sasResponse = await axios.post('/api/files/upload-sas', {
-          fileName: file.name,
-          contentType: file.type
-        }, {
-          headers: authHeaders,
-          timeout: 10000
+        expandResponse.data.rejected.forEach(entry => {
+          console.warn(`Not added from ${file.name}: ${entry.path} (${entry.reason})`);
         });
       }
 
-      if (!sasResponse.data.success) {
-        throw new Error(sasResponse.data.error || 'Failed to get upload token');
-      }
-
-      // Upload file to blob storage
-      const uploadResponse = await fetch(sasResponse.data.uploadUrl, {
-        method: 'PUT',
-        body: file,
-        headers: {
-          'Content-Type': file.type,
-          'x-ms-blob-type': 'BlockBlob'
+      // Extract attachments (emails) as project files of their own
+      if (getFormat(file.name)?.children) {
+        try {
+          const childrenResponse = await axios.post(`/api/files/${encodeURIComponent(blobName)}/children`, {}, {
+            headers: authHeaders,
+            timeout: 60000
+          });
+          childrenResponse.data.rejected.forEach(attachment => {
+            console.warn(`Attachment not added from ${file.name}: ${attachment.fileName} (${attachment.reason})`);
+          });
+        } catch (error) {
+          // The email itself is uploaded; only its attachments are missing
+          console.warn(`Could not extract attachments of ${file.name}:`, error.response?.data?.message || error.message);
         }
-      });
-
-      if (!uploadResponse.ok) {
-        throw new Error(`Upload failed: ${uploadResponse.statusText}`);
       }
 
       // Refresh project files
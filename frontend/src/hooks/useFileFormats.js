@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { getAuthHeaders } from '../utils/auth';
+
+// Used until the backend answers (and if it cannot be reached)
+const DEFAULT_FORMATS = [
+  { name: 'csv', label: 'CSV', description: 'Analyze structured data, perform calculations, filter records', extensions: ['.csv'], preview: 'table' },
+  { name: 'pdf', label: 'PDF', description: 'Extract and search text content from documents', extensions: ['.pdf'], preview: 'passages' },
+  { name: 'docx', label: 'DOCX', description: 'Analyze text, find information, summarize content', extensions: ['.docx'], preview: 'passages' },
+  { name: 'xlsx', label: 'XLSX', description: 'Process spreadsheet data from multiple sheets and tables', extensions: ['.xlsx'], preview: 'table' },
+  { name: 'pptx', label: 'PPTX', description: 'Summarize slide decks, find figures in tables, read speaker notes', extensions: ['.pptx'], preview: 'passages' },
+  { name: 'json', label: 'JSON', description: 'Query exported records as a table, or read nested documents as an outline', extensions: ['.json'], preview: 'table' },
+  { name: 'jsonl', label: 'JSONL', description: 'Query line-delimited JSON records as a table', extensions: ['.jsonl', '.ndjson'], preview: 'table' },
+  { name: 'txt', label: 'TXT', description: 'Analyze plain text content, extract information, answer questions', extensions: ['.txt', '.log'], preview: 'passages' },
+  { name: 'image', label: 'Image', description: 'Read scanned certificates, forms and photos of documents with OCR', extensions: ['.png', '.jpg', '.jpeg', '.tif', '.tiff'], preview: 'passages' },
+  { name: 'xml', label: 'XML', description: 'Query repeated elements as a table, or read nested documents as an outline', extensions: ['.xml'], preview: 'table' },
+  { name: 'eml', label: 'EML', description: 'Read emails and their attached files (each attachment becomes its own source)', extensions: ['.eml'], preview: 'passages', children: true },
+  { name: 'msg', label: 'MSG', description: 'Read Outlook emails and their attached files (each attachment becomes its own source)', extensions: ['.msg'], preview: 'passages', children: true },
+  { name: 'zip', label: 'ZIP', description: 'Upload many files at once (each supported file in the archive becomes its own source)', extensions: ['.zip'], preview: 'passages', archive: true }
+];
+const DEFAULT_MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+// Shared across components so the list is fetched once per page load
+let formatsRequest = null;
+
+const fetchFormats = () => {
+  if (!formatsRequest) {
+    formatsRequest = (async () => {
+      const authHeaders = await getAuthHeaders();
+      const response = await axios.get('/api/files/formats', {
+        headers: authHeaders,
+        timeout: 10000
+      });
+      return response.data;
+    })().catch(err => {
+      console.error('Failed to load supported file formats:', err);
+      formatsRequest = null; // Retry on the next mount
+      return null;
+    });
+  }
+  return formatsRequest;
+};
+
+/**
+ * Supported file formats from the backend processor registry
+ * @returns {Object} { formats, extensions, tabularExtensions, maxFileSize, getFormat }
+ */
+const useFileFormats = () => {
+  const [formats, setFormats] = useState(DEFAULT_FORMATS);
+  const [maxFileSize, setMaxFileSize] = useState(DEFAULT_MAX_FILE_SIZE);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchFormats().then(data => {
+      if (!cancelled && data?.success && Array.isArray(data.formats)) {
+        setFormats(data.formats);
+        if (data.maxFileSize) setMaxFileSize(data.maxFileSize);
+      }
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const extensions = formats.flatMap(format => format.extensions);
+  const tabularExtensions = formats
+    .filter(format => format.preview === 'table')
+    .flatMap(format => format.extensions);
+
+  // Format entry for a file name, or null when the type is unsupported
+  const getFormat = (fileName) => {
+    const extension = fileName.toLowerCase().substring(fileName.lastIndexOf('.'));
+    return formats.find(format => format.extensions.includes(extension)) || null;
+  };
+
+  return { formats, extensions, tabularExtensions, maxFileSize, getFormat };
+};
+
+export default useFileFormats;
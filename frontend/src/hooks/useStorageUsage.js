@@ -0,0 +1,35 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { getAuthHeaders } from '../utils/auth';
+
+/**
+ * Storage used against the user's limits, from GET /api/files/usage
+ * @param {string} refreshKey - Reloads the usage whenever it changes (e.g. after uploads and deletes)
+ * @returns {Object} { usage, refreshUsage } where usage is null until loaded (or when it cannot be loaded)
+ */
+const useStorageUsage = (refreshKey) => {
+  const [usage, setUsage] = useState(null);
+
+  const refreshUsage = useCallback(async () => {
+    try {
+      const authHeaders = await getAuthHeaders();
+      const response = await axios.get('/api/files/usage', {
+        headers: authHeaders,
+        timeout: 10000
+      });
+      if (response.data?.success) {
+        setUsage(response.data);
+      }
+    } catch (err) {
+      console.error('Failed to load storage usage:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshUsage();
+  }, [refreshKey, refreshUsage]);
+
+  return { usage, refreshUsage };
+};
+
+export default useStorageUsage;
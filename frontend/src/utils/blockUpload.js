@@ -0,0 +1,250 @@
+/**
+ * Resumable block uploads
+ * Files are sent to blob storage as the numbered blocks the backend plans, several at a time and
+ * with retries. Unfinished uploads are remembered in localStorage, so selecting the same file again
+ * (even after a page reload) only sends the blocks that are still missing.
+ */
+
+export const BLOCK_UPLOAD_CONFIG = {
+  PARALLEL_BLOCKS: 4,          // Blocks sent at the same time per file
+  MAX_RETRIES: 4,              // Retries per block before the upload fails
+  RETRY_DELAY_MS: 1000,        // Delay before the first retry, doubled after each attempt
+  STORAGE_KEY: 'blockUploads', // localStorage key of unfinished uploads
+  SESSION_MAX_AGE_MS: 7 * 24 * 60 * 60 * 1000 // Blob storage discards staged blocks after 7 days
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The same file selected again is recognised by its name, size and modification time
+const sessionKey = (file, projectId) => `${projectId || ''}:${file.name}:${file.size}:${file.lastModified}`;
+
+function readSessions() {
+  try {
+    const sessions = JSON.parse(localStorage.getItem(BLOCK_UPLOAD_CONFIG.STORAGE_KEY)) || {};
+    const cutoff = Date.now() - BLOCK_UPLOAD_CONFIG.SESSION_MAX_AGE_MS;
+    return Object.fromEntries(Object.entries(sessions).filter(([, session]) => session.startedAt > cutoff));
+  } catch (error) {
+    return {};
+  }
+}
+
+function writeSessions(sessions) {
+  try {
+    localStorage.setItem(BLOCK_UPLOAD_CONFIG.STORAGE_KEY, JSON.stringify(sessions));
+  } catch (error) {
+    // Storage full or disabled: the upload still works, it just cannot be resumed after a reload
+  }
+}
+
+function saveSession(key, session) {
+  writeSessions({ ...readSessions(), [key]: session });
+}
+
+function removeSession(key) {
+  const sessions = readSessions();
+  delete sessions[key];
+  writeSessions(sessions);
+}
+
+/**
+ * List uploads that were interrupted (page closed or reloaded, or failed) and can be resumed
+ * @param {string|null} projectId - Project the uploads went to (null for the user's own files)
+ * @returns {Array<Object>} Uploads of { fileName, sizeBytes, uploadedBytes, startedAt }
+ */
+export function listInterruptedUploads(projectId = null) {
+  return Object.values(readSessions())
+    .filter(session => (session.projectId || null) === projectId)
+    .map(({ fileName, sizeBytes, uploadedBytes, startedAt }) => ({ fileName, sizeBytes, uploadedBytes, startedAt }));
+}
+
+/**
+ * Forget an interrupted upload (its staged blocks are discarded by blob storage)
+ * @param {string} fileName - Name of the file
+ * @param {string|null} projectId - Project the upload went to (null for the user's own files)
+ */
+export function discardInterruptedUpload(fileName, projectId = null) {
+  const sessions = readSessions();
+  Object.keys(sessions)
+    .filter(key => sessions[key].fileName === fileName && (sessions[key].projectId || null) === projectId)
+    .forEach(key => delete sessions[key]);
+  writeSessions(sessions);
+}
+
+async function readJson(response) {
+  try {
+    return await response.json();
+  } catch (error) {
+    return { success: false, error: response.statusText };
+  }
+}
+
+/**
+ * Upload a file in blocks, resuming an earlier upload of the same file when there is one
+ * @param {File} file - File to upload
+ * @param {Object} options - Upload options
+ * @param {string} options.contentType - MIME type of the file
+ * @param {Object} options.authHeaders - Headers for API calls (from getAuthHeaders)
+ * @param {string|null} options.projectId - Project to upload to (null for the user's own files)
+ * @param {boolean} options.replace - Upload a new version of an existing file with the same name
+ * @param {Function} options.onProgress - Called with (uploadedBytes, totalBytes) as blocks finish
+ * @returns {Object} Upload controller of { done: Promise<{ blobName, completeUrl }>, pause(), resume(), isPaused() }
+ */
+export function startBlockUpload(file, { contentType, authHeaders, projectId = null, replace = false, onProgress = () => {} }) {
+  const key = sessionKey(file, projectId);
+  let paused = false;
+  let abortController = new AbortController();
+  const resumeWaiters = [];
+
+  const waitWhilePaused = () => (paused ? new Promise(resolve => resumeWaiters.push(resolve)) : Promise.resolve());
+
+  // Continue the upload recorded for this file, when the backend still has it (the backend keeps
+  // what the upload was started for)
+  const resumeSession = async (session) => {
+    const response = await fetch(`/api/files/uploads/${session.uploadId}`, { headers: authHeaders });
+    const data = await readJson(response);
+    if (!data.success) {
+      console.warn(`Could not resume the upload of ${file.name}, starting again:`, data.message || data.error);
+      removeSession(key);
+      return null;
+    }
+    return data;
+  };
+
+  const startSession = async () => {
+    const response = await fetch('/api/files/uploads', {
+      method: 'POST',
+      headers: authHeaders,
+      body: JSON.stringify({
+        fileName: file.name,
+        contentType,
+        sizeBytes: file.size,
+        ...(projectId ? { projectId } : {}),
+        ...(replace ? { replace: true } : {})
+      })
+    });
+    const data = await readJson(response);
+    if (!data.success) {
+      throw new Error(`Failed to start the upload of ${file.name}: ${data.message || data.error || 'Unknown error'}`);
+    }
+    saveSession(key, {
+      uploadId: data.uploadId,
+      blobName: data.blobName,
+      fileName: file.name,
+      sizeBytes: file.size,
+      projectId,
+      replace,
+      uploadedBytes: 0,
+      startedAt: Date.now()
+    });
+    return { ...data, uploadedBytes: 0 };
+  };
+
+  const run = async () => {
+    const session = readSessions()[key];
+    const upload = (session && await resumeSession(session)) || await startSession();
+
+    let uploadUrl = upload.uploadUrl;
+    let refreshing = null;
+    // The upload URL expires; blocks rejected with 403 wait for one fresh URL
+    const refreshUploadUrl = () => {
+      if (!refreshing) {
+        refreshing = resumeSession(readSessions()[key] || upload)
+          .then(data => { if (data) uploadUrl = data.uploadUrl; })
+          .finally(() => { refreshing = null; });
+      }
+      return refreshing;
+    };
+
+    const putBlock = async (block) => {
+      for (let attempt = 0; ; attempt++) {
+        let failure;
+        await waitWhilePaused();
+        try {
+          const response = await fetch(`${uploadUrl}&comp=block&blockid=${encodeURIComponent(block.id)}`, {
+            method: 'PUT',
+            body: file.slice(block.offset, block.offset + block.size),
+            signal: abortController.signal
+          });
+          if (response.ok) {
+            return;
+          }
+          failure = new Error(`Upload failed for ${file.name}: ${response.statusText || response.status}`);
+          if (response.status === 403) {
+            await refreshUploadUrl();
+          }
+        } catch (error) {
+          if (error.name === 'AbortError') {
+            throw error;
+          }
+          failure = error;
+        }
+        if (attempt >= BLOCK_UPLOAD_CONFIG.MAX_RETRIES) {
+          throw failure;
+        }
+        await delay(BLOCK_UPLOAD_CONFIG.RETRY_DELAY_MS * 2 ** attempt);
+      }
+    };
+
+    const queue = upload.blocks.filter(block => !block.uploaded);
+    let uploadedBytes = upload.uploadedBytes;
+    let failed = false;
+    onProgress(uploadedBytes, file.size);
+
+    const worker = async () => {
+      while (queue.length > 0 && !failed) {
+        await waitWhilePaused();
+        const block = queue.shift();
+        if (!block) {
+          return;
+        }
+        try {
+          await putBlock(block);
+        } catch (error) {
+          if (error.name === 'AbortError' && !failed) {
+            queue.unshift(block); // Paused mid-block: send it again on resume
+            continue;
+          }
+          failed = true;
+          abortController.abort();
+          throw error;
+        }
+        uploadedBytes += block.size;
+        onProgress(uploadedBytes, file.size);
+        saveSession(key, { ...readSessions()[key], uploadedBytes });
+      }
+    };
+    const workers = Array.from({ length: Math.min(BLOCK_UPLOAD_CONFIG.PARALLEL_BLOCKS, queue.length) }, worker);
+    await Promise.all(workers);
+
+    const commitResponse = await fetch(upload.commitUrl, {
+      method: 'POST',
+      headers: authHeaders,
+      body: JSON.stringify({ blobName: upload.blobName, sizeBytes: file.size })
+    });
+    const commitData = await readJson(commitResponse);
+    if (!commitData.success) {
+      throw new Error(`Failed to finish the upload of ${file.name}: ${commitData.message || commitData.error || 'Unknown error'}`);
+    }
+
+    removeSession(key);
+    return { blobName: upload.blobName, completeUrl: commitData.completeUrl };
+  };
+
+  return {
+    done: run(),
+    pause() {
+      if (!paused) {
+        paused = true;
+        abortController.abort();
+      }
+    },
+    resume() {
+      if (paused) {
+        paused = false;
+        abortController = new AbortController();
+        resumeWaiters.splice(0).forEach(resolve => resolve());
+      }
+    },
+    isPaused: () => paused
+  };
+}
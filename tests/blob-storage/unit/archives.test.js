@@ -0,0 +1,169 @@
+/**
+ * Unit Tests for Archive Expansion
+ * Tests entry path checks, the reserved projects folder and size limits on ZIP archives built in memory
+ */
+
+// Blob contents by name; expanded files are collected instead of uploaded
+const mockBlobs = new Map();
+
+jest.mock('../../../backend/services/storage', () => ({
+  ...jest.requireActual('../../../backend/services/storage'),
+  getBlobContent: jest.fn(async (userId, blobName) => mockBlobs.get(blobName)),
+  uploadBlob: jest.fn(async (userId, blobName, content) => ({ name: blobName, size: content.length })),
+  deleteBlob: jest.fn(async () => {})
+}));
+
+const JSZip = require('../../../backend/node_modules/jszip');
+const storage = require('../../../backend/services/storage');
+const { expandArchive, ARCHIVE_CONFIG } = require('../../../backend/services/archives');
+const { zipEntries, ZIP_CONFIG } = require('../../../backend/processZip');
+
+const LIMITS = {
+  checkFileName: (fileName) => (fileName.length > 50 ? 'File name too long' : null),
+  maxFileSize: 1024,
+  maxFiles: 100,
+  maxStorageBytes: 1024 * 1024,
+  usedBytes: 0
+};
+
+// A ZIP archive with one text file per path
+async function buildZip(paths, content = 'hello\n') {
+  const zip = new JSZip();
+  paths.forEach(path => zip.file(path, content));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// Overwrite the uncompressed size every header of an archive declares, as a forged archive would
+function forgeDeclaredSizes(buffer, size) {
+  const forged = Buffer.from(buffer);
+  for (let offset = 0; offset < forged.length - 4; offset++) {
+    const signature = forged.readUInt32LE(offset);
+    if (signature === 0x04034b50) {
+      forged.writeUInt32LE(size, offset + 22); // Local file header
+    } else if (signature === 0x02014b50) {
+      forged.writeUInt32LE(size, offset + 24); // Central directory header
+    }
+  }
+  return forged;
+}
+
+// Expand an archive stored as archiveName and return the paths created and rejected
+async function expand(archiveName, buffer, limits = LIMITS) {
+  mockBlobs.set(archiveName, buffer);
+  const result = await expandArchive('u1', { name: archiveName, size: buffer.length }, [], limits);
+  return {
+    created: result.created.map(file => file.name),
+    rejected: Object.fromEntries(result.rejected.map(({ path, reason }) => [path, reason])),
+    archiveDeleted: result.archiveDeleted
+  };
+}
+
+describe('Archive Unit Tests', () => {
+
+  beforeEach(() => {
+    mockBlobs.clear();
+    jest.clearAllMocks();
+  });
+
+  describe('Entry Paths', () => {
+
+    test('should keep folder paths next to the archive', async () => {
+      const result = await expand('uploads/logs.zip', await buildZip(['jan/app.log', './feb/app.log', 'readme.txt']));
+
+      expect(result.created).toEqual(['uploads/jan/app.log', 'uploads/feb/app.log', 'uploads/readme.txt']);
+      expect(result.archiveDeleted).toBe(true);
+      expect(storage.deleteBlob).toHaveBeenCalledWith('u1', 'uploads/logs.zip');
+    });
+
+    test('should reject paths that point outside the archive', async () => {
+      // JSZip resolves '../' in entry names itself; Windows separators reach the path check as they are
+      const result = await expand('logs.zip', await buildZip(['..\\escape.txt', 'jan\\..\\..\\escape.txt', 'win\\ok.txt']));
+
+      expect(result.created).toEqual(['win/ok.txt']);
+      expect(result.rejected).toEqual({
+        '..\\escape.txt': 'path points outside the archive',
+        'jan\\..\\..\\escape.txt': 'path points outside the archive'
+      });
+    });
+
+    test('should reject folders nested too deep and invalid folder names', async () => {
+      const tooDeep = `${Array(ARCHIVE_CONFIG.MAX_FOLDER_DEPTH + 1).fill('d').join('/')}/deep.txt`;
+      const deepest = `${Array(ARCHIVE_CONFIG.MAX_FOLDER_DEPTH).fill('d').join('/')}/ok.txt`;
+
+      const result = await expand('logs.zip', await buildZip([tooDeep, deepest, '.hidden/x.txt']));
+
+      expect(result.created).toEqual([deepest]);
+      expect(result.rejected).toEqual({
+        [tooDeep]: `folders nested more than ${ARCHIVE_CONFIG.MAX_FOLDER_DEPTH} levels deep`,
+        '.hidden/x.txt': 'invalid folder name ".hidden"'
+      });
+    });
+
+    test('should reserve the projects folder outside projects', async () => {
+      const outside = await expand('logs.zip', await buildZip(['projects/p2/x.txt']));
+      const inside = await expand('projects/p1/logs.zip', await buildZip(['projects/x.txt']));
+
+      expect(outside.rejected).toEqual({ 'projects/p2/x.txt': 'the "projects" folder name is reserved' });
+      expect(outside.archiveDeleted).toBe(false);
+      expect(inside.created).toEqual(['projects/p1/projects/x.txt']);
+    });
+
+    test('should reject nested archives, unsupported types and names the upload rules refuse', async () => {
+      const result = await expand('logs.zip', await buildZip(['inner.zip', 'tool.exe', `${'n'.repeat(60)}.txt`]));
+
+      expect(result.rejected).toEqual({
+        'inner.zip': 'archives inside archives are not expanded',
+        'tool.exe': 'unsupported file type (.exe)',
+        [`${'n'.repeat(60)}.txt`]: 'File name too long'
+      });
+    });
+
+  });
+
+  describe('Size Limits', () => {
+
+    test('should reject entries that declare more than the file size limit', async () => {
+      const result = await expand('logs.zip', await buildZip(['big.txt'], 'x'.repeat(2048)));
+
+      expect(result.rejected).toEqual({ 'big.txt': 'larger than the 0MB file limit' });
+    });
+
+    test('should stop decompressing an entry that grows past its declared size', async () => {
+      const bomb = forgeDeclaredSizes(await buildZip(['bomb.txt'], 'x'.repeat(64 * 1024)), 10);
+      const [entry] = await zipEntries(bomb);
+
+      expect(entry.size).toBe(10);
+      await expect(entry.read(1024)).rejects.toThrow('expands to more than');
+
+      const result = await expand('bomb.zip', bomb);
+      expect(result.created).toEqual([]);
+      expect(result.rejected['bomb.txt']).toMatch(/^could not be read: expands to more than/);
+      expect(storage.uploadBlob).not.toHaveBeenCalled();
+    });
+
+    test('should reject archives with too many files or too many expanded bytes', async () => {
+      const maxEntries = ZIP_CONFIG.MAX_ENTRIES;
+      const maxExpandedBytes = ZIP_CONFIG.MAX_EXPANDED_BYTES;
+      ZIP_CONFIG.MAX_ENTRIES = 2;
+      ZIP_CONFIG.MAX_EXPANDED_BYTES = 10;
+      try {
+        await expect(zipEntries(await buildZip(['a.txt', 'b.txt', 'c.txt']))).rejects.toThrow('Archive has 3 files (maximum 2)');
+        await expect(zipEntries(await buildZip(['a.txt'], 'x'.repeat(100)))).rejects.toThrow('Archive expands to 0MB (maximum 0MB)');
+      } finally {
+        ZIP_CONFIG.MAX_ENTRIES = maxEntries;
+        ZIP_CONFIG.MAX_EXPANDED_BYTES = maxExpandedBytes;
+      }
+    });
+
+    test('should keep entries within the storage quota', async () => {
+      // The archive's own bytes are freed by the expansion, leaving 1000 bytes for its files
+      const archive = await buildZip(['a.txt', 'b.txt'], 'x'.repeat(600));
+      const result = await expand('logs.zip', archive, { ...LIMITS, usedBytes: archive.length, maxStorageBytes: 1000 });
+
+      expect(result.created).toEqual(['a.txt']);
+      expect(result.rejected).toEqual({ 'b.txt': 'storage quota exceeded' });
+    });
+
+  });
+
+});
@@ -0,0 +1,304 @@
+/**
+ * Unit Tests for Block Uploads
+ * Tests block plans, progress from staged blocks, commit checks and the lifetime of upload plans
+ */
+
+// Staged blocks by blob name (block ID -> size), committed block lists and sidecars, all in memory
+const mockStaged = new Map();
+const mockCommitted = new Map();
+const mockSidecars = new Map();
+
+jest.mock('../../../backend/services/storage', () => {
+  const actual = jest.requireActual('../../../backend/services/storage');
+  const { getSidecarBlobName } = actual;
+  return {
+    ...actual,
+    listUserFiles: jest.fn(async () => []),
+    sumBytes: jest.fn(async () => 0),
+    sasForUpload: jest.fn(async (userId, blobName) => `https://storage.test/${blobName}?sas`),
+    listUncommittedBlocks: jest.fn(async (userId, blobName) =>
+      [...(mockStaged.get(blobName) || new Map())].map(([id, size]) => ({ id, size }))),
+    listCommittedBlockIds: jest.fn(async (userId, blobName) => mockCommitted.get(blobName) || []),
+    commitBlocks: jest.fn(async (userId, blobName, blockIds) => {
+      mockCommitted.set(blobName, blockIds);
+      mockStaged.delete(blobName);
+      return '"0x1"';
+    }),
+    readSidecar: jest.fn(async (userId, blobName, kind) => mockSidecars.get(`${userId}:${getSidecarBlobName(blobName, kind)}`) || null),
+    writeSidecar: jest.fn(async (userId, blobName, kind, data) => {
+      mockSidecars.set(`${userId}:${getSidecarBlobName(blobName, kind)}`, data);
+    }),
+    deleteBlob: jest.fn(async (userId, blobName) => {
+      mockSidecars.delete(`${userId}:${blobName}`);
+    })
+  };
+});
+
+// Routers are mounted on the backend's own Express
+const express = require('../../../backend/node_modules/express');
+const request = require('supertest');
+const storage = require('../../../backend/services/storage');
+const cosmosService = require('../../../backend/services/cosmos');
+
+// The files router starts its rate-limit cleanup timer when loaded; it is stopped after the tests
+const setIntervalSpy = jest.spyOn(global, 'setInterval');
+const filesRouter = require('../../../backend/routes/files');
+const cleanupTimers = setIntervalSpy.mock.results.map(result => result.value);
+setIntervalSpy.mockRestore();
+
+const {
+  createUploadId,
+  isValidUploadId,
+  saveUploadPlan,
+  readUploadPlan,
+  planBlocks,
+  getUploadProgress,
+  commitUpload,
+  BLOCK_UPLOAD_CONFIG
+} = require('../../../backend/services/blockUploads');
+
+const UPLOAD_ID = '0123456789abcdef';
+const BLOCK_SIZE = BLOCK_UPLOAD_CONFIG.BLOCK_SIZE;
+
+// Stage blocks of a blob as { id: size }
+function stage(blobName, blocks) {
+  mockStaged.set(blobName, new Map(blocks.map(block => [block.id, block.size])));
+}
+
+describe('Block Upload Unit Tests', () => {
+
+  beforeEach(() => {
+    mockStaged.clear();
+    mockCommitted.clear();
+    mockSidecars.clear();
+    jest.clearAllMocks();
+  });
+
+  describe('Block Plans', () => {
+
+    test('should split a file into fixed-size blocks with a shorter last block', () => {
+      const blocks = planBlocks(UPLOAD_ID, 2 * BLOCK_SIZE + 10);
+
+      expect(blocks.map(block => [block.index, block.offset, block.size])).toEqual([
+        [0, 0, BLOCK_SIZE],
+        [1, BLOCK_SIZE, BLOCK_SIZE],
+        [2, 2 * BLOCK_SIZE, 10]
+      ]);
+      expect(Buffer.from(blocks[2].id, 'base64').toString()).toBe(`${UPLOAD_ID}-000002`);
+      expect(new Set(blocks.map(block => block.id.length)).size).toBe(1);
+    });
+
+    test('should plan one block for an empty file', () => {
+      expect(planBlocks(UPLOAD_ID, 0)).toEqual([{ index: 0, id: expect.any(String), offset: 0, size: 0 }]);
+    });
+
+    test('should accept only upload IDs of the generated form', () => {
+      expect(isValidUploadId(createUploadId())).toBe(true);
+      expect(isValidUploadId('../../a.csv')).toBe(false);
+      expect(isValidUploadId(undefined)).toBe(false);
+    });
+
+  });
+
+  describe('Progress', () => {
+
+    test('should mark the planned blocks that are staged with their planned size', async () => {
+      const blocks = planBlocks(UPLOAD_ID, BLOCK_SIZE + 100);
+      stage('a.csv', [blocks[1]]);
+
+      const progress = await getUploadProgress('u1', 'a.csv', UPLOAD_ID, BLOCK_SIZE + 100);
+
+      expect(progress.blocks.map(block => block.uploaded)).toEqual([false, true]);
+      expect(progress.uploadedBytes).toBe(100);
+      expect(progress.committed).toBe(false);
+    });
+
+    test('should not count a staged block whose size differs from the plan', async () => {
+      const [block] = planBlocks(UPLOAD_ID, 100);
+      stage('a.csv', [{ id: block.id, size: 99 }]);
+
+      const progress = await getUploadProgress('u1', 'a.csv', UPLOAD_ID, 100);
+
+      expect(progress.blocks[0].uploaded).toBe(false);
+      expect(progress.uploadedBytes).toBe(0);
+    });
+
+    test('should report a committed upload', async () => {
+      const blocks = planBlocks(UPLOAD_ID, 100);
+      mockCommitted.set('a.csv', blocks.map(block => block.id));
+
+      expect((await getUploadProgress('u1', 'a.csv', UPLOAD_ID, 100)).committed).toBe(true);
+    });
+
+  });
+
+  describe('Commits', () => {
+
+    test('should commit every planned block in file order', async () => {
+      const blocks = planBlocks(UPLOAD_ID, 2 * BLOCK_SIZE);
+      stage('a.csv', [...blocks].reverse());
+      const beforeCommit = jest.fn(async () => ({ version: '2' }));
+
+      const result = await commitUpload('u1', 'a.csv', UPLOAD_ID, 2 * BLOCK_SIZE, 'text/csv', { beforeCommit });
+
+      expect(result).toEqual({ committed: true, missingBlocks: [], etag: '"0x1"' });
+      expect(beforeCommit).toHaveBeenCalledTimes(1);
+      expect(storage.commitBlocks).toHaveBeenCalledWith('u1', 'a.csv', blocks.map(block => block.id), 'text/csv', { version: '2' });
+    });
+
+    test('should not commit blocks staged for another upload', async () => {
+      stage('a.csv', planBlocks('fedcba9876543210', 100));
+      const beforeCommit = jest.fn();
+
+      const result = await commitUpload('u1', 'a.csv', UPLOAD_ID, 100, 'text/csv', { beforeCommit });
+
+      expect(result).toEqual({ committed: false, missingBlocks: [0] });
+      expect(beforeCommit).not.toHaveBeenCalled();
+      expect(storage.commitBlocks).not.toHaveBeenCalled();
+    });
+
+    test('should not commit when the file size differs from the staged blocks', async () => {
+      stage('a.csv', planBlocks(UPLOAD_ID, 2 * BLOCK_SIZE));
+
+      // A larger size plans a third block; a smaller one a shorter second block
+      expect(await commitUpload('u1', 'a.csv', UPLOAD_ID, 2 * BLOCK_SIZE + 1, 'text/csv'))
+        .toEqual({ committed: false, missingBlocks: [2] });
+      expect(await commitUpload('u1', 'a.csv', UPLOAD_ID, 2 * BLOCK_SIZE - 1, 'text/csv'))
+        .toEqual({ committed: false, missingBlocks: [1] });
+      expect(storage.commitBlocks).not.toHaveBeenCalled();
+    });
+
+  });
+
+  describe('Upload Plans', () => {
+
+    const plan = { blobName: 'a.csv', fileName: 'a.csv', contentType: 'text/csv', sizeBytes: 16, replace: false };
+
+    test('should read back the plan of the user\'s own upload', async () => {
+      await saveUploadPlan('u1', UPLOAD_ID, plan);
+
+      expect(await readUploadPlan('u1', UPLOAD_ID)).toEqual({ ...plan, startedAt: expect.any(String) });
+      expect(await readUploadPlan('u2', UPLOAD_ID)).toBeNull();
+      expect(await readUploadPlan('u1', 'not-an-id')).toBeNull();
+    });
+
+    test('should forget a plan once it is older than staged blocks are kept', async () => {
+      await saveUploadPlan('u1', UPLOAD_ID, plan);
+      const now = Date.now();
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(now + BLOCK_UPLOAD_CONFIG.PLAN_MAX_AGE_MS + 1000);
+      try {
+        expect(await readUploadPlan('u1', UPLOAD_ID)).toBeNull();
+        expect(storage.deleteBlob).toHaveBeenCalledWith('u1', storage.getSidecarBlobName(BLOCK_UPLOAD_CONFIG.PLAN_FOLDER, UPLOAD_ID));
+      } finally {
+        spy.mockRestore();
+      }
+
+      // Resuming afterwards finds no plan either
+      expect(await readUploadPlan('u1', UPLOAD_ID)).toBeNull();
+    });
+
+  });
+
+  describe('Upload Routes', () => {
+
+    const user = global.testUsers.user1;
+    const content = Buffer.from('id,name\n1,x\n2,y\n');
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/files', filesRouter);
+    });
+
+    afterAll(() => {
+      cleanupTimers.forEach(timer => clearInterval(timer));
+    });
+
+    beforeEach(() => {
+      jest.spyOn(cosmosService, 'getUserLimits').mockResolvedValue(null);
+    });
+
+    // Start an upload of a.csv and return its upload ID
+    async function startUpload() {
+      const response = await request(app).post('/api/files/uploads').set(global.mockAuthHeaders.user1)
+        .send({ fileName: 'a.csv', contentType: 'text/csv', sizeBytes: content.length });
+      expect(response.status).toBe(200);
+      return response.body.uploadId;
+    }
+
+    test('should resume from the stored plan and report the staged bytes', async () => {
+      const uploadId = await startUpload();
+      stage('a.csv', planBlocks(uploadId, content.length));
+
+      const response = await request(app).get(`/api/files/uploads/${uploadId}`).set(global.mockAuthHeaders.user1);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ blobName: 'a.csv', sizeBytes: content.length, uploadedBytes: content.length });
+    });
+
+    test('should refuse to commit a different file or size than the upload was started for', async () => {
+      const uploadId = await startUpload();
+      stage('a.csv', planBlocks(uploadId, content.length));
+
+      for (const body of [{ sizeBytes: 999 }, { blobName: 'b.csv' }]) {
+        const response = await request(app).post(`/api/files/uploads/${uploadId}/commit`).set(global.mockAuthHeaders.user1).send(body);
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe(`This upload was started for 'a.csv' (${content.length} bytes)`);
+      }
+      expect(storage.commitBlocks).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to commit until every planned block is staged', async () => {
+      const uploadId = await startUpload();
+      stage('a.csv', planBlocks('fedcba9876543210', content.length));
+
+      const response = await request(app).post(`/api/files/uploads/${uploadId}/commit`).set(global.mockAuthHeaders.user1).send({});
+
+      expect(response.status).toBe(409);
+      expect(response.body.missingBlocks).toEqual([0]);
+    });
+
+    test('should commit once, then forget the upload', async () => {
+      const uploadId = await startUpload();
+      stage('a.csv', planBlocks(uploadId, content.length));
+
+      const committed = await request(app).post(`/api/files/uploads/${uploadId}/commit`).set(global.mockAuthHeaders.user1).send({});
+      const resumed = await request(app).get(`/api/files/uploads/${uploadId}`).set(global.mockAuthHeaders.user1);
+
+      expect(committed.status).toBe(200);
+      expect(committed.body.completeUrl).toBe('/api/files/a.csv/complete');
+      expect(resumed.status).toBe(404);
+    });
+
+    test('should not find another user\'s upload', async () => {
+      const uploadId = await startUpload();
+
+      const response = await request(app).get(`/api/files/uploads/${uploadId}`).set(global.mockAuthHeaders.user2);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Upload not found');
+    });
+
+    test('should not resume or commit an upload whose plan has expired', async () => {
+      const uploadId = await startUpload();
+      stage('a.csv', planBlocks(uploadId, content.length));
+      const now = Date.now();
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(now + BLOCK_UPLOAD_CONFIG.PLAN_MAX_AGE_MS + 1000);
+      try {
+        const resumed = await request(app).get(`/api/files/uploads/${uploadId}`).set(global.mockAuthHeaders.user1);
+        const committed = await request(app).post(`/api/files/uploads/${uploadId}/commit`).set(global.mockAuthHeaders.user1).send({});
+
+        expect(resumed.status).toBe(404);
+        expect(resumed.body.message).toBe('This upload does not exist or has expired. Start the upload again.');
+        expect(committed.status).toBe(404);
+        expect(storage.commitBlocks).not.toHaveBeenCalled();
+        expect(mockSidecars.has(`${user.id}:${storage.getSidecarBlobName(BLOCK_UPLOAD_CONFIG.PLAN_FOLDER, uploadId)}`)).toBe(false);
+      } finally {
+        spy.mockRestore();
+      }
+    });
+
+  });
+
+});
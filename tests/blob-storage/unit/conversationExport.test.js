@@ -0,0 +1,89 @@
+/**
+ * Unit Tests for Conversation Export
+ * Tests CSV transcripts, including cells that spreadsheet apps would run as formulas
+ */
+
+const { exportConversation } = require('../../../backend/services/conversationExport');
+
+// Minimal stored conversation with one cited answer
+function buildConversation(overrides = {}) {
+  return {
+    id: 'c1',
+    title: 'Pump review',
+    fileNames: ['projects/p1/pumps.csv'],
+    messages: [
+      { role: 'user', content: 'Which pump failed?', timestamp: '2025-03-14T09:30:00.000Z' },
+      {
+        role: 'assistant',
+        content: 'Pump 7 failed [1].',
+        timestamp: '2025-03-14T09:30:05.000Z',
+        citations: [{ number: 1, fileName: 'projects/p1/pumps.csv', location: { rowStart: 8, rowEnd: 8 }, snippet: '7,failed' }]
+      }
+    ],
+    ...overrides
+  };
+}
+
+// Parse the single-line records that the transcripts under test produce
+function readCells(csv) {
+  return csv.trim().split('\n').map(line => line.match(/("([^"]|"")*"|[^,]*)(,|$)/g)
+    .filter(cell => cell !== '')
+    .map(cell => cell.replace(/,$/, '').replace(/^"(.*)"$/, '$1').replace(/""/g, '"')));
+}
+
+describe('Conversation Export Unit Tests', () => {
+
+  describe('CSV Transcripts', () => {
+
+    test('should write one row per message with its resolved citations', async () => {
+      const { content, contentType, fileName } = await exportConversation(buildConversation(), 'csv');
+      const rows = readCells(content);
+
+      expect(contentType).toBe('text/csv; charset=utf-8');
+      expect(fileName).toBe('Pump_review.csv');
+      expect(rows[0]).toEqual(['conversation', 'files', 'timestamp', 'role', 'content', 'sources']);
+      expect(rows[2]).toEqual(['Pump review', 'pumps.csv', '2025-03-14T09:30:05.000Z', 'assistant', 'Pump 7 failed [1].', '[1] pumps.csv, row 8 - "7,failed"']);
+    });
+
+    test('should prefix cells that start like a formula with an apostrophe', async () => {
+      const conversation = buildConversation({
+        title: '@SUM(A1)',
+        messages: [
+          { role: 'user', content: '=HYPERLINK("http://example.com","x")' },
+          { role: 'assistant', content: '+1 from the file' },
+          { role: 'assistant', content: '-2+3' },
+          { role: 'assistant', content: '\tindented' },
+          { role: 'assistant', content: 'a = b is fine' }
+        ]
+      });
+
+      const rows = readCells((await exportConversation(conversation, 'csv')).content);
+
+      expect(rows.slice(1).map(row => row[0])).toEqual(Array(5).fill("'@SUM(A1)"));
+      expect(rows.slice(1).map(row => row[4])).toEqual([
+        '\'=HYPERLINK("http://example.com","x")',
+        "'+1 from the file",
+        "'-2+3",
+        "'\tindented",
+        'a = b is fine'
+      ]);
+    });
+
+  });
+
+  describe('Other Formats', () => {
+
+    test('should keep message text unchanged outside CSV', async () => {
+      const conversation = buildConversation({ messages: [{ role: 'user', content: '=1+1' }] });
+      const { content } = await exportConversation(conversation, 'json');
+
+      expect(JSON.parse(content).messages[0].content).toBe('=1+1');
+    });
+
+    test('should reject unknown formats', async () => {
+      await expect(exportConversation(buildConversation(), 'xls')).rejects.toThrow('Unsupported export format: xls');
+    });
+
+  });
+
+});
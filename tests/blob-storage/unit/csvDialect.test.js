@@ -0,0 +1,100 @@
+/**
+ * Unit Tests for CSV Dialect Detection
+ * Tests delimiter, quote and header detection, record splitting and dialect overrides
+ */
+
+const {
+  detectDialect,
+  normalizeDialectOverride,
+  describeDialect,
+  splitRecords
+} = require('../../../backend/services/csvDialect');
+
+describe('CSV Dialect Unit Tests', () => {
+
+  describe('Delimiter Detection', () => {
+
+    test('should detect semicolons in European Excel exports', () => {
+      const dialect = detectDialect('name;amount;city\nAnna;1,5;Köln\nBen;2,75;Bonn\n');
+
+      expect(dialect.delimiter).toBe(';');
+      expect(dialect.delimiterName).toBe('semicolon');
+      expect(dialect.detected.delimiter).toBe(true);
+    });
+
+    test('should detect pipes and tabs', () => {
+      expect(detectDialect('a|b|c\n1|2|3\n4|5|6\n').delimiterName).toBe('pipe');
+      expect(detectDialect('id\tname\n1\tx\n2\ty\n', { defaultDelimiter: 'tab' }).delimiterName).toBe('tab');
+    });
+
+    test('should fall back to the default delimiter for a single column', () => {
+      expect(detectDialect('x\ny\n').delimiterName).toBe('comma');
+      expect(detectDialect('x\ny\n', { defaultDelimiter: 'tab' }).delimiterName).toBe('tab');
+    });
+
+  });
+
+  describe('Quote and Header Detection', () => {
+
+    test('should detect single quotes around fields with delimiters', () => {
+      const dialect = detectDialect("'a,b',c\n'x,y',z\n'p,q',r\n");
+
+      expect(dialect.quoteName).toBe('single');
+      expect(dialect.delimiterName).toBe('comma');
+    });
+
+    test('should read a first row typed like the rows below as data', () => {
+      expect(detectDialect('1,2024-01-05,3.5\n2,2024-02-01,4\n3,2024-03-01,5\n').header).toBe(false);
+      expect(detectDialect('id,date,score\n1,2024-01-05,3.5\n2,2024-02-01,4\n').header).toBe(true);
+    });
+
+  });
+
+  describe('Overrides', () => {
+
+    test('should apply overridden settings and detect the rest', () => {
+      const dialect = detectDialect('name;amount\nAnna;1\n', { override: { delimiter: 'comma', header: false } });
+
+      expect(dialect.delimiter).toBe(',');
+      expect(dialect.header).toBe(false);
+      expect(dialect.detected).toEqual({ delimiter: false, quote: true, header: false });
+    });
+
+    test('should reject unknown override settings', () => {
+      expect(normalizeDialectOverride({ delimiter: 'colon' }).valid).toBe(false);
+      expect(normalizeDialectOverride({ quote: 'back' }).valid).toBe(false);
+      expect(normalizeDialectOverride({ header: 'yes' }).error).toBe('header must be true or false');
+    });
+
+    test('should drop null settings and treat an empty override as none', () => {
+      expect(normalizeDialectOverride({ delimiter: null, header: false })).toEqual({ valid: true, override: { header: false } });
+      expect(normalizeDialectOverride({})).toEqual({ valid: true, override: null });
+      expect(normalizeDialectOverride(null)).toEqual({ valid: true, override: null });
+    });
+
+  });
+
+  describe('Record Splitting', () => {
+
+    test('should keep delimiters, newlines and doubled quotes inside quoted fields', () => {
+      const records = splitRecords('a,"b,""c"""\n\n"multi\nline",d\n', ',', '"');
+
+      expect(records).toEqual([['a', 'b,"c"'], ['multi\nline', 'd']]);
+    });
+
+    test('should stop after the requested number of records', () => {
+      expect(splitRecords('a,b\nc,d\ne,f\n', ',', '"', 2)).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+  });
+
+  describe('Dialect Descriptions', () => {
+
+    test('should describe the delimiter, unusual quotes and the header row', () => {
+      expect(describeDialect(detectDialect("'a,b',c\n'x,y',z\n'p,q',r\n"))).toBe('comma-delimited, single quotes, header row');
+      expect(describeDialect(detectDialect('1;2\n3;4\n'))).toBe('semicolon-delimited, no header row');
+    });
+
+  });
+
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit Tests for File Moves
+ * Tests target names, move checks, virtual folders, move plans with attachments and copy names
+ */
+
+const {
+  getFolder,
+  getTargetName,
+  checkMoveTarget,
+  listFolders,
+  planMove,
+  getCopyName
+} = require('../../../backend/services/fileMoves');
+
+// File entries in the shape listUserFiles returns (only the fields moves read)
+function buildFiles() {
+  return [
+    { name: 'complaint.eml', parent: null, childLabel: null },
+    { name: 'complaint.eml - list.csv', parent: 'complaint.eml', childLabel: 'attachment 1 of email complaint.eml' },
+    { name: 'photo.png', parent: 'complaint.eml', childLabel: 'attachment 2 of email complaint.eml' },
+    { name: 'reports/2024/q1.csv', parent: null, childLabel: null },
+    { name: 'reports/2024/q1 (copy).csv', parent: null, childLabel: null },
+    { name: 'reports/summary.txt', parent: null, childLabel: null },
+    { name: 'projects/p1/plan.pdf', parent: null, childLabel: null }
+  ];
+}
+
+describe('File Moves Unit Tests', () => {
+
+  describe('Target Names', () => {
+
+    test('should rename a file in its folder', () => {
+      expect(getTargetName('reports/2024/q1.csv', { name: 'q1 final.csv' })).toBe('reports/2024/q1 final.csv');
+    });
+
+    test('should move a file to a normalized folder, or the top level', () => {
+      expect(getTargetName('reports/2024/q1.csv', { folder: '/archive//2024/ ' })).toBe('archive/2024/q1.csv');
+      expect(getTargetName('reports/2024/q1.csv', { folder: '' })).toBe('q1.csv');
+    });
+
+    test('should keep project files under their project', () => {
+      expect(getTargetName('projects/p1/plan.pdf', { folder: 'drafts', name: 'plan v2.pdf' })).toBe('projects/p1/drafts/plan v2.pdf');
+      expect(getFolder('projects/p1/drafts/plan.pdf')).toBe('drafts');
+      expect(getFolder('plan.pdf')).toBe('');
+    });
+
+  });
+
+  describe('Move Checks', () => {
+
+    test('should keep the file extension', () => {
+      expect(checkMoveTarget('q1.csv', 'q1.txt')).toBe('A file keeps its extension (.csv)');
+      expect(checkMoveTarget('q1.csv', 'old/q1.csv')).toBeNull();
+    });
+
+    test('should not move user files into the projects folder', () => {
+      expect(checkMoveTarget('q1.csv', 'projects/p1/q1.csv')).toContain('reserved for project files');
+    });
+
+  });
+
+  describe('Folders', () => {
+
+    test('should count files in each folder and its subfolders', () => {
+      expect(listFolders(buildFiles())).toEqual([
+        { path: 'projects', fileCount: 1 },
+        { path: 'projects/p1', fileCount: 1 },
+        { path: 'reports', fileCount: 3 },
+        { path: 'reports/2024', fileCount: 2 }
+      ]);
+    });
+
+  });
+
+  describe('Move Plans', () => {
+
+    test('should move attachments with their email and relabel them', () => {
+      const moves = planMove(buildFiles(), 'complaint.eml', 'mail/complaint 2024.eml');
+
+      expect(moves).toEqual([
+        { from: 'complaint.eml', to: 'mail/complaint 2024.eml' },
+        { from: 'complaint.eml - list.csv', to: 'mail/complaint 2024.eml - list.csv', childLabel: 'attachment 1 of email complaint 2024.eml' },
+        { from: 'photo.png', to: 'mail/photo.png', childLabel: 'attachment 2 of email complaint 2024.eml' }
+      ]);
+    });
+
+    test('should keep labels that do not name the parent', () => {
+      const files = [
+        { name: 'a.eml', parent: null, childLabel: null },
+        { name: 'a.eml - x.csv', parent: 'a.eml', childLabel: 'forwarded list' }
+      ];
+
+      expect(planMove(files, 'a.eml', 'b.eml')[1].childLabel).toBe('forwarded list');
+    });
+
+    test('should plan only the file when it has no attachments', () => {
+      expect(planMove(buildFiles(), 'reports/summary.txt', 'summary.txt')).toEqual([
+        { from: 'reports/summary.txt', to: 'summary.txt' }
+      ]);
+    });
+
+  });
+
+  describe('Copy Names', () => {
+
+    test('should name a copy after the file in the same folder', () => {
+      expect(getCopyName(buildFiles(), 'reports/summary.txt')).toBe('reports/summary (copy).txt');
+    });
+
+    test('should number copies when the name is taken', () => {
+      expect(getCopyName(buildFiles(), 'reports/2024/q1.csv')).toBe('reports/2024/q1 (copy 2).csv');
+    });
+
+  });
+
+});
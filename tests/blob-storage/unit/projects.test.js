@@ -0,0 +1,270 @@
+/**
+ * Unit Tests for Projects
+ * Tests project ownership checks and the scoping of files and conversations to a project's prefix
+ */
+
+// Routers are mounted on the backend's own Express
+const express = require('../../../backend/node_modules/express');
+const request = require('supertest');
+
+// Blobs by name for the user under test; other users' blobs live in their own containers
+const mockBlobs = new Map();
+
+jest.mock('../../../backend/services/storage', () => {
+  const actual = jest.requireActual('../../../backend/services/storage');
+  return {
+    ...actual,
+    listUserFiles: jest.fn(async (userId, { prefix = '' } = {}) => [...mockBlobs.keys()]
+      .filter(name => name.startsWith(prefix))
+      .map(name => ({ name, size: mockBlobs.get(name).length }))),
+    deleteBlobsWithPrefix: jest.fn(async (userId, prefix) => [...mockBlobs.keys()].filter(name => name.startsWith(prefix))),
+    // Suggestions fall back to canned questions when file content cannot be read
+    getBlobContent: jest.fn(async () => {
+      throw new Error('not stored');
+    }),
+    readSidecar: jest.fn(async () => null),
+    writeSidecar: jest.fn(async () => 0)
+  };
+});
+
+// The conversations router creates its OpenAI client when loaded; no request reaches it here
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const storage = require('../../../backend/services/storage');
+const cosmosService = require('../../../backend/services/cosmos');
+const projectsRouter = require('../../../backend/routes/projects');
+const conversationsRouter = require('../../../backend/routes/conversations');
+
+/**
+ * In-memory stand-in for the Cosmos container: documents are partitioned by user ID,
+ * so reading another user's document finds nothing, as in Cosmos DB
+ */
+function createContainer() {
+  const documents = new Map();
+  const key = (id, userId) => `${userId}/${id}`;
+
+  return {
+    item: (id, userId) => ({
+      read: async () => ({ resource: documents.get(key(id, userId)) }),
+      replace: async (document) => {
+        documents.set(key(id, userId), document);
+        return { resource: document };
+      },
+      delete: async () => {
+        documents.delete(key(id, userId));
+        return {};
+      }
+    }),
+    items: {
+      queries: [],
+      create: async (document) => {
+        documents.set(key(document.id, document.userId), document);
+        return { resource: document };
+      },
+      upsert: async (document) => {
+        documents.set(key(document.id, document.userId), document);
+        return { resource: document };
+      },
+      query(querySpec) {
+        this.queries.push(querySpec);
+        // Answer with the user's conversations of the queried project
+        const parameters = Object.fromEntries(querySpec.parameters.map(({ name, value }) => [name, value]));
+        const resources = [...documents.values()].filter(document =>
+          document.userId === parameters['@userId'] &&
+          document.type === (parameters['@conversationType'] || parameters['@projectType']) &&
+          (parameters['@projectId'] === undefined || document.projectId === parameters['@projectId']));
+        return { fetchAll: async () => ({ resources }) };
+      }
+    }
+  };
+}
+
+describe('Projects Unit Tests', () => {
+  const owner = global.testUsers.user1;
+  const other = global.testUsers.user2;
+  let container;
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/projects', projectsRouter);
+    app.use('/api/conversations', conversationsRouter);
+  });
+
+  beforeEach(async () => {
+    container = createContainer();
+    Object.assign(cosmosService, { container, isInitialized: true });
+    mockBlobs.clear();
+    jest.clearAllMocks();
+  });
+
+  // A project of the owner with files inside and outside it, and conversations inside and outside it
+  async function seedProject() {
+    const project = await cosmosService.createProject(owner.id, 'Pumps', 'Maintenance logs');
+    mockBlobs.set(`projects/${project.id}/log.csv`, Buffer.from('a,b\n'));
+    mockBlobs.set(`projects/${project.id}/notes/readme.txt`, Buffer.from('hello'));
+    mockBlobs.set('projects/proj_other/secret.csv', Buffer.from('x'));
+    mockBlobs.set('loose.txt', Buffer.from('loose'));
+    await container.items.create({ id: 'c1', type: 'conversation', userId: owner.id, projectId: project.id, status: 'active' });
+    await container.items.create({ id: 'c2', type: 'conversation', userId: owner.id, projectId: null, status: 'active' });
+    return project;
+  }
+
+  describe('Ownership', () => {
+
+    test('should find a project only in its owner\'s partition', async () => {
+      const project = await seedProject();
+
+      await expect(cosmosService.getProject(project.id, owner.id)).resolves.toMatchObject({ name: 'Pumps' });
+      await expect(cosmosService.getProject(project.id, other.id)).rejects.toThrow('Project not found');
+    });
+
+    test('should not treat conversations or deleted projects as projects', async () => {
+      const project = await seedProject();
+      await cosmosService.updateProject(project.id, owner.id, { status: 'deleted' });
+
+      await expect(cosmosService.getProject('c1', owner.id)).rejects.toThrow('Project not found');
+      await expect(cosmosService.getProject(project.id, owner.id)).rejects.toThrow('Project not found');
+    });
+
+    test('should not return a project document as a conversation', async () => {
+      const project = await seedProject();
+
+      await expect(cosmosService.getConversation(project.id, owner.id)).rejects.toThrow('Conversation not found');
+    });
+
+    test('should refuse to update or delete another user\'s project', async () => {
+      const project = await seedProject();
+
+      await expect(cosmosService.updateProject(project.id, other.id, { name: 'Mine' })).rejects.toThrow('Project not found');
+      await expect(cosmosService.deleteProject(project.id, other.id)).rejects.toThrow('Project not found');
+      await expect(cosmosService.getProject(project.id, owner.id)).resolves.toMatchObject({ name: 'Pumps' });
+    });
+
+    test('should answer 404 for another user\'s project without touching its files', async () => {
+      const project = await seedProject();
+
+      for (const [method, path] of [
+        ['get', `/api/projects/${project.id}`],
+        ['get', `/api/projects/${project.id}/files`],
+        ['get', `/api/projects/${project.id}/conversations`],
+        ['put', `/api/projects/${project.id}`],
+        ['delete', `/api/projects/${project.id}`],
+        ['post', `/api/projects/${project.id}/activate`]
+      ]) {
+        const response = await request(app)[method](path).set(global.mockAuthHeaders.user2).send({ name: 'Mine' });
+        expect(response.status).toBe(404);
+        expect(response.body).toMatchObject({ success: false, error: 'Project not found' });
+      }
+
+      expect(storage.listUserFiles).not.toHaveBeenCalled();
+      expect(storage.deleteBlobsWithPrefix).not.toHaveBeenCalled();
+    });
+
+    test('should require authentication', async () => {
+      const response = await request(app).get('/api/projects');
+
+      expect(response.status).toBe(401);
+    });
+
+  });
+
+  describe('Project Scoping', () => {
+
+    test('should list only the files under the project prefix, named relative to it', async () => {
+      const project = await seedProject();
+
+      const response = await request(app).get(`/api/projects/${project.id}/files`).set(global.mockAuthHeaders.user1);
+
+      expect(response.status).toBe(200);
+      expect(storage.listUserFiles).toHaveBeenCalledWith(owner.id, { prefix: `projects/${project.id}/` });
+      expect(response.body.files.map(file => [file.name, file.blobName])).toEqual([
+        ['log.csv', `projects/${project.id}/log.csv`],
+        ['notes/readme.txt', `projects/${project.id}/notes/readme.txt`]
+      ]);
+    });
+
+    test('should count each project\'s own files and conversations', async () => {
+      const project = await seedProject();
+
+      const response = await request(app).get('/api/projects').set(global.mockAuthHeaders.user1);
+
+      expect(response.body.projects).toHaveLength(1);
+      expect(response.body.projects[0].id).toBe(project.id);
+      expect(response.body.projects[0].stats).toEqual({ fileCount: 2, totalBytes: 9, conversationCount: 1 });
+    });
+
+    test('should list only the project\'s conversations', async () => {
+      const project = await seedProject();
+
+      const response = await request(app).get(`/api/projects/${project.id}/conversations`).set(global.mockAuthHeaders.user1);
+
+      expect(response.body.conversations.map(conversation => conversation.id)).toEqual(['c1']);
+      expect(container.items.queries[0].parameters).toEqual(expect.arrayContaining([
+        { name: '@userId', value: owner.id },
+        { name: '@projectId', value: project.id }
+      ]));
+    });
+
+    test('should file a new conversation\'s files under the project prefix', async () => {
+      const project = await seedProject();
+
+      const response = await request(app).post('/api/conversations').set(global.mockAuthHeaders.user1)
+        .send({ projectId: project.id, fileIds: ['log.csv', `projects/${project.id}/notes/readme.txt`], title: 'Pump logs' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.conversation.projectId).toBe(project.id);
+      expect(response.body.conversation.fileNames).toEqual([`projects/${project.id}/log.csv`, `projects/${project.id}/notes/readme.txt`]);
+    });
+
+    test('should not start a conversation in another user\'s project', async () => {
+      const project = await seedProject();
+
+      const response = await request(app).post('/api/conversations').set(global.mockAuthHeaders.user2)
+        .send({ projectId: project.id, fileIds: ['log.csv'] });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Project not found');
+    });
+
+    test('should delete the project\'s files, conversations and active-project preference', async () => {
+      const project = await seedProject();
+      await cosmosService.updateUserPreferences(owner.id, { activeProjectId: project.id });
+
+      const response = await request(app).delete(`/api/projects/${project.id}`).set(global.mockAuthHeaders.user1);
+
+      expect(response.body).toMatchObject({ success: true, deletedFiles: 2, deletedConversations: 1 });
+      expect(storage.deleteBlobsWithPrefix).toHaveBeenCalledWith(owner.id, `projects/${project.id}/`);
+      await expect(cosmosService.getConversation('c2', owner.id)).resolves.toMatchObject({ id: 'c2' });
+      await expect(cosmosService.getProject(project.id, owner.id)).rejects.toThrow('Project not found');
+      expect((await cosmosService.getUserPreferences(owner.id)).activeProjectId).toBeNull();
+    });
+
+    test('should build project blob names under the project prefix', () => {
+      expect(storage.getProjectBlobName('p1', 'reports/q1.csv')).toBe('projects/p1/reports/q1.csv');
+      expect(storage.isProjectBlob('projects/p1/q1.csv')).toBe(true);
+      expect(storage.isProjectBlob('q1.csv')).toBe(false);
+      expect(() => storage.getProjectPrefix('')).toThrow('Valid projectId is required');
+    });
+
+  });
+
+  describe('Active Project', () => {
+
+    test('should store, keep and clear the active project', async () => {
+      const project = await seedProject();
+
+      const activated = await request(app).post(`/api/projects/${project.id}/activate`).set(global.mockAuthHeaders.user1);
+      expect(activated.body.preferences.activeProjectId).toBe(project.id);
+
+      const stored = await request(app).get('/api/projects/preferences').set(global.mockAuthHeaders.user1);
+      expect(stored.body.preferences.activeProjectId).toBe(project.id);
+
+      const cleared = await request(app).post('/api/projects/null/activate').set(global.mockAuthHeaders.user1);
+      expect(cleared.body.preferences.activeProjectId).toBeNull();
+    });
+
+  });
+
+});
@@ -0,0 +1,232 @@
+/**
+ * Unit Tests for Storage Quotas
+ * Tests plan limits with per-user overrides, limit validation, usage counted from a user's blobs
+ * and who may change limits
+ */
+
+// Blobs listed for every user, sidecars included
+const mockBlobs = [];
+
+jest.mock('../../../backend/services/storage', () => ({
+  ...jest.requireActual('../../../backend/services/storage'),
+  listUserFiles: jest.fn(async () => mockBlobs)
+}));
+
+// Routers are mounted on the backend's own Express
+const express = require('../../../backend/node_modules/express');
+const request = require('supertest');
+const cosmosService = require('../../../backend/services/cosmos');
+
+// The files router starts its rate-limit cleanup timer when loaded; it is stopped after the tests
+const setIntervalSpy = jest.spyOn(global, 'setInterval');
+const filesRouter = require('../../../backend/routes/files');
+const cleanupTimers = setIntervalSpy.mock.results.map(result => result.value);
+setIntervalSpy.mockRestore();
+
+const {
+  formatBytes,
+  validateLimits,
+  getUserLimits,
+  setUserLimits,
+  getStorageUsage,
+  QUOTA_CONFIG
+} = require('../../../backend/services/quotas');
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+// Each test reads limits for its own user, so cached limits never carry over
+let userCount = 0;
+const nextUser = () => `quota-user-${++userCount}`;
+
+// A Static Web Apps principal header for an administrator
+const adminHeaders = {
+  'x-ms-client-principal': Buffer.from(JSON.stringify({
+    userId: 'test-admin',
+    userDetails: 'admin@example.com',
+    identityProvider: 'aad',
+    userRoles: ['authenticated', QUOTA_CONFIG.ADMIN_ROLE]
+  })).toString('base64')
+};
+
+describe('Quota Unit Tests', () => {
+
+  beforeEach(() => {
+    mockBlobs.length = 0;
+    jest.restoreAllMocks();
+  });
+
+  describe('Limits', () => {
+
+    test('should apply the default plan when no limits are stored', async () => {
+      jest.spyOn(cosmosService, 'getUserLimits').mockResolvedValue(null);
+
+      expect(await getUserLimits(nextUser())).toEqual({
+        plan: 'standard',
+        planLabel: 'Standard',
+        maxStorageBytes: 5 * GB,
+        maxFiles: 50,
+        maxFileSize: 100 * MB,
+        overridden: []
+      });
+    });
+
+    test('should merge the user\'s overrides over their plan', async () => {
+      jest.spyOn(cosmosService, 'getUserLimits').mockResolvedValue({ plan: 'team', overrides: { maxFiles: 10 } });
+
+      expect(await getUserLimits(nextUser())).toMatchObject({
+        plan: 'team',
+        planLabel: 'Team',
+        maxStorageBytes: 50 * GB,
+        maxFiles: 10,
+        maxFileSize: 500 * MB,
+        overridden: ['maxFiles']
+      });
+    });
+
+    test('should fall back to the default plan for unknown plans and unreadable limits', async () => {
+      jest.spyOn(cosmosService, 'getUserLimits')
+        .mockResolvedValueOnce({ plan: 'retired', overrides: {} })
+        .mockRejectedValueOnce(new Error('Cosmos DB unavailable'));
+
+      expect((await getUserLimits(nextUser())).plan).toBe('standard');
+      expect(await getUserLimits(nextUser())).toMatchObject({ plan: 'standard', maxFiles: 50 });
+    });
+
+    test('should cache stored limits until they are changed', async () => {
+      const userId = nextUser();
+      const read = jest.spyOn(cosmosService, 'getUserLimits').mockResolvedValue({ plan: null, overrides: { maxFiles: 5 } });
+      jest.spyOn(cosmosService, 'setUserLimits').mockResolvedValue({});
+
+      await getUserLimits(userId);
+      await getUserLimits(userId);
+      expect(read).toHaveBeenCalledTimes(1);
+
+      read.mockResolvedValue({ plan: 'team', overrides: {} });
+      const limits = await setUserLimits(userId, { plan: 'team', overrides: {} }, 'admin-user');
+
+      expect(cosmosService.setUserLimits).toHaveBeenCalledWith(userId, { plan: 'team', overrides: {} }, 'admin-user');
+      expect(limits).toMatchObject({ plan: 'team', maxFiles: 500, overridden: [] });
+      expect(read).toHaveBeenCalledTimes(2);
+    });
+
+  });
+
+  describe('Limit Validation', () => {
+
+    test('should accept a known plan with positive whole-number overrides', () => {
+      expect(validateLimits({ plan: 'team', overrides: { maxFiles: 20, maxFileSize: 10 * MB } }))
+        .toEqual({ valid: true, limits: { plan: 'team', overrides: { maxFiles: 20, maxFileSize: 10 * MB } } });
+      expect(validateLimits({})).toEqual({ valid: true, limits: { plan: null, overrides: {} } });
+    });
+
+    test('should reject unknown plans and limits', () => {
+      expect(validateLimits({ plan: 'gold' }).error).toBe('Unknown plan \'gold\'. Plans: standard, team');
+      expect(validateLimits({ plan: 'toString' }).valid).toBe(false);
+      expect(validateLimits({ overrides: { maxUsers: 3 } }).error).toContain('Unknown limit(s): maxUsers');
+    });
+
+    test('should reject overrides that are not positive whole numbers', () => {
+      expect(validateLimits({ overrides: [] }).error).toBe('overrides must be an object');
+      expect(validateLimits({ overrides: { maxFiles: 0, maxFileSize: 1.5, maxStorageBytes: '5' } }).error)
+        .toBe('Limit(s) must be positive whole numbers: maxFiles, maxFileSize, maxStorageBytes');
+    });
+
+  });
+
+  describe('Usage', () => {
+
+    test('should count earlier versions towards storage but not towards the file limit', async () => {
+      jest.spyOn(cosmosService, 'getUserLimits').mockResolvedValue(null);
+      mockBlobs.push(
+        { name: 'sales.csv', size: 3 * MB },
+        { name: 'projects/p1/report.pdf', size: 5 * MB },
+        { name: '.taktmate/sales.csv/versions/1', size: 2 * MB },
+        { name: '.taktmate/sales.csv/index.json', size: 1 * MB }
+      );
+
+      const usage = await getStorageUsage(nextUser());
+
+      expect(usage.bytesUsed).toBe(10 * MB);
+      expect(usage.fileCount).toBe(2);
+      expect(usage.remaining).toEqual({ bytes: 5 * GB - 10 * MB, files: 48 });
+      expect(usage.byType).toEqual([
+        { type: 'pdf', label: 'PDF', fileCount: 1, bytes: 5 * MB },
+        { type: 'csv', label: 'CSV', fileCount: 1, bytes: 3 * MB },
+        { type: 'versions', label: 'Earlier versions', fileCount: 1, bytes: 2 * MB }
+      ]);
+      expect(usage.warnings).toEqual([]);
+    });
+
+    test('should warn near a limit and report a full one', async () => {
+      jest.spyOn(cosmosService, 'getUserLimits').mockResolvedValue({ plan: null, overrides: { maxFiles: 2, maxStorageBytes: 10 * MB } });
+      mockBlobs.push({ name: 'a.csv', size: 4 * MB }, { name: 'b.csv', size: 4.5 * MB });
+
+      const usage = await getStorageUsage(nextUser());
+
+      expect(usage.percentUsed).toEqual({ storage: 85, files: 100 });
+      expect(usage.warnings.map(({ limit, level }) => `${limit}:${level}`)).toEqual(['storage:warning', 'files:full']);
+      expect(usage.remaining.files).toBe(0);
+    });
+
+  });
+
+  describe('Limit Routes', () => {
+
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/files', filesRouter);
+    });
+
+    afterAll(() => {
+      cleanupTimers.forEach(timer => clearInterval(timer));
+    });
+
+    test('should let only administrators change limits', async () => {
+      const write = jest.spyOn(cosmosService, 'setUserLimits').mockResolvedValue({});
+
+      const response = await request(app).put(`/api/files/usage/limits/${global.testUsers.user2.id}`)
+        .set(global.mockAuthHeaders.user1).send({ plan: 'team' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe(`This resource requires the '${QUOTA_CONFIG.ADMIN_ROLE}' role`);
+      expect(write).not.toHaveBeenCalled();
+    });
+
+    test('should store the limits an administrator sets', async () => {
+      const userId = nextUser();
+      jest.spyOn(cosmosService, 'setUserLimits').mockResolvedValue({});
+      jest.spyOn(cosmosService, 'getUserLimits').mockResolvedValue({ plan: 'team', overrides: { maxFiles: 20 } });
+
+      const response = await request(app).put(`/api/files/usage/limits/${userId}`)
+        .set(adminHeaders).send({ plan: 'team', overrides: { maxFiles: 20 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.limits).toMatchObject({ plan: 'team', maxFiles: 20, overridden: ['maxFiles'] });
+      expect(cosmosService.setUserLimits).toHaveBeenCalledWith(userId, { plan: 'team', overrides: { maxFiles: 20 } }, 'test-admin');
+    });
+
+    test('should reject invalid limits from an administrator', async () => {
+      const response = await request(app).put(`/api/files/usage/limits/${nextUser()}`)
+        .set(adminHeaders).send({ plan: 'gold' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid limits');
+    });
+
+  });
+
+  describe('Formatting', () => {
+
+    test('should format sizes in KB, MB and GB', () => {
+      expect(formatBytes(512 * 1024)).toBe('512 KB');
+      expect(formatBytes(4.2 * MB)).toBe('4.2 MB');
+      expect(formatBytes(QUOTA_CONFIG.PLANS.standard.maxStorageBytes)).toBe('5 GB');
+    });
+
+  });
+
+});
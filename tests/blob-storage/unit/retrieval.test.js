@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for the Retrieval Service
+ * Tests tokenizing, chunk selection and prompt formatting over files held in memory
+ */
+
+// Blob contents by name; sidecars (indexes, parse cache, annotations) are not persisted
+const mockBlobs = new Map();
+
+jest.mock('../../../backend/services/storage', () => ({
+  getBlobContent: jest.fn(async (userId, blobName) => mockBlobs.get(blobName)),
+  recordTextEncoding: jest.fn(async (userId, file) => file.etag),
+  readSidecar: jest.fn(async () => null),
+  writeSidecar: jest.fn(async () => 0),
+  ANNOTATIONS_SIDECAR_KIND: 'annotations'
+}));
+
+const storage = require('../../../backend/services/storage');
+const {
+  retrieveContext,
+  formatRetrievedContext,
+  describeProvenance,
+  tokenize,
+  evictFileIndex,
+  RETRIEVAL_CONFIG
+} = require('../../../backend/services/retrieval');
+
+// A long text file with one paragraph per topic
+function buildNotes(topics) {
+  return Buffer.from(topics.map(topic => `Notes about ${topic}. ${'Filler words for length. '.repeat(60)}`).join('\n\n'));
+}
+
+describe('Retrieval Unit Tests', () => {
+
+  beforeEach(() => {
+    mockBlobs.clear();
+    jest.clearAllMocks();
+  });
+
+  describe('Tokenizing', () => {
+
+    test('should lower-case words, keep numbers and drop stop words', () => {
+      expect(tokenize('What is the Torque of Pump 7?')).toEqual(['torque', 'pump', '7']);
+      expect(tokenize('Größe und Gewicht')).toEqual(['größe', 'und', 'gewicht']);
+      expect(tokenize('')).toEqual([]);
+    });
+
+  });
+
+  describe('Context Selection', () => {
+
+    test('should send every chunk of small files in full', async () => {
+      mockBlobs.set('small.txt', Buffer.from('alpha\nbeta\ngamma\n'));
+
+      const context = await retrieveContext('u1', [{ name: 'small.txt', etag: 'e1' }], 'beta');
+
+      expect(context.mode).toBe('full');
+      expect(context.files[0].fileName).toBe('small.txt');
+      expect(context.files[0].chunks.map(chunk => chunk.text).join('\n')).toContain('gamma');
+    });
+
+    test('should pick the best matching chunks of large files', async () => {
+      const maxContextChars = RETRIEVAL_CONFIG.MAX_CONTEXT_CHARS;
+      RETRIEVAL_CONFIG.MAX_CONTEXT_CHARS = 4000;
+      try {
+        mockBlobs.set('manual.txt', buildNotes(['pumps', 'valves', 'torque settings', 'cleaning', 'storage']));
+
+        const context = await retrieveContext('u1', [{ name: 'manual.txt', etag: 'e2' }], 'torque');
+
+        expect(context.mode).toBe('retrieval');
+        expect(context.files[0].totalChunks).toBeGreaterThan(2);
+        expect(context.files[0].chunks).toHaveLength(1);
+        expect(context.files[0].chunks[0].text).toContain('torque settings');
+        expect(context.files[0].chunks[0].score).toBeGreaterThan(0);
+      } finally {
+        RETRIEVAL_CONFIG.MAX_CONTEXT_CHARS = maxContextChars;
+      }
+    });
+
+    test('should parse an unchanged file once', async () => {
+      mockBlobs.set('once.txt', Buffer.from('one\ntwo\n'));
+      const file = { name: 'once.txt', etag: 'e3' };
+
+      await retrieveContext('u1', [file], 'one');
+      evictFileIndex('u1', 'once.txt');
+      await retrieveContext('u1', [file], 'two');
+
+      // The rebuilt index reads the parse cache instead of the blob
+      expect(storage.getBlobContent).toHaveBeenCalledTimes(1);
+    });
+
+    test('should name the file that could not be read', async () => {
+      mockBlobs.set('broken.pdf', Buffer.from('not a pdf'));
+
+      await expect(retrieveContext('u1', [{ name: 'broken.pdf', etag: 'e4' }], 'anything'))
+        .rejects.toThrow('Failed to process file "broken.pdf"');
+    });
+
+  });
+
+  describe('Prompt Formatting', () => {
+
+    test('should describe chunk locations', () => {
+      expect(describeProvenance({ page: 3 })).toBe('p.3');
+      expect(describeProvenance({ sheet: 'Sales', rowStart: 2, rowEnd: 40 })).toBe('sheet Sales, rows 2-40');
+      expect(describeProvenance({ lineStart: 5, lineEnd: 5 })).toBe('line 5');
+      expect(describeProvenance()).toBe('');
+    });
+
+    test('should label excerpts with their file and attachment origin', () => {
+      const prompt = formatRetrievedContext({
+        mode: 'full',
+        files: [
+          { fileName: 'complaint.eml', childLabel: null, annotations: null, totalChunks: 1, chunks: [{ chunkIndex: 0, text: 'Please see the attached list.', provenance: { paragraphStart: 1, paragraphEnd: 1 } }] },
+          { fileName: 'complaint.eml--list.csv', childLabel: 'attachment 1 of email complaint.eml', annotations: null, totalChunks: 1, chunks: [{ chunkIndex: 0, text: 'id,item', provenance: { rowStart: 1, rowEnd: 2 } }] }
+        ]
+      });
+
+      expect(prompt).toContain('You are analyzing 2 documents');
+      expect(prompt).toContain('complete content is included');
+      expect(prompt).toContain('attachment 1 of email complaint.eml');
+      expect(prompt).toContain('Please see the attached list.');
+    });
+
+  });
+
+});
@@ -0,0 +1,162 @@
+/**
+ * Unit Tests for the Tabular Query Engine
+ * Tests column typing, date parsing and filters over typed tables
+ */
+
+const {
+  inferColumnType,
+  validateQuery,
+  runQuery
+} = require('../../../backend/services/tabularQuery');
+
+// A small typed table in the shape loadTable returns
+function buildSalesTable() {
+  return {
+    fileName: 'sales.csv',
+    sheet: null,
+    columns: [
+      { name: 'Date', type: 'date' },
+      { name: 'Region', type: 'string' },
+      { name: 'Amount', type: 'number' }
+    ],
+    rows: [
+      { _row: 2, Date: Date.UTC(2024, 0, 15), Region: 'North', Amount: 100 },
+      { _row: 3, Date: Date.UTC(2024, 1, 29), Region: 'south', Amount: 250 },
+      { _row: 4, Date: Date.UTC(2024, 2, 1, 9, 30), Region: 'East', Amount: 75 },
+      { _row: 5, Date: Date.UTC(2024, 11, 31), Region: 'West', Amount: null }
+    ]
+  };
+}
+
+describe('Tabular Query Unit Tests', () => {
+
+  describe('Column Type Inference', () => {
+
+    test('should infer dates in ISO, M/D/YYYY and written formats', () => {
+      expect(inferColumnType(['2024-03-15', '2024-02-29T10:15:00'])).toBe('date');
+      expect(inferColumnType(['3/15/2024', '12/1/24'])).toBe('date');
+      expect(inferColumnType(['March 15, 2024', 'Feb 29 2024'])).toBe('date');
+    });
+
+    test('should not read out-of-range dates as dates', () => {
+      // D/M/YYYY would otherwise roll month 15 into the next year
+      expect(inferColumnType(['15/03/2024', '28/02/2024'])).toBe('string');
+      expect(inferColumnType(['2024-02-31'])).toBe('string');
+      expect(inferColumnType(['2023-02-29'])).toBe('string');
+      expect(inferColumnType(['2024-13-01'])).toBe('string');
+      expect(inferColumnType(['2024-03-01T25:00'])).toBe('string');
+      expect(inferColumnType(['February 30, 2024'])).toBe('string');
+    });
+
+    test('should infer numbers with currency, separators and negatives', () => {
+      expect(inferColumnType(['$1,200.50', '(300)', '15%', '-2e3'])).toBe('number');
+    });
+
+    test('should infer booleans and fall back to strings', () => {
+      expect(inferColumnType(['yes', 'No', 'TRUE'])).toBe('boolean');
+      expect(inferColumnType(['apple', '12', 'pear'])).toBe('string');
+      expect(inferColumnType(['', '  ', null])).toBe('string');
+    });
+
+  });
+
+  describe('Filter Validation', () => {
+
+    test('should reject date filter values that do not exist', () => {
+      const table = buildSalesTable();
+
+      const result = validateQuery(table, {
+        filters: [{ column: 'Date', op: 'between', value: ['2024-02-01', '2024-02-31'] }]
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain("could not read '2024-02-31' as a date");
+      expect(validateQuery(table, { filters: [{ column: 'Date', op: 'eq', value: '2024-13' }] }).valid).toBe(false);
+    });
+
+    test('should require a [from, to] value for between', () => {
+      const result = validateQuery(buildSalesTable(), {
+        filters: [{ column: 'Amount', op: 'between', value: 100 }]
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('[from, to]');
+    });
+
+    test('should reject unknown columns and ops', () => {
+      const table = buildSalesTable();
+
+      expect(validateQuery(table, { filters: [{ column: 'Price', op: 'eq', value: 1 }] }).error)
+        .toContain("Unknown column 'Price'");
+      expect(validateQuery(table, { filters: [{ column: 'Amount', op: 'like', value: 1 }] }).error)
+        .toContain("Unknown filter op 'like'");
+    });
+
+  });
+
+  describe('Filters', () => {
+
+    test('should match partial dates against their whole period', () => {
+      const table = buildSalesTable();
+
+      const february = runQuery(table, { filters: [{ column: 'Date', op: 'eq', value: '2024-02' }] });
+      expect(february.rows.map(row => row._row)).toEqual([3]);
+
+      const year = runQuery(table, { filters: [{ column: 'Date', op: 'between', value: ['2024', '2024'] }] });
+      expect(year.matchedRows).toBe(4);
+    });
+
+    test('should include the whole end day of a date range', () => {
+      const result = runQuery(buildSalesTable(), {
+        filters: [{ column: 'Date', op: 'between', value: ['2024-02-29', '3/1/2024'] }]
+      });
+
+      expect(result.rows.map(row => row._row)).toEqual([3, 4]);
+    });
+
+    test('should compare string between bounds case-insensitively', () => {
+      const result = runQuery(buildSalesTable(), {
+        filters: [{ column: 'Region', op: 'between', value: ['M', 'T'] }]
+      });
+
+      expect(result.rows.map(row => row.Region)).toEqual(['North', 'south']);
+    });
+
+    test('should parse numeric between bounds with the column parser', () => {
+      const result = runQuery(buildSalesTable(), {
+        filters: [{ column: 'Amount', op: 'between', value: ['$80', '1,000'] }]
+      });
+
+      expect(result.rows.map(row => row._row)).toEqual([2, 3]);
+    });
+
+    test('should filter empty cells with is_empty', () => {
+      const result = runQuery(buildSalesTable(), { filters: [{ column: 'Amount', op: 'is_empty' }] });
+
+      expect(result.rows.map(row => row._row)).toEqual([5]);
+    });
+
+  });
+
+  describe('Aggregations', () => {
+
+    test('should group and sum matching rows', () => {
+      const result = runQuery(buildSalesTable(), {
+        filters: [{ column: 'Amount', op: 'not_empty' }],
+        groupBy: ['Region'],
+        aggregations: [{ op: 'sum', column: 'Amount' }],
+        sort: [{ column: 'Region', direction: 'asc' }]
+      });
+
+      expect(result.columns).toEqual(['Region', 'sum_Amount']);
+      expect(result.rows.map(row => row.Region)).toEqual(['East', 'North', 'south']);
+    });
+
+    test('should refuse numeric aggregations on other columns', () => {
+      expect(() => runQuery(buildSalesTable(), { aggregations: [{ op: 'avg', column: 'Region' }] }))
+        .toThrow("needs a numeric column; 'Region' is string");
+    });
+
+  });
+
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit Tests for Text Encoding Detection
+ * Tests byte order marks, BOM-less UTF-16, UTF-8, XML declarations and legacy charsets
+ */
+
+const { detectEncoding, decodeBuffer } = require('../../../backend/services/textEncoding');
+
+// 'Preis,Größe,Menü\n€5,“groß” café' saved by Excel or Notepad on Western Windows
+function buildWindows1252() {
+  return Buffer.concat([
+    Buffer.from('Preis,Größe,Menü\n', 'latin1'),
+    Buffer.from([0x80]), // €
+    Buffer.from('5,', 'latin1'),
+    Buffer.from([0x93]), // “
+    Buffer.from('groß', 'latin1'),
+    Buffer.from([0x94]), // ”
+    Buffer.from(' café crème, Straße über Äpfel\n', 'latin1')
+  ]);
+}
+
+describe('Text Encoding Unit Tests', () => {
+
+  describe('Byte Order Marks', () => {
+
+    test('should identify UTF-8 and UTF-16 by their BOM and remove it when decoding', () => {
+      const utf8 = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('a,b\n€,ü\n')]);
+      const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('a,b\n€,ü\n', 'utf16le')]);
+
+      expect(detectEncoding(utf8)).toEqual({ name: 'UTF-8', bom: true, source: 'bom' });
+      expect(detectEncoding(utf16)).toEqual({ name: 'UTF-16LE', bom: true, source: 'bom' });
+      expect(decodeBuffer(utf8).text).toBe('a,b\n€,ü\n');
+      expect(decodeBuffer(utf16).text).toBe('a,b\n€,ü\n');
+    });
+
+    test('should detect UTF-16 saved without a BOM from its zero bytes', () => {
+      const littleEndian = Buffer.from('name,value\nabc,1\n', 'utf16le');
+      const bigEndian = Buffer.from('name,value\nabc,1\n', 'utf16le').swap16();
+
+      expect(detectEncoding(littleEndian)).toEqual({ name: 'UTF-16LE', bom: false, source: 'utf-16' });
+      expect(detectEncoding(bigEndian).name).toBe('UTF-16BE');
+      expect(decodeBuffer(bigEndian).text).toBe('name,value\nabc,1\n');
+    });
+
+  });
+
+  describe('UTF-8 and Declarations', () => {
+
+    test('should read valid UTF-8 and plain ASCII as UTF-8', () => {
+      expect(detectEncoding(Buffer.from('Preis,Größe\n€5,“groß”\n'))).toEqual({ name: 'UTF-8', bom: false, source: 'utf-8' });
+      expect(detectEncoding(Buffer.from('a,b\n1,2\n')).name).toBe('UTF-8');
+    });
+
+    test('should honour the encoding of an XML declaration', () => {
+      const latin2 = Buffer.concat([
+        Buffer.from('<?xml version="1.0" encoding="ISO-8859-2"?><city>Kraków '),
+        Buffer.from([0xb1]), // ą
+        Buffer.from('</city>')
+      ]);
+
+      expect(detectEncoding(latin2)).toEqual({ name: 'ISO-8859-2', bom: false, source: 'declaration' });
+      expect(decodeBuffer(latin2).text).toContain('ą');
+    });
+
+    test('should decode a declared ISO-8859-1 as its Windows-1252 superset', () => {
+      const declared = Buffer.concat([
+        Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><price>'),
+        Buffer.from([0x80]),
+        Buffer.from('5</price>')
+      ]);
+
+      expect(detectEncoding(declared).name).toBe('windows-1252');
+      expect(decodeBuffer(declared).text).toContain('<price>€5</price>');
+    });
+
+  });
+
+  describe('Legacy Charsets', () => {
+
+    test('should decode Windows-1252 exports with euro signs and curly quotes', () => {
+      const { text, encoding } = decodeBuffer(buildWindows1252());
+
+      expect(encoding).toBe('windows-1252');
+      expect(text).toContain('€5,“groß”');
+      expect(text).toContain('Größe');
+    });
+
+    test('should detect Shift_JIS text', () => {
+      const sentence = Buffer.from('93fa967b8cea82cc8365834c8358836782c582b78142', 'hex'); // 日本語のテキストです。
+      const { text, encoding } = decodeBuffer(Buffer.concat(Array(6).fill(sentence)));
+
+      expect(encoding).toBe('Shift_JIS');
+      expect(text.startsWith('日本語のテキストです。')).toBe(true);
+    });
+
+  });
+
+});
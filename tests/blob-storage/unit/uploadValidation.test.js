@@ -0,0 +1,200 @@
+/**
+ * Unit Tests for Upload Validation
+ * Tests each reason an upload is rejected, and how a file's status is read from its status record
+ */
+
+// Blob contents by name; expanded files and attachments are collected instead of uploaded
+const mockBlobs = new Map();
+
+jest.mock('../../../backend/services/storage', () => ({
+  ...jest.requireActual('../../../backend/services/storage'),
+  getBlobContent: jest.fn(async (userId, blobName) => mockBlobs.get(blobName)),
+  uploadBlob: jest.fn(async (userId, blobName, content) => ({ name: blobName, size: content.length })),
+  deleteBlob: jest.fn(async () => {})
+}));
+
+const JSZip = require('../../../backend/node_modules/jszip');
+const { validateUploadedContent } = require('../../../backend/services/uploadValidation');
+const { readUploadStatus } = require('../../../backend/services/storage');
+const { expandArchive } = require('../../../backend/services/archives');
+const { extractChildSources } = require('../../../backend/services/childSources');
+
+// A Windows executable: MZ stub whose offset at 0x3c points to a PE header
+function buildWindowsExecutable() {
+  const buffer = Buffer.alloc(0x80);
+  buffer.write('MZ', 0, 'latin1');
+  buffer.writeUInt32LE(0x40, 0x3c);
+  buffer.write('PE\0\0', 0x40, 'latin1');
+  return buffer;
+}
+
+const ELF = Buffer.concat([Buffer.from([0x7f, 0x45, 0x4c, 0x46]), Buffer.from('rest of the binary')]);
+const BINARY_CSV = Buffer.concat([Buffer.from('id,name\n1,'), Buffer.alloc(32), Buffer.from('\n2,y\n')]);
+
+// An email with one attachment per entry of { fileName, content }
+function buildEmail(attachments) {
+  const parts = attachments.map(({ fileName, content }) => [
+    '--b1',
+    'Content-Type: application/octet-stream',
+    `Content-Disposition: attachment; filename="${fileName}"`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    content.toString('base64')
+  ].join('\r\n'));
+
+  return Buffer.from([
+    'From: a@example.com',
+    'To: b@example.com',
+    'Subject: Files',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="b1"',
+    '',
+    '--b1',
+    'Content-Type: text/plain',
+    '',
+    'See attached.',
+    ...parts,
+    '--b1--',
+    ''
+  ].join('\r\n'));
+}
+
+describe('Upload Validation Unit Tests', () => {
+
+  describe('Accepted Uploads', () => {
+
+    test('should accept a file that parses, and return the parse result', async () => {
+      const csv = Buffer.from('id,name\n1,x\n');
+      const validation = await validateUploadedContent(csv, { name: 'people.csv' }, csv.length);
+
+      expect(validation.valid).toBe(true);
+      expect(validation.parsed).toBeDefined();
+    });
+
+    test('should accept UTF-16 text despite its zero bytes', async () => {
+      const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('id,name\n1,x\n', 'utf16le')]);
+
+      expect((await validateUploadedContent(utf16, { name: 'people.csv' })).valid).toBe(true);
+    });
+
+    test('should accept text that only starts with the letters MZ', async () => {
+      const text = Buffer.from(`MZ is the code of Mozambique. ${'More text. '.repeat(10)}`);
+
+      expect((await validateUploadedContent(text, { name: 'notes.txt' })).valid).toBe(true);
+    });
+
+  });
+
+  describe('Rejection Reasons', () => {
+
+    test('should reject unsupported file types', async () => {
+      expect(await validateUploadedContent(Buffer.from('x'), { name: 'tool.exe' }))
+        .toEqual({ valid: false, reason: 'Unsupported file type: .exe' });
+      expect((await validateUploadedContent(Buffer.from('x'), { name: 'README' })).reason)
+        .toBe('Unsupported file type: no extension');
+    });
+
+    test('should reject content whose size differs from the declared size', async () => {
+      expect((await validateUploadedContent(Buffer.from('id\n1\n'), { name: 'a.csv' }, 100)).reason)
+        .toBe('Uploaded size (5 bytes) does not match the declared size (100 bytes)');
+    });
+
+    test('should reject empty files', async () => {
+      expect((await validateUploadedContent(Buffer.alloc(0), { name: 'a.csv' })).reason).toBe('File is empty');
+    });
+
+    test('should reject executables under any name', async () => {
+      expect((await validateUploadedContent(ELF, { name: 'data.csv' })).reason).toBe('File is a Linux executable, not a CSV file');
+      expect((await validateUploadedContent(buildWindowsExecutable(), { name: 'notes.txt' })).reason)
+        .toBe('File is a Windows executable, not a TXT file');
+    });
+
+    test('should reject binary formats without their magic bytes', async () => {
+      expect((await validateUploadedContent(Buffer.from('just text'), { name: 'report.pdf' })).reason)
+        .toBe('File content is not a valid PDF file');
+    });
+
+    test('should reject binary data in text formats', async () => {
+      expect((await validateUploadedContent(BINARY_CSV, { name: 'data.csv' })).reason).toBe('File contains binary data, not CSV text');
+    });
+
+    test('should reject files that do not parse', async () => {
+      const validation = await validateUploadedContent(Buffer.from('{"id": 1,'), { name: 'data.json' });
+
+      expect(validation.valid).toBe(false);
+      expect(validation.reason).toMatch(/^File could not be read as JSON: /);
+    });
+
+  });
+
+  describe('Upload Status', () => {
+
+    const blob = (metadata = {}) => ({ name: 'a.csv', properties: { etag: '"0x2"' }, metadata });
+
+    test('should read the status recorded for the file\'s current ETag', () => {
+      const record = { status: 'rejected', statusreason: encodeURIComponent('File is empty'), etag: '"0x2"' };
+
+      expect(readUploadStatus(blob(), record)).toEqual({ status: 'rejected', statusReason: 'File is empty' });
+    });
+
+    test('should treat content changed since the check as processing', () => {
+      expect(readUploadStatus(blob(), { status: 'ready', etag: '"0x1"' })).toEqual({ status: 'processing', statusReason: null });
+    });
+
+    test('should ignore status metadata on the file itself when there is no record', () => {
+      expect(readUploadStatus(blob({ status: 'ready' }), undefined)).toEqual({ status: 'processing', statusReason: null });
+    });
+
+    test('should trust the metadata of server-written sidecars', () => {
+      const version = { name: '.taktmate/a.csv/versions/1', properties: { etag: '"0x9"' }, metadata: { status: 'ready' } };
+
+      expect(readUploadStatus(version, undefined).status).toBe('ready');
+    });
+
+  });
+
+  describe('Expanded Files', () => {
+
+    const limits = {
+      checkFileName: () => null,
+      maxFileSize: 1024 * 1024,
+      maxFiles: 100,
+      maxStorageBytes: 10 * 1024 * 1024,
+      usedBytes: 0
+    };
+
+    beforeEach(() => {
+      mockBlobs.clear();
+    });
+
+    test('should run the upload checks on each archive entry', async () => {
+      const zip = new JSZip();
+      zip.file('ok.csv', 'id\n1\n');
+      zip.file('tool.txt', ELF);
+      zip.file('data.csv', BINARY_CSV);
+      mockBlobs.set('bundle.zip', await zip.generateAsync({ type: 'nodebuffer' }));
+
+      const { created, rejected } = await expandArchive('u1', { name: 'bundle.zip', size: 100 }, [], limits);
+
+      expect(created.map(file => file.name)).toEqual(['ok.csv']);
+      expect(rejected).toEqual([
+        { path: 'tool.txt', reason: 'file is a Linux executable, not a TXT file' },
+        { path: 'data.csv', reason: 'file contains binary data, not CSV text' }
+      ]);
+    });
+
+    test('should run the upload checks on each email attachment', async () => {
+      mockBlobs.set('mail.eml', buildEmail([
+        { fileName: 'list.csv', content: Buffer.from('id\n1\n') },
+        { fileName: 'invoice.pdf', content: ELF }
+      ]));
+
+      const { children, rejected } = await extractChildSources('u1', { name: 'mail.eml' }, []);
+
+      expect(children.map(child => child.fileName)).toEqual(['list.csv']);
+      expect(rejected).toEqual([{ fileName: 'invoice.pdf', reason: 'File is a Linux executable, not a PDF file' }]);
+    });
+
+  });
+
+});
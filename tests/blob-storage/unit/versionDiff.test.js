@@ -0,0 +1,92 @@
+/**
+ * Unit Tests for Version Diffs
+ * Tests line diffs of text files, row diffs of delimited files and output limits
+ */
+
+const { canDiff, diffText, diffTable, VERSION_DIFF_CONFIG } = require('../../../backend/services/versionDiff');
+const { getProcessor } = require('../../../backend/processors');
+
+// 'line 1'..'line n'
+function numberedLines(count) {
+  return Array.from({ length: count }, (_, index) => `line ${index + 1}`);
+}
+
+describe('Version Diff Unit Tests', () => {
+
+  describe('Text Diffs', () => {
+
+    test('should report changed lines with their line numbers and context', () => {
+      const newer = numberedLines(20);
+      newer[2] = 'line three';
+      newer.splice(15, 1);
+      newer.push('line 21');
+
+      const diff = diffText(Buffer.from(numberedLines(20).join('\n') + '\n'), Buffer.from(newer.join('\n') + '\n'));
+
+      expect(diff.kind).toBe('text');
+      expect(diff.stats).toEqual({ added: 2, removed: 2 });
+      expect(diff.hunks).toHaveLength(2);
+      expect(diff.hunks[0].lines.map(line => line.type))
+        .toEqual(['equal', 'equal', 'removed', 'added', 'equal', 'equal', 'equal']);
+      expect(diff.hunks[0].lines[2]).toEqual({ type: 'removed', oldLine: 3, newLine: null, text: 'line 3' });
+      expect(diff.hunks[0].lines[3]).toEqual({ type: 'added', oldLine: null, newLine: 3, text: 'line three' });
+    });
+
+    test('should ignore line ending changes', () => {
+      const lines = numberedLines(5);
+      const diff = diffText(Buffer.from(lines.join('\n') + '\n'), Buffer.from(lines.join('\r\n') + '\r\n'));
+
+      expect(diff.stats).toEqual({ added: 0, removed: 0 });
+      expect(diff.hunks).toEqual([]);
+    });
+
+    test('should truncate long diffs but still count every change', () => {
+      const maxOutputLines = VERSION_DIFF_CONFIG.MAX_OUTPUT_LINES;
+      VERSION_DIFF_CONFIG.MAX_OUTPUT_LINES = 5;
+      try {
+        const diff = diffText(Buffer.from('a\nb\nc\n'), Buffer.from(numberedLines(10).join('\n')));
+
+        expect(diff.stats).toEqual({ added: 10, removed: 3 });
+        expect(diff.hunks[0].lines).toHaveLength(5);
+        expect(diff.truncated).toBe(true);
+      } finally {
+        VERSION_DIFF_CONFIG.MAX_OUTPUT_LINES = maxOutputLines;
+      }
+    });
+
+  });
+
+  describe('Table Diffs', () => {
+
+    test('should compare rows on shared columns and list added and removed columns', async () => {
+      const csv = getProcessor('people.csv');
+      const diff = await diffTable(csv,
+        { buffer: Buffer.from('id,name,age\n1,x,3\n2,y,4\n3,z,5\n'), options: {} },
+        { buffer: Buffer.from('id,name,city\n1,x,Rome\n2,Y,Oslo\n3,z,Pisa\n4,w,Nice\n'), options: {} });
+
+      expect(diff.kind).toBe('table');
+      expect(diff.headers).toEqual(['id', 'name', 'city', 'age']);
+      expect(diff.columns).toEqual({ added: ['city'], removed: ['age'] });
+      // A new column alone does not change a row; row 2's name does
+      expect(diff.stats).toEqual({ added: 2, removed: 1 });
+      expect(diff.hunks[0].lines.filter(line => line.type !== 'equal')).toEqual([
+        { type: 'removed', oldRow: 3, newRow: null, values: ['2', 'y', null, '4'] },
+        { type: 'added', oldRow: null, newRow: 3, values: ['2', 'Y', 'Oslo', null] },
+        { type: 'added', oldRow: null, newRow: 5, values: ['4', 'w', 'Nice', null] }
+      ]);
+    });
+
+  });
+
+  describe('Diffable Formats', () => {
+
+    test('should diff delimited and text formats only', () => {
+      expect(canDiff(getProcessor('data.csv'))).toBe(true);
+      expect(canDiff(getProcessor('notes.txt'))).toBe(true);
+      expect(canDiff(getProcessor('report.pdf'))).toBe(false);
+      expect(canDiff(null)).toBe(false);
+    });
+
+  });
+
+});